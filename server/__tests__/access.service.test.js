@@ -0,0 +1,178 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import accessService from '../services/access.service.js';
+
+describe('Access Service', () => {
+    let configDir;
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-test-'));
+        accessService.access = { users: [], sessions: [], ipAllowlist: [], apiTokens: [] };
+        accessService.failedLogins.clear();
+        await accessService.initialize(configDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should create the first user only with the setup code', async () => {
+        expect(accessService.isSetupRequired()).toBe(true);
+        expect(accessService.setupCode).toMatch(/^[0-9a-f]{16}$/);
+
+        await expect(accessService.setup('admin', 'correct horse', 'wrong', '10.0.0.2')).rejects.toMatchObject({ code: 'ESETUP' });
+        await expect(accessService.setup('admin', 'short', accessService.setupCode, '10.0.0.2')).rejects.toMatchObject({ code: 'EINVAL' });
+        await accessService.setup('admin', 'correct horse', accessService.setupCode, '10.0.0.2');
+
+        expect(accessService.isSetupRequired()).toBe(false);
+        await expect(accessService.setup('other', 'correct horse', null)).rejects.toMatchObject({ code: 'ESETUP' });
+
+        const stored = JSON.parse(fs.readFileSync(path.join(configDir, 'access.json'), 'utf8'));
+        expect(stored.users[0].passwordHash).toMatch(/^scrypt\$16384\$8\$1\$/);
+        expect(JSON.stringify(stored)).not.toContain('correct horse');
+        expect(fs.statSync(path.join(configDir, 'access.json')).mode & 0o777).toBe(0o600);
+    });
+
+    it('should log in with the right password and keep only a hash of the session', async () => {
+        await accessService.createUser('admin', 'correct horse');
+
+        await expect(accessService.login('admin', 'wrong password', '10.0.0.2')).rejects.toMatchObject({ code: 'ELOGIN' });
+        await expect(accessService.login('nobody', 'correct horse', '10.0.0.2')).rejects.toMatchObject({ code: 'ELOGIN' });
+        const { token } = await accessService.login('admin', 'correct horse', '10.0.0.2');
+
+        expect(accessService.getSession(token)).toMatchObject({ username: 'admin' });
+        expect(fs.readFileSync(path.join(configDir, 'access.json'), 'utf8')).not.toContain(token);
+        expect(accessService.getRequestToken({ headers: { cookie: `theme=dark; gps_session=${token}` } })).toBe(token);
+        expect(accessService.getRequestToken({ headers: { authorization: `Bearer ${token}` } })).toBe(token);
+
+        // Sessions survive a restart, and end on logout or expiry
+        await accessService.initialize(configDir);
+        expect(accessService.getSession(token)).not.toBeNull();
+        expect(accessService.getSession(token, Date.now() + 31 * 24 * 60 * 60 * 1000)).toBeNull();
+        accessService.logout(token);
+        expect(accessService.getSession(token)).toBeNull();
+    });
+
+    it('should end other sessions when the password changes', async () => {
+        await accessService.createUser('admin', 'correct horse');
+        const first = await accessService.login('admin', 'correct horse', '10.0.0.2');
+        const second = await accessService.login('admin', 'correct horse', '10.0.0.3');
+
+        await expect(accessService.changePassword('admin', 'wrong', 'battery staple', first.session.id))
+            .rejects.toMatchObject({ code: 'ELOGIN' });
+        await accessService.changePassword('admin', 'correct horse', 'battery staple', first.session.id);
+
+        expect(accessService.getSession(first.token)).not.toBeNull();
+        expect(accessService.getSession(second.token)).toBeNull();
+        await expect(accessService.login('admin', 'battery staple', '10.0.0.2')).resolves.toHaveProperty('token');
+        expect(() => accessService.deleteUser('admin')).toThrow(expect.objectContaining({ code: 'ELAST' }));
+    });
+
+    it('should throttle repeated failed logins from one address', async () => {
+        await accessService.createUser('admin', 'correct horse');
+        for (let i = 0; i < 10; i++) {
+            accessService.recordFailedLogin('10.0.0.9');
+        }
+
+        await expect(accessService.login('admin', 'correct horse', '10.0.0.9')).rejects.toMatchObject({ code: 'ERATE' });
+        await expect(accessService.login('admin', 'correct horse', '10.0.0.2')).resolves.toHaveProperty('token');
+        expect(accessService.isLoginThrottled('10.0.0.9', Date.now() + 16 * 60 * 1000)).toBe(false);
+    });
+
+    it('should forget failed logins once their window is over and cap the addresses it tracks', () => {
+        const start = Date.now();
+        accessService.recordFailedLogin('10.0.0.1', start);
+        accessService.recordFailedLogin('10.0.0.2', start + 10 * 60 * 1000);
+
+        accessService.isLoginThrottled('10.0.0.3', start + 16 * 60 * 1000);
+        expect([...accessService.failedLogins.keys()]).toEqual(['10.0.0.2']);
+
+        for (let i = 0; i < 1000; i++) {
+            accessService.recordFailedLogin(`10.1.${i >> 8}.${i & 255}`, start + 11 * 60 * 1000);
+        }
+        expect(accessService.failedLogins.size).toBe(1000);
+        expect(accessService.failedLogins.has('10.0.0.2')).toBe(false);
+        expect(accessService.failedLogins.has('10.1.3.231')).toBe(true);
+    });
+
+    it('should throttle guessing the setup code from one address', async () => {
+        for (let i = 0; i < 10; i++) {
+            await expect(accessService.setup('admin', 'correct horse', 'guess', '10.0.0.9')).rejects.toMatchObject({ code: 'ESETUP' });
+        }
+
+        await expect(accessService.setup('admin', 'correct horse', accessService.setupCode, '10.0.0.9'))
+            .rejects.toMatchObject({ code: 'ERATE' });
+        await accessService.setup('admin', 'correct horse', accessService.setupCode, '10.0.0.2');
+        expect(accessService.isSetupRequired()).toBe(false);
+    });
+
+    it('should authenticate API tokens and keep only their hashes', async () => {
+        await accessService.createUser('admin', 'correct horse');
+        const { token, apiToken } = accessService.createApiToken('Home Assistant', ['trigger-sync'], 'admin');
+
+        expect(token).toMatch(/^gps_/);
+        expect(apiToken).not.toHaveProperty('tokenHash');
+        expect(fs.readFileSync(path.join(configDir, 'access.json'), 'utf8')).not.toContain(token);
+        expect(accessService.authenticate({ headers: { authorization: `Bearer ${token}` } }))
+            .toMatchObject({ type: 'token', scopes: ['trigger-sync'] });
+        expect(accessService.getApiTokens()[0].lastUsedAt).not.toBeNull();
+
+        expect(() => accessService.createApiToken('', ['admin'])).toThrow(expect.objectContaining({ code: 'EINVAL' }));
+        expect(() => accessService.createApiToken('x', ['everything'])).toThrow(expect.objectContaining({ code: 'EINVAL' }));
+
+        accessService.deleteApiToken(apiToken.id);
+        expect(accessService.authenticate({ headers: { authorization: `Bearer ${token}` } })).toBeNull();
+    });
+
+    it('should limit API tokens to the routes their scopes cover', () => {
+        const allowed = (scopes, method, route) => accessService.isAllowed(scopes, method, route);
+
+        expect(allowed(['read-status'], 'GET', '/sync/status')).toBe(true);
+        expect(allowed(['read-status'], 'HEAD', '/api/schedule')).toBe(true);
+        expect(allowed(['read-status'], 'POST', '/sync')).toBe(false);
+        expect(allowed(['trigger-sync'], 'GET', '/api/sync/job')).toBe(true);
+        expect(allowed(['trigger-sync'], 'POST', '/api/sync')).toBe(true);
+        expect(allowed(['trigger-sync'], 'POST', '/schedule/run')).toBe(true);
+        expect(allowed(['trigger-sync'], 'POST', '/settings')).toBe(false);
+        expect(allowed(['trigger-sync'], 'POST', '/sync/job/discard')).toBe(false);
+        expect(allowed(['trigger-sync'], 'POST', '/accounts/123/activate')).toBe(false);
+        expect(allowed(['trigger-sync'], 'DELETE', '/trash/abc')).toBe(false);
+        // Managing access takes admin even to read
+        expect(allowed(['trigger-sync'], 'GET', '/api/api-tokens')).toBe(false);
+        expect(allowed(['read-status'], 'GET', '/users')).toBe(false);
+        // Only the status routes are readable, not settings, Google logins or other reads
+        expect(allowed(['read-status'], 'GET', '/api/check-auth')).toBe(false);
+        expect(allowed(['read-status'], 'GET', '/auth')).toBe(false);
+        expect(allowed(['trigger-sync'], 'GET', '/api/oauth2callback')).toBe(false);
+        expect(allowed(['read-status'], 'GET', '/api/settings')).toBe(false);
+        expect(allowed(['read-status'], 'GET', '/accounts')).toBe(false);
+        expect(allowed(['read-status'], 'GET', '/api/sync/status/extra')).toBe(false);
+        // Account-scoped routes take admin
+        expect(allowed(['read-status'], 'GET', '/api/accounts/123/sync/status')).toBe(false);
+        expect(allowed(['read-status'], 'GET', '/accounts/123/schedule')).toBe(false);
+        expect(allowed(['trigger-sync'], 'POST', '/accounts/123/discover')).toBe(false);
+        expect(allowed(['trigger-sync'], 'POST', '/api/accounts/123/sync')).toBe(false);
+        expect(allowed(['admin'], 'GET', '/api/accounts/123/settings')).toBe(true);
+        expect(allowed(['admin'], 'POST', '/api/api-tokens')).toBe(true);
+    });
+
+    it('should only let addresses on the allowlist in once it has entries', () => {
+        expect(accessService.isIpAllowed('203.0.113.7')).toBe(true);
+
+        accessService.setIpAllowlist(['192.168.1.0/24', '10.0.0.5', 'fd00::/8']);
+
+        expect(accessService.isIpAllowed('192.168.1.77')).toBe(true);
+        expect(accessService.isIpAllowed('::ffff:192.168.1.77')).toBe(true);
+        expect(accessService.isIpAllowed('10.0.0.5')).toBe(true);
+        expect(accessService.isIpAllowed('fd12::1')).toBe(true);
+        expect(accessService.isIpAllowed('10.0.0.6')).toBe(false);
+        expect(accessService.isIpAllowed('203.0.113.7')).toBe(false);
+        // The server's own host always gets in
+        expect(accessService.isIpAllowed('127.0.0.1')).toBe(true);
+
+        expect(() => accessService.setIpAllowlist(['192.168.1.0/33'])).toThrow('Invalid IP allowlist entry');
+        expect(() => accessService.setIpAllowlist(['10.0.0.0/8'], '192.168.1.77')).toThrow('must include your address');
+        expect(accessService.getIpAllowlist()).toEqual(['192.168.1.0/24', '10.0.0.5', 'fd00::/8']);
+    });
+});
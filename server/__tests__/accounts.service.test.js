@@ -0,0 +1,143 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockIsSyncing = jest.fn();
+const mockResetState = jest.fn();
+const mockWebsocket = {
+    currentSync: {},
+    resetDiscovery: jest.fn(),
+    resetSyncStatus: jest.fn()
+};
+const idle = { running: false };
+const initializable = () => ({ default: { initialize: jest.fn(), job: idle } });
+
+jest.unstable_mockModule('../services/photos.service.js', () => ({
+    default: { resetState: mockResetState, isDiscovering: () => false }
+}));
+jest.unstable_mockModule('../services/sync.service.js', () => ({
+    default: { isSyncing: mockIsSyncing, verificationInProgress: false }
+}));
+jest.unstable_mockModule('../services/websocket.service.js', () => ({ default: mockWebsocket }));
+jest.unstable_mockModule('../services/scheduler.service.js', () => ({ default: { running: false } }));
+jest.unstable_mockModule('../services/integrity.service.js', () => ({
+    default: { job: idle, redownload: idle, loadState: jest.fn() }
+}));
+jest.unstable_mockModule('../services/dedup.service.js', () => ({ default: { scan: idle } }));
+jest.unstable_mockModule('../services/similarity.service.js', () => ({ default: { job: idle } }));
+jest.unstable_mockModule('../services/timestamp.service.js', () => ({ default: { repair: idle } }));
+jest.unstable_mockModule('../services/organize.service.js', initializable);
+jest.unstable_mockModule('../services/download.service.js', initializable);
+jest.unstable_mockModule('../services/sync.job.service.js', initializable);
+jest.unstable_mockModule('../services/trash.service.js', initializable);
+
+// Import services after mocking
+const { default: settingsService } = await import('../services/settings.service.js');
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: accountsService } = await import('../services/accounts.service.js');
+const { scopeToAccount } = await import('../routes/accounts.routes.js');
+
+const profile = (googleUserId, email) => ({ googleUserId, email, name: email.split('@')[0] });
+
+describe('Accounts Service', () => {
+    let rootDir;
+
+    beforeEach(async () => {
+        rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-test-'));
+        mockIsSyncing.mockReset().mockReturnValue(false);
+        mockWebsocket.currentSync = { status: 'idle' };
+        await accountsService.initialize(rootDir);
+        await settingsService.initialize(rootDir);
+        await settingsService.updateSettings({ syncDir: path.join(rootDir, 'photos') });
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should start with the existing library as the active account', () => {
+        expect(accountsService.getActiveAccountId()).toBe('default');
+        expect(accountsService.getDataDir('default')).toBe(rootDir);
+        expect(JSON.parse(fs.readFileSync(path.join(rootDir, 'accounts.json'), 'utf8')).accounts).toHaveLength(1);
+    });
+
+    it('should let the first login claim the existing library and give later ones their own', () => {
+        const first = accountsService.addAccount(profile('111', 'ann@example.com'));
+        expect(first.id).toBe('default');
+
+        // Logging in again finds the same account
+        expect(accountsService.addAccount(profile('111', 'ann@example.com')).id).toBe('default');
+
+        const second = accountsService.addAccount(profile('222', 'bob.smith@example.com'));
+        expect(second.id).toBe('222');
+        expect(accountsService.getAccounts()).toHaveLength(2);
+        expect(accountsService.getTokensPath('222')).toBe(path.join(rootDir, 'accounts', '222', 'tokens.json'));
+        expect(accountsService.getAccountSettings('222').syncDir).toBe(path.join(rootDir, 'photos-bob.smith'));
+    });
+
+    it('should switch settings and state store to the activated account', async () => {
+        accountsService.addAccount(profile('111', 'ann@example.com'));
+        accountsService.addAccount(profile('222', 'bob@example.com'));
+        stateStoreService.setMeta('marker', 'ann');
+
+        await accountsService.activate('222');
+
+        expect(accountsService.getActiveAccountId()).toBe('222');
+        expect(settingsService.getConfigDir()).toBe(path.join(rootDir, 'accounts', '222'));
+        expect(settingsService.getSettings().syncDir).toBe(path.join(rootDir, 'photos-bob'));
+        expect(stateStoreService.getMeta('marker')).toBeNull();
+        expect(mockResetState).toHaveBeenCalled();
+
+        await accountsService.activate('default');
+        expect(stateStoreService.getMeta('marker')).toBe('ann');
+        expect(settingsService.getSettings().syncDir).toBe(path.join(rootDir, 'photos'));
+    });
+
+    it('should refuse to switch while a sync runs', async () => {
+        accountsService.addAccount(profile('111', 'ann@example.com'));
+        accountsService.addAccount(profile('222', 'bob@example.com'));
+        mockIsSyncing.mockReturnValue(true);
+
+        await expect(accountsService.activate('222')).rejects.toMatchObject({ code: 'EBUSY' });
+        await expect(accountsService.activate('333')).rejects.toMatchObject({ code: 'ENOENT' });
+        expect(accountsService.getActiveAccountId()).toBe('default');
+    });
+
+    it('should serve account-scoped requests only for the active account, without switching', () => {
+        accountsService.addAccount(profile('111', 'ann@example.com'));
+        accountsService.addAccount(profile('222', 'bob@example.com'));
+        mockWebsocket.resetSyncStatus.mockClear();
+        const request = (accountId) => {
+            const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+            const next = jest.fn();
+            scopeToAccount({ params: { accountId } }, res, next);
+            return { res, next };
+        };
+
+        expect(request('default').next).toHaveBeenCalled();
+
+        const inactive = request('222');
+        expect(inactive.next).not.toHaveBeenCalled();
+        expect(inactive.res.status).toHaveBeenCalledWith(409);
+        expect(inactive.res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'EINACTIVE' }));
+        expect(request('333').res.status).toHaveBeenCalledWith(404);
+        expect(accountsService.getActiveAccountId()).toBe('default');
+        expect(mockWebsocket.resetSyncStatus).not.toHaveBeenCalled();
+    });
+
+    it('should only remove accounts that are not active', async () => {
+        accountsService.addAccount(profile('111', 'ann@example.com'));
+        accountsService.addAccount(profile('222', 'bob@example.com'));
+        const tokensPath = accountsService.getTokensPath('222');
+        fs.writeFileSync(tokensPath, '{}');
+
+        await expect(accountsService.removeAccount('default')).rejects.toMatchObject({ code: 'EACTIVE' });
+        await accountsService.removeAccount('222');
+
+        expect(accountsService.getAccounts().map(account => account.id)).toEqual(['default']);
+        expect(fs.existsSync(tokensPath)).toBe(false);
+    });
+});
@@ -0,0 +1,169 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: syncCacheService } = await import('../services/sync.cache.service.js');
+const { default: albumsService } = await import('../services/albums.service.js');
+
+describe('Albums Service', () => {
+    let configDir;
+    let syncDir;
+    let albumsRoot;
+
+    // A synced library file
+    const sync = (id, relativePath, content = id) => {
+        const localPath = path.join(syncDir, relativePath);
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        fs.writeFileSync(localPath, content);
+        syncCacheService.updateItem(id, { localPath, fileName: path.basename(localPath) });
+        return localPath;
+    };
+
+    const layOut = (albumLayout, albums) => {
+        mockGetSettings.mockReturnValue({ syncDir, albumLayout });
+        return albumsService.applyLayout(syncDir, albums);
+    };
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'albums-test-'));
+        syncDir = path.join(configDir, 'photos');
+        albumsRoot = path.join(syncDir, 'Albums');
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ syncDir, albumLayout: 'none' });
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should number album entries that have the same file name', async () => {
+        const first = sync('a', '2024/01/IMG_0001.JPG', 'first');
+        const second = sync('b', '2025/06/IMG_0001.JPG', 'second');
+
+        await layOut('symlink', [{ id: 'album1', title: 'Trip', items: [{ id: 'a' }, { id: 'b' }] }]);
+
+        const albumDir = path.join(albumsRoot, 'Trip');
+        expect(fs.readdirSync(albumDir).sort()).toEqual(['IMG_0001.JPG', 'IMG_0001_2.JPG']);
+        expect(fs.realpathSync(path.join(albumDir, 'IMG_0001.JPG'))).toBe(fs.realpathSync(first));
+        expect(fs.readFileSync(path.join(albumDir, 'IMG_0001_2.JPG'), 'utf8')).toBe('second');
+        expect(fs.realpathSync(path.join(albumDir, 'IMG_0001_2.JPG'))).toBe(fs.realpathSync(second));
+    });
+
+    it('should replace entries that no longer point at their library file', async () => {
+        const album = { id: 'album1', title: 'Trip', items: [{ id: 'a' }] };
+        const oldPath = sync('a', '2024/01/IMG_0001.JPG', 'photo');
+        await layOut('hardlink', [album]);
+        const albumPath = path.join(albumsRoot, 'Trip', 'IMG_0001.JPG');
+        expect(fs.statSync(albumPath).ino).toBe(fs.statSync(oldPath).ino);
+
+        // Moved by a re-layout, which leaves hardlinks pointing at the old inode
+        fs.rmSync(oldPath);
+        const newPath = sync('a', '2024/2024-01/IMG_0001.JPG', 'photo');
+        await layOut('hardlink', [album]);
+        expect(fs.statSync(albumPath).ino).toBe(fs.statSync(newPath).ino);
+
+        await layOut('symlink', [album]);
+        expect(fs.lstatSync(albumPath).isSymbolicLink()).toBe(true);
+        expect(fs.realpathSync(albumPath)).toBe(fs.realpathSync(newPath));
+        expect(fs.readdirSync(path.join(albumsRoot, 'Trip'))).toEqual(['IMG_0001.JPG']);
+    });
+
+    describe('applyLayout', () => {
+        it('should leave the library alone without a layout', async () => {
+            sync('a', '2024/01/IMG_0001.JPG');
+
+            await layOut('none', [{ id: 'album1', title: 'Trip', items: [{ id: 'a' }] }]);
+            await layOut('copy', []);
+
+            expect(fs.existsSync(albumsRoot)).toBe(false);
+        });
+
+        it('should refuse an unknown layout', async () => {
+            await expect(layOut('shortcut', [{ id: 'album1', title: 'Trip', items: [] }]))
+                .rejects.toThrow('Unknown album layout: shortcut');
+        });
+
+        it('should copy synced album items and drop the ones removed from the album', async () => {
+            const source = sync('a', '2024/01/IMG_0001.JPG', 'photo');
+            sync('b', '2024/01/IMG_0002.JPG');
+            // Known but not on disk, and not synced at all
+            syncCacheService.updateItem('c', { localPath: path.join(syncDir, 'gone.jpg') });
+
+            await layOut('copy', [{ id: 'album1', title: 'Trip', items: [{ id: 'a' }, { id: 'b' }, { id: 'c' }, { id: 'd' }] }]);
+            const albumDir = path.join(albumsRoot, 'Trip');
+            expect(fs.readdirSync(albumDir).sort()).toEqual(['IMG_0001.JPG', 'IMG_0002.JPG']);
+            const copy = path.join(albumDir, 'IMG_0001.JPG');
+            expect(fs.readFileSync(copy, 'utf8')).toBe('photo');
+            expect(fs.lstatSync(copy).isSymbolicLink()).toBe(false);
+            expect(fs.statSync(copy).ino).not.toBe(fs.statSync(source).ino);
+
+            await layOut('copy', [{ id: 'album1', title: 'Trip', items: [{ id: 'a' }] }]);
+            expect(fs.readdirSync(albumDir)).toEqual(['IMG_0001.JPG']);
+        });
+
+        it('should tell albums with the same title apart', async () => {
+            sync('a', '2024/01/IMG_0001.JPG');
+
+            await layOut('symlink', [
+                { id: 'albumAAAAAA111111', title: 'Trip', items: [{ id: 'a' }] },
+                { id: 'albumBBBBBB222222', title: 'Trip', items: [{ id: 'a' }] },
+                { id: 'albumCCCCCC333333', title: 'a/b: c?', items: [{ id: 'a' }] }
+            ]);
+
+            expect(fs.readdirSync(albumsRoot).sort()).toEqual(['Trip (111111)', 'Trip (222222)', 'a_b_ c_']);
+        });
+    });
+
+    describe('writeManifest', () => {
+        it('should list album items relative to the albums folder', async () => {
+            sync('a', '2024/01/IMG_0001.JPG');
+            sync('b', '2024/02/My Photo.JPG');
+
+            await layOut('manifest', [{ id: 'album1', title: 'Trip', items: [{ id: 'b' }, { id: 'a' }] }]);
+
+            expect(fs.readdirSync(albumsRoot)).toEqual(['Trip.m3u']);
+            expect(fs.readFileSync(path.join(albumsRoot, 'Trip.m3u'), 'utf8'))
+                .toBe('#EXTM3U\n../2024/02/My Photo.JPG\n../2024/01/IMG_0001.JPG\n');
+        });
+    });
+
+    describe('updateMovedPaths', () => {
+        it('should point symlinks and manifest entries at moved files', async () => {
+            const moving = sync('a', '2024/01/IMG_0001.JPG', 'moving');
+            const staying = sync('b', '2024/01/IMG_0002.JPG', 'staying');
+            await layOut('symlink', [{ id: 'album1', title: 'Trip', items: [{ id: 'a' }, { id: 'b' }] }]);
+            await layOut('manifest', [{ id: 'album1', title: 'Trip', items: [{ id: 'a' }, { id: 'b' }] }]);
+
+            const moved = path.join(syncDir, '2024/2024-01/IMG_0001.JPG');
+            fs.mkdirSync(path.dirname(moved), { recursive: true });
+            fs.renameSync(moving, moved);
+            await albumsService.updateMovedPaths(syncDir, new Map([[moving, moved]]));
+
+            const albumDir = path.join(albumsRoot, 'Trip');
+            expect(fs.readlinkSync(path.join(albumDir, 'IMG_0001.JPG'))).toBe('../../2024/2024-01/IMG_0001.JPG');
+            expect(fs.readFileSync(path.join(albumDir, 'IMG_0001.JPG'), 'utf8')).toBe('moving');
+            expect(fs.realpathSync(path.join(albumDir, 'IMG_0002.JPG'))).toBe(fs.realpathSync(staying));
+            expect(fs.readFileSync(path.join(albumsRoot, 'Trip.m3u'), 'utf8'))
+                .toBe('#EXTM3U\n../2024/2024-01/IMG_0001.JPG\n../2024/01/IMG_0002.JPG\n');
+        });
+
+        it('should do nothing without an albums folder', async () => {
+            await expect(albumsService.updateMovedPaths(syncDir, new Map())).resolves.toBeUndefined();
+        });
+    });
+});
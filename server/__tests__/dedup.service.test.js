@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: dedupService } = await import('../services/dedup.service.js');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Dedup Service', () => {
+    let configDir;
+    let syncDir;
+
+    const useSettings = (settings) => {
+        mockGetSettings.mockReturnValue({ syncDir, hashFiles: true, ...settings });
+    };
+
+    // Download a file and record it the way the sync service does
+    const download = async (id, fileName, content) => {
+        const filePath = path.join(syncDir, fileName);
+        fs.writeFileSync(filePath, content);
+        const result = await dedupService.processDownload({ id }, filePath);
+        stateStoreService.upsertItem(id, {
+            localPath: result.filePath,
+            fileName: path.basename(result.filePath),
+            size: content.length,
+            sha256: result.sha256
+        });
+        return result;
+    };
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dedup-test-'));
+        syncDir = path.join(configDir, 'photos');
+        fs.mkdirSync(syncDir);
+        mockGetConfigDir.mockReturnValue(configDir);
+        useSettings({ dedupPolicy: 'keep' });
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should keep both copies and report them as reclaimable', async () => {
+        await download('a', 'a.jpg', 'same bytes');
+        const result = await download('b', 'b.jpg', 'same bytes');
+        await download('c', 'c.jpg', 'other bytes');
+
+        expect(result.filePath).toBe(path.join(syncDir, 'b.jpg'));
+        expect(fs.existsSync(result.filePath)).toBe(true);
+
+        const report = dedupService.getReport();
+        expect(report.totalGroups).toBe(1);
+        expect(report.groups[0]).toMatchObject({ size: 10, copies: 2, reclaimableBytes: 10 });
+        expect(report.groups[0].items.map(item => item.id)).toEqual(['a', 'b']);
+    });
+
+    it('should match copies by their downloaded bytes, whatever metadata is written later', async () => {
+        // As the sync service does: hash, then write each item's own caption into its file
+        const downloadWithCaption = async (id, fileName, caption) => {
+            const result = await download(id, fileName, 'same bytes');
+            expect(result.shared).toBe(false);
+            fs.appendFileSync(result.filePath, caption);
+            stateStoreService.upsertItem(id, { size: fs.statSync(result.filePath).size });
+            return result;
+        };
+        await downloadWithCaption('a', 'a.jpg', 'Beach');
+        await downloadWithCaption('b', 'b.jpg', 'Beach day, 2023');
+
+        const report = dedupService.getReport();
+        expect(report.totalGroups).toBe(1);
+        expect(report.groups[0]).toMatchObject({ size: 15, copies: 2, reclaimableBytes: 15 });
+    });
+
+    it('should record a skipped duplicate at the existing copy', async () => {
+        useSettings({ dedupPolicy: 'skip' });
+        await download('a', 'a.jpg', 'same bytes');
+        const result = await download('b', 'b.jpg', 'same bytes');
+
+        expect(result).toMatchObject({ filePath: path.join(syncDir, 'a.jpg'), shared: true });
+        expect(fs.existsSync(path.join(syncDir, 'b.jpg'))).toBe(false);
+        expect(dedupService.getReport().groups[0]).toMatchObject({ copies: 1, reclaimableBytes: 0 });
+    });
+
+    it('should hardlink a duplicate to the existing copy', async () => {
+        useSettings({ dedupPolicy: 'hardlink' });
+        await download('a', 'a.jpg', 'same bytes');
+        await download('b', 'b.jpg', 'same bytes');
+
+        const original = fs.statSync(path.join(syncDir, 'a.jpg'));
+        const duplicate = fs.statSync(path.join(syncDir, 'b.jpg'));
+        expect(duplicate.ino).toBe(original.ino);
+        expect(dedupService.getReport().groups[0]).toMatchObject({ copies: 1, reclaimableBytes: 0 });
+    });
+
+    it('should not hash when hashing is turned off', async () => {
+        useSettings({ hashFiles: false, dedupPolicy: 'skip' });
+        await download('a', 'a.jpg', 'same bytes');
+        const result = await download('b', 'b.jpg', 'same bytes');
+
+        expect(result).toEqual({ filePath: path.join(syncDir, 'b.jpg'), sha256: null, shared: false });
+        expect(dedupService.getReport().totalGroups).toBe(0);
+    });
+
+    it('should hash files synced before hashing was turned on', async () => {
+        useSettings({ hashFiles: false });
+        await download('a', 'a.png', 'same bytes');
+        await download('b', 'b.png', 'same bytes');
+
+        await dedupService.hashExistingFiles();
+
+        expect(dedupService.scan).toEqual({ running: false, hashed: 2, total: 2 });
+        expect(dedupService.getReport().totalGroups).toBe(1);
+        expect(stateStoreService.getItem('a')).toMatchObject({ sha256: sha256('same bytes'), fileSha256: sha256('same bytes') });
+
+        // A new download of the same bytes matches the hashed file
+        useSettings({ dedupPolicy: 'skip' });
+        expect(await download('c', 'c.png', 'same bytes')).toMatchObject({ filePath: path.join(syncDir, 'a.png'), shared: true });
+    });
+
+    it('should only take the checksum on disk of files metadata may have been written into', async () => {
+        useSettings({ hashFiles: false });
+        await download('a', 'a.jpg', 'bytes with exif written in');
+
+        await dedupService.hashExistingFiles();
+
+        expect(stateStoreService.getItem('a')).toMatchObject({ sha256: null, fileSha256: sha256('bytes with exif written in') });
+        expect(dedupService.getReport().totalGroups).toBe(0);
+        // Nothing left to hash on the next scan
+        await dedupService.hashExistingFiles();
+        expect(dedupService.scan).toEqual({ running: false, hashed: 0, total: 0 });
+    });
+});
@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+// Create mock functions
+const mockAxios = jest.fn();
+
+jest.unstable_mockModule('axios', () => ({
+    default: mockAxios
+}));
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getSettings: jest.fn(() => ({}))
+    }
+}));
+
+// Import service after mocking
+const { default: downloadService } = await import('../services/download.service.js');
+
+const mockResponse = (status, body, headers = {}) => ({
+    status,
+    headers,
+    data: Readable.from([Buffer.from(body)])
+});
+
+describe('Download Service', () => {
+    let tmpDir;
+    let targetPath;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-'));
+        targetPath = path.join(tmpDir, 'photo.jpg');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('downloadToFile', () => {
+        it('should write through a .part file and rename into place', async () => {
+            mockAxios.mockResolvedValue(mockResponse(200, 'hello', { 'content-length': '5' }));
+
+            const result = await downloadService.downloadToFile('http://test/photo', targetPath);
+
+            expect(result).toEqual({ filePath: targetPath, size: 5, resumed: false });
+            expect(fs.readFileSync(targetPath, 'utf8')).toBe('hello');
+            expect(fs.existsSync(`${targetPath}.part`)).toBe(false);
+        });
+
+        it('should resume an existing partial file with a Range request', async () => {
+            fs.writeFileSync(`${targetPath}.part`, 'hel');
+            mockAxios.mockResolvedValue(mockResponse(206, 'lo', { 'content-range': 'bytes 3-4/5' }));
+
+            const result = await downloadService.downloadToFile('http://test/photo', targetPath);
+
+            expect(mockAxios).toHaveBeenCalledWith(expect.objectContaining({
+                headers: { Range: 'bytes=3-' }
+            }));
+            expect(result.resumed).toBe(true);
+            expect(fs.readFileSync(targetPath, 'utf8')).toBe('hello');
+        });
+
+        it('should start over when the server ignores the Range header', async () => {
+            fs.writeFileSync(`${targetPath}.part`, 'stale');
+            mockAxios.mockResolvedValue(mockResponse(200, 'hello', { 'content-length': '5' }));
+
+            await downloadService.downloadToFile('http://test/photo', targetPath);
+
+            expect(fs.readFileSync(targetPath, 'utf8')).toBe('hello');
+        });
+
+        it('should not create the target when the transfer is truncated', async () => {
+            mockAxios.mockResolvedValue(mockResponse(200, 'hel', { 'content-length': '5' }));
+
+            await expect(downloadService.downloadToFile('http://test/photo', targetPath))
+                .rejects.toThrow('Incomplete download');
+            expect(fs.existsSync(targetPath)).toBe(false);
+        });
+    });
+
+    describe('cleanupPartialFiles', () => {
+        it('should remove only stale partial files', async () => {
+            const nested = path.join(tmpDir, '2024', '01');
+            fs.mkdirSync(nested, { recursive: true });
+            const stalePart = path.join(nested, 'old.jpg.part');
+            const freshPart = path.join(nested, 'new.jpg.part');
+            fs.writeFileSync(stalePart, 'x');
+            fs.writeFileSync(freshPart, 'x');
+            const old = new Date(Date.now() - 48 * 60 * 60 * 1000);
+            fs.utimesSync(stalePart, old, old);
+
+            const removed = await downloadService.cleanupPartialFiles(tmpDir);
+
+            expect(removed).toBe(1);
+            expect(fs.existsSync(stalePart)).toBe(false);
+            expect(fs.existsSync(freshPart)).toBe(true);
+        });
+    });
+
+    describe('reserveBandwidth', () => {
+        afterEach(() => {
+            downloadService.setRateLimit(0);
+        });
+
+        it('should space chunks from all downloads to the rate limit', () => {
+            downloadService.setRateLimit(1000);
+
+            expect(downloadService.reserveBandwidth(500, 10000)).toBe(0);
+            expect(downloadService.reserveBandwidth(500, 10000)).toBe(500);
+            expect(downloadService.reserveBandwidth(1000, 10200)).toBe(800);
+            // Idle time isn't saved up for a burst later
+            expect(downloadService.reserveBandwidth(100, 20000)).toBe(0);
+
+            downloadService.setRateLimit(0);
+            expect(downloadService.reserveBandwidth(1000, 20000)).toBe(0);
+        });
+    });
+});
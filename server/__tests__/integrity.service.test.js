@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+const mockFfprobe = jest.fn();
+const mockRefreshBaseUrls = jest.fn();
+const mockDownloadItem = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+jest.unstable_mockModule('../services/photos.service.js', () => ({
+    default: {
+        discoveryResults: null,
+        refreshBaseUrls: mockRefreshBaseUrls
+    }
+}));
+
+jest.unstable_mockModule('../services/sync.service.js', () => ({
+    default: {
+        isSyncing: () => false,
+        downloadItem: mockDownloadItem
+    }
+}));
+
+jest.unstable_mockModule('fluent-ffmpeg', () => ({
+    default: {
+        ffprobe: mockFfprobe
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: integrityService } = await import('../services/integrity.service.js');
+
+describe('Integrity Service', () => {
+    let configDir;
+    let syncDir;
+    let jpeg;
+
+    const addSyncedFile = (id, name, content, fields = {}) => {
+        const localPath = path.join(syncDir, name);
+        if (content !== null) {
+            fs.writeFileSync(localPath, content);
+        }
+        stateStoreService.upsertItem(id, { localPath, fileName: name, status: 'synced', mimeType: 'image/jpeg', ...fields });
+        return localPath;
+    };
+
+    beforeAll(async () => {
+        jpeg = await sharp({ create: { width: 64, height: 48, channels: 3, background: '#3366cc' } }).jpeg().toBuffer();
+    });
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'integrity-test-'));
+        syncDir = path.join(configDir, 'photos');
+        fs.mkdirSync(syncDir);
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ syncDir, integrityScrubIntervalDays: 7 });
+        mockFfprobe.mockReset();
+        mockRefreshBaseUrls.mockReset();
+        mockDownloadItem.mockReset();
+        integrityService.ffprobeMissing = false;
+        await stateStoreService.initialize();
+        integrityService.job = integrityService.emptyJob();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should check checksums, image decoding and video probes, and queue corrupted items', async () => {
+        addSyncedFile('good', 'good.jpg', jpeg);
+        addSyncedFile('truncated', 'truncated.jpg', jpeg.subarray(0, jpeg.length / 2));
+        addSyncedFile('rotted', 'rotted.jpg', jpeg, { sha256: '0'.repeat(64) });
+        addSyncedFile('gone', 'gone.jpg', null);
+        addSyncedFile('clip', 'clip.mp4', 'video', { mimeType: 'video/mp4' });
+        addSyncedFile('broken', 'broken.mp4', 'video', { mimeType: 'video/mp4' });
+        mockFfprobe.mockImplementation((filePath, callback) => (filePath.endsWith('clip.mp4')
+            ? callback(null, { format: { duration: '3.2' }, streams: [{ codec_type: 'video' }] })
+            : callback(new Error('ffprobe exited with code 1\nmoov atom not found'))));
+
+        const job = await integrityService.scrub();
+
+        expect(job).toMatchObject({ running: false, total: 6, checked: 6, ok: 2, corrupted: 3, missing: 1 });
+        const { results, total } = integrityService.getReport({ status: 'corrupted' });
+        expect(total).toBe(3);
+        expect(Object.fromEntries(results.map(result => [result.itemId, result.checks]))).toEqual({
+            truncated: { size: 'ok', checksum: 'skipped', decode: 'failed' },
+            rotted: { size: 'ok', checksum: 'failed', decode: 'ok' },
+            broken: { size: 'ok', checksum: 'skipped', probe: 'failed' }
+        });
+        expect(results.find(result => result.itemId === 'broken').error).toBe('Video does not probe: ffprobe exited with code 1');
+        expect(stateStoreService.getItem('rotted')).toMatchObject({ status: 'corrupted', error: 'Checksum does not match' });
+        expect(stateStoreService.getItem('good').status).toBe('synced');
+        expect(stateStoreService.getItem('gone').status).toBe('synced');
+        expect(integrityService.getStatus()).toMatchObject({
+            queued: 3,
+            counts: { ok: 2, corrupted: 3, missing: 1 },
+            schedule: { intervalDays: 7 }
+        });
+    });
+
+    it('should compare the checksum of the file on disk, not of the bytes as downloaded', async () => {
+        const fileSha256 = crypto.createHash('sha256').update(jpeg).digest('hex');
+        addSyncedFile('annotated', 'annotated.jpg', jpeg, { sha256: '1'.repeat(64), fileSha256 });
+        addSyncedFile('rotted', 'rotted.jpg', jpeg, { sha256: fileSha256, fileSha256: '0'.repeat(64) });
+
+        const job = await integrityService.scrub();
+
+        expect(job).toMatchObject({ ok: 1, corrupted: 1 });
+        expect(stateStoreService.getItem('rotted').status).toBe('corrupted');
+    });
+
+    it('should skip video probes when ffprobe is not installed', async () => {
+        addSyncedFile('clip', 'clip.mp4', 'video', { mimeType: 'video/mp4' });
+        addSyncedFile('other', 'other.mp4', 'video', { mimeType: 'video/mp4' });
+        mockFfprobe.mockImplementation((filePath, callback) => callback(new Error('Cannot find ffprobe')));
+
+        const job = await integrityService.scrub();
+
+        expect(job).toMatchObject({ ok: 2, corrupted: 0 });
+        expect(mockFfprobe).toHaveBeenCalledTimes(1);
+        expect(integrityService.getReport().results[0].checks.probe).toBe('skipped');
+    });
+
+    it('should download corrupted items again and remove the bad copy', async () => {
+        const oldPath = addSyncedFile('a', 'old.jpg', 'bad', { originalFilename: 'IMG_1.jpg' });
+        addSyncedFile('b', 'b.jpg', 'bad');
+        await integrityService.scrub();
+        mockRefreshBaseUrls.mockImplementation(async (auth, items) => {
+            items.find(item => item.id === 'a').baseUrl = 'https://example.com/a';
+        });
+        const newPath = path.join(syncDir, 'IMG_1.jpg');
+        mockDownloadItem.mockImplementation(async (item) => {
+            fs.writeFileSync(newPath, jpeg);
+            stateStoreService.upsertItem(item.id, { localPath: newPath, status: 'synced' });
+            return { success: true, filePath: newPath };
+        });
+
+        const result = await integrityService.redownloadCorrupted({ credentials: {} });
+
+        expect(result).toMatchObject({ running: false, done: 2, total: 2, failed: 1 });
+        expect(mockDownloadItem).toHaveBeenCalledWith(expect.objectContaining({ id: 'a', filename: 'IMG_1.jpg' }), syncDir, expect.anything());
+        expect(fs.existsSync(oldPath)).toBe(false);
+        expect(stateStoreService.getItem('a')).toMatchObject({ status: 'synced', verified: true, localPath: newPath });
+        expect(stateStoreService.getItem('b').status).toBe('corrupted');
+        expect(integrityService.getStatus().counts).toMatchObject({ redownloaded: 1, corrupted: 1 });
+    });
+
+    it('should only run on schedule when a scrub is due', async () => {
+        addSyncedFile('good', 'good.jpg', jpeg);
+
+        expect(await integrityService.runIfDue()).toMatchObject({ checked: 1 });
+        expect(await integrityService.runIfDue()).toBeNull();
+        expect(await integrityService.runIfDue(Date.now() + 8 * 24 * 60 * 60 * 1000)).toMatchObject({ checked: 1 });
+
+        mockGetSettings.mockReturnValue({ syncDir, integrityScrubIntervalDays: 0 });
+        expect(await integrityService.runIfDue(Date.now() + 30 * 24 * 60 * 60 * 1000)).toBeNull();
+    });
+});
@@ -0,0 +1,108 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import piexif from 'piexifjs';
+import sharp from 'sharp';
+
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import service after mocking
+const { default: metadataService } = await import('../services/metadata.service.js');
+
+const item = {
+    id: 'a',
+    description: 'Café at the harbour',
+    mediaMetadata: {
+        creationTime: '2023-07-14T18:30:05Z',
+        photo: {
+            cameraMake: 'Google',
+            cameraModel: 'Pixel 7',
+            focalLength: 6.81,
+            apertureFNumber: 1.85,
+            isoEquivalent: 50,
+            exposureTime: '0.008s'
+        }
+    }
+};
+
+describe('Metadata Service', () => {
+    let dir;
+
+    const readExif = (filePath) => piexif.load(fs.readFileSync(filePath).toString('binary'));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-test-'));
+        mockGetSettings.mockReturnValue({ preserveExif: true, timezone: 'UTC' });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write dates, camera fields and the description into a JPEG', async () => {
+        const filePath = path.join(dir, 'a.jpg');
+        await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).jpeg().toFile(filePath);
+
+        expect(await metadataService.writeMetadata(item, filePath)).toBe('exif');
+
+        const exif = readExif(filePath);
+        expect(exif.Exif[piexif.ExifIFD.DateTimeOriginal]).toBe('2023:07:14 18:30:05');
+        expect(exif.Exif[piexif.ExifIFD.ExposureTime]).toEqual([1, 125]);
+        expect(exif['0th'][piexif.ImageIFD.Model]).toBe('Pixel 7');
+        expect(Buffer.from(exif['0th'][piexif.ImageIFD.ImageDescription], 'binary').toString('utf8'))
+            .toBe('Café at the harbour');
+        expect((await sharp(filePath).metadata()).width).toBe(8);
+    });
+
+    it('should write dates in the configured timezone', async () => {
+        mockGetSettings.mockReturnValue({ preserveExif: true, timezone: 'Europe/Berlin' });
+        const filePath = path.join(dir, 'a.jpg');
+        await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).jpeg().toFile(filePath);
+
+        await metadataService.writeMetadata(item, filePath);
+
+        const exif = readExif(filePath);
+        expect(exif.Exif[piexif.ExifIFD.DateTimeOriginal]).toBe('2023:07:14 20:30:05');
+        expect(exif.Exif[0x9011]).toBe('+02:00');
+    });
+
+    it('should keep a date the camera already wrote', async () => {
+        const filePath = path.join(dir, 'a.jpg');
+        const exif = piexif.dump({ Exif: { [piexif.ExifIFD.DateTimeOriginal]: '2023:07:14 20:30:05' } });
+        const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+        fs.writeFileSync(filePath, Buffer.from(piexif.insert(exif, image.toString('binary')), 'binary'));
+
+        await metadataService.writeMetadata(item, filePath);
+
+        expect(readExif(filePath).Exif[piexif.ExifIFD.DateTimeOriginal]).toBe('2023:07:14 20:30:05');
+    });
+
+    it('should write an XMP sidecar for other formats', async () => {
+        const filePath = path.join(dir, 'a.heic');
+        fs.writeFileSync(filePath, 'heic bytes');
+
+        expect(await metadataService.writeMetadata({ ...item, description: 'Fish & chips' }, filePath)).toBe('sidecar');
+
+        const xmp = fs.readFileSync(`${filePath}.xmp`, 'utf8');
+        expect(xmp).toContain('<exif:DateTimeOriginal>2023-07-14T18:30:05+00:00</exif:DateTimeOriginal>');
+        expect(xmp).toContain('<tiff:Make>Google</tiff:Make>');
+        expect(xmp).toContain('Fish &amp; chips');
+        expect(fs.readFileSync(filePath, 'utf8')).toBe('heic bytes');
+    });
+
+    it('should leave files alone when turned off', async () => {
+        mockGetSettings.mockReturnValue({ preserveExif: false, timezone: 'UTC' });
+        const filePath = path.join(dir, 'a.heic');
+        fs.writeFileSync(filePath, 'heic bytes');
+
+        expect(await metadataService.writeMetadata(item, filePath)).toBeNull();
+        expect(fs.existsSync(`${filePath}.xmp`)).toBe(false);
+    });
+});
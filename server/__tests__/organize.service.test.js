@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: organizeService } = await import('../services/organize.service.js');
+
+describe('Organize Service', () => {
+    let configDir;
+    let syncDir;
+    const creationTime = '2023-12-31T23:30:00Z';
+
+    const addSyncedFile = (id, relativePath) => {
+        const localPath = path.join(syncDir, relativePath);
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        fs.writeFileSync(localPath, id);
+        stateStoreService.upsertItem(id, { localPath, fileName: path.basename(localPath), creationTime });
+        return localPath;
+    };
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'organize-test-'));
+        syncDir = path.join(configDir, 'photos');
+        fs.mkdirSync(syncDir);
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ syncDir, autoOrganize: true, folderStructure: 'year/month', timezone: 'Europe/Berlin' });
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should place items by capture date in the configured timezone', () => {
+        const item = { id: 'a', mediaMetadata: { creationTime } };
+
+        expect(organizeService.getTargetDir(item, syncDir)).toBe(path.join(syncDir, '2024', '01'));
+
+        mockGetSettings.mockReturnValue({ syncDir, autoOrganize: false, timezone: 'Europe/Berlin' });
+        expect(organizeService.getTargetDir(item, syncDir)).toBe(syncDir);
+    });
+
+    it('should number download paths that are taken', () => {
+        addSyncedFile('a', path.join('2024', '01', 'IMG_1.jpg'));
+        const item = { id: 'b', filename: 'IMG_1.jpg', mediaMetadata: { creationTime } };
+        mockGetSettings.mockReturnValue({
+            syncDir, autoOrganize: true, folderStructure: 'year/month', fileNameTemplate: '{name}.{ext}', timezone: 'Europe/Berlin'
+        });
+
+        const first = organizeService.claimTargetPath(item, syncDir);
+        const second = organizeService.claimTargetPath({ ...item, id: 'c' }, syncDir);
+        organizeService.releasePath(first);
+        organizeService.releasePath(second);
+
+        expect(first).toBe(path.join(syncDir, '2024', '01', 'IMG_1_2.jpg'));
+        expect(second).toBe(path.join(syncDir, '2024', '01', 'IMG_1_3.jpg'));
+        expect(organizeService.claimTargetPath({ ...item, id: 'a' }, syncDir)).toBe(path.join(syncDir, '2024', '01', 'IMG_1.jpg'));
+    });
+
+    it('should plan a re-layout without moving anything, then apply it', async () => {
+        mockGetSettings.mockReturnValue({
+            syncDir, autoOrganize: true, folderStructure: 'year/month', fileNameTemplate: '{name}.{ext}', timezone: 'Europe/Berlin'
+        });
+        const flatPath = addSyncedFile('a', 'a_1700000000000_a.jpg');
+        stateStoreService.upsertItem('a', { originalFilename: 'IMG_1.JPG' });
+        fs.writeFileSync(`${flatPath}.xmp`, 'sidecar');
+        // A duplicate recorded at the same file under the skip policy
+        stateStoreService.upsertItem('b', { localPath: flatPath, fileName: path.basename(flatPath), creationTime });
+        const inPlace = addSyncedFile('c', path.join('2024', '01', 'c.jpg'));
+        addSyncedFile('gone', 'gone.jpg');
+        fs.rmSync(path.join(syncDir, 'gone.jpg'));
+        // An album link to the file that moves
+        const albumDir = path.join(syncDir, 'Albums', 'Trip');
+        fs.mkdirSync(albumDir, { recursive: true });
+        fs.symlinkSync(path.relative(albumDir, flatPath), path.join(albumDir, 'IMG_1.JPG'));
+
+        const plan = organizeService.planRelayout();
+
+        const newPath = path.join(syncDir, '2024', '01', 'IMG_1.JPG');
+        expect(plan).toMatchObject({ status: 'planned', moves: 1, unchanged: 1, current: true, missingCount: 1, conflictCount: 0 });
+        expect(plan.sampleMoves).toEqual([{ from: flatPath, to: newPath, state: 'pending', error: null }]);
+        expect(fs.existsSync(flatPath)).toBe(true);
+
+        const job = await organizeService.applyRelayout(plan.id);
+
+        expect(job).toMatchObject({ running: false, done: 1, total: 1, failed: 0 });
+        expect(fs.readFileSync(newPath, 'utf8')).toBe('a');
+        expect(fs.existsSync(`${newPath}.xmp`)).toBe(true);
+        expect(fs.existsSync(flatPath)).toBe(false);
+        expect(fs.readFileSync(path.join(albumDir, 'IMG_1.JPG'), 'utf8')).toBe('a');
+        expect(stateStoreService.getItem('a')).toMatchObject({ localPath: newPath, fileName: 'IMG_1.JPG' });
+        expect(stateStoreService.getItem('b').localPath).toBe(newPath);
+        expect(stateStoreService.getItem('c').localPath).toBe(inPlace);
+        expect(organizeService.getStatus().plan).toMatchObject({ status: 'applied', undoable: true, counts: { moved: 1 } });
+    });
+
+    it('should undo an applied re-layout from the journal', async () => {
+        const nestedPath = addSyncedFile('a', path.join('old', 'deep', 'a.jpg'));
+        const plan = organizeService.planRelayout();
+        await organizeService.applyRelayout(plan.id);
+        expect(fs.existsSync(path.join(syncDir, 'old'))).toBe(false);
+
+        await organizeService.undoRelayout(plan.id);
+
+        expect(fs.readFileSync(nestedPath, 'utf8')).toBe('a');
+        expect(fs.existsSync(path.join(syncDir, '2024'))).toBe(false);
+        expect(stateStoreService.getItem('a').localPath).toBe(nestedPath);
+        expect(organizeService.getStatus().plan).toMatchObject({ status: 'undone', undoable: false, counts: { undone: 1 } });
+        expect(() => organizeService.getApplicablePlan(plan.id)).toThrow(expect.objectContaining({ code: 'EEXIST' }));
+    });
+
+    it('should number targets that are taken and report them as conflicts', () => {
+        addSyncedFile('a', 'old/b.jpg');
+        addSyncedFile('b', 'b.jpg');
+        fs.mkdirSync(path.join(syncDir, '2024', '01'), { recursive: true });
+        fs.writeFileSync(path.join(syncDir, '2024', '01', 'b.jpg'), 'someone else');
+
+        const plan = organizeService.planRelayout();
+
+        const target = path.join(syncDir, '2024', '01', 'b.jpg');
+        expect(plan.sampleMoves.map(move => move.to)).toEqual([
+            path.join(syncDir, '2024', '01', 'b_2.jpg'),
+            path.join(syncDir, '2024', '01', 'b_3.jpg')
+        ]);
+        expect(plan.conflicts).toEqual([
+            { from: path.join(syncDir, 'b.jpg'), target, to: path.join(syncDir, '2024', '01', 'b_2.jpg'), reason: 'exists' },
+            { from: path.join(syncDir, 'old', 'b.jpg'), target, to: path.join(syncDir, '2024', '01', 'b_3.jpg'), reason: 'exists' }
+        ]);
+    });
+
+    it('should refuse a plan made for other layout settings', async () => {
+        addSyncedFile('a', 'a.jpg');
+        const plan = organizeService.planRelayout();
+        mockGetSettings.mockReturnValue({ syncDir, autoOrganize: true, folderStructure: 'flat', timezone: 'Europe/Berlin' });
+
+        await expect(organizeService.applyRelayout(plan.id)).rejects.toMatchObject({ code: 'ESTALE' });
+        expect(fs.existsSync(path.join(syncDir, 'a.jpg'))).toBe(true);
+    });
+
+    it('should recover moves done on disk but not recorded before a restart', async () => {
+        const flatPath = addSyncedFile('a', 'a.jpg');
+        addSyncedFile('b', 'b.jpg');
+        const plan = organizeService.planRelayout();
+        stateStoreService.saveRelayoutPlan({ ...stateStoreService.getRelayoutPlan(plan.id), status: 'applying' });
+        // The first file was renamed when the process stopped
+        const newPath = path.join(syncDir, '2024', '01', 'a.jpg');
+        fs.mkdirSync(path.dirname(newPath), { recursive: true });
+        fs.renameSync(flatPath, newPath);
+
+        await organizeService.initialize();
+
+        expect(stateStoreService.getItem('a').localPath).toBe(newPath);
+        expect(stateStoreService.getItem('b').localPath).toBe(path.join(syncDir, 'b.jpg'));
+        expect(organizeService.getStatus().plan).toMatchObject({ status: 'interrupted', counts: { moved: 1, pending: 1 } });
+
+        await organizeService.applyRelayout(plan.id);
+        expect(stateStoreService.getItem('b').localPath).toBe(path.join(syncDir, '2024', '01', 'b.jpg'));
+    });
+});
@@ -0,0 +1,260 @@
+import { jest } from '@jest/globals';
+
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: { getSettings: mockGetSettings }
+}));
+
+jest.unstable_mockModule('../services/websocket.service.js', () => ({
+    default: {
+        currentSync: {},
+        updateDiscoveryProgress: jest.fn(),
+        completeDiscovery: jest.fn()
+    }
+}));
+
+// Import services after mocking
+const { default: photosService } = await import('../services/photos.service.js');
+const { default: syncCacheService } = await import('../services/sync.cache.service.js');
+const { default: trashService } = await import('../services/trash.service.js');
+
+describe('Photos Service', () => {
+    let settings;
+
+    beforeEach(() => {
+        settings = {};
+        mockGetSettings.mockImplementation(() => settings);
+    });
+
+    describe('getDownloadUrl', () => {
+        const photo = { id: 'p1', baseUrl: 'https://lh3.example/p1', mimeType: 'image/jpeg', mediaMetadata: { width: '4032', height: '3024' } };
+        const video = { id: 'v1', baseUrl: 'https://lh3.example/v1', mimeType: 'video/mp4', mediaMetadata: { video: {} } };
+
+        it('should ask for originals of photos and videos', () => {
+            expect(photosService.getDownloadUrl(photo)).toBe('https://lh3.example/p1=d');
+            expect(photosService.getDownloadUrl(video)).toBe('https://lh3.example/v1=dv');
+            expect(() => photosService.getDownloadUrl({ id: 'x' })).toThrow('Item x has no baseUrl');
+        });
+
+        it('should ask for photos at their full resolution with maxResolutionThumbnails', () => {
+            settings.maxResolutionThumbnails = true;
+
+            expect(photosService.getDownloadUrl(photo)).toBe('https://lh3.example/p1=w4032-h3024');
+            expect(photosService.getDownloadUrl({ ...photo, mediaMetadata: {} })).toBe('https://lh3.example/p1=w2048-h2048');
+            // A video would only come as a still
+            expect(photosService.getDownloadUrl(video)).toBe('https://lh3.example/v1=dv');
+            expect(photosService.getDownloadUrl(photo, { thumbnail: false })).toBe('https://lh3.example/p1=d');
+        });
+    });
+
+    describe('search filters', () => {
+        it('should convert settings dates into API dates', () => {
+            expect(photosService.toApiDate('2024-02-29')).toEqual({ year: 2024, month: 2, day: 29 });
+            // Timestamps count in UTC
+            expect(photosService.toApiDate('2024-12-31T23:30:00-02:00')).toEqual({ year: 2025, month: 1, day: 1 });
+            expect(() => photosService.toApiDate('someday')).toThrow('Invalid date in filter settings: someday');
+        });
+
+        it('should fill in the open end of a date range', () => {
+            expect(photosService.buildFilters({ startDate: '2024-01-01', endDate: '2024-12-31' }).dateFilter.ranges)
+                .toEqual([{ startDate: { year: 2024, month: 1, day: 1 }, endDate: { year: 2024, month: 12, day: 31 } }]);
+            expect(photosService.buildFilters({ startDate: '2024-01-01' }).dateFilter.ranges[0].endDate)
+                .toEqual({ year: 9999, month: 12, day: 31 });
+            expect(photosService.buildFilters({ endDate: '2024-12-31' }).dateFilter.ranges[0].startDate)
+                .toEqual({ year: 1900, month: 1, day: 1 });
+            expect(photosService.buildFilters({ startDate: '2024-01-01', useDateRange: false })).toEqual({});
+            expect(photosService.buildFilters({})).toEqual({});
+        });
+
+        it('should only filter on media type when one of photos and videos is turned off', () => {
+            expect(photosService.buildFilters({ syncPhotos: true, syncVideos: true }).mediaTypeFilter).toBeUndefined();
+            expect(photosService.buildFilters({ syncVideos: false }).mediaTypeFilter).toEqual({ mediaTypes: ['PHOTO'] });
+            expect(photosService.buildFilters({ syncPhotos: false }).mediaTypeFilter).toEqual({ mediaTypes: ['VIDEO'] });
+            expect(photosService.buildFilters({ mediaType: 'VIDEO' }).mediaTypeFilter).toEqual({ mediaTypes: ['VIDEO'] });
+            expect(() => photosService.buildFilters({ syncPhotos: false, syncVideos: false }))
+                .toThrow('Both photos and videos are disabled');
+        });
+
+        it('should include and exclude content categories', () => {
+            expect(photosService.buildFilters({ includedContentCategories: ['PETS'] }).contentFilter)
+                .toEqual({ includedContentCategories: ['PETS'] });
+            expect(photosService.buildFilters({ excludedContentCategories: ['SCREENSHOTS', 'RECEIPTS'] }).contentFilter)
+                .toEqual({ excludedContentCategories: ['SCREENSHOTS', 'RECEIPTS'] });
+            expect(photosService.buildFilters({ includedContentCategories: ['PETS'], excludedContentCategories: ['SCREENSHOTS'] }).contentFilter)
+                .toEqual({ includedContentCategories: ['PETS'], excludedContentCategories: ['SCREENSHOTS'] });
+            expect(photosService.buildFilters({ includedContentCategories: [], excludedContentCategories: [] }).contentFilter).toBeUndefined();
+        });
+
+        it('should combine favorites with date, media type and archive filters', () => {
+            expect(photosService.buildFilters({
+                favoritesOnly: true,
+                startDate: '2024-01-01',
+                endDate: '2024-12-31',
+                syncVideos: false,
+                includeArchived: true
+            })).toEqual({
+                dateFilter: { ranges: [{ startDate: { year: 2024, month: 1, day: 1 }, endDate: { year: 2024, month: 12, day: 31 } }] },
+                mediaTypeFilter: { mediaTypes: ['PHOTO'] },
+                featureFilter: { includedFeatures: ['FAVORITES'] },
+                includeArchivedMedia: true
+            });
+            expect(photosService.buildFilters({ favoritesOnly: false }).featureFilter).toBeUndefined();
+        });
+
+        it('should refuse to combine favorites with content categories', () => {
+            expect(() => photosService.buildFilters({ favoritesOnly: true, includedContentCategories: ['PETS'] }))
+                .toThrow('Favorites only can\'t be combined with content category filters');
+            expect(() => photosService.buildFilters({ favoritesOnly: true, excludedContentCategories: ['SCREENSHOTS'] }))
+                .toThrow('Favorites only can\'t be combined with content category filters');
+        });
+    });
+
+    describe('baseUrl refresh', () => {
+        const auth = { credentials: { access_token: 'token' } };
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should count baseUrls as expired a little before their hour is up', () => {
+            const now = Date.now();
+            jest.spyOn(Date, 'now').mockReturnValue(now);
+
+            expect(photosService.isBaseUrlExpired({ baseUrlFetchedAt: now - 54 * 60 * 1000 })).toBe(false);
+            expect(photosService.isBaseUrlExpired({ baseUrlFetchedAt: now - 55 * 60 * 1000 })).toBe(false);
+            expect(photosService.isBaseUrlExpired({ baseUrlFetchedAt: now - 55 * 60 * 1000 - 1 })).toBe(true);
+            // Items from a cached discovery date from when it ran
+            photosService.discoveryResults = { timestamp: now - 60 * 60 * 1000 };
+            expect(photosService.isBaseUrlExpired({})).toBe(true);
+            photosService.discoveryResults = null;
+            expect(photosService.isBaseUrlExpired({})).toBe(true);
+        });
+
+        it('should refresh baseUrls in batchGet calls of at most 50 items', async () => {
+            const items = Array.from({ length: 120 }, (_, i) => ({ id: `item${i}`, baseUrl: 'https://lh3.example/old' }));
+            const batchGet = jest.fn(async ids => ({
+                data: {
+                    mediaItemResults: ids.map(id => (id === 'item7'
+                        ? { status: { code: 5, message: 'Not found' } }
+                        : { mediaItem: { id, baseUrl: `https://lh3.example/${id}` } }))
+                }
+            }));
+            jest.spyOn(photosService, 'createPhotoClient').mockReturnValue({ mediaItems: { batchGet } });
+
+            expect(await photosService.refreshBaseUrls(auth, items)).toBe(119);
+
+            expect(batchGet.mock.calls.map(([ids]) => ids.length)).toEqual([50, 50, 20]);
+            expect(items[60]).toMatchObject({ baseUrl: 'https://lh3.example/item60' });
+            expect(photosService.isBaseUrlExpired(items[60])).toBe(false);
+            expect(items[7]).toEqual({ id: 'item7', baseUrl: 'https://lh3.example/old' });
+            await expect(photosService.refreshBaseUrls({}, items)).rejects.toThrow('Missing access token');
+        });
+    });
+
+    describe('incremental discovery', () => {
+        const auth = { credentials: { access_token: 'token' } };
+        const photo = (id, creationTime, baseUrl = `https://lh3.example/${id}`) => ({
+            id, baseUrl, mediaMetadata: { creationTime, photo: {} }
+        });
+        let search;
+
+        beforeEach(() => {
+            settings.cleanupRemovedFiles = true;
+            search = jest.fn(async () => ({ data: { mediaItems: [] } }));
+            jest.spyOn(photosService, 'getUserId').mockResolvedValue('user1');
+            jest.spyOn(photosService, 'createPhotoClient').mockReturnValue({ mediaItems: { search } });
+            jest.spyOn(photosService, 'saveDiscoveryCache').mockResolvedValue();
+            jest.spyOn(photosService, 'sleep').mockResolvedValue();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            photosService.discoveryResults = null;
+        });
+
+        it('should merge new items into a previous discovery', () => {
+            const baseline = {
+                items: [photo('a', '2024-01-01T00:00:00Z', 'https://lh3.example/old'), photo('b', '2024-02-01T00:00:00Z')],
+                hasMore: false,
+                nextPageToken: null
+            };
+
+            const merged = photosService.mergeDiscoveryResults(baseline, [
+                photo('a', '2024-01-01T00:00:00Z'),
+                photo('c', '2024-03-01T00:00:00Z')
+            ], 1);
+
+            expect(merged.items.map(item => item.id)).toEqual(['a', 'b', 'c']);
+            // Items seen again carry the fresh baseUrl
+            expect(merged.items[0].baseUrl).toBe('https://lh3.example/a');
+            expect(merged).toMatchObject({ totalItems: 3, photoCount: 3, newItems: 1, pagesScanned: 1, incremental: true, hasMore: false });
+            expect(baseline.items).toHaveLength(2);
+        });
+
+        it('should carry over the pages a previous discovery had left', () => {
+            const merged = photosService.mergeDiscoveryResults({ items: [], hasMore: true, nextPageToken: 'next' }, [], 1);
+
+            expect(merged).toMatchObject({ hasMore: true, nextPageToken: 'next', newItems: 0 });
+        });
+
+        it('should only search from a day before the high-water mark', async () => {
+            jest.spyOn(syncCacheService, 'getHighWaterMark').mockReturnValue('2024-06-15T10:00:00Z');
+            const loadDiscoveryCache = jest.spyOn(photosService, 'loadDiscoveryCache')
+                .mockResolvedValue({ items: [photo('a', '2024-06-15T10:00:00Z')], hasMore: false });
+            search
+                .mockResolvedValueOnce({ data: { mediaItems: [photo('a', '2024-06-15T10:00:00Z'), photo('b', '2024-06-16T08:00:00Z')], nextPageToken: 'page2' } })
+                .mockResolvedValueOnce({ data: { mediaItems: [photo('c', '2024-06-17T08:00:00Z')] } });
+
+            const items = await photosService.getPhotos(auth, { incremental: true, discoveryLimit: 1, endDate: '2024-12-31' });
+
+            expect(loadDiscoveryCache).toHaveBeenCalledWith(expect.objectContaining({ ignoreTTL: true }));
+            expect(search.mock.calls[0][0].filters.dateFilter.ranges).toEqual([{
+                startDate: { year: 2024, month: 6, day: 14 },
+                endDate: { year: 2024, month: 12, day: 31 }
+            }]);
+            // New items are never cut off by the page limit
+            expect(search).toHaveBeenCalledTimes(2);
+            expect(items.map(item => item.id)).toEqual(['a', 'b', 'c']);
+            expect(photosService.discoveryResults).toMatchObject({ incremental: true, newItems: 2, totalItems: 3, hasMore: false });
+        });
+
+        it('should keep a configured start date that is later than the high-water mark', async () => {
+            jest.spyOn(syncCacheService, 'getHighWaterMark').mockReturnValue('2024-06-15T10:00:00Z');
+            jest.spyOn(photosService, 'loadDiscoveryCache').mockResolvedValue({ items: [], hasMore: false });
+
+            await photosService.getPhotos(auth, { incremental: true, startDate: '2024-09-01' });
+
+            expect(search.mock.calls[0][0].filters.dateFilter.ranges[0].startDate).toEqual({ year: 2024, month: 9, day: 1 });
+        });
+
+        it('should fall back to a full discovery without a high-water mark', async () => {
+            jest.spyOn(syncCacheService, 'getHighWaterMark').mockReturnValue(null);
+            const loadDiscoveryCache = jest.spyOn(photosService, 'loadDiscoveryCache').mockResolvedValue(null);
+            search.mockResolvedValue({ data: { mediaItems: [photo('a', '2024-06-15T10:00:00Z')], nextPageToken: 'more' } });
+
+            await photosService.getPhotos(auth, { incremental: true, discoveryLimit: 2 });
+
+            // Only the regular cache lookup, no baseline
+            expect(loadDiscoveryCache).toHaveBeenCalledTimes(1);
+            expect(loadDiscoveryCache.mock.calls[0][0].ignoreTTL).toBeUndefined();
+            expect(search.mock.calls[0][0].filters.dateFilter).toBeUndefined();
+            expect(search).toHaveBeenCalledTimes(2);
+            expect(photosService.discoveryResults).toMatchObject({ hasMore: true });
+            expect(photosService.discoveryResults.incremental).toBeUndefined();
+        });
+
+        it('should not let an incremental discovery drive deletion sync', async () => {
+            jest.spyOn(syncCacheService, 'getHighWaterMark').mockReturnValue('2024-06-15T10:00:00Z');
+            jest.spyOn(photosService, 'loadDiscoveryCache').mockResolvedValue({ items: [photo('a', '2024-06-15T10:00:00Z')], hasMore: false });
+            const findDeletedItemIds = jest.spyOn(photosService, 'findDeletedItemIds');
+
+            await photosService.getPhotos(auth, { incremental: true });
+            const result = await trashService.reconcile(auth, '/photos', photosService.discoveryResults);
+
+            // Older items missing from the search were never asked for, not deleted
+            expect(result).toEqual({ checked: 0, trashed: 0, skipped: 'Incremental discovery only covers new items' });
+            expect(findDeletedItemIds).not.toHaveBeenCalled();
+        });
+    });
+});
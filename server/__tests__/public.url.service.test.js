@@ -0,0 +1,68 @@
+import publicUrlService from '../services/public.url.service.js';
+
+describe('Public URL Service', () => {
+    afterEach(() => {
+        publicUrlService.load({});
+    });
+
+    it('should default to the dev server on localhost', () => {
+        publicUrlService.load({});
+
+        expect(publicUrlService.basePath).toBe('');
+        expect(publicUrlService.withBasePath('/ws')).toBe('/ws');
+        expect(publicUrlService.getAppUrl('5174')).toBe('http://localhost:5174');
+        expect(publicUrlService.getAppUrl('evil.example.com')).toBe('http://localhost:5173');
+        expect(publicUrlService.getRedirectUri()).toBeNull();
+        expect(publicUrlService.isAllowedOrigin('http://localhost:5173')).toBe(true);
+        expect(publicUrlService.isAllowedOrigin('https://evil.example.com')).toBe(false);
+    });
+
+    it('should take the base path and origin from PUBLIC_BASE_URL', () => {
+        publicUrlService.load({
+            PUBLIC_BASE_URL: 'https://nas.example.com/photosync/',
+            CORS_ORIGINS: 'https://photos.example.com/, https://other.example.com'
+        });
+
+        expect(publicUrlService.basePath).toBe('/photosync');
+        expect(publicUrlService.withBasePath('/ws')).toBe('/photosync/ws');
+        expect(publicUrlService.getAppUrl('5173')).toBe('https://nas.example.com/photosync');
+        expect(publicUrlService.getRedirectUri()).toBe('https://nas.example.com/photosync/api/oauth2callback');
+        expect(publicUrlService.isAllowedOrigin('https://nas.example.com')).toBe(true);
+        expect(publicUrlService.isAllowedOrigin('https://photos.example.com')).toBe(true);
+        expect(publicUrlService.isAllowedOrigin('https://other.example.com')).toBe(true);
+        // Same-origin and non-browser requests carry no Origin
+        expect(publicUrlService.isAllowedOrigin(undefined)).toBe(true);
+    });
+
+    it('should refuse settings that contradict each other or are not valid', () => {
+        expect(() => publicUrlService.load({ PUBLIC_BASE_URL: 'nas.example.com' })).toThrow(expect.objectContaining({ code: 'ECONFIG' }));
+        expect(() => publicUrlService.load({ PUBLIC_BASE_URL: 'ftp://nas.example.com' })).toThrow(expect.objectContaining({ code: 'ECONFIG' }));
+        expect(() => publicUrlService.load({ BASE_PATH: 'photosync' })).toThrow(expect.objectContaining({ code: 'ECONFIG' }));
+        expect(() => publicUrlService.load({ PUBLIC_BASE_URL: 'https://nas.example.com/a', BASE_PATH: '/b' }))
+            .toThrow(expect.objectContaining({ code: 'ECONFIG' }));
+        expect(() => publicUrlService.load({ TRUST_PROXY: 'not-an-address' })).toThrow(expect.objectContaining({ code: 'ECONFIG' }));
+
+        publicUrlService.load({ PUBLIC_BASE_URL: 'https://nas.example.com', BASE_PATH: '/photosync' });
+        expect(publicUrlService.getRedirectUri()).toBe('https://nas.example.com/photosync/api/oauth2callback');
+    });
+
+    it('should only take client addresses from trusted proxies', () => {
+        const request = (remoteAddress, forwardedFor) => ({
+            socket: { remoteAddress },
+            connection: { remoteAddress },
+            headers: { 'x-forwarded-for': forwardedFor }
+        });
+
+        publicUrlService.load({});
+        expect(publicUrlService.trustProxy).toBe(false);
+        expect(publicUrlService.getClientIp(request('127.0.0.1', '203.0.113.7'))).toBe('127.0.0.1');
+
+        publicUrlService.load({ TRUST_PROXY: 'loopback, 172.17.0.0/16' });
+        expect(publicUrlService.trustProxy).toEqual(['loopback', '172.17.0.0/16']);
+        expect(publicUrlService.getClientIp(request('172.17.0.1', '203.0.113.7'))).toBe('203.0.113.7');
+        expect(publicUrlService.getClientIp(request('10.0.0.9', '203.0.113.7'))).toBe('10.0.0.9');
+
+        publicUrlService.load({ TRUST_PROXY: '1' });
+        expect(publicUrlService.getClientIp(request('10.0.0.9', '198.51.100.1, 203.0.113.7'))).toBe('203.0.113.7');
+    });
+});
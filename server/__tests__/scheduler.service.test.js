@@ -0,0 +1,227 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+const mockAuthenticate = jest.fn();
+const mockGetPhotos = jest.fn();
+const mockStartSync = jest.fn();
+const mockIsSyncing = jest.fn();
+const mockAccounts = [{ id: 'default' }];
+const mockActiveAccount = { id: 'default' };
+const mockSchedulerStates = new Map();
+const mockActivate = jest.fn(async (accountId) => {
+    mockActiveAccount.id = accountId;
+});
+const mockWebsocket = {
+    currentSync: {},
+    updateSyncStatus: jest.fn(update => Object.assign(mockWebsocket.currentSync, update))
+};
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+jest.unstable_mockModule('../services/accounts.service.js', () => ({
+    default: {
+        getAccounts: () => mockAccounts,
+        getActiveAccountId: () => mockActiveAccount.id,
+        getAccountSettings: () => mockGetSettings(),
+        getSchedulerState: accountId => mockSchedulerStates.get(accountId) || null,
+        saveSchedulerState: (accountId, state) => mockSchedulerStates.set(accountId, state),
+        activate: mockActivate
+    }
+}));
+
+jest.unstable_mockModule('../services/auth.service.js', () => ({
+    default: { authenticate: mockAuthenticate }
+}));
+
+jest.unstable_mockModule('../services/photos.service.js', () => ({
+    default: {
+        resetState: jest.fn(),
+        getPhotos: mockGetPhotos,
+        isDiscovering: () => false
+    }
+}));
+
+jest.unstable_mockModule('../services/sync.service.js', () => ({
+    default: {
+        startSync: mockStartSync,
+        isSyncing: mockIsSyncing
+    }
+}));
+
+jest.unstable_mockModule('../services/websocket.service.js', () => ({
+    default: mockWebsocket
+}));
+
+jest.unstable_mockModule('../services/organize.service.js', () => ({
+    default: { job: { running: false }, getSyncDir: () => '/photos' }
+}));
+
+jest.unstable_mockModule('../services/integrity.service.js', () => ({
+    default: { redownload: { running: false } }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: downloadService } = await import('../services/download.service.js');
+const { default: schedulerService } = await import('../services/scheduler.service.js');
+
+describe('Scheduler Service', () => {
+    let configDir;
+    let settings;
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+        settings = { timezone: 'UTC', autoSync: true, syncSchedule: '0 3 * * *', quietHours: [], bandwidthLimit: 0, bandwidthWindows: [] };
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockImplementation(() => settings);
+        mockAuthenticate.mockReset().mockResolvedValue({ credentials: { access_token: 'token' } });
+        mockGetPhotos.mockReset().mockResolvedValue([]);
+        mockStartSync.mockReset().mockImplementation(async () => {
+            mockWebsocket.currentSync.status = 'completed';
+            mockWebsocket.currentSync.message = 'Sync completed. 3 items processed.';
+        });
+        mockIsSyncing.mockReset().mockReturnValue(false);
+        mockWebsocket.currentSync = { status: 'idle', isPaused: false };
+        await stateStoreService.initialize();
+        mockAccounts.splice(0, mockAccounts.length, { id: 'default' });
+        mockActiveAccount.id = 'default';
+        mockActivate.mockClear();
+        mockSchedulerStates.clear();
+        schedulerService.quietPaused = false;
+    });
+
+    afterEach(() => {
+        downloadService.setRateLimit(0);
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    const nextRun = (schedule, after, timeZone = 'UTC') =>
+        schedulerService.getNextRunAt(schedule, new Date(after), null, timeZone).toISOString();
+
+    it('should find the next run of cron expressions in the configured timezone', () => {
+        expect(nextRun('0 3 * * *', '2026-10-19T02:59:30Z')).toBe('2026-10-19T03:00:00.000Z');
+        expect(nextRun('0 3 * * *', '2026-10-19T03:00:00Z')).toBe('2026-10-20T03:00:00.000Z');
+        // Friday evening to Monday morning
+        expect(nextRun('*/15 9-17 * * 1-5', '2026-10-16T17:50:00Z')).toBe('2026-10-19T09:00:00.000Z');
+        // Day of month or day of week when both are set
+        expect(nextRun('0 0 13 * 5', '2026-10-19T12:00:00Z')).toBe('2026-10-23T00:00:00.000Z');
+        expect(nextRun('@monthly', '2026-10-19T12:00:00Z')).toBe('2026-11-01T00:00:00.000Z');
+        // 03:00 in Berlin on the night clocks go forward
+        expect(nextRun('0 3 * * *', '2026-03-28T12:00:00Z', 'Europe/Berlin')).toBe('2026-03-29T01:00:00.000Z');
+
+        expect(() => schedulerService.parseSchedule('61 * * * *')).toThrow('Invalid minute');
+        expect(() => schedulerService.parseSchedule('* * *')).toThrow('needs 5 fields');
+        expect(() => schedulerService.parseSchedule('2m')).toThrow('at least 5 minutes');
+    });
+
+    it('should count intervals from the last run', () => {
+        const after = new Date('2026-10-19T12:00:00Z');
+
+        expect(schedulerService.getNextRunAt('6h', after, '2026-10-19T10:00:00Z').toISOString()).toBe('2026-10-19T16:00:00.000Z');
+        expect(schedulerService.getNextRunAt('6h', after, null)).toBe(after);
+        expect(schedulerService.getNextRunAt(24 * 60 * 60 * 1000, after, '2026-10-19T10:00:00Z').toISOString())
+            .toBe('2026-10-20T10:00:00.000Z');
+    });
+
+    it('should apply quiet hours and bandwidth windows by time of day', () => {
+        settings.quietHours = [{ start: '22:00', end: '07:00' }];
+        settings.bandwidthLimit = 0.5;
+        settings.bandwidthWindows = [{ start: '08:00', end: '18:00', limit: 2 }];
+
+        expect(schedulerService.isQuietTime(settings, new Date('2026-10-19T23:30:00Z'))).toBe(true);
+        expect(schedulerService.isQuietTime(settings, new Date('2026-10-19T06:59:00Z'))).toBe(true);
+        expect(schedulerService.isQuietTime(settings, new Date('2026-10-19T07:00:00Z'))).toBe(false);
+        expect(schedulerService.getBandwidthLimit(settings, new Date('2026-10-19T09:00:00Z'))).toBe(2 * 1024 * 1024);
+        expect(schedulerService.getBandwidthLimit(settings, new Date('2026-10-19T20:00:00Z'))).toBe(512 * 1024);
+
+        expect(schedulerService.validate({ quietHours: [{ start: '22:00', end: '7' }] })).toMatch('HH:mm');
+        expect(schedulerService.validate({ bandwidthWindows: [{ start: '08:00', end: '18:00', limit: -1 }] })).toMatch('limit');
+        expect(schedulerService.validate({ syncSchedule: '0 3 * * *', quietHours: [] })).toBeNull();
+    });
+
+    it('should run discovery and sync when due and persist the run times', async () => {
+        expect(await schedulerService.tick(new Date('2026-10-19T02:00:00Z'))).toBeNull();
+        expect(schedulerService.getState('default').nextRunAt).toBe('2026-10-19T03:00:00.000Z');
+
+        const result = await schedulerService.tick(new Date('2026-10-19T03:00:00Z'));
+
+        expect(result).toMatchObject({ status: 'completed', message: 'Sync completed. 3 items processed.' });
+        expect(mockGetPhotos).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ incremental: true }));
+        expect(mockStartSync).toHaveBeenCalledTimes(1);
+        expect(mockSchedulerStates.get('default')).toMatchObject({
+            lastRunAt: '2026-10-19T03:00:00.000Z',
+            nextRunAt: '2026-10-20T03:00:00.000Z',
+            lastResult: { status: 'completed' }
+        });
+    });
+
+    it('should skip runs while a sync is active', async () => {
+        await schedulerService.tick(new Date('2026-10-19T02:00:00Z'));
+        mockIsSyncing.mockReturnValue(true);
+
+        const result = await schedulerService.tick(new Date('2026-10-19T03:00:00Z'));
+
+        expect(result).toMatchObject({ status: 'skipped', message: 'A sync is already running' });
+        expect(mockStartSync).not.toHaveBeenCalled();
+        expect(schedulerService.getState('default').nextRunAt).toBe('2026-10-20T03:00:00.000Z');
+    });
+
+    it('should hold runs and pause syncs during quiet hours', async () => {
+        settings.quietHours = [{ start: '02:30', end: '04:00' }];
+        await schedulerService.tick(new Date('2026-10-19T02:00:00Z'));
+        mockWebsocket.currentSync = { status: 'running', isPaused: false };
+
+        expect(await schedulerService.tick(new Date('2026-10-19T03:00:00Z'))).toBeNull();
+        expect(mockWebsocket.currentSync).toMatchObject({ status: 'paused', isPaused: true });
+        expect(mockStartSync).not.toHaveBeenCalled();
+
+        // Quiet hours are over: the paused sync resumes, so the held run is skipped
+        const result = await schedulerService.tick(new Date('2026-10-19T04:00:00Z'));
+        expect(mockWebsocket.currentSync).toMatchObject({ status: 'running', isPaused: false });
+        expect(result).toMatchObject({ status: 'skipped' });
+    });
+
+    it('should only run the active account and skip the runs of other accounts', async () => {
+        mockAccounts.push({ id: 'second' });
+        await schedulerService.tick(new Date('2026-10-19T02:00:00Z'));
+
+        const now = new Date('2026-10-19T03:00:00Z');
+        expect(await schedulerService.tick(now)).toMatchObject({ status: 'completed' });
+        expect(mockActivate).not.toHaveBeenCalled();
+        expect(mockActiveAccount.id).toBe('default');
+        expect(mockAuthenticate).toHaveBeenCalledWith('default');
+        expect(mockStartSync).toHaveBeenCalledTimes(1);
+        expect(schedulerService.getState('second')).toMatchObject({
+            nextRunAt: '2026-10-20T03:00:00.000Z',
+            lastResult: { status: 'skipped', message: 'It is not the active account' }
+        });
+        expect(await schedulerService.tick(now)).toBeNull();
+    });
+
+    it('should not start a second run while the first is still starting', async () => {
+        let authenticated;
+        mockAuthenticate.mockReturnValue(new Promise(resolve => {
+            authenticated = resolve;
+        }));
+
+        const first = schedulerService.run(new Date('2026-10-19T03:00:00Z'));
+        expect(schedulerService.running).toBe(true);
+        await expect(schedulerService.run()).rejects.toThrow('A scheduled sync is already running');
+        expect(await schedulerService.tick(new Date('2026-10-19T03:00:00Z'))).toBeNull();
+
+        authenticated({ credentials: { access_token: 'token' } });
+        expect(await first).toMatchObject({ status: 'completed' });
+        expect(mockStartSync).toHaveBeenCalledTimes(1);
+        expect(schedulerService.running).toBe(false);
+    });
+});
@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: similarityService } = await import('../services/similarity.service.js');
+
+// A greyscale image whose brightness follows `shade(x, y)`
+const createImage = (filePath, width, height, shade, format = 'png') => {
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            pixels[y * width + x] = shade(x / width, y / height);
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 1 } })[format]().toFile(filePath);
+};
+
+const waves = (x, y) => Math.round(127 + 120 * Math.sin(x * 12) * Math.cos(y * 7));
+const rings = (x, y) => Math.round(127 + 120 * Math.cos(Math.hypot(x - 0.5, y - 0.5) * 30));
+
+describe('Similarity Service', () => {
+    let configDir;
+    let syncDir;
+
+    const addPhoto = async (id, fileName, width, height, shade, format) => {
+        const localPath = path.join(syncDir, fileName);
+        await createImage(localPath, width, height, shade, format);
+        stateStoreService.upsertItem(id, { localPath, fileName, mimeType: `image/${format || 'png'}` });
+    };
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'similarity-test-'));
+        syncDir = path.join(configDir, 'photos');
+        fs.mkdirSync(syncDir);
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ syncDir, nearDuplicateThreshold: 10 });
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should group resized and recompressed copies', async () => {
+        await addPhoto('original', 'original.png', 400, 300, waves);
+        await addPhoto('resized', 'resized.jpeg', 120, 90, waves, 'jpeg');
+        await addPhoto('other', 'other.png', 400, 300, rings);
+
+        await similarityService.scan();
+        const report = similarityService.getReport();
+
+        expect(similarityService.job).toMatchObject({ running: false, processed: 3, total: 3, failed: 0 });
+        expect(report.pending).toBe(0);
+        expect(report.groups).toHaveLength(1);
+        expect(report.groups[0].items.map(item => item.id).sort()).toEqual(['original', 'resized']);
+    });
+
+    it('should record photos it cannot decode and not retry them', async () => {
+        const localPath = path.join(syncDir, 'broken.jpg');
+        fs.writeFileSync(localPath, 'not an image');
+        stateStoreService.upsertItem('broken', { localPath, fileName: 'broken.jpg', mimeType: 'image/jpeg' });
+
+        await similarityService.scan();
+
+        expect(similarityService.job.failed).toBe(1);
+        expect(stateStoreService.getItem('broken').dhashError).toBeTruthy();
+        expect(similarityService.getPendingItems()).toEqual([]);
+    });
+
+    it('should store keepers without touching the files', async () => {
+        await addPhoto('a', 'a.png', 200, 150, waves);
+        await addPhoto('b', 'b.png', 100, 75, waves);
+        await similarityService.scan();
+
+        similarityService.setKeepers(['a', 'b'], ['b']);
+
+        const [group] = similarityService.getGroups();
+        expect(group.reviewed).toBe(true);
+        expect(group.items.find(item => item.id === 'b').keeper).toBe(true);
+        expect(group.items.find(item => item.id === 'a').keeper).toBe(false);
+        expect(fs.existsSync(path.join(syncDir, 'a.png'))).toBe(true);
+    });
+});
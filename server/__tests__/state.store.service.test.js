@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import service after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: syncCacheService } = await import('../services/sync.cache.service.js');
+
+describe('State Store Service', () => {
+    let configDir;
+    let syncDir;
+
+    beforeEach(() => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-store-test-'));
+        syncDir = path.join(configDir, 'photos');
+        fs.mkdirSync(syncDir);
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ syncDir });
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    describe('items', () => {
+        beforeEach(async () => {
+            await stateStoreService.initialize();
+        });
+
+        it('should merge updates into the stored item', () => {
+            stateStoreService.upsertItem('a', {
+                localPath: '/photos/a.jpg',
+                mediaMetadata: { creationTime: '2024-01-02T03:04:05Z' },
+                size: 10
+            });
+            stateStoreService.upsertItem('a', { verified: true });
+
+            expect(stateStoreService.getItem('a')).toMatchObject({
+                status: 'synced',
+                localPath: '/photos/a.jpg',
+                creationTime: '2024-01-02T03:04:05Z',
+                size: 10,
+                verified: true
+            });
+        });
+
+        it('should roll back a failed transaction', () => {
+            expect(() => stateStoreService.transaction(() => {
+                stateStoreService.upsertItem('a', { localPath: '/photos/a.jpg' });
+                throw new Error('boom');
+            })).toThrow('boom');
+
+            expect(stateStoreService.getItem('a')).toBeNull();
+        });
+
+        it('should summarize synced, failed and deleted items', () => {
+            stateStoreService.upsertItem('a', { size: 10, lastSync: '2024-01-01T00:00:00.000Z' });
+            stateStoreService.upsertItem('b', { size: 5, lastSync: '2024-02-01T00:00:00.000Z' });
+            stateStoreService.upsertItem('c', { status: 'failed', error: 'boom' });
+            stateStoreService.upsertItem('d', { size: 7, deletedAt: '2024-03-01T00:00:00.000Z' });
+
+            expect(stateStoreService.getItemStats()).toEqual({
+                synced: 2,
+                failed: 1,
+                deleted: 1,
+                lastSync: '2024-02-01T00:00:00.000Z',
+                totalSize: 15
+            });
+        });
+
+        it('should keep old synced items through the cleanup after a sync', async () => {
+            const old = '2020-01-01T00:00:00.000Z';
+            stateStoreService.upsertItem('synced', { localPath: '/photos/a.jpg', sha256: 'abc', keeper: true, lastSync: old });
+            stateStoreService.upsertItem('failed', { status: 'failed', error: 'boom', lastSync: old });
+            stateStoreService.upsertItem('refetch', { localPath: '/photos/b.jpg', sha256: 'def', lastSync: old });
+            stateStoreService.upsertItem('refetch', { status: 'failed', error: 'boom' });
+            stateStoreService.upsertItem('recent', { status: 'failed', error: 'boom', lastSync: new Date().toISOString() });
+
+            await syncCacheService.cleanup();
+
+            expect(stateStoreService.getItem('synced')).toMatchObject({ sha256: 'abc', keeper: true });
+            expect(stateStoreService.getItem('refetch')).toMatchObject({ sha256: 'def' });
+            expect(stateStoreService.getItem('recent')).not.toBeNull();
+            expect(stateStoreService.getItem('failed')).toBeNull();
+        });
+    });
+
+    describe('migrateLegacyFiles', () => {
+        it('should import the JSON state files and set them aside', async () => {
+            const photoPath = path.join(syncDir, 'a.jpg');
+            fs.writeFileSync(photoPath, 'photo');
+            fs.writeFileSync(path.join(syncDir, '.sync_cache.json'), JSON.stringify({
+                version: 1,
+                highWaterMark: '2024-05-01T00:00:00Z',
+                items: {
+                    a: { localPath: photoPath, fileName: 'a.jpg', mimeType: 'image/jpeg', verified: true }
+                }
+            }));
+            fs.writeFileSync(path.join(syncDir, '.sync_state.json'), JSON.stringify([
+                ['a', { synced: true, path: photoPath, timestamp: 1 }],
+                ['b', { synced: false, error: 'boom', timestamp: 2 }]
+            ]));
+            fs.writeFileSync(path.join(syncDir, '.deleted_items.json'), JSON.stringify([
+                ['c', { path: path.join(syncDir, 'c.jpg'), deletedTimestamp: 3 }]
+            ]));
+            fs.writeFileSync(path.join(syncDir, '.discovery_cache_user1.json'), JSON.stringify({
+                timestamp: 4,
+                userId: 'user1',
+                results: { items: [{ id: 'a' }], totalItems: 1 }
+            }));
+
+            await stateStoreService.initialize();
+
+            expect(stateStoreService.getItem('a')).toMatchObject({ localPath: photoPath, size: 5, verified: true });
+            expect(stateStoreService.getItem('b')).toMatchObject({ status: 'failed', error: 'boom' });
+            expect(stateStoreService.getItem('c').deletedAt).toBe(new Date(3).toISOString());
+            expect(stateStoreService.getMeta('highWaterMark')).toBe('2024-05-01T00:00:00Z');
+            expect(stateStoreService.getDiscoveryCache('user1')).toMatchObject({ timestamp: 4, results: { totalItems: 1 } });
+            expect(fs.existsSync(path.join(syncDir, '.sync_cache.json'))).toBe(false);
+            expect(fs.existsSync(path.join(syncDir, '.sync_cache.json.migrated'))).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,84 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: syncJobService } = await import('../services/sync.job.service.js');
+
+const items = [
+    { id: 'a', filename: 'a.jpg', mimeType: 'image/jpeg', mediaMetadata: {}, baseUrl: 'http://a' },
+    { id: 'b', filename: 'b.jpg', mimeType: 'image/jpeg', mediaMetadata: {}, baseUrl: 'http://b' },
+    { id: 'c', filename: 'c.mp4', mimeType: 'video/mp4', mediaMetadata: {}, baseUrl: 'http://c' }
+];
+
+describe('Sync Job Service', () => {
+    let configDir;
+
+    // Simulate a restart: reopen the database and load the job from it
+    const restart = async () => {
+        stateStoreService.close();
+        await stateStoreService.initialize();
+        await syncJobService.initialize();
+    };
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-job-test-'));
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({
+            syncDir: path.join(configDir, 'photos'),
+            maxConcurrentDownloads: 4
+        });
+        await stateStoreService.initialize();
+        await syncJobService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should persist the job with a settings snapshot', async () => {
+        const job = await syncJobService.createJob(items, { syncDir: '/photos' });
+        await restart();
+
+        const loaded = syncJobService.getJob();
+        expect(loaded.id).toBe(job.id);
+        expect(loaded.items).toHaveLength(3);
+        expect(loaded.settings.maxConcurrentDownloads).toBe(4);
+    });
+
+    it('should mark a running job as interrupted on startup', async () => {
+        await syncJobService.createJob(items, { syncDir: '/photos' });
+        syncJobService.markItem('a', 'done', { localPath: '/photos/a.jpg' });
+        syncJobService.markItem('b', 'failed', { error: 'boom' });
+
+        await restart();
+
+        const job = syncJobService.getResumableJob();
+        expect(job).not.toBeNull();
+        expect(job.status).toBe('interrupted');
+        expect(syncJobService.getSummary()).toMatchObject({ total: 3, done: 1, failed: 1 });
+        expect(syncJobService.getRemainingItems().map(item => item.id)).toEqual(['b', 'c']);
+        expect(syncJobService.getCompletedItems()[0].localPath).toBe('/photos/a.jpg');
+    });
+
+    it('should remove the record when the job is discarded', async () => {
+        await syncJobService.createJob(items, { syncDir: '/photos' });
+        await syncJobService.discardJob();
+        await restart();
+
+        expect(syncJobService.getJob()).toBeNull();
+    });
+});
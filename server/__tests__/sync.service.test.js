@@ -1,7 +1,14 @@
 import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Create mock functions
 const mockLoadSettings = jest.fn();
+const mockGetSettings = jest.fn(() => ({}));
+const mockRefreshBaseUrls = jest.fn();
+const mockGetHighWaterMark = jest.fn();
+const mockSetHighWaterMark = jest.fn();
 const mockGetPhotos = jest.fn();
 const mockResetSyncStatus = jest.fn();
 const mockUpdateSyncStatus = jest.fn();
@@ -24,19 +31,40 @@ jest.unstable_mockModule('../services/websocket.service.js', () => ({
 
 jest.unstable_mockModule('../services/photos.service.js', () => ({
     default: {
-        getPhotos: mockGetPhotos
+        getPhotos: mockGetPhotos,
+        clearDownloadQueue: jest.fn(),
+        BATCH_GET_LIMIT: 50,
+        isBaseUrlExpired: item => Boolean(item.expired),
+        refreshBaseUrls: mockRefreshBaseUrls,
+        getDownloadUrl: item => `${item.baseUrl}=d`
+    }
+}));
+
+jest.unstable_mockModule('../services/sync.cache.service.js', () => ({
+    default: {
+        getItem: jest.fn(),
+        updateItem: jest.fn(),
+        cleanup: jest.fn(),
+        getHighWaterMark: mockGetHighWaterMark,
+        setHighWaterMark: mockSetHighWaterMark
     }
 }));
 
 jest.unstable_mockModule('../services/settings.service.js', () => ({
     default: {
-        loadSettings: mockLoadSettings
+        loadSettings: mockLoadSettings,
+        getSettings: mockGetSettings
     }
 }));
 
 // Import services after mocking
 const { default: syncService } = await import('../services/sync.service.js');
 const { default: websocketService } = await import('../services/websocket.service.js');
+const { default: downloadService } = await import('../services/download.service.js');
+const { default: organizeService } = await import('../services/organize.service.js');
+const { default: dedupService } = await import('../services/dedup.service.js');
+const { default: metadataService } = await import('../services/metadata.service.js');
+const { default: timestampService } = await import('../services/timestamp.service.js');
 
 describe('Sync Service', () => {
     beforeEach(() => {
@@ -171,5 +199,215 @@ describe('Sync Service', () => {
 
             await expect(syncService.startSync(mockAuth)).rejects.toThrow('Sync is already in progress');
         });
+
+        it('should stay in progress after a cancel until its downloads have finished', async () => {
+            jest.useRealTimers();
+            let finishDownloads;
+            jest.spyOn(syncService, 'prepareNewJob').mockResolvedValue({
+                syncDir: '/test/path', itemsToSync: mockPhotos, concurrency: 2, discoveryResults: null
+            });
+            jest.spyOn(syncService, 'runDownloadPool').mockReturnValue(new Promise(resolve => {
+                finishDownloads = resolve;
+            }));
+            mockUpdateSyncStatus.mockImplementation(update => Object.assign(websocketService.currentSync, update));
+
+            try {
+                const firstSync = syncService.startSync(mockAuth);
+                await new Promise(resolve => setImmediate(resolve));
+                syncService.cancelSync();
+
+                expect(websocketService.currentSync.isCancelled).toBe(true);
+                expect(syncService.isSyncing()).toBe(true);
+                await expect(syncService.startSync(mockAuth)).rejects.toThrow('Sync is already in progress');
+                // The refused sync left the cancel in place for the running workers
+                expect(websocketService.currentSync.isCancelled).toBe(true);
+
+                finishDownloads({ processedItems: 1, failedItems: 0 });
+                await firstSync;
+                expect(syncService.isSyncing()).toBe(false);
+                expect(syncService.runDownloadPool).toHaveBeenCalledTimes(1);
+            } finally {
+                mockUpdateSyncStatus.mockReset();
+                jest.restoreAllMocks();
+            }
+        });
+    });
+    describe('high-water mark', () => {
+        const item = creationTime => ({ mediaMetadata: { creationTime } });
+
+        it('should take the newest creation time of a complete discovery', () => {
+            const discoveryResults = {
+                items: [item('2024-03-01T00:00:00Z'), item('2024-05-01T00:00:00Z'), {}, item('2024-04-01T00:00:00Z')],
+                hasMore: false
+            };
+
+            expect(syncService.getHighWaterMarkCandidate(discoveryResults)).toBe('2024-05-01T00:00:00Z');
+            expect(syncService.getHighWaterMarkCandidate({ items: [], hasMore: false })).toBeNull();
+        });
+
+        it('should not move the mark past a discovery that has pages left', () => {
+            expect(syncService.getHighWaterMarkCandidate({ items: [item('2024-05-01T00:00:00Z')], hasMore: true })).toBeNull();
+        });
+
+        it('should only move the mark forward', async () => {
+            mockGetHighWaterMark.mockReturnValue('2024-05-01T00:00:00Z');
+
+            await syncService.updateHighWaterMark('2024-04-01T00:00:00Z');
+            await syncService.updateHighWaterMark(null);
+            expect(mockSetHighWaterMark).not.toHaveBeenCalled();
+
+            await syncService.updateHighWaterMark('2024-06-01T00:00:00Z');
+            expect(mockSetHighWaterMark).toHaveBeenCalledWith('2024-06-01T00:00:00Z');
+
+            mockGetHighWaterMark.mockReturnValue(null);
+            await syncService.updateHighWaterMark('2024-01-01T00:00:00Z');
+            expect(mockSetHighWaterMark).toHaveBeenLastCalledWith('2024-01-01T00:00:00Z');
+        });
+    });
+
+    describe('runDownloadPool', () => {
+        const items = Array.from({ length: 7 }, (_, i) => ({ id: `${i}`, filename: `photo${i}.jpg` }));
+
+        beforeEach(() => {
+            jest.useRealTimers();
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should keep at most the configured number of downloads in flight', async () => {
+            let inFlight = 0;
+            let maxInFlight = 0;
+            jest.spyOn(syncService, 'downloadItem').mockImplementation(async () => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await new Promise(resolve => setImmediate(resolve));
+                inFlight--;
+                return { success: true, filePath: '/test/path/photo.jpg' };
+            });
+
+            const result = await syncService.runDownloadPool(items, '/test/path', 3);
+
+            expect(result).toEqual({ processedItems: 7, failedItems: 0 });
+            expect(syncService.downloadItem).toHaveBeenCalledTimes(7);
+            expect(maxInFlight).toBe(3);
+        });
+
+        it('should count failed downloads', async () => {
+            jest.spyOn(syncService, 'downloadItem').mockImplementation(async (item) => (
+                item.id === '2' ? { success: false, error: 'boom' } : { success: true }
+            ));
+
+            const result = await syncService.runDownloadPool(items, '/test/path', 2);
+
+            expect(result).toEqual({ processedItems: 7, failedItems: 1 });
+        });
+
+        it('should stop picking up new items once cancelled', async () => {
+            jest.spyOn(syncService, 'downloadItem').mockImplementation(async () => {
+                websocketService.currentSync.isCancelled = true;
+                return { success: true };
+            });
+
+            await syncService.runDownloadPool(items, '/test/path', 2);
+
+            // Each worker finishes at most the download it already started
+            expect(syncService.downloadItem.mock.calls.length).toBeLessThanOrEqual(2);
+        });
+    });
+
+    describe('baseUrl refresh', () => {
+        const auth = { credentials: { access_token: 'token' } };
+        // A refresh that renews the baseUrls it's given
+        const renew = async (refreshAuth, items) => {
+            for (const item of items) {
+                item.baseUrl = `${item.baseUrl}-fresh`;
+                item.expired = false;
+            }
+            return items.length;
+        };
+
+        beforeEach(() => {
+            jest.useRealTimers();
+            mockRefreshBaseUrls.mockReset().mockImplementation(renew);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should refresh the expired items queued behind the next one, 50 at a time', async () => {
+            const items = Array.from({ length: 80 }, (_, i) => ({ id: `${i}`, baseUrl: `url${i}`, expired: i !== 3 }));
+
+            await syncService.ensureFreshUrls(auth, items, 0);
+
+            expect(mockRefreshBaseUrls).toHaveBeenCalledTimes(1);
+            const [, batch] = mockRefreshBaseUrls.mock.calls[0];
+            expect(batch).toHaveLength(50);
+            expect(batch.map(item => item.id)).not.toContain('3');
+            expect(items[50]).toMatchObject({ baseUrl: 'url50-fresh', expired: false });
+            expect(items[51].expired).toBe(true);
+
+            // Fresh items need no call, and workers share a refresh that is running
+            await syncService.ensureFreshUrls(auth, items, 1);
+            await Promise.all([syncService.ensureFreshUrls(auth, items, 60), syncService.ensureFreshUrls(auth, items, 61)]);
+            expect(mockRefreshBaseUrls).toHaveBeenCalledTimes(2);
+            expect(items[79].expired).toBe(false);
+        });
+
+        describe('downloadItem', () => {
+            let syncDir;
+            let downloadedUrls;
+
+            const rejectWith = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+            beforeEach(() => {
+                syncDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+                downloadedUrls = [];
+                mockGetSettings.mockReturnValue({ autoRetry: false });
+                jest.spyOn(organizeService, 'claimTargetPath').mockImplementation(item => path.join(syncDir, `${item.id}.jpg`));
+                jest.spyOn(organizeService, 'releasePath').mockImplementation(() => {});
+                jest.spyOn(dedupService, 'processDownload').mockImplementation(async (item, filePath) => ({ filePath, sha256: null, shared: false }));
+                jest.spyOn(dedupService, 'hashFile').mockResolvedValue('hash');
+                jest.spyOn(metadataService, 'writeMetadata').mockResolvedValue(null);
+                jest.spyOn(timestampService, 'applyCreationTime').mockResolvedValue();
+            });
+
+            afterEach(() => {
+                mockGetSettings.mockReset().mockReturnValue({});
+                fs.rmSync(syncDir, { recursive: true, force: true });
+            });
+
+            // Answers with the given statuses first, then downloads
+            const serve = (...statuses) => jest.spyOn(downloadService, 'downloadToFile').mockImplementation(async (url, filePath) => {
+                downloadedUrls.push(url);
+                const status = statuses.shift();
+                if (status) throw rejectWith(status);
+                fs.writeFileSync(filePath, 'photo');
+                return { size: 5 };
+            });
+
+            it.each([403, 410])('should refresh a baseUrl rejected with %i and try again right away', async (status) => {
+                serve(status);
+                const item = { id: 'a', baseUrl: 'url' };
+
+                const result = await syncService.downloadItem(item, syncDir, auth);
+
+                expect(result).toEqual({ success: true, filePath: path.join(syncDir, 'a.jpg') });
+                expect(mockRefreshBaseUrls).toHaveBeenCalledWith(auth, [item]);
+                expect(downloadedUrls).toEqual(['url=d', 'url-fresh=d']);
+            });
+
+            it('should only refresh once per download', async () => {
+                serve(403, 403);
+
+                const result = await syncService.downloadItem({ id: 'a', baseUrl: 'url' }, syncDir, auth);
+
+                expect(result).toMatchObject({ success: false, error: 'Request failed with status code 403' });
+                expect(mockRefreshBaseUrls).toHaveBeenCalledTimes(1);
+                expect(downloadedUrls).toHaveLength(2);
+            });
+        });
     });
-}); 
\ No newline at end of file
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import path from 'path';
+
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import service after mocking
+const { default: templateService } = await import('../services/template.service.js');
+
+const item = {
+    id: 'AF1QipNabc123XYZ98765432',
+    filename: 'PXL_20230714_183005.jpg',
+    mimeType: 'image/jpeg',
+    mediaMetadata: {
+        creationTime: '2023-07-14T18:30:05Z',
+        photo: { cameraMake: 'Google', cameraModel: 'Pixel 7' }
+    }
+};
+
+describe('Template Service', () => {
+    beforeEach(() => {
+        mockGetSettings.mockReturnValue({ timezone: 'Europe/Berlin', folderStructure: 'year/month' });
+    });
+
+    it('should render folder and file name tokens in the configured timezone', () => {
+        const settings = {
+            timezone: 'Europe/Berlin',
+            folderStructure: 'custom',
+            folderTemplate: '{year}/{month}-{monthName}',
+            fileNameTemplate: '{date:YYYYMMDD}_{time:HHmmss}_{camera}_{id8}.{ext}'
+        };
+
+        expect(templateService.renderPath(item, settings))
+            .toBe(path.join('2023', '07-July', '20230714_203005_Google Pixel 7_98765432.jpg'));
+        expect(templateService.renderFolder(item)).toBe(path.join('2023', '07'));
+    });
+
+    it('should keep the original naming scheme by default', () => {
+        expect(templateService.renderFileName(item)).toBe('PXL_20230714_183005_1689359405000_98765432.jpg');
+        expect(templateService.renderFileName({ ...item, filename: undefined }))
+            .toBe('AF1QipNabc123XYZ98765432_1689359405000_98765432');
+    });
+
+    it('should make names safe for NAS shares', () => {
+        expect(templateService.renderFileName({ ...item, filename: 'a\\b:c*?.JPG' }, '{name}')).toBe('a_b_c__.JPG');
+        expect(templateService.sanitize('con')).toBe('_con');
+        expect(templateService.sanitize('..hidden. ')).toBe('hidden');
+        expect(templateService.renderFolder(item, '{type}//@eaDir')).toBe(path.join('photo', '_@eaDir'));
+
+        const long = templateService.sanitize(`${'é'.repeat(100)}.jpg`, { keepExtension: true });
+        expect(Buffer.byteLength(long)).toBeLessThanOrEqual(143);
+        expect(long.endsWith('é.jpg')).toBe(true);
+    });
+
+    it('should reject unknown tokens and stray braces', () => {
+        expect(templateService.validate('{year}/{month}')).toBeNull();
+        expect(templateService.validate('{date:YYYY-MM}')).toBeNull();
+        expect(templateService.validate('{yaer}')).toBe('Unknown token {yaer}');
+        expect(templateService.validate('{year')).toBe('Unbalanced { or } in template');
+    });
+
+    it('should number taken names', () => {
+        expect(templateService.withSuffix(path.join('2023', 'a.jpg'), 1)).toBe(path.join('2023', 'a.jpg'));
+        expect(templateService.withSuffix(path.join('2023', 'a.jpg'), 3)).toBe(path.join('2023', 'a_3.jpg'));
+    });
+});
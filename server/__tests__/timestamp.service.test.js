@@ -0,0 +1,77 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: timestampService } = await import('../services/timestamp.service.js');
+
+describe('Timestamp Service', () => {
+    let configDir;
+    const creationTime = '2023-01-05T23:15:00Z';
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'timestamp-test-'));
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ timezone: 'Europe/Berlin' });
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should convert capture times to the configured timezone', () => {
+        const date = new Date(creationTime);
+
+        // Just before midnight UTC is already the next day in Berlin
+        expect(timestampService.getLocalParts(date)).toEqual({
+            year: '2023', month: '01', day: '06', hour: '00', minute: '15', second: '00'
+        });
+        expect(timestampService.getOffset(date)).toBe('+01:00');
+        expect(timestampService.getOffset(new Date('2023-07-14T12:00:00Z'))).toBe('+02:00');
+        expect(timestampService.getOffset(date, 'America/St_Johns')).toBe('-03:30');
+        expect(timestampService.getLocalParts(date, 'UTC').day).toBe('05');
+    });
+
+    it('should fall back to the server timezone for unknown timezones', () => {
+        mockGetSettings.mockReturnValue({ timezone: 'Mars/Olympus_Mons' });
+
+        expect(timestampService.isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+        expect(timestampService.getTimeZone()).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    });
+
+    it('should set mtime to the capture time', async () => {
+        const filePath = path.join(configDir, 'a.jpg');
+        fs.writeFileSync(filePath, 'a');
+
+        expect(await timestampService.applyCreationTime(filePath, { mediaMetadata: { creationTime } })).toBe(true);
+        expect(fs.statSync(filePath).mtime.toISOString()).toBe('2023-01-05T23:15:00.000Z');
+        expect(await timestampService.applyCreationTime(filePath, { mediaMetadata: {} })).toBe(false);
+    });
+
+    it('should repair timestamps of synced files', async () => {
+        const stalePath = path.join(configDir, 'a.jpg');
+        fs.writeFileSync(stalePath, 'a');
+        stateStoreService.upsertItem('a', { localPath: stalePath, creationTime });
+        stateStoreService.upsertItem('b', { localPath: path.join(configDir, 'missing.jpg'), creationTime });
+
+        const result = await timestampService.repairTimestamps();
+
+        expect(result).toMatchObject({ running: false, checked: 2, total: 2, fixed: 1, missing: 1, failed: 0 });
+        expect(fs.statSync(stalePath).mtime.toISOString()).toBe('2023-01-05T23:15:00.000Z');
+        expect((await timestampService.repairTimestamps()).fixed).toBe(0);
+    });
+});
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import tokenStoreService from '../services/token.store.service.js';
+
+const tokens = { access_token: 'ya29.access', refresh_token: '1//refresh-secret', expiry_date: 1760000000000 };
+const mode = filePath => fs.statSync(filePath).mode & 0o777;
+
+describe('Token Store Service', () => {
+    let tmpDir;
+
+    beforeEach(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-test-'));
+        delete process.env.TOKEN_ENCRYPTION_KEY;
+        process.env.TOKEN_KEY_FILE = path.join(tmpDir, 'keys', 'token.key');
+        await tokenStoreService.initialize();
+    });
+
+    afterEach(() => {
+        delete process.env.TOKEN_KEY_FILE;
+        delete process.env.TOKEN_ENCRYPTION_KEY;
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('should generate a private keyfile and reuse it', async () => {
+        const keyFile = process.env.TOKEN_KEY_FILE;
+        const key = fs.readFileSync(keyFile, 'utf8');
+
+        expect(key.trim()).toMatch(/^[0-9a-f]{64}$/);
+        expect(mode(keyFile)).toBe(0o600);
+
+        await tokenStoreService.initialize();
+        expect(fs.readFileSync(keyFile, 'utf8')).toBe(key);
+    });
+
+    it('should keep the generated keyfile out of the config directory by default', async () => {
+        const configDir = path.join(tmpDir, 'config');
+        const keyFile = path.join(tmpDir, 'home', 'google-photos-sync', 'token.key');
+        delete process.env.TOKEN_KEY_FILE;
+        process.env.XDG_CONFIG_HOME = path.join(tmpDir, 'home');
+        try {
+            await tokenStoreService.initialize(configDir);
+            expect(tokenStoreService.keySource).toBe(keyFile);
+            expect(mode(keyFile)).toBe(0o600);
+            expect(fs.existsSync(path.join(configDir, 'token.key'))).toBe(false);
+
+            // A keyfile an earlier version left next to the tokens is moved out
+            const key = fs.readFileSync(keyFile, 'utf8');
+            fs.mkdirSync(configDir);
+            fs.renameSync(keyFile, path.join(configDir, 'token.key'));
+            await tokenStoreService.initialize(configDir);
+            expect(fs.readFileSync(keyFile, 'utf8')).toBe(key);
+            expect(fs.existsSync(path.join(configDir, 'token.key'))).toBe(false);
+        } finally {
+            delete process.env.XDG_CONFIG_HOME;
+        }
+    });
+
+    it('should refuse a key that opens none of the stored token files', async () => {
+        const first = path.join(tmpDir, 'a', 'tokens.json');
+        const second = path.join(tmpDir, 'b', 'tokens.json');
+        await tokenStoreService.write(first, tokens);
+        await tokenStoreService.write(second, tokens);
+        await expect(tokenStoreService.verifyKey([first, second, path.join(tmpDir, 'missing.json')])).resolves.toBeUndefined();
+
+        // As after losing the keyfile
+        fs.rmSync(process.env.TOKEN_KEY_FILE);
+        await tokenStoreService.initialize();
+        await expect(tokenStoreService.verifyKey([first, second])).rejects.toMatchObject({ code: 'EBADKEY' });
+        await expect(tokenStoreService.verifyKey([])).resolves.toBeUndefined();
+    });
+
+    it('should write tokens encrypted and only readable by the owner', async () => {
+        const filePath = path.join(tmpDir, 'tokens.json');
+
+        await tokenStoreService.write(filePath, tokens);
+
+        const contents = fs.readFileSync(filePath, 'utf8');
+        expect(contents).not.toContain('refresh-secret');
+        expect(JSON.parse(contents)).toMatchObject({ algorithm: 'aes-256-gcm' });
+        expect(mode(filePath)).toBe(0o600);
+        expect(await tokenStoreService.read(filePath)).toEqual(tokens);
+        expect(await tokenStoreService.read(path.join(tmpDir, 'missing.json'))).toBeNull();
+    });
+
+    it('should refuse tokens encrypted with another key or tampered with', async () => {
+        const filePath = path.join(tmpDir, 'tokens.json');
+        await tokenStoreService.write(filePath, tokens);
+
+        const tampered = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const data = Buffer.from(tampered.data, 'base64');
+        data[0] ^= 1;
+        tampered.data = data.toString('base64');
+        const tamperedPath = path.join(tmpDir, 'tampered.json');
+        fs.writeFileSync(tamperedPath, JSON.stringify(tampered));
+        await expect(tokenStoreService.read(tamperedPath)).rejects.toMatchObject({ code: 'EDECRYPT' });
+
+        process.env.TOKEN_ENCRYPTION_KEY = 'a passphrase';
+        await tokenStoreService.initialize();
+        await expect(tokenStoreService.read(filePath)).rejects.toMatchObject({ code: 'EDECRYPT' });
+    });
+
+    it('should encrypt plaintext tokens and move them from their old location', async () => {
+        const oldPath = path.join(tmpDir, 'cwd', 'tokens.json');
+        const newPath = path.join(tmpDir, 'config', 'tokens.json');
+        fs.mkdirSync(path.dirname(oldPath));
+        fs.writeFileSync(oldPath, JSON.stringify(tokens));
+
+        expect(await tokenStoreService.migrate(oldPath, newPath)).toBe(true);
+
+        expect(fs.existsSync(oldPath)).toBe(false);
+        expect(fs.readFileSync(newPath, 'utf8')).not.toContain('refresh-secret');
+        expect(await tokenStoreService.read(newPath)).toEqual(tokens);
+
+        // Plaintext tokens already in place are encrypted on first read
+        fs.writeFileSync(newPath, JSON.stringify(tokens), { mode: 0o644 });
+        expect(await tokenStoreService.read(newPath)).toEqual(tokens);
+        expect(fs.readFileSync(newPath, 'utf8')).not.toContain('refresh-secret');
+        expect(mode(newPath)).toBe(0o600);
+    });
+});
@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+const mockFindDeletedItemIds = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+jest.unstable_mockModule('../services/photos.service.js', () => ({
+    default: {
+        findDeletedItemIds: mockFindDeletedItemIds
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: trashService } = await import('../services/trash.service.js');
+
+describe('Trash Service', () => {
+    let configDir;
+    let syncDir;
+    const completeDiscovery = { items: [{ id: 'a' }], hasMore: false };
+
+    const addSyncedFile = (id, relativePath) => {
+        const localPath = path.join(syncDir, relativePath);
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        fs.writeFileSync(localPath, id);
+        stateStoreService.upsertItem(id, { localPath, fileName: path.basename(localPath), size: id.length });
+        return localPath;
+    };
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trash-test-'));
+        syncDir = path.join(configDir, 'photos');
+        fs.mkdirSync(syncDir);
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ syncDir, cleanupRemovedFiles: true, trashRetentionDays: 30 });
+        mockFindDeletedItemIds.mockReset();
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should only trash items confirmed as deleted', async () => {
+        addSyncedFile('a', '2024/01/a.jpg');
+        const deletedPath = addSyncedFile('b', '2024/01/b.jpg');
+        const archivedPath = addSyncedFile('c', '2024/02/c.jpg');
+        mockFindDeletedItemIds.mockResolvedValue(['b']);
+
+        const result = await trashService.reconcile({}, syncDir, completeDiscovery);
+
+        expect(mockFindDeletedItemIds).toHaveBeenCalledWith({}, ['b', 'c']);
+        expect(result).toEqual({ checked: 2, trashed: 1, skipped: null });
+        expect(fs.existsSync(deletedPath)).toBe(false);
+        expect(fs.existsSync(path.join(syncDir, '.trash', '2024/01/b.jpg'))).toBe(true);
+        expect(fs.existsSync(archivedPath)).toBe(true);
+        expect(trashService.listTrash().map(item => item.id)).toEqual(['b']);
+    });
+
+    it('should skip incomplete or incremental discoveries', async () => {
+        addSyncedFile('b', 'b.jpg');
+
+        expect((await trashService.reconcile({}, syncDir, { ...completeDiscovery, hasMore: true })).skipped)
+            .toBe('Discovery is incomplete');
+        expect((await trashService.reconcile({}, syncDir, { ...completeDiscovery, incremental: true })).skipped)
+            .toBe('Incremental discovery only covers new items');
+        expect(mockFindDeletedItemIds).not.toHaveBeenCalled();
+    });
+
+    it('should restore an item and keep it from being trashed again', async () => {
+        const localPath = addSyncedFile('b', '2024/01/b.jpg');
+        mockFindDeletedItemIds.mockResolvedValue(['b']);
+        await trashService.reconcile({}, syncDir, completeDiscovery);
+
+        await trashService.restoreItem('b', { keepLocal: true });
+        const result = await trashService.reconcile({}, syncDir, completeDiscovery);
+
+        expect(fs.existsSync(localPath)).toBe(true);
+        expect(result.checked).toBe(0);
+        expect(trashService.listTrash()).toEqual([]);
+    });
+
+    it('should purge items past the retention window', async () => {
+        addSyncedFile('b', 'b.jpg');
+        addSyncedFile('c', 'c.jpg');
+        mockFindDeletedItemIds.mockResolvedValue(['b', 'c']);
+        await trashService.reconcile({}, syncDir, completeDiscovery);
+        const oldDate = new Date(Date.now() - 31 * trashService.DAY).toISOString();
+        stateStoreService.upsertItem('b', { deletedAt: oldDate });
+
+        expect(await trashService.purgeExpired()).toBe(1);
+        expect(stateStoreService.getItem('b')).toBeNull();
+        expect(fs.existsSync(path.join(syncDir, '.trash', 'b.jpg'))).toBe(false);
+        expect(trashService.listTrash().map(item => item.id)).toEqual(['c']);
+    });
+});
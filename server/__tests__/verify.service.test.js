@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const mockGetConfigDir = jest.fn();
+const mockGetSettings = jest.fn();
+
+jest.unstable_mockModule('../services/settings.service.js', () => ({
+    default: {
+        getConfigDir: mockGetConfigDir,
+        getSettings: mockGetSettings
+    }
+}));
+
+jest.unstable_mockModule('../services/photos.service.js', () => ({
+    default: {
+        discoveryResults: null
+    }
+}));
+
+// Import services after mocking
+const { default: stateStoreService } = await import('../services/state.store.service.js');
+const { default: verifyService } = await import('../services/verify.service.js');
+
+describe('Verify Service', () => {
+    let configDir;
+    let syncDir;
+    const creationTime = '2024-05-17T10:00:00Z';
+    const discovered = (id, filename) => ({ id, filename, mimeType: 'image/jpeg', mediaMetadata: { creationTime } });
+
+    const writeFile = (relativePath, content = 'x') => {
+        const filePath = path.join(syncDir, relativePath);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeEach(async () => {
+        configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'verify-test-'));
+        syncDir = path.join(configDir, 'photos');
+        fs.mkdirSync(syncDir);
+        mockGetConfigDir.mockReturnValue(configDir);
+        mockGetSettings.mockReturnValue({ syncDir, fileNameTemplate: '{name}.{ext}', timezone: 'UTC' });
+        await stateStoreService.initialize();
+    });
+
+    afterEach(() => {
+        stateStoreService.close();
+        fs.rmSync(configDir, { recursive: true, force: true });
+    });
+
+    it('should match files by their recorded path and by template name', async () => {
+        const recorded = writeFile(path.join('old', 'renamed.jpg'));
+        stateStoreService.upsertItem('a', { localPath: recorded, fileName: 'renamed.jpg', status: 'synced' });
+        const byName = writeFile(path.join('2024', '05', 'IMG_2.jpg'));
+        const numbered = writeFile(path.join('2024', '05', 'IMG_2_2.jpg'));
+        writeFile(path.join('2024', '05', 'IMG_2.jpg.xmp'));
+        writeFile(path.join('2024', '05', 'IMG_3.jpg.part'));
+        writeFile(path.join('2024', '05', '@eaDir', 'IMG_3.jpg'));
+        writeFile(path.join('Albums', 'Trip', 'IMG_3.jpg'));
+        writeFile('unknown.jpg');
+
+        const result = await verifyService.verify(syncDir, [
+            discovered('a', 'IMG_1.jpg'),
+            discovered('b', 'IMG_2.jpg'),
+            discovered('c', 'IMG_2.jpg'),
+            discovered('d', 'IMG_3.jpg')
+        ]);
+
+        expect(result).toMatchObject({ files: 4, matched: 3, updated: 3, cancelled: false });
+        expect(stateStoreService.getItem('a')).toMatchObject({ localPath: recorded, verified: true, originalFilename: 'IMG_1.jpg' });
+        // Items with the same name take the numbered files in the order they are read
+        expect([stateStoreService.getItem('b').localPath, stateStoreService.getItem('c').localPath].sort())
+            .toEqual([byName, numbered].sort());
+        expect(stateStoreService.getItem('c').verified).toBe(true);
+        expect(stateStoreService.getItem('d')).toBeNull();
+    });
+
+    it('should only read folders that changed in incremental mode', async () => {
+        writeFile(path.join('2024', '05', 'IMG_1.jpg'));
+        writeFile(path.join('2024', '06', 'IMG_2.jpg'));
+        const items = [discovered('a', 'IMG_1.jpg'), discovered('b', 'IMG_2.jpg'), discovered('c', 'IMG_3.jpg')];
+        await verifyService.verify(syncDir, items);
+
+        const unchanged = await verifyService.verify(syncDir, items);
+        expect(unchanged).toMatchObject({ files: 0, dirsRead: 0, dirsSkipped: 4, unchangedFiles: 2 });
+
+        // A file added to one folder, and an item the state store lost
+        writeFile(path.join('2024', '06', 'IMG_3.jpg'));
+        fs.utimesSync(path.join(syncDir, '2024', '06'), new Date(), new Date(Date.now() + 5000));
+        stateStoreService.deleteItem('a');
+
+        const changed = await verifyService.verify(syncDir, items);
+        expect(changed).toMatchObject({ files: 3, updated: 2, dirsRead: 2, dirsSkipped: 2 });
+        expect(stateStoreService.getItem('a').verified).toBe(true);
+        expect(stateStoreService.getItem('c').verified).toBe(true);
+
+        const full = await verifyService.verify(syncDir, items, { incremental: false });
+        expect(full).toMatchObject({ files: 3, updated: 0, dirsRead: 4, dirsSkipped: 0 });
+    });
+
+    it('should throttle progress and stop when cancelled', async () => {
+        const items = [];
+        for (let i = 0; i < 20; i++) {
+            writeFile(`IMG_${i}.jpg`);
+            items.push(discovered(`id${i}`, `IMG_${i}.jpg`));
+        }
+        const onProgress = jest.fn();
+
+        await verifyService.verify(syncDir, items, { onProgress });
+
+        // One update when the first file is matched and one at the end
+        expect(onProgress).toHaveBeenCalledTimes(2);
+        expect(onProgress).toHaveBeenLastCalledWith({ files: 20, matched: 20, unchanged: 0, total: 20 });
+
+        const cancelled = await verifyService.verify(syncDir, items, { incremental: false, isCancelled: () => true });
+        expect(cancelled).toMatchObject({ files: 0, cancelled: true });
+        expect(stateStoreService.getScannedDir(syncDir)).toBeNull();
+    });
+});
@@ -1,5 +1,8 @@
 import { jest } from '@jest/globals';
+import fs from 'fs';
 import http from 'http';
+import os from 'os';
+import path from 'path';
 import { WebSocketServer } from 'ws';
 
 // Create mock WebSocket instance
@@ -33,6 +36,7 @@ jest.unstable_mockModule('ws', () => ({
 
 // Import the service after mocking
 const { default: websocketService } = await import('../services/websocket.service.js');
+const { default: accessService } = await import('../services/access.service.js');
 
 describe('WebSocket Service', () => {
     let mockServer;
@@ -163,4 +167,72 @@ describe('WebSocket Service', () => {
             jest.useRealTimers();
         });
     });
-}); 
\ No newline at end of file
+
+    describe('access', () => {
+        let configDir;
+
+        const upgradeRequest = (headers = {}) => ({ headers, socket: { remoteAddress: '127.0.0.1' } });
+        const verify = (info) => new Promise(resolve => {
+            websocketService.verifyClient(info, (allowed, status) => resolve(allowed ? true : status));
+        });
+        // A socket opened with the session or API token
+        const connect = async (token) => {
+            const req = upgradeRequest({ authorization: `Bearer ${token}` });
+            expect(await verify({ origin: 'http://localhost:5173', req })).toBe(true);
+            const ws = { ...mockWs, on: jest.fn(), close: jest.fn() };
+            websocketService.handleConnection(ws, req);
+            return ws;
+        };
+
+        beforeEach(async () => {
+            configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'websocket-test-'));
+            accessService.access = { users: [], sessions: [], ipAllowlist: [], apiTokens: [] };
+            await accessService.initialize(configDir);
+            await accessService.createUser('admin', 'correct horse');
+            await accessService.createUser('other', 'correct horse');
+        });
+
+        afterEach(() => {
+            mockWss.clients = new Set([mockWs]);
+            fs.rmSync(configDir, { recursive: true, force: true });
+        });
+
+        it('should refuse upgrades from origins the app is not served from', async () => {
+            const { token } = accessService.createSession('admin');
+            const req = upgradeRequest({ cookie: `gps_session=${token}` });
+
+            expect(await verify({ origin: 'https://evil.example', req })).toBe(403);
+            expect(await verify({ origin: 'http://localhost:5173', req })).toBe(true);
+            // Not from a browser
+            expect(await verify({ req })).toBe(true);
+            expect(await verify({ origin: 'http://localhost:5173', req: upgradeRequest() })).toBe(401);
+        });
+
+        it('should close the sockets of sessions that ended', async () => {
+            const current = accessService.createSession('admin');
+            const loggedOutSession = accessService.createSession('admin');
+            const loggedOut = await connect(loggedOutSession.token);
+            const otherSession = await connect(accessService.createSession('admin').token);
+            const kept = await connect(current.token);
+            const removedUser = await connect(accessService.createSession('other').token);
+            const { token: apiToken, apiToken: { id: apiTokenId } } = accessService.createApiToken('script', ['read-status'], 'admin');
+            const revokedToken = await connect(apiToken);
+            mockWss.clients = new Set([mockWs, loggedOut, otherSession, kept, removedUser, revokedToken]);
+            websocketService.wss = mockWss;
+
+            websocketService.closeRevokedSockets();
+            expect([loggedOut, otherSession, kept, removedUser, revokedToken].some(ws => ws.close.mock.calls.length)).toBe(false);
+
+            accessService.logout(loggedOutSession.token);
+            await accessService.changePassword('admin', 'correct horse', 'battery staple', current.session.id);
+            accessService.deleteUser('other');
+            accessService.deleteApiToken(apiTokenId);
+            websocketService.closeRevokedSockets();
+
+            for (const ws of [loggedOut, otherSession, removedUser, revokedToken]) {
+                expect(ws.close).toHaveBeenCalledWith(1008, 'Session ended');
+            }
+            expect(kept.close).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -12,7 +12,8 @@ export const SCOPES = [
 // File paths
 export const PATHS = {
     // Config files
-    TOKENS_PATH: path.join(process.cwd(), 'tokens.json'),
+    TOKENS_PATH: path.join(process.cwd(), 'tokens.json'), // Before tokens moved into the config directory
+    TOKEN_KEY_PATH: path.join(process.cwd(), 'token.key'), // Before the generated token key moved out of the working directory
     SETTINGS_PATH: path.join(process.cwd(), 'settings.json'),
     CREDENTIALS_PATH: path.join(process.cwd(), 'credentials.json'),
     
@@ -37,6 +38,7 @@ export const DEFAULT_SETTINGS = {
     retryAttempts: 3,
     retryDelay: 1000, // milliseconds
     autoSync: false,
+    syncSchedule: '0 3 * * *', // cron expression or interval like '6h'; takes precedence over autoSyncInterval
     autoSyncInterval: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
     notifyOnComplete: true,
     notifyOnError: true
@@ -1,13 +1,29 @@
 import express from 'express';
 import cors from 'cors';
 import http from 'http';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import apiRoutes from './routes/api.routes.js';
+import settingsRoutes from './routes/settings.routes.js';
+import accountsRoutes, { scopeToAccount } from './routes/accounts.routes.js';
+import accessRoutes, { checkIpAllowlist, requireAuth } from './routes/access.routes.js';
+import accessService from './services/access.service.js';
+import publicUrlService from './services/public.url.service.js';
+import accountsService from './services/accounts.service.js';
 import websocketService from './services/websocket.service.js';
 import settingsService from './services/settings.service.js';
 import photosService from './services/photos.service.js';
 import syncCacheService from './services/sync.cache.service.js';
+import downloadService from './services/download.service.js';
+import syncJobService from './services/sync.job.service.js';
+import trashService from './services/trash.service.js';
+import organizeService from './services/organize.service.js';
+import integrityService from './services/integrity.service.js';
+import schedulerService from './services/scheduler.service.js';
+import stateStoreService from './services/state.store.service.js';
+import syncService from './services/sync.service.js';
+import authService from './services/auth.service.js';
 import logger from './services/logger.service.js';
 
 const app = express();
@@ -17,9 +33,12 @@ const server = http.createServer(app);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// CORS configuration
+// Behind a reverse proxy req.ip and req.secure come from its X-Forwarded-* headers
+app.set('trust proxy', publicUrlService.trustProxy);
+
+// CORS configuration: the dev server, PUBLIC_BASE_URL and CORS_ORIGINS
 const corsOptions = {
-    origin: ['http://localhost:5173', 'http://localhost:5174'],
+    origin: (origin, callback) => callback(null, publicUrlService.isAllowedOrigin(origin)),
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: [
         'Content-Type',
@@ -44,10 +63,21 @@ const CONFIG_DIR = process.env.CONFIG_DIR || path.join(__dirname, '../config');
 
 // Initialize all services
 try {
-    await settingsService.initialize(CONFIG_DIR);
+    await accessService.initialize(CONFIG_DIR);
+    // Every account keeps its settings and state in its own directory
+    await accountsService.initialize(CONFIG_DIR);
+    await settingsService.initialize(accountsService.getDataDir(accountsService.getActiveAccountId()));
+    await stateStoreService.initialize();
     await photosService.initialize();
     await syncCacheService.initialize();
+    await downloadService.initialize();
+    await syncJobService.initialize();
+    await trashService.initialize();
+    await organizeService.initialize();
+    await integrityService.initialize();
+    await schedulerService.initialize();
     await websocketService.initialize(server);
+    await authService.initialize();
     logger.info('All services initialized successfully');
 } catch (error) {
     logger.error('Error initializing services:', error);
@@ -59,9 +89,38 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok' });
 });
 
+// Everything else is served under BASE_PATH, e.g. /photosync behind a reverse proxy
+const base = express.Router();
+app.use(publicUrlService.basePath || '/', base);
+
+// Everything but the health check is limited to the IP allowlist, and
+// everything but logging in and the web UI to logged-in users and API tokens with the right scope
+base.use(checkIpAllowlist);
+base.use('/api', accessRoutes);
+base.use('/', accessRoutes);
+
+// The built web UI (npm run build), if there is one. Page loads get the app;
+// requests for JSON, images and the OAuth routes go on to the API
+const DIST_DIR = path.join(__dirname, '../dist');
+if (fs.existsSync(path.join(DIST_DIR, 'index.html'))) {
+    base.use(express.static(DIST_DIR, { index: false }));
+    base.get(/^\/(?!api(\/|$)|ws$|auth$|oauth2callback$)/, (req, res, next) => {
+        if (req.accepts(['json', 'html']) !== 'html') return next();
+        res.sendFile(path.join(DIST_DIR, 'index.html'));
+    });
+}
+
+base.use(requireAuth);
+
 // Routes - mount on both /api and root path for backward compatibility
-app.use('/api', apiRoutes);
-app.use('/', apiRoutes);  // This allows both /api/check-auth and /check-auth to work
+base.use('/api', apiRoutes);
+base.use('/', apiRoutes);  // This allows both /api/check-auth and /check-auth to work
+base.use('/api', settingsRoutes);
+base.use('/', settingsRoutes);
+base.use('/api', accountsRoutes);
+base.use('/', accountsRoutes);
+// Account-scoped routes, e.g. /api/accounts/:accountId/sync, only serve the active account
+base.use(['/api/accounts/:accountId', '/accounts/:accountId'], scopeToAccount, apiRoutes, settingsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -87,10 +146,13 @@ const gracefulShutdown = (signal) => {
         // Then close the HTTP server
         server.close(() => {
             logger.info('HTTP server closed');
-            
+
+            // Sync state is written as it changes; closing checkpoints the WAL
+            stateStoreService.close();
+
             // Clear the timeout since we've shutdown gracefully
             clearTimeout(shutdownTimeout);
-            
+
             // Exit the process
             process.exit(0);
         });
@@ -111,5 +173,28 @@ process.on('unhandledRejection', (reason, promise) => {
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
-    logger.info(`Server is running on port ${PORT}`);
-}); 
\ No newline at end of file
+    logger.info(`Server is running on port ${PORT}${publicUrlService.basePath ? ` under ${publicUrlService.basePath}` : ''}`);
+    resumeInterruptedSync();
+});
+
+// Pick up a sync that was cut short by a restart, if the user opted in
+async function resumeInterruptedSync() {
+    const job = syncJobService.getResumableJob();
+    if (!job || !settingsService.getSettings().autoResumeInterruptedSync) {
+        return;
+    }
+
+    try {
+        const auth = await authService.authenticate();
+        if (!auth) {
+            logger.warn(`Not resuming sync job ${job.id}: not authenticated`);
+            return;
+        }
+        logger.info(`Automatically resuming interrupted sync job ${job.id}`);
+        syncService.startSync(auth, { resume: true }).catch(error => {
+            logger.error('Sync error:', error);
+        });
+    } catch (error) {
+        logger.error('Error resuming interrupted sync:', error);
+    }
+} 
\ No newline at end of file
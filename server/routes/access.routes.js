@@ -0,0 +1,179 @@
+import express from 'express';
+import accessService from '../services/access.service.js';
+import publicUrlService from '../services/public.url.service.js';
+import websocketService from '../services/websocket.service.js';
+import logger from '../services/logger.service.js';
+
+const router = express.Router();
+
+const SESSION_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const ACCESS_ERROR_STATUS = { EINVAL: 400, ELOGIN: 401, ESETUP: 403, ESCOPE: 403, ENOENT: 404, EEXIST: 409, ELAST: 409, ERATE: 429 };
+
+const sendError = (res, error, message) => {
+    if (!ACCESS_ERROR_STATUS[error.code]) {
+        logger.error(message, error);
+    }
+    res.status(ACCESS_ERROR_STATUS[error.code] || 500).json({ error: error.message, code: error.code });
+};
+
+// The token only goes into the httpOnly cookie, never into the response body
+const startSession = (req, res, username, token) => {
+    res.cookie(accessService.SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: req.secure,
+        maxAge: SESSION_MAX_AGE_MS,
+        path: publicUrlService.basePath || '/'
+    });
+    res.json({ success: true, username });
+};
+
+// Refuses clients outside the IP allowlist, before anything else runs
+export const checkIpAllowlist = (req, res, next) => {
+    if (accessService.isIpAllowed(req.ip)) {
+        return next();
+    }
+    logger.warn(`Refused request from ${req.ip}, it is not in the IP allowlist`);
+    res.status(403).json({ error: 'This address is not allowed', code: 'EIP' });
+};
+
+// Everything behind this needs a logged-in user or an API token whose scopes
+// cover the request. req.auth says which; req.session is a user's session.
+export const requireAuth = (req, res, next) => {
+    const auth = accessService.authenticate(req);
+    if (auth) {
+        // The path below BASE_PATH, which the scopes are written against
+        const requestPath = req.originalUrl.split('?')[0].slice(publicUrlService.basePath.length);
+        if (!accessService.isAllowed(auth.scopes, req.method, requestPath)) {
+            return res.status(403).json({
+                error: `API token ${auth.apiToken.name} may not ${req.method} ${requestPath}`,
+                code: 'ESCOPE'
+            });
+        }
+        req.auth = auth;
+        req.session = auth.session || null;
+        return next();
+    }
+    if (accessService.isSetupRequired()) {
+        return res.status(401).json({ error: 'Create the first user to get started', code: 'ESETUP' });
+    }
+    res.status(401).json({ error: 'Log in first', code: 'ELOGIN' });
+};
+
+// Who is logged in, and whether the first user still has to be created
+router.get('/session', (req, res) => {
+    const session = accessService.getSession(accessService.getRequestToken(req));
+    res.json({
+        authenticated: Boolean(session),
+        username: session?.username || null,
+        setupRequired: accessService.isSetupRequired()
+    });
+});
+
+router.post('/session/setup', async (req, res) => {
+    try {
+        const { username, password, setupCode } = req.body || {};
+        await accessService.setup(username, password, setupCode, req.ip);
+        const { token } = accessService.createSession(username);
+        startSession(req, res, username, token);
+    } catch (error) {
+        sendError(res, error, 'Error creating the first user:');
+    }
+});
+
+router.post('/session/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const { token, session } = await accessService.login(username, password, req.ip);
+        logger.info(`${session.username} logged in from ${req.ip}`);
+        startSession(req, res, session.username, token);
+    } catch (error) {
+        sendError(res, error, 'Error logging in:');
+    }
+});
+
+router.post('/session/logout', (req, res) => {
+    accessService.logout(accessService.getRequestToken(req));
+    websocketService.closeRevokedSockets();
+    res.clearCookie(accessService.SESSION_COOKIE, { path: publicUrlService.basePath || '/' });
+    res.json({ success: true });
+});
+
+router.post('/session/password', requireAuth, async (req, res) => {
+    try {
+        if (!req.session) {
+            return res.status(403).json({ error: 'API tokens have no password', code: 'ESCOPE' });
+        }
+        const { currentPassword, newPassword } = req.body || {};
+        await accessService.changePassword(req.session.username, currentPassword, newPassword, req.session.id);
+        websocketService.closeRevokedSockets();
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error changing password:');
+    }
+});
+
+router.get('/users', requireAuth, (req, res) => {
+    res.json({ users: accessService.getUsers() });
+});
+
+router.post('/users', requireAuth, async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        res.json({ success: true, user: await accessService.createUser(username, password) });
+    } catch (error) {
+        sendError(res, error, 'Error creating user:');
+    }
+});
+
+router.delete('/users/:username', requireAuth, (req, res) => {
+    try {
+        accessService.deleteUser(req.params.username);
+        websocketService.closeRevokedSockets();
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error removing user:');
+    }
+});
+
+router.get('/access', requireAuth, (req, res) => {
+    res.json({ ipAllowlist: accessService.getIpAllowlist(), clientIp: req.ip });
+});
+
+router.post('/access', requireAuth, (req, res) => {
+    try {
+        // Never lock out the client making the change
+        accessService.setIpAllowlist((req.body || {}).ipAllowlist, req.ip);
+        res.json({ success: true, ipAllowlist: accessService.getIpAllowlist() });
+    } catch (error) {
+        sendError(res, error, 'Error saving the IP allowlist:');
+    }
+});
+
+router.get('/api-tokens', requireAuth, (req, res) => {
+    res.json({ apiTokens: accessService.getApiTokens(), scopes: accessService.API_TOKEN_SCOPES });
+});
+
+// The token is in this response only
+router.post('/api-tokens', requireAuth, (req, res) => {
+    try {
+        const { name, scopes } = req.body || {};
+        const createdBy = req.session?.username || req.auth.apiToken.createdBy;
+        res.json({ success: true, ...accessService.createApiToken(name, scopes, createdBy) });
+    } catch (error) {
+        sendError(res, error, 'Error creating API token:');
+    }
+});
+
+router.delete('/api-tokens/:id', requireAuth, (req, res) => {
+    try {
+        accessService.deleteApiToken(req.params.id);
+        websocketService.closeRevokedSockets();
+        res.json({ success: true });
+    } catch (error) {
+        sendError(res, error, 'Error revoking API token:');
+    }
+});
+
+export default router;
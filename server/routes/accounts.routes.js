@@ -0,0 +1,62 @@
+import express from 'express';
+import accountsService from '../services/accounts.service.js';
+import logger from '../services/logger.service.js';
+
+const router = express.Router();
+
+const ACCOUNT_ERROR_STATUS = { ENOENT: 404, EBUSY: 409, EACTIVE: 409, EINACTIVE: 409 };
+
+router.get('/accounts', (req, res) => {
+    try {
+        res.json({
+            activeAccountId: accountsService.getActiveAccountId(),
+            accounts: accountsService.getAccounts().map(account => accountsService.summarize(account))
+        });
+    } catch (error) {
+        logger.error('Error listing accounts:', error);
+        res.status(500).json({ error: 'Failed to list accounts' });
+    }
+});
+
+// Make the account the one the unscoped routes and the web UI work on
+router.post('/accounts/:accountId/activate', async (req, res) => {
+    try {
+        const account = await accountsService.activate(req.params.accountId);
+        res.json({ success: true, account: accountsService.summarize(account) });
+    } catch (error) {
+        if (!ACCOUNT_ERROR_STATUS[error.code]) {
+            logger.error('Error switching accounts:', error);
+        }
+        res.status(ACCOUNT_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+});
+
+// Forget the account's tokens; its library and sync state stay on disk
+router.delete('/accounts/:accountId', async (req, res) => {
+    try {
+        await accountsService.removeAccount(req.params.accountId);
+        res.json({ success: true });
+    } catch (error) {
+        if (!ACCOUNT_ERROR_STATUS[error.code]) {
+            logger.error('Error removing account:', error);
+        }
+        res.status(ACCOUNT_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+});
+
+// Mounted in front of the API under /accounts/:accountId, so that e.g.
+// /accounts/:accountId/sync is refused unless that account is the active one.
+// Only the activate route above switches accounts.
+export const scopeToAccount = (req, res, next) => {
+    try {
+        accountsService.checkActive(req.params.accountId);
+        next();
+    } catch (error) {
+        if (!ACCOUNT_ERROR_STATUS[error.code]) {
+            logger.error('Error checking the account:', error);
+        }
+        res.status(ACCOUNT_ERROR_STATUS[error.code] || 500).json({ error: error.message, code: error.code });
+    }
+};
+
+export default router;
@@ -1,11 +1,23 @@
 import express from 'express';
 import { SCOPES } from '../config/constants.js';
 import authService from '../services/auth.service.js';
+import accountsService from '../services/accounts.service.js';
 import settingsService from '../services/settings.service.js';
 import syncService from '../services/sync.service.js';
 import photosService from '../services/photos.service.js';
+import albumsService from '../services/albums.service.js';
+import syncJobService from '../services/sync.job.service.js';
+import trashService from '../services/trash.service.js';
+import dedupService from '../services/dedup.service.js';
+import similarityService from '../services/similarity.service.js';
+import timestampService from '../services/timestamp.service.js';
+import organizeService from '../services/organize.service.js';
+import integrityService from '../services/integrity.service.js';
+import schedulerService from '../services/scheduler.service.js';
+import templateService from '../services/template.service.js';
 import logger from '../services/logger.service.js';
 import websocketService from '../services/websocket.service.js';
+import publicUrlService from '../services/public.url.service.js';
 import path from 'path';
 
 const router = express.Router();
@@ -51,7 +63,7 @@ router.get('/auth', (req, res) => {
 router.get('/oauth2callback', async (req, res) => {
     const { code, error: authError, state } = req.query;
     const reactAppPort = state || process.env.REACT_APP_PORT || '5173';
-    const baseRedirectUrl = `http://localhost:${reactAppPort}`;
+    const baseRedirectUrl = publicUrlService.getAppUrl(reactAppPort);
     
     if (authError) {
         logger.error('Error returned from Google OAuth:', authError);
@@ -65,13 +77,17 @@ router.get('/oauth2callback', async (req, res) => {
     
     try {
         const tokens = await authService.getTokens(code);
-        authService.setCredentials(tokens);
-        authService.saveTokens(tokens);
-        logger.info('Authentication successful');
+        // The Google account that logged in picks the account the tokens belong to
+        const account = await authService.addAccount(tokens);
+        logger.info(`Authentication successful for account ${account.email || account.id}`);
+        try {
+            await accountsService.activate(account.id);
+        } catch (error) {
+            logger.warn(`Not switching to account ${account.id}: ${error.message}`);
+        }
         res.redirect(`${baseRedirectUrl}/?auth=success`);
     } catch (error) {
         logger.error('Error in OAuth callback:', error);
-        authService.deleteTokens();
         res.redirect(`${baseRedirectUrl}/?auth=error&error=${encodeURIComponent(error.message)}`);
     }
 });
@@ -97,8 +113,31 @@ router.get('/settings', (req, res) => {
     }
 });
 
+router.get('/settings/options', (req, res) => {
+    try {
+        res.json(settingsService.getSettingsOptions());
+    } catch (error) {
+        logger.error('Error reading settings options:', error);
+        res.status(500).json({ error: 'Failed to read settings options' });
+    }
+});
+
 router.post('/settings', async (req, res) => {
     try {
+        const { timezone, folderTemplate, fileNameTemplate } = req.body || {};
+        if (timezone && !timestampService.isValidTimeZone(timezone)) {
+            return res.status(400).json({ error: `Unknown timezone: ${timezone}` });
+        }
+        for (const template of [folderTemplate, fileNameTemplate]) {
+            const templateError = template !== undefined && templateService.validate(template);
+            if (templateError) {
+                return res.status(400).json({ error: templateError });
+            }
+        }
+        const scheduleError = schedulerService.validate(req.body || {});
+        if (scheduleError) {
+            return res.status(400).json({ error: scheduleError });
+        }
         const updatedSettings = await settingsService.updateSettings(req.body);
         res.json(updatedSettings);
     } catch (error) {
@@ -120,14 +159,28 @@ router.get('/sync/status', async (req, res) => {
 
 router.post('/sync', async (req, res) => {
     try {
-        if (websocketService.currentSync.status === 'running' || websocketService.currentSync.status === 'paused') {
+        // Also covers the initializing and verifying steps before the status is 'running'
+        if (syncService.isSyncing()) {
             return res.status(400).json({ error: 'Sync is already in progress' });
         }
+        if (organizeService.job.running) {
+            return res.status(400).json({ error: 'Files are being re-laid out, try again when that is done' });
+        }
+        if (integrityService.redownload.running) {
+            return res.status(400).json({ error: 'Corrupted items are being downloaded again, try again when that is done' });
+        }
+        if (schedulerService.running) {
+            return res.status(400).json({ error: 'A scheduled sync is running' });
+        }
 
         const auth = await authService.authenticate();
         if (!auth) {
             return res.status(401).json({ error: 'Not authenticated' });
         }
+        // Another request may have started one while this one authenticated
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is already in progress' });
+        }
 
         syncService.startSync(auth).catch(error => {
             logger.error('Sync error:', error);
@@ -194,10 +247,408 @@ router.post('/sync/cancel', (req, res) => {
     }
 });
 
+// Interrupted sync job routes
+router.get('/sync/job', (req, res) => {
+    try {
+        res.json({ job: syncJobService.getSummary(syncJobService.getResumableJob()) });
+    } catch (error) {
+        logger.error('Error getting sync job:', error);
+        res.status(500).json({ error: 'Failed to get sync job' });
+    }
+});
+
+router.post('/sync/job/resume', async (req, res) => {
+    try {
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is already in progress' });
+        }
+        if (organizeService.job.running) {
+            return res.status(400).json({ error: 'Files are being re-laid out, try again when that is done' });
+        }
+        if (integrityService.redownload.running) {
+            return res.status(400).json({ error: 'Corrupted items are being downloaded again, try again when that is done' });
+        }
+        if (!syncJobService.getResumableJob()) {
+            return res.status(404).json({ error: 'No interrupted sync to resume' });
+        }
+
+        const auth = await authService.authenticate();
+        if (!auth) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+        // Another request may have started one while this one authenticated
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is already in progress' });
+        }
+
+        syncService.startSync(auth, { resume: true }).catch(error => {
+            logger.error('Sync error:', error);
+        });
+
+        res.json({ success: true, message: 'Sync resumed' });
+    } catch (error) {
+        logger.error('Error resuming sync job:', error);
+        res.status(500).json({ error: 'Failed to resume sync job' });
+    }
+});
+
+router.post('/sync/job/discard', async (req, res) => {
+    try {
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is in progress' });
+        }
+        await syncJobService.discardJob();
+        res.json({ success: true, message: 'Interrupted sync discarded' });
+    } catch (error) {
+        logger.error('Error discarding sync job:', error);
+        res.status(500).json({ error: 'Failed to discard sync job' });
+    }
+});
+
+// Album routes
+router.get('/albums', async (req, res) => {
+    try {
+        const auth = await authService.authenticate();
+        if (!auth) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        const albums = await albumsService.listAlbums(auth);
+        const { selectedAlbumIds = [], albumLayout = 'none' } = settingsService.getSettings();
+        res.json({
+            albums: albums.map(album => ({
+                ...album,
+                selected: selectedAlbumIds.includes(album.id)
+            })),
+            albumLayout
+        });
+    } catch (error) {
+        logger.error('Error listing albums:', error);
+        res.status(500).json({ error: 'Failed to list albums' });
+    }
+});
+
+router.post('/albums/selection', async (req, res) => {
+    try {
+        const { albumIds, albumLayout } = req.body || {};
+        if (!Array.isArray(albumIds)) {
+            return res.status(400).json({ error: 'albumIds must be an array' });
+        }
+        if (albumLayout !== undefined && !albumsService.LAYOUT_MODES.includes(albumLayout)) {
+            return res.status(400).json({ error: `Unknown album layout: ${albumLayout}` });
+        }
+
+        const updatedSettings = await settingsService.updateSettings({
+            selectedAlbumIds: albumIds,
+            ...(albumLayout !== undefined && { albumLayout })
+        });
+        res.json({
+            success: true,
+            selectedAlbumIds: updatedSettings.selectedAlbumIds,
+            albumLayout: updatedSettings.albumLayout
+        });
+    } catch (error) {
+        logger.error('Error saving album selection:', error);
+        res.status(500).json({ error: 'Failed to save album selection' });
+    }
+});
+
+// Trash routes
+const TRASH_ERROR_STATUS = { ENOENT: 404, EEXIST: 409 };
+
+router.get('/trash', (req, res) => {
+    try {
+        res.json({
+            items: trashService.listTrash(),
+            retentionDays: settingsService.getSettings().trashRetentionDays
+        });
+    } catch (error) {
+        logger.error('Error listing trash:', error);
+        res.status(500).json({ error: 'Failed to list trash' });
+    }
+});
+
+router.post('/trash/empty', async (req, res) => {
+    try {
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is in progress' });
+        }
+        const purged = await trashService.emptyTrash();
+        res.json({ success: true, purged });
+    } catch (error) {
+        logger.error('Error emptying trash:', error);
+        res.status(500).json({ error: 'Failed to empty trash' });
+    }
+});
+
+// Restored items are gone from Google Photos, so they are kept locally from now on
+router.post('/trash/:id/restore', async (req, res) => {
+    try {
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is in progress' });
+        }
+        const item = await trashService.restoreItem(req.params.id, { keepLocal: true });
+        res.json({ success: true, item });
+    } catch (error) {
+        logger.error('Error restoring item from trash:', error);
+        res.status(TRASH_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+});
+
+router.delete('/trash/:id', async (req, res) => {
+    try {
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is in progress' });
+        }
+        await trashService.purgeItem(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error deleting item from trash:', error);
+        res.status(TRASH_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+});
+
+// Duplicate routes
+router.get('/duplicates', (req, res) => {
+    try {
+        res.json(dedupService.getReport());
+    } catch (error) {
+        logger.error('Error building duplicate report:', error);
+        res.status(500).json({ error: 'Failed to build duplicate report' });
+    }
+});
+
+router.post('/duplicates/scan', (req, res) => {
+    if (dedupService.scan.running) {
+        return res.status(400).json({ error: 'A hash scan is already running' });
+    }
+
+    dedupService.hashExistingFiles().catch(error => {
+        logger.error('Hash scan error:', error);
+    });
+
+    res.json({ success: true, message: 'Hash scan started' });
+});
+
+// Near-duplicate routes (reporting only, nothing is deleted)
+router.get('/near-duplicates', (req, res) => {
+    try {
+        res.json(similarityService.getReport());
+    } catch (error) {
+        logger.error('Error building near-duplicate report:', error);
+        res.status(500).json({ error: 'Failed to build near-duplicate report' });
+    }
+});
+
+router.post('/near-duplicates/scan', (req, res) => {
+    if (similarityService.job.running) {
+        return res.status(400).json({ error: 'A near-duplicate scan is already running' });
+    }
+
+    similarityService.scan().catch(error => {
+        logger.error('Near-duplicate scan error:', error);
+    });
+
+    res.json({ success: true, message: 'Near-duplicate scan started' });
+});
+
+router.post('/near-duplicates/keepers', (req, res) => {
+    try {
+        const { itemIds, keeperIds } = req.body || {};
+        if (!Array.isArray(itemIds) || !Array.isArray(keeperIds)) {
+            return res.status(400).json({ error: 'itemIds and keeperIds must be arrays' });
+        }
+        similarityService.setKeepers(itemIds, keeperIds);
+        res.json({ success: true });
+    } catch (error) {
+        logger.error('Error saving keepers:', error);
+        res.status(error.code === 'ENOENT' ? 404 : 500).json({ error: error.message });
+    }
+});
+
+router.get('/near-duplicates/:id/thumbnail', async (req, res) => {
+    try {
+        const thumbnail = await similarityService.getThumbnail(req.params.id);
+        res.set('Cache-Control', 'max-age=3600');
+        res.type('image/jpeg').send(thumbnail);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        logger.error('Error creating thumbnail:', error);
+        res.status(500).json({ error: 'Failed to create thumbnail' });
+    }
+});
+
+// Maintenance routes
+router.get('/maintenance/repair-timestamps', (req, res) => {
+    res.json(timestampService.repair);
+});
+
+router.post('/maintenance/repair-timestamps', (req, res) => {
+    if (timestampService.repair.running) {
+        return res.status(400).json({ error: 'A timestamp repair is already running' });
+    }
+
+    timestampService.repairTimestamps().catch(error => {
+        logger.error('Timestamp repair error:', error);
+    });
+
+    res.json({ success: true, message: 'Timestamp repair started' });
+});
+
+const RELAYOUT_ERROR_STATUS = { ENOENT: 404, EEXIST: 409, EBUSY: 409, ESTALE: 409 };
+
+router.get('/maintenance/relayout', (req, res) => {
+    try {
+        res.json(organizeService.getStatus());
+    } catch (error) {
+        logger.error('Error getting re-layout status:', error);
+        res.status(500).json({ error: 'Failed to get re-layout status' });
+    }
+});
+
+// Dry run: computes and stores the moves without touching any file
+router.post('/maintenance/relayout/plan', (req, res) => {
+    try {
+        res.json(organizeService.planRelayout());
+    } catch (error) {
+        logger.error('Error planning re-layout:', error);
+        res.status(RELAYOUT_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+});
+
+router.post('/maintenance/relayout/:id/apply', (req, res) => {
+    try {
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is in progress' });
+        }
+        organizeService.getApplicablePlan(req.params.id);
+
+        organizeService.applyRelayout(req.params.id).catch(error => {
+            logger.error('Re-layout error:', error);
+        });
+
+        res.json({ success: true, message: 'Re-layout started' });
+    } catch (error) {
+        res.status(RELAYOUT_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+});
+
+router.post('/maintenance/relayout/:id/undo', (req, res) => {
+    try {
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is in progress' });
+        }
+        organizeService.getUndoablePlan(req.params.id);
+
+        organizeService.undoRelayout(req.params.id).catch(error => {
+            logger.error('Re-layout undo error:', error);
+        });
+
+        res.json({ success: true, message: 'Undoing re-layout' });
+    } catch (error) {
+        res.status(RELAYOUT_ERROR_STATUS[error.code] || 500).json({ error: error.message });
+    }
+});
+
+router.get('/maintenance/integrity', (req, res) => {
+    try {
+        res.json(integrityService.getStatus());
+    } catch (error) {
+        logger.error('Error getting integrity status:', error);
+        res.status(500).json({ error: 'Failed to get integrity status' });
+    }
+});
+
+// Per-file results of the last scrub, problems first
+router.get('/maintenance/integrity/report', (req, res) => {
+    try {
+        const { status } = req.query;
+        if (status && !integrityService.RESULT_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Invalid status: ${status}` });
+        }
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+        res.json(integrityService.getReport({ status, limit, offset }));
+    } catch (error) {
+        logger.error('Error getting integrity report:', error);
+        res.status(500).json({ error: 'Failed to get integrity report' });
+    }
+});
+
+router.post('/maintenance/integrity', (req, res) => {
+    if (integrityService.job.running) {
+        return res.status(400).json({ error: 'An integrity scrub is already running' });
+    }
+    if (syncService.isSyncing()) {
+        return res.status(400).json({ error: 'Sync is in progress' });
+    }
+
+    integrityService.scrub().catch(error => {
+        logger.error('Integrity scrub error:', error);
+    });
+
+    res.json({ success: true, message: 'Integrity scrub started' });
+});
+
+// Download the items the scrub found corrupted now instead of with the next sync
+router.post('/maintenance/integrity/redownload', async (req, res) => {
+    try {
+        if (integrityService.redownload.running) {
+            return res.status(400).json({ error: 'Corrupted items are already being downloaded' });
+        }
+        if (syncService.isSyncing()) {
+            return res.status(400).json({ error: 'Sync is in progress' });
+        }
+
+        const auth = await authService.authenticate();
+        if (!auth) {
+            return res.status(401).json({ error: 'Not authenticated' });
+        }
+
+        integrityService.redownloadCorrupted(auth).catch(error => {
+            logger.error('Corrupted item download error:', error);
+        });
+
+        res.json({ success: true, message: 'Downloading corrupted items again' });
+    } catch (error) {
+        logger.error('Error starting corrupted item download:', error);
+        res.status(500).json({ error: 'Failed to start downloading corrupted items' });
+    }
+});
+
+// Scheduled sync: next and last run, and whether quiet hours or a bandwidth limit apply now
+router.get('/schedule', (req, res) => {
+    try {
+        res.json(schedulerService.getStatus());
+    } catch (error) {
+        logger.error('Error getting schedule status:', error);
+        res.status(500).json({ error: 'Failed to get schedule status' });
+    }
+});
+
+// Run the scheduled discovery and sync now; an interval schedule counts from this run
+router.post('/schedule/run', (req, res) => {
+    const busy = schedulerService.getBusyReason();
+    if (busy) {
+        return res.status(400).json({ error: busy });
+    }
+
+    schedulerService.run().catch(error => {
+        logger.error('Scheduled sync error:', error);
+    });
+
+    res.json({ success: true, message: 'Scheduled sync started' });
+});
+
 // Discovery routes
 router.post('/discover', async (req, res) => {
     try {
         logger.info('Discovery request received');
+        if (schedulerService.running) {
+            return res.status(400).json({ success: false, error: 'A scheduled sync is running' });
+        }
         
         const auth = await authService.authenticate();
         if (!auth) {
@@ -214,7 +665,8 @@ router.post('/discover', async (req, res) => {
             continueDiscovery: req.body?.continueDiscovery || false,
             pageToken: req.body?.pageToken || null,
             syncDir: settings.syncDir || path.join(process.cwd(), 'photos'),
-            forceFreshDiscovery: req.body?.forceFreshDiscovery || false
+            forceFreshDiscovery: req.body?.forceFreshDiscovery || false,
+            incremental: req.body?.incremental || false
         };
         
         // Reset the photos service state before starting new discovery
@@ -253,8 +705,10 @@ router.post('/discover', async (req, res) => {
                     estimatedSizeBytes: discoveryResults.estimatedSizeBytes,
                     estimatedSizeMB: discoveryResults.estimatedSizeMB,
                     hasMore: discoveryResults.hasMore,
-                    nextPageToken: photos.nextPageToken,
-                    pagesScanned: discoveryResults.pagesScanned
+                    nextPageToken: discoveryResults.nextPageToken,
+                    pagesScanned: discoveryResults.pagesScanned,
+                    incremental: discoveryResults.incremental || false,
+                    newItems: discoveryResults.newItems
                 }
             });
         } catch (photoError) {
@@ -1,9 +1,42 @@
 import express from 'express';
+import path from 'path';
 import settingsService from '../services/settings.service.js';
+import photosService from '../services/photos.service.js';
+import stateStoreService from '../services/state.store.service.js';
+import templateService from '../services/template.service.js';
 import logger from '../services/logger.service.js';
 
 const router = express.Router();
 
+// How many discovered items the preview renders
+const PREVIEW_SAMPLE_SIZE = 6;
+
+const getExampleItem = (date) => ({
+    id: 'AExampleItemId0000IMG1234',
+    filename: 'IMG_1234.JPG',
+    mimeType: 'image/jpeg',
+    mediaMetadata: {
+        creationTime: date.toISOString(),
+        width: '4032',
+        height: '3024',
+        photo: { cameraMake: 'Google', cameraModel: 'Pixel 7' }
+    }
+});
+
+// Items to render in the preview: a spread of the last discovery, or the example
+// item when nothing has been discovered yet
+const getPreviewItems = (exampleItem) => {
+    const items = photosService.discoveryResults?.items
+        || stateStoreService.getLatestDiscoveryCache()?.results?.items
+        || [];
+    if (items.length === 0) {
+        return [exampleItem];
+    }
+
+    const step = Math.max(1, Math.floor(items.length / PREVIEW_SAMPLE_SIZE));
+    return items.filter((item, index) => index % step === 0).slice(0, PREVIEW_SAMPLE_SIZE);
+};
+
 // Get current settings
 router.get('/get-settings', async (req, res) => {
     try {
@@ -23,6 +56,12 @@ router.get('/get-settings', async (req, res) => {
 router.post('/update-settings', async (req, res) => {
     try {
         const newSettings = req.body;
+        for (const template of [newSettings?.folderTemplate, newSettings?.fileNameTemplate]) {
+            const templateError = template !== undefined && templateService.validate(template);
+            if (templateError) {
+                return res.status(400).json({ error: templateError });
+            }
+        }
         const updatedSettings = await settingsService.updateSettings(newSettings);
         res.json(updatedSettings);
     } catch (error) {
@@ -31,16 +70,52 @@ router.post('/update-settings', async (req, res) => {
     }
 });
 
-// Get folder organization preview
+// Preview of the folder layout and file name templates. Takes unsaved values
+// (folderStructure, folderTemplate, fileNameTemplate, autoOrganize) so the
+// settings page can show the result while typing.
 router.post('/preview-organization', async (req, res) => {
     try {
-        const { date, baseDir } = req.body;
-        const previewPath = settingsService.generateFolderPath(new Date(date), baseDir);
-        res.json({ previewPath });
+        const { date, baseDir, ...overrides } = req.body || {};
+        const settings = { ...settingsService.getSettings() };
+        for (const key of ['folderStructure', 'folderTemplate', 'fileNameTemplate', 'autoOrganize']) {
+            if (overrides[key] !== undefined) {
+                settings[key] = overrides[key];
+            }
+        }
+
+        const templates = {
+            folderTemplate: templateService.getFolderTemplate(settings),
+            fileNameTemplate: templateService.getFileNameTemplate(settings)
+        };
+        for (const [field, template] of Object.entries(templates)) {
+            const error = templateService.validate(template);
+            if (error) {
+                return res.status(400).json({ error, field, tokens: templateService.TOKENS });
+            }
+        }
+
+        const sampleDate = date ? new Date(date) : new Date();
+        if (isNaN(sampleDate.getTime())) {
+            return res.status(400).json({ error: `Invalid date: ${date}` });
+        }
+        const rootDir = baseDir || settings.syncDir;
+        const exampleItem = getExampleItem(sampleDate);
+
+        res.json({
+            // Folder of an item taken at `date`
+            previewPath: path.dirname(path.join(rootDir, templateService.renderPath(exampleItem, settings))),
+            samples: getPreviewItems(exampleItem).map(item => ({
+                id: item.id,
+                filename: item.filename,
+                creationTime: item.mediaMetadata?.creationTime,
+                path: path.join(rootDir, templateService.renderPath(item, settings))
+            })),
+            tokens: templateService.TOKENS
+        });
     } catch (error) {
         logger.error('Error generating preview:', error);
         res.status(500).json({ error: 'Failed to generate preview' });
     }
 });
 
-export default router; 
\ No newline at end of file
+export default router;
@@ -0,0 +1,443 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { promisify } from 'util';
+import logger from './logger.service.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters, stored with every hash so they can be raised later
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const HASH_BYTES = 64;
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[\w.@-]{1,64}$/;
+const MIN_PASSWORD_LENGTH = 8;
+// Failed logins allowed per client address within the window
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+// Addresses with failed logins kept in memory; past this the oldest are forgotten
+const MAX_TRACKED_ADDRESSES = 1000;
+const FILE_MODE = 0o600;
+// API tokens are told apart from session tokens by their prefix
+const API_TOKEN_PREFIX = 'gps_';
+const API_TOKEN_SCOPES = ['read-status', 'trigger-sync', 'admin'];
+// How often an API token's last use is written to disk
+const LAST_USED_SAVE_MS = 10 * 60 * 1000;
+// What read-status may GET; every other route, including the account-scoped
+// ones under /accounts/:accountId, takes the admin scope
+const READ_STATUS_ROUTES = /^\/(sync\/status|sync\/job|schedule|maintenance\/integrity)$/;
+// What trigger-sync may POST, besides what read-status may GET
+const TRIGGER_SYNC_ROUTES = /^\/(sync|sync\/(pause|resume|cancel)|sync\/job\/resume|discover|schedule\/run)$/;
+
+const accessError = (message, code) => Object.assign(new Error(message), { code });
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+const parseCookies = (header = '') => Object.fromEntries(header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, ...value]) => name && value.length)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))]));
+
+// Addresses like ::ffff:192.168.1.5 are IPv4 clients on a dual-stack socket
+const normalizeIp = ip => (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+// Who may use the web UI and the API: local users with scrypt-hashed passwords,
+// their sessions and an optional IP allowlist. Kept in access.json in the config
+// directory, apart from the accounts, so switching accounts never changes who
+// can log in. Sessions are stored as hashes of their tokens.
+//
+// Scripts use named API tokens instead of sessions, limited by their scopes:
+// read-status reads the sync status, trigger-sync also starts, pauses and
+// cancels discovery and syncs, and admin may do everything a logged-in user can.
+//
+// Until the first user exists everything but the setup routes is locked. The
+// first user is created with the setup code written to the log, or from
+// ADMIN_USERNAME and ADMIN_PASSWORD on startup.
+class AccessService {
+    constructor() {
+        this.filePath = null;
+        this.access = { users: [], sessions: [], ipAllowlist: [], apiTokens: [] };
+        this.blockList = null;
+        this.setupCode = null;
+        this.failedLogins = new Map();
+        // When each API token's last use was written
+        this.apiTokenSavedAt = new Map();
+        this.SESSION_COOKIE = 'gps_session';
+        this.API_TOKEN_SCOPES = API_TOKEN_SCOPES;
+    }
+
+    async initialize(configDir) {
+        this.filePath = path.join(configDir, 'access.json');
+        await fs.promises.mkdir(configDir, { recursive: true });
+        try {
+            this.access = { ...this.access, ...JSON.parse(await fs.promises.readFile(this.filePath, 'utf8')) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        this.pruneSessions();
+        this.blockList = this.createBlockList(this.access.ipAllowlist);
+
+        const adminPassword = process.env.ADMIN_PASSWORD;
+        if (this.access.users.length === 0 && adminPassword) {
+            await this.createUser(process.env.ADMIN_USERNAME?.trim() || 'admin', adminPassword);
+        }
+        if (this.access.users.length === 0) {
+            this.setupCode = crypto.randomBytes(8).toString('hex');
+            logger.warn(`No users yet. Open the web UI and create the first user with setup code ${this.setupCode}`);
+        }
+        logger.info(`Access service initialized with ${this.access.users.length} users`);
+    }
+
+    save() {
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.access, null, 2), { mode: FILE_MODE });
+        fs.chmodSync(tempPath, FILE_MODE);
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    isSetupRequired() {
+        return this.access.users.length === 0;
+    }
+
+    async hashPassword(password) {
+        const { N, r, p } = SCRYPT_PARAMS;
+        const salt = crypto.randomBytes(16);
+        const hash = await scrypt(password, salt, HASH_BYTES, { N, r, p });
+        return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, N, r, p, salt, expected] = (stored || '').split('$');
+        if (scheme !== 'scrypt') return false;
+        const expectedHash = Buffer.from(expected, 'base64');
+        const hash = await scrypt(password, Buffer.from(salt, 'base64'), expectedHash.length, {
+            N: Number(N), r: Number(r), p: Number(p)
+        });
+        return crypto.timingSafeEqual(hash, expectedHash);
+    }
+
+    validateCredentials(username, password) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw accessError('Usernames are 1 to 64 letters, digits and . _ @ -', 'EINVAL');
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw accessError(`Passwords need at least ${MIN_PASSWORD_LENGTH} characters`, 'EINVAL');
+        }
+    }
+
+    getUser(username) {
+        return this.access.users.find(user => user.username === username) || null;
+    }
+
+    getUsers() {
+        return this.access.users.map(({ username, createdAt }) => ({ username, createdAt }));
+    }
+
+    async createUser(username, password) {
+        this.validateCredentials(username, password);
+        if (this.getUser(username)) {
+            throw accessError(`User ${username} already exists`, 'EEXIST');
+        }
+        this.access.users.push({
+            username,
+            passwordHash: await this.hashPassword(password),
+            createdAt: new Date().toISOString()
+        });
+        this.setupCode = null;
+        this.save();
+        logger.info(`Created user ${username}`);
+        return { username };
+    }
+
+    // The first user, created with the setup code from the log. Wrong codes
+    // count as failed logins, so the code can't be guessed either
+    async setup(username, password, setupCode, ip) {
+        if (!this.isSetupRequired()) {
+            throw accessError('Setup is already done, log in instead', 'ESETUP');
+        }
+        if (this.isLoginThrottled(ip)) {
+            throw accessError('Too many failed attempts, try again later', 'ERATE');
+        }
+        const code = String(setupCode || '');
+        if (code.length !== this.setupCode.length
+            || !crypto.timingSafeEqual(Buffer.from(code), Buffer.from(this.setupCode))) {
+            this.recordFailedLogin(ip);
+            logger.warn(`Wrong setup code from ${ip}`);
+            throw accessError('Wrong setup code, it is in the server log', 'ESETUP');
+        }
+        return this.createUser(username, password);
+    }
+
+    deleteUser(username) {
+        if (!this.getUser(username)) {
+            throw accessError(`User ${username} not found`, 'ENOENT');
+        }
+        if (this.access.users.length === 1) {
+            throw accessError('The last user can\'t be removed', 'ELAST');
+        }
+        this.access.users = this.access.users.filter(user => user.username !== username);
+        this.access.sessions = this.access.sessions.filter(session => session.username !== username);
+        this.access.apiTokens = this.access.apiTokens.filter(apiToken => apiToken.createdBy !== username);
+        this.save();
+        logger.info(`Removed user ${username} and their API tokens`);
+    }
+
+    // Ends the user's other sessions, so a leaked password stops working everywhere
+    async changePassword(username, currentPassword, newPassword, keepSessionId) {
+        const user = this.getUser(username);
+        if (!user || !await this.verifyPassword(String(currentPassword || ''), user.passwordHash)) {
+            throw accessError('The current password is wrong', 'ELOGIN');
+        }
+        this.validateCredentials(username, newPassword);
+        user.passwordHash = await this.hashPassword(newPassword);
+        this.access.sessions = this.access.sessions.filter(session =>
+            session.username !== username || session.id === keepSessionId);
+        this.save();
+        logger.info(`Changed the password of ${username}`);
+    }
+
+    // Forget the addresses whose window is over. The map is in order of firstAt,
+    // so this stops at the first entry that is still current
+    pruneFailedLogins(now = Date.now()) {
+        for (const [ip, entry] of this.failedLogins) {
+            if (now - entry.firstAt <= FAILED_LOGIN_WINDOW_MS) break;
+            this.failedLogins.delete(ip);
+        }
+    }
+
+    isLoginThrottled(ip, now = Date.now()) {
+        this.pruneFailedLogins(now);
+        const entry = this.failedLogins.get(ip);
+        return Boolean(entry) && entry.count >= MAX_FAILED_LOGINS;
+    }
+
+    recordFailedLogin(ip, now = Date.now()) {
+        this.pruneFailedLogins(now);
+        const entry = this.failedLogins.get(ip);
+        if (entry) {
+            entry.count++;
+            return;
+        }
+        if (this.failedLogins.size >= MAX_TRACKED_ADDRESSES) {
+            this.failedLogins.delete(this.failedLogins.keys().next().value);
+        }
+        this.failedLogins.set(ip, { count: 1, firstAt: now });
+    }
+
+    // Returns the session token, which is only ever handed out here
+    async login(username, password, ip) {
+        if (this.isLoginThrottled(ip)) {
+            throw accessError('Too many failed logins, try again later', 'ERATE');
+        }
+        const user = typeof username === 'string' ? this.getUser(username) : null;
+        let valid = false;
+        if (user) {
+            valid = await this.verifyPassword(String(password || ''), user.passwordHash);
+        } else {
+            // Unknown users take as long as wrong passwords, so they can't be told apart
+            await this.hashPassword(String(password || ''));
+        }
+        if (!valid) {
+            this.recordFailedLogin(ip);
+            logger.warn(`Failed login for ${username} from ${ip}`);
+            throw accessError('Wrong username or password', 'ELOGIN');
+        }
+        this.failedLogins.delete(ip);
+        return this.createSession(user.username);
+    }
+
+    createSession(username, now = Date.now()) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const session = {
+            id: sha256(token),
+            username,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+        };
+        this.pruneSessions(now);
+        this.access.sessions.push(session);
+        this.save();
+        return { token, session };
+    }
+
+    // Browsers send the session cookie; scripts can send the token as a bearer token
+    getRequestToken(req) {
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        if (scheme?.toLowerCase() === 'bearer' && token) return token;
+        return parseCookies(req.headers.cookie)[this.SESSION_COOKIE] || null;
+    }
+
+    getSession(token, now = Date.now()) {
+        if (!token) return null;
+        const id = sha256(token);
+        const session = this.access.sessions.find(candidate => candidate.id === id);
+        if (!session || Date.parse(session.expiresAt) <= now) return null;
+        return session;
+    }
+
+    // Who sent the request: a user's session, which may do everything, or an API token
+    authenticate(req) {
+        const token = this.getRequestToken(req);
+        if (token?.startsWith(API_TOKEN_PREFIX)) {
+            const apiToken = this.useApiToken(token);
+            return apiToken && { type: 'token', apiToken, scopes: apiToken.scopes };
+        }
+        const session = this.getSession(token);
+        return session && { type: 'session', session, username: session.username, scopes: ['admin'] };
+    }
+
+    // Whether an authenticate() result still stands, for connections that outlive
+    // their request: the session may have ended or the API token been revoked since
+    isStillAuthenticated(auth, now = Date.now()) {
+        if (auth.type === 'token') {
+            return this.access.apiTokens.some(apiToken => apiToken.id === auth.apiToken.id);
+        }
+        const session = this.access.sessions.find(candidate => candidate.id === auth.session.id);
+        return Boolean(session) && Date.parse(session.expiresAt) > now;
+    }
+
+    // Whether the scopes cover a request, e.g. ('POST', '/api/sync')
+    isAllowed(scopes, method, requestPath) {
+        if (scopes.includes('admin')) return true;
+        // The same routes are mounted under / and /api
+        const route = requestPath.replace(/^\/api(?=\/|$)/, '') || '/';
+        if (method === 'GET' || method === 'HEAD') {
+            return (scopes.includes('read-status') || scopes.includes('trigger-sync')) && READ_STATUS_ROUTES.test(route);
+        }
+        return scopes.includes('trigger-sync') && method === 'POST' && TRIGGER_SYNC_ROUTES.test(route);
+    }
+
+    summarizeApiToken(apiToken) {
+        const { tokenHash: _tokenHash, ...summary } = apiToken;
+        return summary;
+    }
+
+    getApiTokens() {
+        return this.access.apiTokens.map(apiToken => this.summarizeApiToken(apiToken));
+    }
+
+    // Returns the token itself, which is only ever handed out here
+    createApiToken(name, scopes, createdBy) {
+        const cleanName = typeof name === 'string' ? name.trim() : '';
+        if (!cleanName || cleanName.length > 64) {
+            throw accessError('API tokens need a name of up to 64 characters', 'EINVAL');
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) {
+            throw accessError(`Scopes are ${API_TOKEN_SCOPES.join(', ')}`, 'EINVAL');
+        }
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const apiToken = {
+            id: crypto.randomUUID(),
+            name: cleanName,
+            scopes: [...new Set(scopes)],
+            // Enough of the token to recognize it in a script
+            preview: `${token.slice(0, API_TOKEN_PREFIX.length + 4)}...`,
+            tokenHash: sha256(token),
+            createdBy: createdBy || null,
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+        this.access.apiTokens.push(apiToken);
+        this.save();
+        logger.info(`Created API token ${cleanName} (${apiToken.scopes.join(', ')})`);
+        return { token, apiToken: this.summarizeApiToken(apiToken) };
+    }
+
+    deleteApiToken(id) {
+        const apiToken = this.access.apiTokens.find(candidate => candidate.id === id);
+        if (!apiToken) {
+            throw accessError(`API token ${id} not found`, 'ENOENT');
+        }
+        this.access.apiTokens = this.access.apiTokens.filter(candidate => candidate.id !== id);
+        this.save();
+        logger.info(`Revoked API token ${apiToken.name}`);
+    }
+
+    // The token's record, noting when it was used
+    useApiToken(token, now = Date.now()) {
+        const tokenHash = sha256(token);
+        const apiToken = this.access.apiTokens.find(candidate => candidate.tokenHash === tokenHash);
+        if (!apiToken) return null;
+        apiToken.lastUsedAt = new Date(now).toISOString();
+        // Polling scripts would otherwise rewrite access.json every few seconds
+        if (now - (this.apiTokenSavedAt.get(apiToken.id) || 0) > LAST_USED_SAVE_MS) {
+            this.apiTokenSavedAt.set(apiToken.id, now);
+            this.save();
+        }
+        return apiToken;
+    }
+
+    logout(token) {
+        const id = sha256(token || '');
+        const before = this.access.sessions.length;
+        this.access.sessions = this.access.sessions.filter(session => session.id !== id);
+        if (this.access.sessions.length !== before) this.save();
+    }
+
+    pruneSessions(now = Date.now()) {
+        this.access.sessions = this.access.sessions.filter(session => Date.parse(session.expiresAt) > now);
+    }
+
+    // Entries are addresses or CIDR ranges, IPv4 or IPv6
+    parseAllowlistEntry(entry) {
+        const [address, prefix, extra] = String(entry).trim().split('/');
+        const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+        const maxPrefix = type === 'ipv4' ? 32 : 128;
+        if (!type || extra !== undefined
+            || (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+            throw accessError(`Invalid IP allowlist entry: ${entry}`, 'EINVAL');
+        }
+        return { address, prefix: prefix === undefined ? null : Number(prefix), type };
+    }
+
+    createBlockList(entries) {
+        const blockList = new net.BlockList();
+        for (const entry of entries) {
+            const { address, prefix, type } = this.parseAllowlistEntry(entry);
+            if (prefix === null) {
+                blockList.addAddress(address, type);
+            } else {
+                blockList.addSubnet(address, prefix, type);
+            }
+        }
+        return blockList;
+    }
+
+    getIpAllowlist() {
+        return this.access.ipAllowlist;
+    }
+
+    // clientIp, the address making the change, has to stay allowed
+    setIpAllowlist(entries, clientIp) {
+        if (!Array.isArray(entries)) {
+            throw accessError('The IP allowlist must be a list', 'EINVAL');
+        }
+        const cleaned = entries.map(entry => String(entry).trim()).filter(Boolean);
+        const blockList = this.createBlockList(cleaned);
+        if (clientIp && !this.matchesAllowlist(clientIp, cleaned, blockList)) {
+            throw accessError(`The list must include your address ${normalizeIp(clientIp)}`, 'EINVAL');
+        }
+        this.blockList = blockList;
+        this.access.ipAllowlist = cleaned;
+        this.save();
+        logger.info(cleaned.length ? `IP allowlist set to ${cleaned.join(', ')}` : 'IP allowlist cleared');
+    }
+
+    // An empty allowlist lets every address in. The server's own host always
+    // gets in, so a wrong list can be fixed from there.
+    isIpAllowed(ip) {
+        return this.matchesAllowlist(ip, this.access.ipAllowlist, this.blockList);
+    }
+
+    matchesAllowlist(ip, entries, blockList) {
+        if (entries.length === 0) return true;
+        const address = normalizeIp(ip);
+        if (address === '127.0.0.1' || address === '::1') return true;
+        const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+        return Boolean(type) && blockList.check(address, type);
+    }
+}
+
+const accessService = new AccessService();
+export default accessService;
@@ -0,0 +1,245 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.service.js';
+import dedupService from './dedup.service.js';
+import downloadService from './download.service.js';
+import integrityService from './integrity.service.js';
+import organizeService from './organize.service.js';
+import photosService from './photos.service.js';
+import schedulerService from './scheduler.service.js';
+import settingsService from './settings.service.js';
+import similarityService from './similarity.service.js';
+import stateStoreService from './state.store.service.js';
+import syncJobService from './sync.job.service.js';
+import syncService from './sync.service.js';
+import timestampService from './timestamp.service.js';
+import trashService from './trash.service.js';
+import websocketService from './websocket.service.js';
+
+// The library that existed before multi-account support
+const LEGACY_ACCOUNT_ID = 'default';
+
+const accountError = (message, code) => Object.assign(new Error(message), { code });
+
+// Several Google accounts, each synced into its own library. An account's data
+// directory holds its settings.json, sync_state.db and encrypted tokens.json; the
+// legacy account keeps the config directory itself. New accounts are keyed by
+// their Google user id.
+//
+// One account is active at a time: every other service works on the active
+// account's settings and state store, so switching is refused while anything runs.
+class AccountsService {
+    constructor() {
+        this.rootDir = null;
+        this.registryPath = null;
+        this.registry = { activeAccountId: LEGACY_ACCOUNT_ID, accounts: [] };
+    }
+
+    // Runs before the other services, which start out on the active account
+    async initialize(rootDir) {
+        this.rootDir = rootDir;
+        this.registryPath = path.join(rootDir, 'accounts.json');
+        await fs.promises.mkdir(rootDir, { recursive: true });
+        try {
+            this.registry = JSON.parse(await fs.promises.readFile(this.registryPath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            // The existing library becomes the first account; it's claimed by the first login
+            this.registry = {
+                activeAccountId: LEGACY_ACCOUNT_ID,
+                accounts: [this.createRecord(LEGACY_ACCOUNT_ID, {})]
+            };
+            this.save();
+        }
+        logger.info(`Accounts service initialized with ${this.registry.accounts.length} accounts`);
+    }
+
+    createRecord(id, { googleUserId = null, email = null, name = null }) {
+        return { id, googleUserId, email, name, addedAt: new Date().toISOString(), scheduler: null };
+    }
+
+    save() {
+        fs.writeFileSync(this.registryPath, JSON.stringify(this.registry, null, 2));
+    }
+
+    getAccounts() {
+        return this.registry.accounts;
+    }
+
+    getAccount(accountId) {
+        return this.registry.accounts.find(account => account.id === accountId) || null;
+    }
+
+    getActiveAccountId() {
+        return this.registry.activeAccountId;
+    }
+
+    getActiveAccount() {
+        return this.getAccount(this.registry.activeAccountId);
+    }
+
+    getDataDir(accountId) {
+        return accountId === LEGACY_ACCOUNT_ID ? this.rootDir : path.join(this.rootDir, 'accounts', accountId);
+    }
+
+    getTokensPath(accountId = this.registry.activeAccountId) {
+        return path.join(this.getDataDir(accountId), 'tokens.json');
+    }
+
+    getLegacyAccountId() {
+        return LEGACY_ACCOUNT_ID;
+    }
+
+    // Settings of any account, read from its settings.json unless it's active
+    getAccountSettings(accountId) {
+        if (accountId === this.registry.activeAccountId) {
+            return settingsService.getSettings();
+        }
+        try {
+            const data = fs.readFileSync(path.join(this.getDataDir(accountId), 'settings.json'), 'utf8');
+            return { ...settingsService.defaults, ...JSON.parse(data) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return { ...settingsService.defaults };
+        }
+    }
+
+    // Next and last scheduled run; kept here so the scheduler sees every account
+    getSchedulerState(accountId) {
+        return this.getAccount(accountId)?.scheduler || null;
+    }
+
+    saveSchedulerState(accountId, state) {
+        const account = this.getAccount(accountId);
+        if (!account) return;
+        account.scheduler = state;
+        this.save();
+    }
+
+    setProfile(accountId, { googleUserId, email, name }) {
+        const account = this.getAccount(accountId);
+        if (!account) return;
+        Object.assign(account, { googleUserId, email, name });
+        this.save();
+    }
+
+    // Record the Google account that just logged in: an account it logged into
+    // before, else the active account if nobody ever logged into it, else a new one
+    addAccount(profile) {
+        const active = this.getActiveAccount();
+        let account = this.registry.accounts.find(candidate => candidate.googleUserId === profile.googleUserId)
+            || (active && !active.googleUserId && !fs.existsSync(this.getTokensPath(active.id)) ? active : null);
+        if (account) {
+            Object.assign(account, { googleUserId: profile.googleUserId, email: profile.email, name: profile.name });
+        } else {
+            account = this.createRecord(profile.googleUserId, profile);
+            this.createDataDir(account);
+            this.registry.accounts.push(account);
+            logger.info(`Added account ${account.email || account.id}`);
+        }
+        this.save();
+        return account;
+    }
+
+    // A new account starts from the active account's settings, syncing into a
+    // folder next to its library
+    createDataDir(account) {
+        const dataDir = this.getDataDir(account.id);
+        // Holds the account's tokens
+        fs.mkdirSync(dataDir, { recursive: true, mode: 0o700 });
+        const settingsPath = path.join(dataDir, 'settings.json');
+        if (fs.existsSync(settingsPath)) return;
+
+        const settings = settingsService.getSettings();
+        const folder = (account.email || account.id).split('@')[0].replace(/[^\w.-]/g, '_');
+        const syncDir = `${settings.syncDir || path.join(process.cwd(), 'photos')}-${folder}`;
+        fs.writeFileSync(settingsPath, JSON.stringify({ ...settings, syncDir }, null, 2));
+    }
+
+    // What keeps the active account from changing, or null
+    getBusyReason() {
+        if (syncService.isSyncing() || syncService.verificationInProgress) return 'A sync is running';
+        if (['running', 'paused'].includes(websocketService.currentSync.status)) return 'A sync is running';
+        if (photosService.isDiscovering()) return 'Discovery is running';
+        if (schedulerService.running) return 'A scheduled sync is running';
+        if (organizeService.job.running) return 'Files are being re-laid out';
+        if (integrityService.job.running || integrityService.redownload.running) return 'An integrity scrub is running';
+        if (dedupService.scan.running || similarityService.job.running) return 'Files are being hashed';
+        if (timestampService.repair.running) return 'File timestamps are being repaired';
+        return null;
+    }
+
+    // Point every service at another account's settings and state store
+    async activate(accountId) {
+        const account = this.getAccount(accountId);
+        if (!account) {
+            throw accountError(`Account ${accountId} not found`, 'ENOENT');
+        }
+        if (accountId === this.registry.activeAccountId) {
+            return account;
+        }
+        const busy = this.getBusyReason();
+        if (busy) {
+            throw accountError(`${busy}, switch accounts when it is done`, 'EBUSY');
+        }
+
+        stateStoreService.close();
+        await settingsService.initialize(this.getDataDir(accountId));
+        await stateStoreService.initialize();
+        photosService.resetState();
+        photosService.currentUserId = null;
+        await downloadService.initialize();
+        await syncJobService.initialize();
+        await trashService.initialize();
+        await organizeService.initialize();
+        integrityService.loadState();
+        websocketService.resetDiscovery();
+        websocketService.resetSyncStatus();
+
+        this.registry.activeAccountId = accountId;
+        this.save();
+        logger.info(`Switched to account ${account.email || account.id}`);
+        return account;
+    }
+
+    // The services only hold the active account's data, so requests addressed to an
+    // account are served only while it is active. Never switches.
+    checkActive(accountId) {
+        const account = this.getAccount(accountId);
+        if (!account) {
+            throw accountError(`Account ${accountId} not found`, 'ENOENT');
+        }
+        if (accountId !== this.registry.activeAccountId) {
+            throw accountError(`Account ${account.email || accountId} is not the active account, switch to it first`, 'EINACTIVE');
+        }
+        return account;
+    }
+
+    // Forget an account and its tokens; its library and state stay on disk
+    async removeAccount(accountId) {
+        const account = this.getAccount(accountId);
+        if (!account) {
+            throw accountError(`Account ${accountId} not found`, 'ENOENT');
+        }
+        if (accountId === this.registry.activeAccountId) {
+            throw accountError('Switch to another account before removing this one', 'EACTIVE');
+        }
+        await fs.promises.rm(this.getTokensPath(accountId), { force: true });
+        this.registry.accounts = this.registry.accounts.filter(candidate => candidate.id !== accountId);
+        this.save();
+        logger.info(`Removed account ${account.email || account.id}`);
+    }
+
+    // The account as the API returns it
+    summarize(account) {
+        const { scheduler, ...rest } = account;
+        return {
+            ...rest,
+            active: account.id === this.registry.activeAccountId,
+            nextRunAt: scheduler?.nextRunAt || null
+        };
+    }
+}
+
+const accountsService = new AccountsService();
+export default accountsService;
@@ -0,0 +1,263 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.service.js';
+import photosService from './photos.service.js';
+import settingsService from './settings.service.js';
+import syncCacheService from './sync.cache.service.js';
+import templateService from './template.service.js';
+
+class AlbumsService {
+    constructor() {
+        this.albums = [];
+        this.ALBUMS_DIR = 'Albums';
+        this.LAYOUT_MODES = ['none', 'copy', 'hardlink', 'symlink', 'manifest'];
+    }
+
+    getAlbumsRoot(syncDir) {
+        return path.join(syncDir, this.ALBUMS_DIR);
+    }
+
+    // Owned and shared albums, deduplicated by id (shared albums you own show up in both lists)
+    async listAlbums(auth) {
+        const client = photosService.createPhotoClient(auth);
+        const byId = new Map();
+
+        const collect = async (listFn, key, shared) => {
+            let pageToken = null;
+            do {
+                const response = await listFn({ pageSize: 50, pageToken });
+                for (const album of response.data?.[key] || []) {
+                    if (!byId.has(album.id)) {
+                        byId.set(album.id, {
+                            id: album.id,
+                            title: album.title || 'Untitled',
+                            mediaItemsCount: parseInt(album.mediaItemsCount, 10) || 0,
+                            coverPhotoBaseUrl: album.coverPhotoBaseUrl,
+                            shared
+                        });
+                    }
+                }
+                pageToken = response.data?.nextPageToken;
+            } while (pageToken);
+        };
+
+        await collect(client.albums.list, 'albums', false);
+        await collect(client.sharedAlbums.list, 'sharedAlbums', true);
+
+        this.albums = [...byId.values()];
+        logger.info(`Found ${this.albums.length} albums`);
+        return this.albums;
+    }
+
+    async getAlbumItems(auth, albumId) {
+        const client = photosService.createPhotoClient(auth);
+        const items = [];
+        let pageToken = null;
+
+        do {
+            const response = await client.mediaItems.search({ albumId, pageSize: 100, pageToken });
+            const fetchedAt = Date.now();
+            for (const item of response.data?.mediaItems || []) {
+                items.push({ ...item, baseUrlFetchedAt: fetchedAt });
+            }
+            pageToken = response.data?.nextPageToken;
+        } while (pageToken);
+
+        return items;
+    }
+
+    // Enumerate the albums selected in settings. Returns the albums with their items
+    // so the sync can download anything that isn't in the library sync yet.
+    async getSelectedAlbums(auth) {
+        const { selectedAlbumIds = [] } = settingsService.getSettings();
+        if (selectedAlbumIds.length === 0) {
+            return [];
+        }
+
+        const albums = await this.listAlbums(auth);
+        const selected = albums.filter(album => selectedAlbumIds.includes(album.id));
+        const missing = selectedAlbumIds.filter(id => !selected.some(album => album.id === id));
+        if (missing.length > 0) {
+            logger.warn(`${missing.length} selected albums are no longer available`);
+        }
+
+        for (const album of selected) {
+            album.items = await this.getAlbumItems(auth, album.id);
+            logger.info(`Album "${album.title}" has ${album.items.length} items`);
+        }
+
+        return selected;
+    }
+
+    // Folder-safe album name; duplicate titles are told apart by a piece of the album id
+    getAlbumDirName(album, albums) {
+        const title = Array.from(album.title, ch => (ch.charCodeAt(0) < 32 ? '_' : ch)).join('')
+            .replace(/[<>:"/\\|?*]/g, '_')
+            .replace(/^[.\s]+|[.\s]+$/g, '')
+            .slice(0, 100) || album.id;
+        const sameTitle = albums.filter(other => other.title === album.title);
+        return sameTitle.length > 1 ? `${title} (${album.id.slice(-6)})` : title;
+    }
+
+    // Mirror album membership under <syncDir>/Albums using the configured layout mode.
+    // The date-organized library stays the single source of the original files.
+    async applyLayout(syncDir, albums) {
+        const { albumLayout = 'none' } = settingsService.getSettings();
+        if (albumLayout === 'none' || albums.length === 0) {
+            return;
+        }
+        if (!this.LAYOUT_MODES.includes(albumLayout)) {
+            throw new Error(`Unknown album layout: ${albumLayout}`);
+        }
+
+        const albumsRoot = this.getAlbumsRoot(syncDir);
+        await fs.promises.mkdir(albumsRoot, { recursive: true });
+
+        for (const album of albums) {
+            const entries = album.items
+                .map(item => syncCacheService.getItem(item.id))
+                .filter(cached => cached?.localPath && fs.existsSync(cached.localPath));
+
+            const dirName = this.getAlbumDirName(album, albums);
+            if (albumLayout === 'manifest') {
+                await this.writeManifest(albumsRoot, dirName, entries);
+            } else {
+                await this.linkAlbumFiles(path.join(albumsRoot, dirName), entries, albumLayout);
+            }
+            logger.info(`Laid out album "${album.title}" (${entries.length} files, ${albumLayout})`);
+        }
+    }
+
+    async writeManifest(albumsRoot, dirName, entries) {
+        const lines = ['#EXTM3U', ...entries.map(entry =>
+            path.relative(albumsRoot, entry.localPath).split(path.sep).join('/')
+        )];
+        const manifestPath = path.join(albumsRoot, `${dirName}.m3u`);
+        const tempPath = `${manifestPath}.tmp`;
+        await fs.promises.writeFile(tempPath, lines.join('\n') + '\n');
+        await fs.promises.rename(tempPath, manifestPath);
+    }
+
+    // Whether an album folder entry already stands for the library file in this mode
+    async isCurrentEntry(albumPath, existing, source, mode) {
+        if (mode === 'symlink') {
+            return existing.isSymbolicLink()
+                && path.resolve(path.dirname(albumPath), await fs.promises.readlink(albumPath)) === source;
+        }
+        if (!existing.isFile()) {
+            return false;
+        }
+        const sourceStats = await fs.promises.stat(source);
+        const sameFile = existing.dev === sourceStats.dev && existing.ino === sourceStats.ino;
+        if (mode === 'hardlink' && existing.dev === sourceStats.dev) {
+            return sameFile;
+        }
+        // Copies, including those made where a hardlink couldn't cross volumes
+        return !sameFile && existing.size === sourceStats.size;
+    }
+
+    async addAlbumEntry(source, albumPath, mode) {
+        if (mode === 'symlink') {
+            await fs.promises.symlink(path.relative(path.dirname(albumPath), source), albumPath);
+        } else if (mode === 'hardlink') {
+            try {
+                await fs.promises.link(source, albumPath);
+            } catch (error) {
+                // Hardlinks can't cross volumes; fall back to a copy
+                if (error.code !== 'EXDEV') throw error;
+                logger.warn(`Cannot hardlink across devices, copying ${path.basename(source)}`);
+                await fs.promises.copyFile(source, albumPath);
+            }
+        } else {
+            await fs.promises.copyFile(source, albumPath);
+        }
+    }
+
+    async linkAlbumFiles(albumDir, entries, mode) {
+        await fs.promises.mkdir(albumDir, { recursive: true });
+        const expected = new Set();
+
+        for (const entry of entries) {
+            // Items from different date folders can have the same file name
+            const source = path.resolve(entry.localPath);
+            const baseName = path.basename(source);
+            let fileName = baseName;
+            for (let number = 2; expected.has(fileName); number++) {
+                fileName = templateService.withSuffix(baseName, number);
+            }
+            const albumPath = path.join(albumDir, fileName);
+            expected.add(fileName);
+
+            // lstat so that a dangling symlink still counts as present
+            const existing = await fs.promises.lstat(albumPath).catch(() => null);
+            if (existing && await this.isCurrentEntry(albumPath, existing, source, mode)) {
+                continue;
+            }
+
+            // Replaced in one rename, e.g. when the file moved in a re-layout or the mode changed
+            const tempPath = `${albumPath}.tmp`;
+            try {
+                await fs.promises.rm(tempPath, { force: true });
+                await this.addAlbumEntry(source, tempPath, mode);
+                await fs.promises.rename(tempPath, albumPath);
+            } catch (error) {
+                logger.error(`Error adding ${fileName} to album folder:`, error);
+                await fs.promises.rm(tempPath, { force: true });
+            }
+        }
+
+        // Drop files of items that were removed from the album
+        for (const fileName of await fs.promises.readdir(albumDir)) {
+            if (!expected.has(fileName)) {
+                await fs.promises.unlink(path.join(albumDir, fileName));
+                logger.info(`Removed ${fileName} from album folder ${path.basename(albumDir)}`);
+            }
+        }
+    }
+
+    // Point album symlinks and manifest entries at files that moved in the
+    // library (re-layout and its undo). `moved` maps old paths to new ones.
+    // Copies and hardlinks don't refer to the library path and need nothing.
+    async updateMovedPaths(syncDir, moved) {
+        const albumsRoot = this.getAlbumsRoot(syncDir);
+        let entries;
+        try {
+            entries = await fs.promises.readdir(albumsRoot, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        for (const entry of entries) {
+            const entryPath = path.join(albumsRoot, entry.name);
+            if (entry.isFile() && entry.name.endsWith('.m3u')) {
+                const lines = (await fs.promises.readFile(entryPath, 'utf8')).split('\n');
+                let changed = false;
+                const updated = lines.map(line => {
+                    const target = moved.get(path.resolve(albumsRoot, line));
+                    if (!line || line.startsWith('#') || !target) return line;
+                    changed = true;
+                    return path.relative(albumsRoot, target).split(path.sep).join('/');
+                });
+                if (changed) {
+                    const tempPath = `${entryPath}.tmp`;
+                    await fs.promises.writeFile(tempPath, updated.join('\n'));
+                    await fs.promises.rename(tempPath, entryPath);
+                }
+            } else if (entry.isDirectory()) {
+                for (const link of await fs.promises.readdir(entryPath, { withFileTypes: true })) {
+                    if (!link.isSymbolicLink()) continue;
+                    const linkPath = path.join(entryPath, link.name);
+                    const target = moved.get(path.resolve(entryPath, await fs.promises.readlink(linkPath)));
+                    if (target) {
+                        await fs.promises.unlink(linkPath);
+                        await fs.promises.symlink(path.relative(entryPath, target), linkPath);
+                    }
+                }
+            }
+        }
+    }
+}
+
+const albumsService = new AlbumsService();
+export default albumsService;
@@ -1,32 +1,72 @@
 import { google } from 'googleapis';
-import fs from 'fs/promises';
 import path from 'path';
 import logger from './logger.service.js';
+import accountsService from './accounts.service.js';
+import tokenStoreService from './token.store.service.js';
+import publicUrlService from './public.url.service.js';
+import { PATHS } from '../config/constants.js';
 import dotenv from 'dotenv';
 
 // Load environment variables from root directory
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
 
-const TOKENS_PATH = 'tokens.json';
-
+// Every account has its own OAuth client and tokens file, so a login or a token
+// refresh for one account never touches another's credentials. Methods without
+// an account id work on the active account. Tokens are stored encrypted by
+// the token store.
 class AuthService {
     constructor() {
         const clientId = process.env.CLIENT_ID?.trim();
         const clientSecret = process.env.CLIENT_SECRET?.trim();
-        const redirectUri = process.env.REDIRECT_URI?.trim();
+        // Google sends the browser back here; behind a proxy it follows from PUBLIC_BASE_URL
+        const redirectUri = process.env.REDIRECT_URI?.trim() || publicUrlService.getRedirectUri();
 
         if (!clientId || !clientSecret || !redirectUri) {
             throw new Error('Missing required OAuth credentials. Please check your .env file.');
         }
 
-        this.oAuth2Client = new google.auth.OAuth2(
-            clientId,
-            clientSecret,
-            redirectUri
-        );
+        this.credentials = { clientId, clientSecret, redirectUri };
+        // Generates auth URLs and exchanges codes; it never holds an account's tokens
+        this.oAuth2Client = this.createClient();
+        this.clients = new Map();
+    }
+
+    createClient() {
+        const { clientId, clientSecret, redirectUri } = this.credentials;
+        return new google.auth.OAuth2(clientId, clientSecret, redirectUri);
+    }
+
+    getClient(accountId = accountsService.getActiveAccountId()) {
+        if (!this.clients.has(accountId)) {
+            this.clients.set(accountId, this.createClient());
+        }
+        return this.clients.get(accountId);
+    }
 
-        // Initialize token refresh on startup
-        this.initializeTokenRefresh();
+    // Runs after the accounts service, whose tokens it refreshes
+    async initialize() {
+        await tokenStoreService.initialize(accountsService.rootDir);
+        await tokenStoreService.verifyKey(accountsService.getAccounts().map(account => accountsService.getTokensPath(account.id)));
+        await this.migrateTokens();
+        await this.initializeTokenRefresh();
+    }
+
+    // Tokens used to be plaintext in the working directory; the first account's
+    // now live encrypted in the config directory, and plaintext token files of
+    // other accounts are encrypted where they are
+    async migrateTokens() {
+        try {
+            await tokenStoreService.migrate(PATHS.TOKENS_PATH, accountsService.getTokensPath(accountsService.getLegacyAccountId()));
+        } catch (error) {
+            logger.error('Error moving tokens into the config directory:', error);
+        }
+        for (const account of accountsService.getAccounts()) {
+            try {
+                await tokenStoreService.read(accountsService.getTokensPath(account.id));
+            } catch (error) {
+                logger.error(`Error reading tokens of account ${account.email || account.id}:`, error);
+            }
+        }
     }
 
     // Sanitize tokens for logging to prevent binary blob output
@@ -48,33 +88,33 @@ class AuthService {
             const auth = await this.authenticate();
             if (auth) {
                 logger.info('Initial token refresh successful');
-                
-                // Set up periodic token refresh (every 30 minutes)
-                setInterval(async () => {
+            }
+
+            // Set up periodic token refresh of every account (every 30 minutes)
+            const timer = setInterval(async () => {
+                for (const account of accountsService.getAccounts()) {
                     try {
-                        await this.refreshTokenIfNeeded();
+                        await this.refreshTokenIfNeeded(account.id);
                     } catch (error) {
                         logger.error('Periodic token refresh failed:', error);
                     }
-                }, 30 * 60 * 1000); // 30 minutes
-            }
+                }
+            }, 30 * 60 * 1000); // 30 minutes
+            timer.unref();
         } catch (error) {
             logger.error('Initial token refresh failed:', error);
         }
     }
 
-    async refreshTokenIfNeeded() {
+    async refreshTokenIfNeeded(accountId = accountsService.getActiveAccountId()) {
         try {
-            // Check if tokens exist
-            try {
-                await fs.access(TOKENS_PATH);
-            } catch (error) {
+            const tokens = await tokenStoreService.read(accountsService.getTokensPath(accountId));
+            if (!tokens) {
                 return null;
             }
 
-            // Read current tokens
-            const tokensData = await fs.readFile(TOKENS_PATH, 'utf8');
-            const tokens = JSON.parse(tokensData);
+            const client = this.getClient(accountId);
+            client.setCredentials(tokens);
 
             // Check if token will expire in the next hour
             const expiryDate = tokens.expiry_date;
@@ -84,8 +124,8 @@ class AuthService {
                 logger.info('Token expires soon, refreshing...', { 
                     currentToken: this.sanitizeTokensForLogging(tokens)
                 });
-                const { credentials } = await this.oAuth2Client.refreshAccessToken();
-                await this.saveTokens(credentials);
+                const { credentials } = await client.refreshAccessToken();
+                await this.saveTokens(credentials, accountId);
                 logger.info('Token refreshed successfully', { 
                     newToken: this.sanitizeTokensForLogging(credentials)
                 });
@@ -98,35 +138,34 @@ class AuthService {
         }
     }
 
-    async authenticate() {
+    async authenticate(accountId = accountsService.getActiveAccountId()) {
         try {
-            // Check if tokens file exists
-            try {
-                await fs.access(TOKENS_PATH);
-            } catch (error) {
+            const tokens = await tokenStoreService.read(accountsService.getTokensPath(accountId));
+            if (!tokens) {
                 logger.info('No tokens found');
                 return null;
             }
 
-            // Read tokens from file
-            const tokensData = await fs.readFile(TOKENS_PATH, 'utf8');
-            const tokens = JSON.parse(tokensData);
-
             // Set credentials
-            this.oAuth2Client.setCredentials(tokens);
+            const client = this.getClient(accountId);
+            client.setCredentials(tokens);
 
             // Try to refresh token if needed
-            await this.refreshTokenIfNeeded();
+            await this.refreshTokenIfNeeded(accountId);
 
             // Verify token validity
             try {
                 // Try to get user info to verify token validity
-                const oauth2 = google.oauth2({ version: 'v2', auth: this.oAuth2Client });
-                await oauth2.userinfo.get();
-                return this.oAuth2Client;
+                const oauth2 = google.oauth2({ version: 'v2', auth: client });
+                const { data } = await oauth2.userinfo.get();
+                // Accounts from before multi-account support learn who they belong to
+                if (!accountsService.getAccount(accountId)?.googleUserId) {
+                    accountsService.setProfile(accountId, this.toProfile(data));
+                }
+                return client;
             } catch (error) {
                 logger.error('Token verification failed:', error);
-                await this.deleteTokens();
+                await this.deleteTokens(accountId);
                 return null;
             }
         } catch (error) {
@@ -140,7 +179,9 @@ class AuthService {
             access_type: 'offline',
             scope: scopes,
             include_granted_scopes: true,
-            prompt: 'consent' // Always ask for consent to ensure we get a refresh token
+            // Always ask for consent to ensure we get a refresh token, and let the user pick
+            // which Google account to add
+            prompt: 'select_account consent'
         });
     }
 
@@ -155,13 +196,29 @@ class AuthService {
         }
     }
 
-    setCredentials(tokens) {
-        this.oAuth2Client.setCredentials(tokens);
+    setCredentials(tokens, accountId) {
+        this.getClient(accountId).setCredentials(tokens);
+    }
+
+    toProfile(userInfo) {
+        return { googleUserId: userInfo.id, email: userInfo.email || null, name: userInfo.name || null };
     }
 
-    async saveTokens(tokens) {
+    // Record the account the tokens of a new login belong to and store them with it
+    async addAccount(tokens) {
+        const client = this.createClient();
+        client.setCredentials(tokens);
+        const oauth2 = google.oauth2({ version: 'v2', auth: client });
+        const { data } = await oauth2.userinfo.get();
+        const account = accountsService.addAccount(this.toProfile(data));
+        this.clients.set(account.id, client);
+        await this.saveTokens(tokens, account.id);
+        return account;
+    }
+
+    async saveTokens(tokens, accountId = accountsService.getActiveAccountId()) {
         try {
-            await fs.writeFile(TOKENS_PATH, JSON.stringify(tokens, null, 2));
+            await tokenStoreService.write(accountsService.getTokensPath(accountId), tokens);
             logger.info('Tokens saved successfully', {
                 tokens: this.sanitizeTokensForLogging(tokens)
             });
@@ -171,20 +228,19 @@ class AuthService {
         }
     }
 
-    async deleteTokens() {
+    async deleteTokens(accountId = accountsService.getActiveAccountId()) {
         try {
-            await fs.unlink(TOKENS_PATH);
+            this.clients.delete(accountId);
+            await tokenStoreService.remove(accountsService.getTokensPath(accountId));
             logger.info('Tokens deleted successfully');
         } catch (error) {
-            if (error.code !== 'ENOENT') {
-                logger.error('Error deleting tokens:', error);
-                throw error;
-            }
+            logger.error('Error deleting tokens:', error);
+            throw error;
         }
     }
 
-    getAuth() {
-        return this.oAuth2Client;
+    getAuth(accountId) {
+        return this.getClient(accountId);
     }
 }
 
@@ -0,0 +1,187 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.service.js';
+import metadataService from './metadata.service.js';
+import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
+
+// Content-hash deduplication. Google Photos often holds the same bytes several
+// times (re-uploads, shared-album copies), so downloads can be hashed and, when
+// the bytes are already on disk, dropped or turned into hardlinks.
+class DedupService {
+    constructor() {
+        // keep: record the hash only, skip: don't keep a second copy,
+        // hardlink: keep the file name but share the bytes with the first copy
+        this.POLICIES = ['keep', 'skip', 'hardlink'];
+        this.scan = { running: false, hashed: 0, total: 0 };
+    }
+
+    isEnabled() {
+        return Boolean(settingsService.getSettings().hashFiles);
+    }
+
+    getPolicy() {
+        const { dedupPolicy } = settingsService.getSettings();
+        return this.POLICIES.includes(dedupPolicy) ? dedupPolicy : 'keep';
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('error', reject)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')));
+        });
+    }
+
+    // The first synced item with these bytes that is still on disk under another path
+    findOriginal(sha256, itemId, filePath) {
+        return stateStoreService.getItemsByHash(sha256)
+            .find(item => item.id !== itemId && item.localPath !== filePath && fs.existsSync(item.localPath));
+    }
+
+    // Hash a freshly downloaded file, before any metadata is written into it, and
+    // apply the dedup policy. Returns the path the item should be recorded at (the
+    // existing copy when skipped), its hash, and whether that path shares its bytes
+    // with the existing copy (skipped or hardlinked), which must then not be written to.
+    async processDownload(item, filePath) {
+        if (!this.isEnabled()) {
+            return { filePath, sha256: null, shared: false };
+        }
+
+        const sha256 = await this.hashFile(filePath);
+        const original = this.findOriginal(sha256, item.id, filePath);
+        if (!original) {
+            return { filePath, sha256, shared: false };
+        }
+
+        const policy = this.getPolicy();
+        try {
+            if (policy === 'skip') {
+                await fs.promises.unlink(filePath);
+                await fs.promises.rm(metadataService.getSidecarPath(filePath), { force: true });
+                logger.info(`${path.basename(filePath)} is a duplicate of ${original.localPath}, not keeping a copy`);
+                return { filePath: original.localPath, sha256, shared: true };
+            }
+            if (policy === 'hardlink') {
+                await this.replaceWithLink(original.localPath, filePath);
+                logger.info(`${path.basename(filePath)} is a duplicate of ${original.localPath}, hardlinked`);
+                return { filePath, sha256, shared: true };
+            }
+        } catch (error) {
+            // Hardlinks need both files on one volume; keep the download as is otherwise
+            logger.warn(`Could not dedupe ${filePath}: ${error.message}`);
+        }
+        return { filePath, sha256, shared: false };
+    }
+
+    // Swap `target` for a hardlink to `source` without a window where target is missing
+    async replaceWithLink(source, target) {
+        const [sourceStats, targetStats] = await Promise.all([fs.promises.stat(source), fs.promises.stat(target)]);
+        if (sourceStats.dev === targetStats.dev && sourceStats.ino === targetStats.ino) {
+            return;
+        }
+
+        const tempPath = `${target}.link`;
+        await fs.promises.rm(tempPath, { force: true });
+        await fs.promises.link(source, tempPath);
+        await fs.promises.rename(tempPath, target);
+    }
+
+    // Groups of live items sharing the same bytes, largest savings first. Items
+    // pointing at one file (skip) or one inode (hardlink) take no extra space.
+    getDuplicateGroups() {
+        return stateStoreService.getDuplicateHashes()
+            .map(sha256 => {
+                const items = stateStoreService.getItemsByHash(sha256);
+                const files = new Set();
+                for (const item of items) {
+                    try {
+                        const stats = fs.statSync(item.localPath);
+                        files.add(`${stats.dev}:${stats.ino}`);
+                    } catch {
+                        // Missing files don't take up space
+                    }
+                }
+                const size = items.find(item => item.size)?.size || 0;
+
+                return {
+                    sha256,
+                    size,
+                    copies: files.size,
+                    reclaimableBytes: size * Math.max(files.size - 1, 0),
+                    items: items.map(item => ({
+                        id: item.id,
+                        fileName: item.fileName,
+                        localPath: item.localPath,
+                        creationTime: item.creationTime
+                    }))
+                };
+            })
+            .sort((a, b) => b.reclaimableBytes - a.reclaimableBytes);
+    }
+
+    getReport() {
+        const groups = this.getDuplicateGroups();
+        return {
+            policy: this.getPolicy(),
+            hashFiles: this.isEnabled(),
+            totalGroups: groups.length,
+            reclaimableBytes: groups.reduce((total, group) => total + group.reclaimableBytes, 0),
+            groups,
+            scan: this.scan
+        };
+    }
+
+    // Whether the file on disk still holds the bytes as downloaded. Metadata may
+    // have been written into JPEGs since, so their download hash can't be recovered.
+    isUnchangedSinceDownload(filePath) {
+        return !metadataService.embedsMetadata(filePath);
+    }
+
+    // Hash synced files that were downloaded before hashing was turned on. Every
+    // file gets the checksum of its bytes on disk for the integrity scrub; files
+    // without metadata written into them also get their download hash, so they
+    // show up in the report and match new downloads. The dedup policy only applies
+    // to new downloads.
+    async hashExistingFiles() {
+        if (this.scan.running) {
+            throw new Error('A hash scan is already running');
+        }
+
+        const items = stateStoreService.getItems({ status: 'synced', deleted: false })
+            .filter(item => item.localPath
+                && (!item.fileSha256 || (!item.sha256 && this.isUnchangedSinceDownload(item.localPath))));
+        this.scan = { running: true, hashed: 0, total: items.length };
+        logger.info(`Hashing ${items.length} synced files`);
+
+        // Items sharing a file (skip policy) only need it read once
+        const hashes = new Map();
+        try {
+            for (const item of items) {
+                try {
+                    if (!hashes.has(item.localPath)) {
+                        hashes.set(item.localPath, await this.hashFile(item.localPath));
+                    }
+                    const fileSha256 = hashes.get(item.localPath);
+                    stateStoreService.upsertItem(item.id, this.isUnchangedSinceDownload(item.localPath)
+                        ? { sha256: fileSha256, fileSha256 }
+                        : { fileSha256 });
+                } catch (error) {
+                    if (error.code !== 'ENOENT') {
+                        logger.warn(`Could not hash ${item.localPath}: ${error.message}`);
+                    }
+                }
+                this.scan.hashed++;
+            }
+            logger.info(`Hashed ${this.scan.hashed} synced files`);
+        } finally {
+            this.scan.running = false;
+        }
+    }
+}
+
+const dedupService = new DedupService();
+export default dedupService;
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import axios from 'axios';
+import logger from './logger.service.js';
+import settingsService from './settings.service.js';
+
+class DownloadService {
+    constructor() {
+        this.PART_SUFFIX = '.part';
+        this.STALE_PART_AGE = 24 * 60 * 60 * 1000; // Partial files older than this are not resumed
+        this.rateLimit = 0; // Bytes per second across all downloads, 0 is unlimited; set by the scheduler
+        this.nextChunkAt = 0;
+    }
+
+    async initialize() {
+        const settings = settingsService.getSettings();
+        const syncDir = settings.syncDir || path.join(process.cwd(), 'photos');
+
+        // Don't hold up startup walking a large library; log the outcome instead
+        this.cleanupPartialFiles(syncDir)
+            .then(removed => logger.info(`Removed ${removed} stale partial downloads`))
+            .catch(error => logger.error('Error cleaning up partial downloads:', error));
+
+        logger.info('Download service initialized');
+    }
+
+    setRateLimit(bytesPerSecond) {
+        const rateLimit = bytesPerSecond > 0 ? bytesPerSecond : 0;
+        if (rateLimit !== this.rateLimit) {
+            logger.info(rateLimit ? `Download rate limited to ${(rateLimit / 1024 / 1024).toFixed(2)} MB/s` : 'Download rate unlimited');
+        }
+        this.rateLimit = rateLimit;
+    }
+
+    // How long to hold back a chunk so all downloads together stay under the rate
+    // limit. Each chunk takes the next free slot on a shared clock.
+    reserveBandwidth(bytes, now = Date.now()) {
+        if (!this.rateLimit) {
+            this.nextChunkAt = 0;
+            return 0;
+        }
+        const start = Math.max(now, this.nextChunkAt);
+        this.nextChunkAt = start + (bytes / this.rateLimit) * 1000;
+        return start - now;
+    }
+
+    // Passes chunks through at the rate limit in force when they arrive, so a
+    // limit that changes mid-download applies right away
+    createThrottle() {
+        return new Transform({
+            transform: (chunk, encoding, callback) => {
+                const delay = this.reserveBandwidth(chunk.length);
+                if (delay > 0) {
+                    setTimeout(() => callback(null, chunk), delay);
+                } else {
+                    callback(null, chunk);
+                }
+            }
+        });
+    }
+
+    getPartPath(targetPath) {
+        return `${targetPath}${this.PART_SUFFIX}`;
+    }
+
+    async getPartialSize(partPath) {
+        try {
+            const stats = await fs.promises.stat(partPath);
+            return stats.size;
+        } catch {
+            return 0;
+        }
+    }
+
+    // Total size of the resource, taken from Content-Range on a 206 or Content-Length on a 200
+    getExpectedSize(response) {
+        if (response.status === 206) {
+            const match = /\/(\d+)$/.exec(response.headers['content-range'] || '');
+            return match ? parseInt(match[1], 10) : null;
+        }
+        const contentLength = parseInt(response.headers['content-length'], 10);
+        return isNaN(contentLength) ? null : contentLength;
+    }
+
+    // Download `url` into `targetPath` through a `.part` file next to it. An existing
+    // partial file is resumed with a Range request when the server honors it; the
+    // final path only ever appears after the transfer completes and its size checks out.
+    async downloadToFile(url, targetPath) {
+        const partPath = this.getPartPath(targetPath);
+        let offset = await this.getPartialSize(partPath);
+
+        const request = (start) => axios({
+            method: 'get',
+            url,
+            responseType: 'stream',
+            headers: start > 0 ? { Range: `bytes=${start}-` } : {},
+            validateStatus: status => status === 200 || status === 206 || status === 416
+        });
+
+        let response = await request(offset);
+
+        // The partial file no longer lines up with the remote resource, start over
+        if (response.status === 416) {
+            response.data.destroy();
+            logger.warn(`Range not satisfiable for ${path.basename(targetPath)}, restarting download`);
+            offset = 0;
+            response = await request(0);
+        }
+
+        const resumed = response.status === 206;
+        if (resumed) {
+            const rangeStart = /bytes (\d+)-/.exec(response.headers['content-range'] || '');
+            if (!rangeStart || parseInt(rangeStart[1], 10) !== offset) {
+                response.data.destroy();
+                throw new Error(`Unexpected Content-Range for ${path.basename(targetPath)}`);
+            }
+            logger.info(`Resuming ${path.basename(targetPath)} from byte ${offset}`);
+        } else {
+            // Server ignored the Range header and sent the whole file
+            offset = 0;
+        }
+
+        const expectedSize = this.getExpectedSize(response);
+        const writer = fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
+        await pipeline(response.data, this.createThrottle(), writer);
+
+        const { size } = await fs.promises.stat(partPath);
+        if (size === 0 || (expectedSize !== null && size !== expectedSize)) {
+            await fs.promises.unlink(partPath).catch(() => {});
+            throw new Error(`Incomplete download for ${path.basename(targetPath)}: ` +
+                `got ${size} bytes, expected ${expectedSize ?? 'a non-empty file'}`);
+        }
+
+        await fs.promises.rename(partPath, targetPath);
+        return { filePath: targetPath, size, resumed };
+    }
+
+    // Remove `.part` files that are too old to be worth resuming
+    async cleanupPartialFiles(syncDir, maxAge = this.STALE_PART_AGE) {
+        let removed = 0;
+        const now = Date.now();
+
+        const walk = async (dir) => {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === 'ENOENT') return;
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.name.endsWith(this.PART_SUFFIX)) {
+                    try {
+                        const stats = await fs.promises.stat(fullPath);
+                        if (now - stats.mtimeMs > maxAge) {
+                            await fs.promises.unlink(fullPath);
+                            removed++;
+                            logger.info(`Removed stale partial download: ${fullPath}`);
+                        }
+                    } catch (error) {
+                        logger.error(`Error removing partial download ${fullPath}:`, error);
+                    }
+                }
+            }
+        };
+
+        await walk(syncDir);
+        return removed;
+    }
+}
+
+const downloadService = new DownloadService();
+export default downloadService;
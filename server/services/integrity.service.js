@@ -0,0 +1,295 @@
+import fs from 'fs';
+import ffmpeg from 'fluent-ffmpeg';
+import sharp from 'sharp';
+import logger from './logger.service.js';
+import dedupService from './dedup.service.js';
+import metadataService from './metadata.service.js';
+import organizeService from './organize.service.js';
+import photosService from './photos.service.js';
+import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
+import syncCacheService from './sync.cache.service.js';
+import syncService from './sync.service.js';
+
+// Image formats the bundled libvips decodes; HEIC needs a codec sharp doesn't ship
+const DECODABLE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/tiff', 'image/avif']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scrubs the library for files that rotted on disk or never downloaded cleanly:
+// stored SHA-256 checksums are compared, images are fully decoded with sharp and
+// videos are probed with ffprobe. Corrupted items get the 'corrupted' status, which
+// takes them out of the synced library, so the next sync downloads them again.
+// The queue can also be downloaded right away with redownloadCorrupted.
+class IntegrityService {
+    constructor() {
+        // How often the scrub schedule is checked
+        this.SCHEDULE_CHECK_MS = 60 * 60 * 1000;
+        // Results are written to the state store in transactions of this size
+        this.BATCH_SIZE = 50;
+        this.RESULT_STATUSES = ['ok', 'corrupted', 'missing', 'redownloaded'];
+        this.job = this.emptyJob();
+        this.redownload = { running: false, done: 0, total: 0, failed: 0 };
+        // Set once ffprobe turns out not to be installed, so videos are skipped quietly
+        this.ffprobeMissing = false;
+        this.timer = null;
+    }
+
+    emptyJob() {
+        return { running: false, startedAt: null, finishedAt: null, checked: 0, total: 0, ok: 0, corrupted: 0, missing: 0 };
+    }
+
+    async initialize() {
+        this.loadState();
+        this.timer = setInterval(() => {
+            this.runIfDue().catch(error => logger.error('Scheduled integrity scrub error:', error));
+        }, this.SCHEDULE_CHECK_MS);
+        this.timer.unref();
+        logger.info('Integrity service initialized');
+    }
+
+    // The last scrub's summary, so the schedule survives a restart; loaded again
+    // when the active account changes
+    loadState() {
+        this.job = { ...this.emptyJob(), ...stateStoreService.getMeta('integrityScrub'), running: false };
+        this.redownload = { running: false, done: 0, total: 0, failed: 0 };
+    }
+
+    getIntervalDays() {
+        const days = Number(settingsService.getSettings().integrityScrubIntervalDays);
+        return Number.isFinite(days) && days > 0 ? days : 0;
+    }
+
+    // When the next scheduled scrub is due, or null when the schedule is off
+    getNextRunAt() {
+        const days = this.getIntervalDays();
+        if (!days) return null;
+        const last = this.job.finishedAt ? new Date(this.job.finishedAt).getTime() : 0;
+        return new Date(Math.max(last + days * DAY_MS, Date.now())).toISOString();
+    }
+
+    // Start a scrub when one is due and nothing else is touching the files
+    async runIfDue(now = Date.now()) {
+        const nextRunAt = this.getNextRunAt();
+        if (!nextRunAt || new Date(nextRunAt).getTime() > now) return null;
+        if (this.job.running || syncService.isSyncing() || organizeService.job.running) return null;
+        logger.info('Starting scheduled integrity scrub');
+        return this.scrub();
+    }
+
+    getStatus() {
+        return {
+            job: this.job,
+            redownload: this.redownload,
+            counts: stateStoreService.countIntegrityResults(),
+            queued: stateStoreService.getItems({ status: 'corrupted', deleted: false }).length,
+            ffprobeAvailable: !this.ffprobeMissing,
+            schedule: { intervalDays: this.getIntervalDays(), nextRunAt: this.getNextRunAt() }
+        };
+    }
+
+    getReport(options) {
+        return stateStoreService.getIntegrityResults(options);
+    }
+
+    probe(filePath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(filePath, (error, data) => (error ? reject(error) : resolve(data)));
+        });
+    }
+
+    // Run every check that applies to the file. Each check ends up 'ok', 'failed'
+    // or 'skipped'; any failure makes the file corrupted.
+    async checkFile(item) {
+        const checks = {};
+        const problems = [];
+
+        let stats;
+        try {
+            stats = await fs.promises.stat(item.localPath);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return { status: 'missing', checks, error: 'File not found' };
+        }
+        if (stats.size === 0) {
+            return { status: 'corrupted', checks: { size: 'failed' }, error: 'Empty file' };
+        }
+        checks.size = 'ok';
+
+        // sha256 is of the bytes as downloaded; items recorded before file_sha256 was
+        // added hashed the file after its metadata was written, like file_sha256
+        const expectedSha256 = item.fileSha256 || item.sha256;
+        if (expectedSha256) {
+            const sha256 = await dedupService.hashFile(item.localPath);
+            checks.checksum = sha256 === expectedSha256 ? 'ok' : 'failed';
+            if (checks.checksum === 'failed') {
+                problems.push('Checksum does not match');
+            }
+        } else {
+            checks.checksum = 'skipped';
+        }
+
+        if (DECODABLE_TYPES.has(item.mimeType)) {
+            try {
+                // stats() decodes every pixel; failOn 'error' catches truncated files
+                await sharp(item.localPath, { failOn: 'error' }).stats();
+                checks.decode = 'ok';
+            } catch (error) {
+                checks.decode = 'failed';
+                problems.push(`Image does not decode: ${error.message}`);
+            }
+        } else if (item.mimeType?.startsWith('video/')) {
+            checks.probe = await this.checkVideo(item.localPath, problems);
+        }
+
+        return { status: problems.length > 0 ? 'corrupted' : 'ok', checks, error: problems.join('; ') || null };
+    }
+
+    async checkVideo(filePath, problems) {
+        if (this.ffprobeMissing) {
+            return 'skipped';
+        }
+        try {
+            const data = await this.probe(filePath);
+            const duration = Number(data.format?.duration);
+            if (!data.streams?.some(stream => stream.codec_type === 'video')) {
+                problems.push('Video has no video stream');
+                return 'failed';
+            }
+            if (!(duration > 0)) {
+                problems.push('Video has no duration');
+                return 'failed';
+            }
+            return 'ok';
+        } catch (error) {
+            if (/Cannot find ffprobe/.test(error.message)) {
+                this.ffprobeMissing = true;
+                logger.warn('ffprobe not found (install ffmpeg or set FFPROBE_PATH), videos are not probed');
+                return 'skipped';
+            }
+            problems.push(`Video does not probe: ${error.message.split('\n')[0]}`);
+            return 'failed';
+        }
+    }
+
+    // Check every synced file; meant to run in the background. The results replace
+    // those of the last scrub.
+    async scrub() {
+        if (this.job.running) {
+            throw new Error('An integrity scrub is already running');
+        }
+
+        // Items sharing a file (dedup skip policy) are checked once
+        const files = new Map();
+        for (const item of syncCacheService.getSyncedItems()) {
+            if (!item.localPath) continue;
+            if (!files.has(item.localPath)) {
+                files.set(item.localPath, []);
+            }
+            files.get(item.localPath).push(item);
+        }
+
+        this.job = { ...this.emptyJob(), running: true, startedAt: new Date().toISOString(), total: files.size };
+        logger.info(`Starting integrity scrub of ${files.size} files`);
+        stateStoreService.clearIntegrityResults();
+
+        let pending = [];
+        const flush = () => {
+            stateStoreService.transaction(() => {
+                for (const { items, result } of pending) {
+                    for (const item of items) {
+                        stateStoreService.saveIntegrityResult({ ...result, itemId: item.id, localPath: item.localPath });
+                        if (result.status === 'corrupted') {
+                            stateStoreService.upsertItem(item.id, { status: 'corrupted', error: result.error, verified: false });
+                        }
+                    }
+                }
+            });
+            pending = [];
+        };
+
+        try {
+            for (const items of files.values()) {
+                let result;
+                try {
+                    result = await this.checkFile(items[0]);
+                } catch (error) {
+                    // A file that can't be read at all counts as corrupted
+                    result = { status: 'corrupted', checks: {}, error: error.message };
+                }
+                result.checkedAt = new Date().toISOString();
+                if (result.status === 'corrupted') {
+                    logger.warn(`Corrupted file ${items[0].localPath}: ${result.error}`);
+                }
+
+                this.job[result.status]++;
+                this.job.checked++;
+                pending.push({ items, result });
+                if (pending.length >= this.BATCH_SIZE) {
+                    flush();
+                }
+            }
+            flush();
+            logger.info(`Integrity scrub done: ${this.job.ok} ok, ${this.job.corrupted} corrupted, ${this.job.missing} missing`);
+        } finally {
+            Object.assign(this.job, { running: false, finishedAt: new Date().toISOString() });
+            stateStoreService.setMeta('integrityScrub', this.job);
+        }
+        return this.job;
+    }
+
+    // Download the corrupted items again now instead of waiting for the next sync;
+    // meant to run in the background
+    async redownloadCorrupted(auth) {
+        if (this.redownload.running) {
+            throw new Error('Corrupted items are already being downloaded');
+        }
+
+        const syncDir = organizeService.getSyncDir();
+        const stored = new Map(stateStoreService.getItems({ status: 'corrupted', deleted: false }).map(item => [item.id, item]));
+        const items = [...stored.values()].map(item => ({
+            id: item.id,
+            filename: item.originalFilename || item.fileName,
+            mimeType: item.mimeType,
+            mediaMetadata: item.mediaMetadata
+        }));
+
+        this.redownload = { running: true, done: 0, total: items.length, failed: 0 };
+        try {
+            if (items.length > 0) {
+                await photosService.refreshBaseUrls(auth, items);
+            }
+            for (const item of items) {
+                // Items without a fresh baseUrl are gone from Google Photos or not shared with us anymore
+                const result = item.baseUrl
+                    ? await syncService.downloadItem(item, syncDir, auth)
+                    : { success: false, error: 'Not found in Google Photos' };
+
+                if (result.success) {
+                    syncCacheService.updateItem(item.id, { verified: true });
+                    stateStoreService.updateIntegrityStatus(item.id, 'redownloaded');
+                    await this.removeReplacedFile(stored.get(item.id).localPath);
+                } else {
+                    this.redownload.failed++;
+                    logger.warn(`Could not download corrupted item ${item.id} again: ${result.error}`);
+                }
+                this.redownload.done++;
+            }
+            logger.info(`Downloaded ${this.redownload.done - this.redownload.failed} of ${items.length} corrupted items again`);
+        } finally {
+            this.redownload.running = false;
+        }
+        return this.redownload;
+    }
+
+    // The new download lands where the current layout puts it; the corrupted copy
+    // goes unless it was replaced in place or another item still uses it
+    async removeReplacedFile(oldPath) {
+        if (!oldPath || stateStoreService.getItemsAtPath(oldPath).length > 0) return;
+        await fs.promises.rm(oldPath, { force: true });
+        await fs.promises.rm(metadataService.getSidecarPath(oldPath), { force: true });
+    }
+}
+
+const integrityService = new IntegrityService();
+export default integrityService;
@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import piexif from 'piexifjs';
+import logger from './logger.service.js';
+import settingsService from './settings.service.js';
+import timestampService from './timestamp.service.js';
+
+// EXIF 2.31 offset tags, which piexifjs doesn't know about
+const OFFSET_TIME = 0x9010;
+const OFFSET_TIME_ORIGINAL = 0x9011;
+const OFFSET_TIME_DIGITIZED = 0x9012;
+piexif.TAGS.Exif[OFFSET_TIME] ??= { name: 'OffsetTime', type: 'Ascii' };
+piexif.TAGS.Exif[OFFSET_TIME_ORIGINAL] ??= { name: 'OffsetTimeOriginal', type: 'Ascii' };
+piexif.TAGS.Exif[OFFSET_TIME_DIGITIZED] ??= { name: 'OffsetTimeDigitized', type: 'Ascii' };
+
+const JPEG_EXTENSIONS = ['.jpg', '.jpeg'];
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// EXIF rationals are [numerator, denominator] pairs
+const toRational = (value, precision = 1000) => [Math.round(value * precision), precision];
+
+// Exposure times read best as 1/125 rather than 8/1000
+const toExposureRational = (seconds) => (seconds < 1 ? [1, Math.round(1 / seconds)] : toRational(seconds));
+
+// Writes what Google Photos knows about an item (capture date, camera, caption)
+// into the downloaded file. Files fetched with `=d` often come without EXIF dates.
+// JPEGs get EXIF tags in place; other formats get an XMP sidecar next to the file,
+// since rewriting HEIC and video containers in place needs a full muxer.
+class MetadataService {
+    constructor() {
+        this.SIDECAR_EXTENSION = '.xmp';
+    }
+
+    isEnabled() {
+        return Boolean(settingsService.getSettings().preserveExif);
+    }
+
+    // Whether writeMetadata changes the file itself rather than writing a sidecar
+    embedsMetadata(filePath) {
+        return JPEG_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+    }
+
+    getSidecarPath(filePath) {
+        return `${filePath}${this.SIDECAR_EXTENSION}`;
+    }
+
+    // The fields we write, from the mediaItem returned by the API
+    getMetadata(item) {
+        const { mediaMetadata = {}, description } = item;
+        const details = mediaMetadata.photo || mediaMetadata.video || {};
+        const creationTime = mediaMetadata.creationTime ? new Date(mediaMetadata.creationTime) : null;
+        // exposureTime comes as a duration string, e.g. "0.008s"
+        const exposureTime = parseFloat(details.exposureTime);
+
+        return {
+            creationTime: creationTime && !isNaN(creationTime.getTime()) ? creationTime : null,
+            cameraMake: details.cameraMake || null,
+            cameraModel: details.cameraModel || null,
+            focalLength: details.focalLength || null,
+            apertureFNumber: details.apertureFNumber || null,
+            isoEquivalent: details.isoEquivalent || null,
+            exposureTime: exposureTime > 0 ? exposureTime : null,
+            description: description || null
+        };
+    }
+
+    hasMetadata(metadata) {
+        return Object.values(metadata).some(value => value !== null);
+    }
+
+    // EXIF dates are wall-clock time, written in the configured timezone
+    // alongside its offset
+    formatExifDate(date) {
+        const { year, month, day, hour, minute, second } = timestampService.getLocalParts(date);
+        return `${year}:${month}:${day} ${hour}:${minute}:${second}`;
+    }
+
+    formatXmpDate(date) {
+        const { year, month, day, hour, minute, second } = timestampService.getLocalParts(date);
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}${timestampService.getOffset(date)}`;
+    }
+
+    async writeMetadata(item, filePath) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        const metadata = this.getMetadata(item);
+        if (!this.hasMetadata(metadata)) {
+            return null;
+        }
+
+        if (this.embedsMetadata(filePath)) {
+            try {
+                await this.writeExif(filePath, metadata);
+                return 'exif';
+            } catch (error) {
+                // Malformed EXIF blocks can't be rewritten safely; fall back to a sidecar
+                logger.warn(`Could not write EXIF to ${path.basename(filePath)}, writing a sidecar: ${error.message}`);
+            }
+        }
+
+        await this.writeSidecar(filePath, metadata);
+        return 'sidecar';
+    }
+
+    // Fill in the EXIF tags the file is missing. Tags the camera wrote are left
+    // alone; the description is always set, since a caption edited in Google
+    // Photos is newer than anything in the file.
+    async writeExif(filePath, metadata) {
+        const data = (await fs.promises.readFile(filePath)).toString('binary');
+        let exif;
+        try {
+            exif = piexif.load(data);
+        } catch {
+            exif = { '0th': {}, Exif: {}, GPS: {}, Interop: {}, '1st': {}, thumbnail: null };
+        }
+        const ifd0 = exif['0th'];
+        const exifIfd = exif.Exif;
+        let changed = false;
+
+        const setIfMissing = (ifd, tag, value) => {
+            if (value !== null && value !== undefined && ifd[tag] === undefined) {
+                ifd[tag] = value;
+                changed = true;
+            }
+        };
+
+        if (metadata.creationTime && exifIfd[piexif.ExifIFD.DateTimeOriginal] === undefined) {
+            const date = this.formatExifDate(metadata.creationTime);
+            const offset = timestampService.getOffset(metadata.creationTime);
+            exifIfd[piexif.ExifIFD.DateTimeOriginal] = date;
+            exifIfd[OFFSET_TIME_ORIGINAL] = offset;
+            setIfMissing(exifIfd, piexif.ExifIFD.DateTimeDigitized, date);
+            setIfMissing(exifIfd, OFFSET_TIME_DIGITIZED, offset);
+            setIfMissing(ifd0, piexif.ImageIFD.DateTime, date);
+            setIfMissing(exifIfd, OFFSET_TIME, offset);
+            changed = true;
+        }
+
+        setIfMissing(ifd0, piexif.ImageIFD.Make, metadata.cameraMake);
+        setIfMissing(ifd0, piexif.ImageIFD.Model, metadata.cameraModel);
+        if (metadata.focalLength) {
+            setIfMissing(exifIfd, piexif.ExifIFD.FocalLength, toRational(metadata.focalLength));
+        }
+        if (metadata.apertureFNumber) {
+            setIfMissing(exifIfd, piexif.ExifIFD.FNumber, toRational(metadata.apertureFNumber, 100));
+        }
+        setIfMissing(exifIfd, piexif.ExifIFD.ISOSpeedRatings, metadata.isoEquivalent);
+        if (metadata.exposureTime) {
+            setIfMissing(exifIfd, piexif.ExifIFD.ExposureTime, toExposureRational(metadata.exposureTime));
+        }
+
+        if (metadata.description) {
+            // ASCII tag, but readers take UTF-8 bytes here
+            const description = Buffer.from(metadata.description, 'utf8').toString('binary');
+            if (ifd0[piexif.ImageIFD.ImageDescription] !== description) {
+                ifd0[piexif.ImageIFD.ImageDescription] = description;
+                changed = true;
+            }
+        }
+
+        if (!changed) {
+            return;
+        }
+
+        const updated = piexif.insert(piexif.dump(exif), data);
+        await this.replaceFile(filePath, Buffer.from(updated, 'binary'));
+    }
+
+    async writeSidecar(filePath, metadata) {
+        const fields = [];
+        if (metadata.creationTime) {
+            const date = this.formatXmpDate(metadata.creationTime);
+            fields.push(`<exif:DateTimeOriginal>${date}</exif:DateTimeOriginal>`);
+            fields.push(`<xmp:CreateDate>${date}</xmp:CreateDate>`);
+            fields.push(`<photoshop:DateCreated>${date}</photoshop:DateCreated>`);
+        }
+        if (metadata.cameraMake) fields.push(`<tiff:Make>${escapeXml(metadata.cameraMake)}</tiff:Make>`);
+        if (metadata.cameraModel) fields.push(`<tiff:Model>${escapeXml(metadata.cameraModel)}</tiff:Model>`);
+        if (metadata.focalLength) fields.push(`<exif:FocalLength>${toRational(metadata.focalLength).join('/')}</exif:FocalLength>`);
+        if (metadata.apertureFNumber) fields.push(`<exif:FNumber>${toRational(metadata.apertureFNumber, 100).join('/')}</exif:FNumber>`);
+        if (metadata.isoEquivalent) {
+            fields.push(`<exif:ISOSpeedRatings><rdf:Seq><rdf:li>${metadata.isoEquivalent}</rdf:li></rdf:Seq></exif:ISOSpeedRatings>`);
+        }
+        if (metadata.exposureTime) fields.push(`<exif:ExposureTime>${toExposureRational(metadata.exposureTime).join('/')}</exif:ExposureTime>`);
+        if (metadata.description) {
+            fields.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(metadata.description)}</rdf:li></rdf:Alt></dc:description>`);
+        }
+
+        const xmp = [
+            '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+            '  <rdf:Description rdf:about=""',
+            '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+            '    xmlns:exif="http://ns.adobe.com/exif/1.0/"',
+            '    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"',
+            '    xmlns:tiff="http://ns.adobe.com/tiff/1.0/"',
+            '    xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+            ...fields.map(field => `   ${field}`),
+            '  </rdf:Description>',
+            ' </rdf:RDF>',
+            '</x:xmpmeta>',
+            '<?xpacket end="w"?>',
+            ''
+        ].join('\n');
+
+        await this.replaceFile(this.getSidecarPath(filePath), xmp);
+    }
+
+    // Write next to the target and rename, so a crash never leaves a half-written file
+    async replaceFile(filePath, contents) {
+        const tempPath = `${filePath}.meta`;
+        await fs.promises.writeFile(tempPath, contents);
+        await fs.promises.rename(tempPath, filePath);
+    }
+}
+
+const metadataService = new MetadataService();
+export default metadataService;
@@ -0,0 +1,387 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.service.js';
+import albumsService from './albums.service.js';
+import metadataService from './metadata.service.js';
+import photosService from './photos.service.js';
+import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
+import templateService from './template.service.js';
+import timestampService from './timestamp.service.js';
+
+// Settings a re-layout plan is computed from; a plan is out of date once they change
+const LAYOUT_KEYS = ['folderStructure', 'folderTemplate', 'fileNameTemplate', 'autoOrganize', 'timezone'];
+
+const createError = (message, code) => Object.assign(new Error(message), { code });
+
+// Decides where in the sync directory an item lives (the folder layout, file
+// name template and autoOrganize settings), and re-lays out a library synced
+// under another layout. A re-layout is planned first (a dry run that computes
+// every move), then applied in chunks. Every move is journaled in the state
+// store, so an interrupted re-layout can be continued and an applied one undone.
+class OrganizeService {
+    constructor() {
+        this.CHUNK_SIZE = 100;
+        // How many moves, conflicts and missing files plan summaries list
+        this.SAMPLE_SIZE = 50;
+        this.job = { running: false, action: null, planId: null, done: 0, total: 0, failed: 0 };
+        // Paths handed out to downloads that haven't finished yet
+        this.claimedPaths = new Set();
+    }
+
+    // A re-layout cut short by a restart may have moved files without recording
+    // it; the journal says where each file should be, so check the disk
+    async initialize() {
+        const plan = this.getLatestPlan();
+        if (plan && ['applying', 'undoing'].includes(plan.status)) {
+            const undo = plan.status === 'undoing';
+            const settled = stateStoreService.getRelayoutMoves(plan.id, undo ? 'moved' : 'pending')
+                .filter(move => {
+                    const [source, target] = undo ? [move.to, move.from] : [move.from, move.to];
+                    return !fs.existsSync(source) && fs.existsSync(target);
+                });
+            this.commitMoves(plan.id, settled, { undo });
+            // An interrupted apply can be continued; an interrupted undo tried again
+            this.setPlanStatus(plan, undo ? 'applied' : 'interrupted');
+            logger.warn(`Found interrupted re-layout ${plan.id}, recovered ${settled.length} moves from the journal`);
+        }
+        logger.info('Organize service initialized');
+    }
+
+    getSyncDir() {
+        return settingsService.getSettings().syncDir || path.join(process.cwd(), 'photos');
+    }
+
+    // Directory new downloads of the item go into. Items without a capture date
+    // stay at the top of the sync directory.
+    getTargetDir(item, syncDir) {
+        const { autoOrganize } = settingsService.getSettings();
+        const date = timestampService.getCreationDate(item);
+        if (!autoOrganize || !date) {
+            return syncDir;
+        }
+        return path.join(syncDir, templateService.renderFolder(item));
+    }
+
+    // Where a new download of the item goes. Templates can give different items
+    // the same name, so a taken path gets a numeric suffix. The path stays
+    // claimed until releasePath, so parallel downloads don't pick the same one.
+    claimTargetPath(item, syncDir) {
+        const basePath = path.join(this.getTargetDir(item, syncDir), templateService.renderFileName(item));
+        for (let number = 1; ; number++) {
+            const candidate = templateService.withSuffix(basePath, number);
+            if (!this.isPathTaken(candidate, item.id)) {
+                this.claimedPaths.add(candidate);
+                return candidate;
+            }
+        }
+    }
+
+    releasePath(filePath) {
+        this.claimedPaths.delete(filePath);
+    }
+
+    // A path is taken by another download in flight, or by a file on disk that
+    // isn't this item's. Files nobody owns are left alone rather than overwritten.
+    isPathTaken(filePath, itemId) {
+        if (this.claimedPaths.has(filePath)) {
+            return true;
+        }
+        if (!fs.existsSync(filePath)) {
+            return false;
+        }
+        return stateStoreService.getItem(itemId)?.localPath !== filePath;
+    }
+
+    getLayout() {
+        const settings = settingsService.getSettings();
+        return Object.fromEntries(LAYOUT_KEYS.map(key => [key, settings[key] ?? null]));
+    }
+
+    // Original file names of items synced before they were recorded, from the
+    // last discovery
+    getDiscoveredNames() {
+        const items = photosService.discoveryResults?.items
+            || stateStoreService.getLatestDiscoveryCache()?.results?.items
+            || [];
+        return new Map(items.map(item => [item.id, item.filename]));
+    }
+
+    // Dry run: where every synced file goes under the current layout. A target
+    // never replaces a file on disk or another file's target; those get a
+    // numeric suffix and are listed as conflicts. The plan and its moves are
+    // stored, replacing any plan that wasn't applied.
+    planRelayout() {
+        if (this.job.running) {
+            throw createError('A re-layout is already running', 'EBUSY');
+        }
+
+        const syncDir = this.getSyncDir();
+        const files = new Map();
+        for (const item of stateStoreService.getItems({ status: 'synced', deleted: false })) {
+            if (!item.localPath) continue;
+            if (!files.has(item.localPath)) {
+                // Items sharing a file (dedup skip policy) move together
+                files.set(item.localPath, { from: item.localPath, item, itemIds: [] });
+            }
+            files.get(item.localPath).itemIds.push(item.id);
+        }
+
+        let discoveredNames = null;
+        const claimed = new Set();
+        const moves = [];
+        const conflicts = [];
+        const missing = [];
+        let unchanged = 0;
+
+        for (const file of [...files.values()].sort((a, b) => a.from.localeCompare(b.from))) {
+            if (!fs.existsSync(file.from)) {
+                missing.push(file.from);
+                continue;
+            }
+
+            let filename = file.item.originalFilename;
+            if (!filename) {
+                discoveredNames ??= this.getDiscoveredNames();
+                filename = discoveredNames.get(file.item.id);
+            }
+            // Without the original name only the folder can change
+            const targetDir = this.getTargetDir(file.item, syncDir);
+            const target = filename
+                ? path.join(targetDir, templateService.renderFileName({ ...file.item, filename }))
+                : path.join(targetDir, path.basename(file.from));
+
+            for (let number = 1; ; number++) {
+                const candidate = templateService.withSuffix(target, number);
+                if (candidate === file.from) {
+                    unchanged++;
+                    break;
+                }
+                if (claimed.has(candidate) || fs.existsSync(candidate)) {
+                    continue;
+                }
+                if (number > 1) {
+                    conflicts.push({ from: file.from, target, to: candidate, reason: claimed.has(target) ? 'duplicate' : 'exists' });
+                }
+                claimed.add(candidate);
+                moves.push({ from: file.from, to: candidate, itemIds: file.itemIds });
+                break;
+            }
+        }
+
+        const now = new Date().toISOString();
+        const plan = {
+            id: crypto.randomUUID(),
+            status: 'planned',
+            createdAt: now,
+            updatedAt: now,
+            syncDir,
+            layout: this.getLayout(),
+            unchanged,
+            conflicts,
+            missing
+        };
+        stateStoreService.transaction(() => {
+            stateStoreService.deleteRelayoutPlans('planned');
+            stateStoreService.saveRelayoutPlan(plan);
+            stateStoreService.addRelayoutMoves(plan.id, moves);
+        });
+        logger.info(`Planned re-layout ${plan.id}: ${moves.length} moves, ${conflicts.length} conflicts, ${unchanged} files in place`);
+
+        return this.getPlanSummary(plan);
+    }
+
+    getLatestPlan() {
+        return stateStoreService.getRelayoutPlans()[0] || null;
+    }
+
+    // Only the newest plan that moved files can be undone; an older plan's journal
+    // no longer matches the disk once a newer one moved files
+    getLatestAppliedPlan() {
+        return stateStoreService.getRelayoutPlans().find(plan => plan.status !== 'planned') || null;
+    }
+
+    getPlanSummary(plan) {
+        if (!plan) return null;
+        const { conflicts, missing, ...rest } = plan;
+        const counts = stateStoreService.countRelayoutMoves(plan.id);
+        const moves = stateStoreService.getRelayoutMoves(plan.id);
+        return {
+            ...rest,
+            moves: moves.length,
+            counts,
+            current: this.isCurrent(plan),
+            undoable: counts.moved > 0 && this.getLatestAppliedPlan()?.id === plan.id,
+            sampleMoves: moves.slice(0, this.SAMPLE_SIZE).map(({ from, to, state, error }) => ({ from, to, state, error })),
+            conflicts: conflicts.slice(0, this.SAMPLE_SIZE),
+            conflictCount: conflicts.length,
+            missing: missing.slice(0, this.SAMPLE_SIZE),
+            missingCount: missing.length
+        };
+    }
+
+    // The running job, the latest plan and, when that's a new dry run, the
+    // plan that can still be undone
+    getStatus() {
+        const plan = this.getLatestPlan();
+        const applied = this.getLatestAppliedPlan();
+        return {
+            job: this.job,
+            plan: this.getPlanSummary(plan),
+            appliedPlan: applied && applied.id !== plan?.id ? this.getPlanSummary(applied) : null
+        };
+    }
+
+    isCurrent(plan) {
+        const layout = this.getLayout();
+        return plan.syncDir === this.getSyncDir() && LAYOUT_KEYS.every(key => plan.layout[key] === layout[key]);
+    }
+
+    setPlanStatus(plan, status) {
+        Object.assign(plan, { status, updatedAt: new Date().toISOString() });
+        stateStoreService.saveRelayoutPlan(plan);
+    }
+
+    // Check that the plan can be applied (or continued). Throws with a code the
+    // routes turn into a status, so they can answer before the job starts.
+    getApplicablePlan(planId) {
+        const plan = stateStoreService.getRelayoutPlan(planId);
+        if (!plan) {
+            throw createError(`No re-layout plan ${planId}`, 'ENOENT');
+        }
+        if (this.job.running) {
+            throw createError('A re-layout is already running', 'EBUSY');
+        }
+        if (!['planned', 'interrupted'].includes(plan.status)) {
+            throw createError(`Re-layout ${planId} is already ${plan.status}`, 'EEXIST');
+        }
+        if (!this.isCurrent(plan)) {
+            throw createError('The layout settings changed since this plan was made, plan again', 'ESTALE');
+        }
+        return plan;
+    }
+
+    getUndoablePlan(planId) {
+        const plan = stateStoreService.getRelayoutPlan(planId);
+        if (!plan) {
+            throw createError(`No re-layout plan ${planId}`, 'ENOENT');
+        }
+        if (this.job.running) {
+            throw createError('A re-layout is already running', 'EBUSY');
+        }
+        if (!this.getPlanSummary(plan).undoable) {
+            throw createError(`Re-layout ${planId} can't be undone`, 'EEXIST');
+        }
+        return plan;
+    }
+
+    // Apply the pending moves of a plan; meant to run in the background
+    async applyRelayout(planId) {
+        const plan = this.getApplicablePlan(planId);
+        const moves = stateStoreService.getRelayoutMoves(plan.id, 'pending');
+        this.setPlanStatus(plan, 'applying');
+        await this.runMoves(plan, moves, { undo: false });
+        this.setPlanStatus(plan, 'applied');
+        return this.job;
+    }
+
+    // Move files back to where they were before the plan was applied, newest move
+    // first; meant to run in the background
+    async undoRelayout(planId) {
+        const plan = this.getUndoablePlan(planId);
+        const moves = stateStoreService.getRelayoutMoves(plan.id, 'moved').reverse();
+        this.setPlanStatus(plan, 'undoing');
+        await this.runMoves(plan, moves, { undo: true });
+        this.setPlanStatus(plan, 'undone');
+        return this.job;
+    }
+
+    // Move files chunk by chunk. A chunk's files are renamed first, then its items,
+    // sync job paths and journal entries are updated in one transaction. A crash
+    // in between is picked up by initialize from the journal.
+    async runMoves(plan, moves, { undo }) {
+        this.job = { running: true, action: undo ? 'undo' : 'apply', planId: plan.id, done: 0, total: moves.length, failed: 0 };
+        logger.info(`${undo ? 'Undoing' : 'Applying'} re-layout ${plan.id} (${moves.length} moves)`);
+
+        const vacatedDirs = new Set();
+        const movedPaths = new Map();
+        try {
+            for (let start = 0; start < moves.length; start += this.CHUNK_SIZE) {
+                const moved = [];
+                for (const move of moves.slice(start, start + this.CHUNK_SIZE)) {
+                    const [source, target] = undo ? [move.to, move.from] : [move.from, move.to];
+                    try {
+                        await this.moveFile(source, target);
+                        moved.push(move);
+                        movedPaths.set(source, target);
+                        vacatedDirs.add(path.dirname(source));
+                    } catch (error) {
+                        this.job.failed++;
+                        logger.warn(`Could not move ${source}: ${error.message}`);
+                        // A move that couldn't be undone stays 'moved', so undo can be tried again
+                        if (!undo) {
+                            stateStoreService.updateRelayoutMove(plan.id, move.position, 'failed', error.message);
+                        }
+                    }
+                    this.job.done++;
+                }
+                this.commitMoves(plan.id, moved, { undo });
+            }
+
+            await albumsService.updateMovedPaths(plan.syncDir, movedPaths);
+            await this.removeEmptyDirs(plan.syncDir, vacatedDirs);
+            logger.info(`Re-layout ${plan.id}: moved ${movedPaths.size} of ${moves.length} files`);
+        } finally {
+            this.job.running = false;
+        }
+    }
+
+    // Record moves that are done on disk, all or nothing
+    commitMoves(planId, moves, { undo }) {
+        stateStoreService.transaction(() => {
+            for (const move of moves) {
+                const [source, target] = undo ? [move.to, move.from] : [move.from, move.to];
+                for (const itemId of move.itemIds) {
+                    stateStoreService.upsertItem(itemId, { localPath: target, fileName: path.basename(target) });
+                }
+                stateStoreService.updateJobItemPaths(source, target);
+                stateStoreService.updateRelayoutMove(planId, move.position, undo ? 'undone' : 'moved');
+            }
+        });
+    }
+
+    // Rename the file and its XMP sidecar; never overwrites a file at the target
+    async moveFile(from, to) {
+        if (fs.existsSync(to)) {
+            throw createError(`${to} already exists`, 'EEXIST');
+        }
+
+        await fs.promises.mkdir(path.dirname(to), { recursive: true });
+        await fs.promises.rename(from, to);
+
+        const sidecar = metadataService.getSidecarPath(from);
+        if (fs.existsSync(sidecar)) {
+            await fs.promises.rename(sidecar, metadataService.getSidecarPath(to));
+        }
+    }
+
+    // Remove directories the moves left empty, walking up towards the sync directory
+    async removeEmptyDirs(syncDir, dirs) {
+        for (const dir of dirs) {
+            let current = dir;
+            while (current.startsWith(syncDir + path.sep)) {
+                try {
+                    await fs.promises.rmdir(current);
+                } catch {
+                    // Not empty (or already gone)
+                    break;
+                }
+                current = path.dirname(current);
+            }
+        }
+    }
+}
+
+const organizeService = new OrganizeService();
+export default organizeService;
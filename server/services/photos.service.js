@@ -6,8 +6,17 @@ import { API_ENDPOINTS } from '../config/constants.js';
 import logger from './logger.service.js';
 import websocketService from './websocket.service.js';
 import settingsService from './settings.service.js';
+import downloadService from './download.service.js';
+import syncCacheService from './sync.cache.service.js';
+import stateStoreService from './state.store.service.js';
 import util from 'util';
-import fsPromises from 'fs/promises';
+import { execFile } from 'child_process';
+import timestampService from './timestamp.service.js';
+import organizeService from './organize.service.js';
+import templateService from './template.service.js';
+
+// google.rpc.Code returned in mediaItemResults[].status for ids that don't exist
+const GRPC_NOT_FOUND = 5;
 
 class PhotosService {
     constructor() {
@@ -18,14 +27,12 @@ class PhotosService {
         this.requestsThisMinute = 0;
         this.lastRequestTime = Date.now();
         this.RATE_LIMIT = 250; // Google Photos API limit is 300/minute, we'll stay under it
-        this.syncState = new Map(); // Track sync state of files
-        this.deletedInGooglePhotos = new Map(); // Track items deleted from Google Photos
         this.BATCH_SIZE = 50; // Process items in batches
+        this.BATCH_GET_LIMIT = 50; // mediaItems:batchGet accepts at most 50 ids
+        this.BASE_URL_TTL = 55 * 60 * 1000; // baseUrls expire after ~60 minutes, refresh a little early
         this.MAX_RETRIES = 3;
         this.RETRY_DELAY = 1000;
-        this.stateSaveInterval = null;
         this.discoveryInProgress = false;
-        this.discoveryFile = null;
         this.currentUserId = null;
     }
 
@@ -40,13 +47,6 @@ class PhotosService {
         }
     }
 
-    getDiscoveryCacheFilename(syncDir, userId) {
-        if (!userId) {
-            throw new Error('User ID is required for cache file');
-        }
-        return path.join(syncDir, `.discovery_cache_${userId}.json`);
-    }
-
     async initialize(configDir) {
         try {
             const settings = settingsService.getSettings();
@@ -70,38 +70,6 @@ class PhotosService {
         }
     }
 
-    async loadDiscoveryResults() {
-        try {
-            const data = await fsPromises.readFile(this.discoveryFile, 'utf8');
-            this.discoveryResults = JSON.parse(data);
-            logger.info(`Loaded discovery results with ${this.discoveryResults.items?.length || 0} items`);
-            return this.discoveryResults;
-        } catch (error) {
-            logger.error('Error loading discovery results:', error);
-            throw error;
-        }
-    }
-
-    async saveDiscoveryResults() {
-        if (!this.discoveryFile) {
-            logger.error('PhotosService not initialized with config directory');
-            return;
-        }
-        try {
-            if (!this.discoveryResults) {
-                logger.warn('No discovery results to save');
-                return;
-            }
-            await fsPromises.writeFile(
-                this.discoveryFile,
-                JSON.stringify(this.discoveryResults, null, 2)
-            );
-            logger.info(`Saved discovery results with ${this.discoveryResults.items?.length || 0} items`);
-        } catch (error) {
-            logger.error('Error saving discovery results:', error);
-        }
-    }
-
     async sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
@@ -191,12 +159,36 @@ class PhotosService {
                 pagesScanned: 0
             });
 
-            const settings = settingsService.getSettings();
-            const syncDir = settings.syncDir || path.join(process.cwd(), 'photos');
+            // Discovery goes through mediaItems:search so the configured filters apply
+            let searchFilters = this.buildFilters(options);
+            const filtersKey = JSON.stringify(searchFilters);
+
+            // Incremental mode only asks for items created since the last successful sync
+            // and merges them into the existing discovery cache
+            let baseline = null;
+            if (options.incremental) {
+                const highWaterMark = syncCacheService.getHighWaterMark();
+                baseline = highWaterMark
+                    ? await this.loadDiscoveryCache({ ignoreTTL: true, silent: true, filtersKey })
+                    : null;
+
+                if (baseline) {
+                    // dateFilter has day granularity; start a day early and dedupe on merge
+                    const since = new Date(new Date(highWaterMark).getTime() - 24 * 60 * 60 * 1000);
+                    const configuredStart = options.useDateRange !== false && options.startDate
+                        ? new Date(options.startDate)
+                        : null;
+                    const startDate = configuredStart && configuredStart > since ? configuredStart : since;
+                    searchFilters = this.buildFilters({ ...options, useDateRange: true, startDate: startDate.toISOString() });
+                    logger.info(`Incremental discovery of items created since ${startDate.toISOString()}`);
+                } else {
+                    logger.info('No completed sync with the same filters to build on, falling back to full discovery');
+                }
+            }
 
             // Try to load from cache first if not forcing fresh discovery
-            if (!options.forceFreshDiscovery) {
-                const cachedResults = await this.loadDiscoveryCache(syncDir, options);
+            if (!options.forceFreshDiscovery && !baseline) {
+                const cachedResults = await this.loadDiscoveryCache({ ...options, filtersKey });
                 if (cachedResults) {
                     this.discoveryInProgress = false;
                     websocketService.completeDiscovery({
@@ -209,36 +201,7 @@ class PhotosService {
             }
 
             // Initialize photo client
-            this.photoClient = {
-                mediaItems: {
-                    list: async (params) => {
-                        return this.rateLimitedRequest(async () => {
-                            const url = 'https://photoslibrary.googleapis.com/v1/mediaItems';
-                            const queryString = new URLSearchParams();
-                            
-                            if (params.pageSize) {
-                                queryString.append('pageSize', params.pageSize);
-                            }
-                            
-                            if (params.pageToken) {
-                                queryString.append('pageToken', params.pageToken);
-                            }
-                            
-                            logger.info('Making list request with params:', this.sanitizeParamsForLogging(params));
-                            
-                            const response = await axios({
-                                url: `${url}?${queryString.toString()}`,
-                                method: 'GET',
-                                headers: {
-                                    'Authorization': `Bearer ${auth.credentials.access_token}`,
-                                    'Content-Type': 'application/json'
-                                }
-                            });
-                            return { data: response.data };
-                        });
-                    }
-                }
-            };
+            this.photoClient = this.createPhotoClient(auth);
 
             let mediaItems = [];
             let photoCount = 0;
@@ -246,7 +209,8 @@ class PhotosService {
             let nextPageToken = options.pageToken || null;
             let totalSizeEstimate = 0;
             let pageCount = 0;
-            const maxPages = options.discoveryLimit || 5;
+            // Incremental discovery only covers new items, so it always runs to the end
+            const maxPages = baseline ? 0 : (options.discoveryLimit || 5);
             const allPages = [];
 
             // Main discovery loop
@@ -272,13 +236,15 @@ class PhotosService {
                     : nextPageToken ? ' (with token)' : '';
                 logger.info(`Fetching page ${pageCount} of media items ${orderMessage}...`);
 
-                const response = await this.photoClient.mediaItems.list({
+                const response = await this.photoClient.mediaItems.search({
                     pageSize: 100,
-                    pageToken: nextPageToken
+                    pageToken: nextPageToken,
+                    filters: searchFilters
                 });
 
                 if (response?.data?.mediaItems) {
-                    const newItems = response.data.mediaItems;
+                    const fetchedAt = Date.now();
+                    const newItems = response.data.mediaItems.map(item => ({ ...item, baseUrlFetchedAt: fetchedAt }));
                     logger.info(`Discovered ${newItems.length} media items on page ${pageCount}`);
 
                     // Store each page separately
@@ -291,14 +257,7 @@ class PhotosService {
                         } else if (item.mediaMetadata?.video) {
                             videoCount++;
                         }
-                        // Estimate size from mediaMetadata if available
-                        if (item.mediaMetadata?.width && item.mediaMetadata?.height) {
-                            // Rough estimate: 2MB per megapixel for photos, 10MB per megapixel for videos
-                            const megapixels = (item.mediaMetadata.width * item.mediaMetadata.height) / 1000000;
-                            totalSizeEstimate += item.mediaMetadata.video ? 
-                                megapixels * 10 * 1024 * 1024 : 
-                                megapixels * 2 * 1024 * 1024;
-                        }
+                        totalSizeEstimate += this.estimateItemSize(item);
                     });
 
                     // Update WebSocket with progress
@@ -329,18 +288,28 @@ class PhotosService {
             } while (nextPageToken);
 
             // Process and save results
-            const results = {
+            let results = {
                 items: mediaItems,
                 photoCount,
                 videoCount,
                 totalItems: mediaItems.length,
                 estimatedSizeBytes: totalSizeEstimate,
                 pagesScanned: pageCount,
+                hasMore: Boolean(nextPageToken),
+                nextPageToken: nextPageToken || null,
                 timestamp: Date.now()
             };
 
+            if (baseline) {
+                results = this.mergeDiscoveryResults(baseline, mediaItems, pageCount);
+                mediaItems = results.items;
+            }
+            results.filtersKey = filtersKey;
+            results.dateFiltered = Boolean(this.buildFilters(options).dateFilter);
+            results.filteredItems = results.totalItems;
+
             this.discoveryResults = results;
-            await this.saveDiscoveryResults();
+            this.saveDiscoveryCache();
 
             // Mark discovery as complete
             this.discoveryInProgress = false;
@@ -364,32 +333,267 @@ class PhotosService {
         }
     }
 
+    createPhotoClient(auth) {
+        const headers = () => ({
+            'Authorization': `Bearer ${auth.credentials.access_token}`,
+            'Content-Type': 'application/json'
+        });
+
+        const listCollection = (collection) => async (params) => {
+            return this.rateLimitedRequest(async () => {
+                const queryString = new URLSearchParams();
+                queryString.append('pageSize', params.pageSize || 50);
+                if (params.pageToken) {
+                    queryString.append('pageToken', params.pageToken);
+                }
+
+                const response = await axios({
+                    url: `${API_ENDPOINTS.GOOGLE_PHOTOS_BASE}/${collection}?${queryString.toString()}`,
+                    method: 'GET',
+                    headers: headers()
+                });
+                return { data: response.data };
+            });
+        };
+
+        return {
+            albums: {
+                list: listCollection('albums')
+            },
+            sharedAlbums: {
+                list: listCollection('sharedAlbums')
+            },
+            mediaItems: {
+                list: async (params) => {
+                    return this.rateLimitedRequest(async () => {
+                        const url = `${API_ENDPOINTS.GOOGLE_PHOTOS_BASE}/mediaItems`;
+                        const queryString = new URLSearchParams();
+                        
+                        if (params.pageSize) {
+                            queryString.append('pageSize', params.pageSize);
+                        }
+                        
+                        if (params.pageToken) {
+                            queryString.append('pageToken', params.pageToken);
+                        }
+                        
+                        logger.info('Making list request with params:', this.sanitizeParamsForLogging(params));
+                        
+                        const response = await axios({
+                            url: `${url}?${queryString.toString()}`,
+                            method: 'GET',
+                            headers: headers()
+                        });
+                        return { data: response.data };
+                    });
+                },
+                search: async (params) => {
+                    return this.rateLimitedRequest(async () => {
+                        logger.info('Making search request with params:', this.sanitizeParamsForLogging(params));
+
+                        const response = await axios({
+                            url: `${API_ENDPOINTS.GOOGLE_PHOTOS_BASE}/mediaItems:search`,
+                            method: 'POST',
+                            headers: headers(),
+                            data: {
+                                pageSize: params.pageSize,
+                                pageToken: params.pageToken || undefined,
+                                // The API rejects requests that set both albumId and filters
+                                ...(params.albumId ? { albumId: params.albumId } : { filters: params.filters })
+                            }
+                        });
+                        return { data: response.data };
+                    });
+                },
+                batchGet: async (mediaItemIds) => {
+                    return this.rateLimitedRequest(async () => {
+                        const url = `${API_ENDPOINTS.GOOGLE_PHOTOS_BASE}/mediaItems:batchGet`;
+                        const queryString = new URLSearchParams();
+                        mediaItemIds.forEach(id => queryString.append('mediaItemIds', id));
+
+                        logger.info(`Making batchGet request for ${mediaItemIds.length} items`);
+
+                        const response = await axios({
+                            url: `${url}?${queryString.toString()}`,
+                            method: 'GET',
+                            headers: headers()
+                        });
+                        return { data: response.data };
+                    });
+                }
+            }
+        };
+    }
+
+    // baseUrls are only valid for about 60 minutes after they were fetched
+    isBaseUrlExpired(item) {
+        const fetchedAt = item.baseUrlFetchedAt || this.discoveryResults?.timestamp || 0;
+        return Date.now() - fetchedAt > this.BASE_URL_TTL;
+    }
+
+    // Re-fetch baseUrls for the given items through mediaItems:batchGet, updating
+    // the item objects in place. Returns the number of items that were refreshed.
+    async refreshBaseUrls(auth, items) {
+        if (!auth || !auth.credentials || !auth.credentials.access_token) {
+            throw new Error('Invalid authentication: Missing access token');
+        }
+
+        const client = this.createPhotoClient(auth);
+        let refreshed = 0;
+
+        for (let i = 0; i < items.length; i += this.BATCH_GET_LIMIT) {
+            const batch = items.slice(i, i + this.BATCH_GET_LIMIT);
+            const byId = new Map(batch.map(item => [item.id, item]));
+            const response = await client.mediaItems.batchGet([...byId.keys()]);
+
+            for (const result of response.data?.mediaItemResults || []) {
+                const fresh = result.mediaItem;
+                if (!fresh) {
+                    logger.warn('Could not refresh baseUrl:', result.status);
+                    continue;
+                }
+                const item = byId.get(fresh.id);
+                if (item) {
+                    item.baseUrl = fresh.baseUrl;
+                    item.baseUrlFetchedAt = Date.now();
+                    refreshed++;
+                }
+            }
+        }
+
+        logger.info(`Refreshed baseUrls for ${refreshed} of ${items.length} items`);
+        return refreshed;
+    }
+
+    // Ask mediaItems:batchGet about items that no longer show up in discovery. Results
+    // come back in request order; only an explicit NOT_FOUND counts as deleted, so
+    // archived items, permission hiccups and failed requests never look like deletions.
+    async findDeletedItemIds(auth, itemIds) {
+        const client = this.createPhotoClient(auth);
+        const deleted = [];
+
+        for (let i = 0; i < itemIds.length; i += this.BATCH_GET_LIMIT) {
+            const batch = itemIds.slice(i, i + this.BATCH_GET_LIMIT);
+            const response = await client.mediaItems.batchGet(batch);
+            const results = response.data?.mediaItemResults || [];
+
+            batch.forEach((id, index) => {
+                const result = results[index];
+                if (result && !result.mediaItem && result.status?.code === GRPC_NOT_FOUND) {
+                    deleted.push(id);
+                }
+            });
+        }
+
+        return deleted;
+    }
+
+    // Rough estimate: 2MB per megapixel for photos, 10MB per megapixel for videos
+    estimateItemSize(item) {
+        if (!item.mediaMetadata?.width || !item.mediaMetadata?.height) {
+            return 0;
+        }
+        const megapixels = (item.mediaMetadata.width * item.mediaMetadata.height) / 1000000;
+        return item.mediaMetadata.video ?
+            megapixels * 10 * 1024 * 1024 :
+            megapixels * 2 * 1024 * 1024;
+    }
+
+    // Merge newly discovered items into a previous discovery. Items seen again replace
+    // the cached copy so they carry a fresh baseUrl.
+    mergeDiscoveryResults(baseline, newItems, pagesScanned) {
+        const byId = new Map(baseline.items.map(item => [item.id, item]));
+        const addedCount = newItems.filter(item => !byId.has(item.id)).length;
+        newItems.forEach(item => byId.set(item.id, item));
+
+        const items = [...byId.values()];
+        const merged = {
+            items,
+            photoCount: items.filter(item => item.mediaMetadata?.photo).length,
+            videoCount: items.filter(item => item.mediaMetadata?.video).length,
+            totalItems: items.length,
+            estimatedSizeBytes: items.reduce((total, item) => total + this.estimateItemSize(item), 0),
+            pagesScanned,
+            hasMore: baseline.hasMore || false,
+            nextPageToken: baseline.nextPageToken || null,
+            newItems: addedCount,
+            incremental: true,
+            timestamp: Date.now()
+        };
+
+        logger.info(`Incremental discovery added ${addedCount} new items (${items.length} total)`);
+        return merged;
+    }
+
+    // Convert a settings date ('YYYY-MM-DD' or an ISO timestamp) into a Google Photos API date
+    toApiDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+        if (match) {
+            return { year: parseInt(match[1], 10), month: parseInt(match[2], 10), day: parseInt(match[3], 10) };
+        }
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid date in filter settings: ${value}`);
+        }
+        return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    }
+
+    // Build mediaItems:search filters from the sync settings
     buildFilters(options) {
         const filters = {};
 
-        // Date filter remains the same
-        if (options.startDate || options.endDate) {
+        // Date ranges need both ends, so open ends are filled in with far-away dates
+        const useDateRange = options.useDateRange !== false;
+        if (useDateRange && (options.startDate || options.endDate)) {
             filters.dateFilter = {
                 ranges: [{
-                    startDate: options.startDate ? {
-                        year: new Date(options.startDate).getFullYear(),
-                        month: new Date(options.startDate).getMonth() + 1,
-                        day: new Date(options.startDate).getDate()
-                    } : undefined,
-                    endDate: options.endDate ? {
-                        year: new Date(options.endDate).getFullYear(),
-                        month: new Date(options.endDate).getMonth() + 1,
-                        day: new Date(options.endDate).getDate()
-                    } : undefined
+                    startDate: options.startDate
+                        ? this.toApiDate(options.startDate)
+                        : { year: 1900, month: 1, day: 1 },
+                    endDate: options.endDate
+                        ? this.toApiDate(options.endDate)
+                        : { year: 9999, month: 12, day: 31 }
                 }]
             };
         }
 
         // Media type filter - only one type at a time
+        const syncPhotos = options.syncPhotos !== false;
+        const syncVideos = options.syncVideos !== false;
+        if (!syncPhotos && !syncVideos) {
+            throw new Error('Both photos and videos are disabled in settings, nothing to discover');
+        }
         if (options.mediaType) {
             filters.mediaTypeFilter = {
                 mediaTypes: [options.mediaType]
             };
+        } else if (syncPhotos !== syncVideos) {
+            filters.mediaTypeFilter = {
+                mediaTypes: [syncPhotos ? 'PHOTO' : 'VIDEO']
+            };
+        }
+
+        const included = options.includedContentCategories || [];
+        const excluded = options.excludedContentCategories || [];
+        if (included.length > 0 || excluded.length > 0) {
+            filters.contentFilter = {
+                ...(included.length > 0 && { includedContentCategories: included }),
+                ...(excluded.length > 0 && { excludedContentCategories: excluded })
+            };
+        }
+
+        // The API rejects a search that asks for favorites and content categories at once
+        if (options.favoritesOnly) {
+            if (filters.contentFilter) {
+                throw new Error('Favorites only can\'t be combined with content category filters');
+            }
+            filters.featureFilter = {
+                includedFeatures: ['FAVORITES']
+            };
+        }
+
+        if (options.includeArchived) {
+            filters.includeArchivedMedia = true;
         }
 
         return filters;
@@ -398,7 +602,7 @@ class PhotosService {
     setDiscoveryResults(results) {
         this.discoveryResults = results;
         // Save results to persistent storage
-        this.saveDiscoveryResults();
+        this.saveDiscoveryCache();
         // Update WebSocket service with the new results
         if (results) {
             websocketService.updateDiscoveryProgress({
@@ -413,6 +617,30 @@ class PhotosService {
         return this.discoveryResults;
     }
 
+    isVideo(item) {
+        return Boolean(item.mediaMetadata?.video) || Boolean(item.mimeType?.startsWith('video/'));
+    }
+
+    // Build the URL to fetch an item's bytes from its baseUrl. A bare baseUrl serves a
+    // downscaled preview, so originals need `=d` (photos) or `=dv` (videos). With
+    // `thumbnail` (the maxResolutionThumbnails setting by default) photos are fetched as
+    // images at their full resolution instead; videos always come as originals, since
+    // that would only give a still of them.
+    getDownloadUrl(item, options = {}) {
+        if (!item?.baseUrl) {
+            throw new Error(`Item ${item?.id} has no baseUrl`);
+        }
+
+        const thumbnail = options.thumbnail ?? Boolean(settingsService.getSettings().maxResolutionThumbnails);
+        if (thumbnail && !this.isVideo(item)) {
+            const width = options.width || item.mediaMetadata?.width || 2048;
+            const height = options.height || item.mediaMetadata?.height || 2048;
+            return `${item.baseUrl}=w${width}-h${height}`;
+        }
+
+        return `${item.baseUrl}${this.isVideo(item) ? '=dv' : '=d'}`;
+    }
+
     async downloadPhoto(item, targetPath, options = {}) {
         const { retryAttempts = 3, retryDelay = 1000 } = options;
         let attempts = 0;
@@ -421,24 +649,16 @@ class PhotosService {
         const duplicatePath = await this.findDuplicateFile(item, path.dirname(targetPath));
         if (duplicatePath) {
             logger.info(`Duplicate file found: ${path.basename(duplicatePath)}`);
-            this.syncState.set(item.id, {
-                synced: true,
-                path: duplicatePath,
-                timestamp: Date.now()
-            });
+            this.recordSynced(item, duplicatePath);
             return true;
         }
 
-        // Check if file already exists and has the same size
+        // Downloads only land at targetPath once complete, so an existing file is valid
         try {
             const stats = await fs.promises.stat(targetPath);
             if (stats.size > 0) {
                 logger.info(`File already exists and appears valid: ${path.basename(targetPath)}`);
-                this.syncState.set(item.id, {
-                    synced: true,
-                    path: targetPath,
-                    timestamp: Date.now()
-                });
+                this.recordSynced(item, targetPath, stats.size);
                 return true;
             }
         } catch (error) {
@@ -447,26 +667,10 @@ class PhotosService {
 
         while (attempts < retryAttempts) {
             try {
-                const response = await axios({
-                    method: 'GET',
-                    url: item.downloadUrl || item.baseUrl + '=d',
-                    responseType: 'stream'
-                });
+                const { size } = await downloadService.downloadToFile(this.getDownloadUrl(item), targetPath);
 
-                await new Promise((resolve, reject) => {
-                    const writer = fs.createWriteStream(targetPath);
-                    response.data.pipe(writer);
-                    writer.on('finish', () => {
-                        // Update sync state on successful download
-                        this.syncState.set(item.id, {
-                            synced: true,
-                            path: targetPath,
-                            timestamp: Date.now()
-                        });
-                        resolve();
-                    });
-                    writer.on('error', reject);
-                });
+                // Update sync state on successful download
+                this.recordSynced(item, targetPath, size);
 
                 logger.info(`Downloaded: ${path.basename(targetPath)}`);
                 return true;
@@ -474,11 +678,7 @@ class PhotosService {
                 attempts++;
                 if (attempts === retryAttempts) {
                     // Update sync state on failure
-                    this.syncState.set(item.id, {
-                        synced: false,
-                        error: error.message,
-                        timestamp: Date.now()
-                    });
+                    syncCacheService.markFailed(item.id, error.message);
                     logger.error(`Failed to download ${path.basename(targetPath)} after ${retryAttempts} attempts:`, error);
                     throw error;
                 }
@@ -488,14 +688,22 @@ class PhotosService {
         }
     }
 
+    recordSynced(item, filePath, size) {
+        syncCacheService.updateItem(item.id, {
+            localPath: filePath,
+            fileName: path.basename(filePath),
+            mediaMetadata: item.mediaMetadata,
+            mimeType: item.mimeType,
+            ...(size !== undefined && { size })
+        });
+    }
+
     async processDownloadQueue(syncDir, options = {}) {
         const settings = settingsService.getSettings();
         const { maxConcurrentDownloads = settings.maxConcurrentDownloads } = options;
 
         try {
             await fs.promises.mkdir(syncDir, { recursive: true });
-            await this.loadSyncState(syncDir);
-            this.startPeriodicStateSave(syncDir);
 
             // Sort items based on settings
             const sortedItems = this.sortItemsBySettings(this.downloadQueue);
@@ -529,61 +737,12 @@ class PhotosService {
 
             // Process any failed downloads
             await this.retryFailedDownloads(syncDir, options);
-            
-            // Final state save
-            await this.saveSyncState(syncDir);
-            this.stopPeriodicStateSave();
         } catch (error) {
             logger.error('Error in download queue processing:', error);
             throw error;
         }
     }
 
-    async loadSyncState(syncDir) {
-        try {
-            // Load main sync state
-            const statePath = path.join(syncDir, '.sync_state.json');
-            const data = await fs.promises.readFile(statePath, 'utf8');
-            this.syncState = new Map(JSON.parse(data));
-            logger.info(`Loaded sync state with ${this.syncState.size} items`);
-
-            // Load deleted items state
-            const deletedPath = path.join(syncDir, '.deleted_items.json');
-            try {
-                const deletedData = await fs.promises.readFile(deletedPath, 'utf8');
-                this.deletedInGooglePhotos = new Map(JSON.parse(deletedData));
-                logger.info(`Loaded deleted items state with ${this.deletedInGooglePhotos.size} items`);
-            } catch (error) {
-                // If file doesn't exist, start with empty deleted items state
-                this.deletedInGooglePhotos = new Map();
-                logger.info('Starting with fresh deleted items state');
-            }
-        } catch (error) {
-            // If file doesn't exist or is invalid, start with empty states
-            this.syncState = new Map();
-            this.deletedInGooglePhotos = new Map();
-            logger.info('Starting with fresh sync state');
-        }
-    }
-
-    async saveSyncState(syncDir) {
-        try {
-            // Save main sync state
-            const statePath = path.join(syncDir, '.sync_state.json');
-            const data = JSON.stringify(Array.from(this.syncState.entries()));
-            await fs.promises.writeFile(statePath, data);
-
-            // Save deleted items state
-            const deletedPath = path.join(syncDir, '.deleted_items.json');
-            const deletedData = JSON.stringify(Array.from(this.deletedInGooglePhotos.entries()));
-            await fs.promises.writeFile(deletedPath, deletedData);
-            
-            logger.info('Saved sync and deleted items state');
-        } catch (error) {
-            logger.error('Error saving states:', error);
-        }
-    }
-
     generateFileName(item) {
         try {
             if (!item || !item.mediaMetadata || !item.mediaMetadata.creationTime) {
@@ -591,16 +750,8 @@ class PhotosService {
                 throw new Error('Invalid item: missing required metadata');
             }
 
-            const { filename, id } = item;
-            const ext = path.extname(filename || '');
-            const name = path.basename(filename || id, ext);
-            const timestamp = new Date(item.mediaMetadata.creationTime).getTime();
-            const uniqueId = id.slice(-8);
-
-            // If timestamp is invalid, use current time as fallback
-            const finalTimestamp = isNaN(timestamp) ? Date.now() : timestamp;
-
-            return `${name}_${finalTimestamp}_${uniqueId}${ext}`;
+            // Rendered from the fileNameTemplate setting; folders it adds aren't part of the name
+            return path.basename(templateService.renderFileName(item));
         } catch (error) {
             logger.error('Error generating filename:', error);
             // Fallback to a safe filename using just the ID
@@ -612,15 +763,15 @@ class PhotosService {
     async findDuplicateFile(item, syncDir) {
         try {
             // First check sync state by item ID
-            const existingSync = this.syncState.get(item.id);
-            if (existingSync && existingSync.synced) {
-                const existingPath = existingSync.path;
+            const existingSync = syncCacheService.getItem(item.id);
+            if (existingSync?.localPath) {
+                const existingPath = existingSync.localPath;
                 try {
                     await fs.promises.access(existingPath);
                     return existingPath; // File exists at recorded path
                 } catch {
                     // File was moved or deleted, remove from sync state
-                    this.syncState.delete(item.id);
+                    syncCacheService.removeItem(item.id);
                 }
             }
 
@@ -666,67 +817,18 @@ class PhotosService {
         this.downloadQueue = [];
         this.activeDownloads = 0;
         this.isCancelled = false;
-        // Don't reset syncState and deletedInGooglePhotos as they should persist
     }
 
     getDeletedItems() {
-        return Array.from(this.deletedInGooglePhotos.entries()).map(([id, data]) => ({
-            id,
-            path: data.path,
-            deletedAt: new Date(data.deletedTimestamp).toISOString(),
-            originalFilename: path.basename(data.path)
+        return stateStoreService.getItems({ deleted: true }).map(item => ({
+            id: item.id,
+            path: item.localPath,
+            trashPath: item.trashPath,
+            deletedAt: item.deletedAt,
+            originalFilename: item.fileName || path.basename(item.localPath || '')
         }));
     }
 
-    async permanentlyDeleteItem(itemId) {
-        const deletedItem = this.deletedInGooglePhotos.get(itemId);
-        if (!deletedItem) {
-            throw new Error('Item not found in deleted items list');
-        }
-
-        try {
-            // Delete the actual file
-            await fs.promises.unlink(deletedItem.path);
-            // Remove from tracking
-            this.deletedInGooglePhotos.delete(itemId);
-            this.syncState.delete(itemId);
-            logger.info(`Permanently deleted: ${path.basename(deletedItem.path)}`);
-            return true;
-        } catch (error) {
-            logger.error(`Error permanently deleting item: ${error.message}`);
-            throw error;
-        }
-    }
-
-    async restoreDeletedItem(itemId) {
-        const deletedItem = this.deletedInGooglePhotos.get(itemId);
-        if (!deletedItem) {
-            throw new Error('Item not found in deleted items list');
-        }
-
-        // Just remove from deleted items tracking, keeping the file and sync state
-        this.deletedInGooglePhotos.delete(itemId);
-        logger.info(`Restored item from deleted list: ${path.basename(deletedItem.path)}`);
-        return true;
-    }
-
-    // Add periodic state saving
-    startPeriodicStateSave(syncDir) {
-        this.stopPeriodicStateSave(); // Clear any existing interval
-        this.stateSaveInterval = setInterval(async () => {
-            if (this.syncState.size > 0) {
-                await this.saveSyncState(syncDir);
-            }
-        }, 5 * 60 * 1000); // Save every 5 minutes
-    }
-
-    stopPeriodicStateSave() {
-        if (this.stateSaveInterval) {
-            clearInterval(this.stateSaveInterval);
-            this.stateSaveInterval = null;
-        }
-    }
-
     // Memory-efficient batch processing
     async processBatch(items, syncDir, options = {}) {
         const batch = items.slice(0, this.BATCH_SIZE);
@@ -746,13 +848,8 @@ class PhotosService {
     async processItem(item, syncDir, options) {
         if (this.isCancelled) return;
 
-        const settings = settingsService.getSettings();
-        const creationDate = new Date(item.mediaMetadata.creationTime);
-        
         // Generate target directory based on settings
-        const targetDir = settings.autoOrganize 
-            ? settingsService.generateFolderPath(creationDate, syncDir)
-            : syncDir;
+        const targetDir = organizeService.getTargetDir(item, syncDir);
 
         // Ensure target directory exists
         await fs.promises.mkdir(targetDir, { recursive: true });
@@ -781,10 +878,8 @@ class PhotosService {
 
     // Improved error handling and retry mechanism
     async retryFailedDownloads(syncDir, options = {}) {
-        const failedItems = Array.from(this.syncState.entries())
-            .filter(([_, data]) => !data.synced)
-            .map(([id, _]) => this.discoveryResults.items.find(item => item.id === id))
-            .filter(Boolean);
+        const failedIds = new Set(stateStoreService.getItems({ status: 'failed' }).map(item => item.id));
+        const failedItems = this.discoveryResults.items.filter(item => failedIds.has(item.id));
 
         if (failedItems.length > 0) {
             logger.info(`Retrying ${failedItems.length} failed downloads...`);
@@ -796,12 +891,13 @@ class PhotosService {
     }
 
     async updateSyncStatus() {
+        const itemStats = stateStoreService.getItemStats();
         const stats = {
             processedItems: this.discoveryResults.length - this.downloadQueue.length,
             totalItems: this.discoveryResults.length,
-            syncedItems: Array.from(this.syncState.values()).filter(state => state.synced).length,
-            deletedInGooglePhotos: this.deletedInGooglePhotos.size,
-            failedItems: Array.from(this.syncState.values()).filter(state => !state.synced).length,
+            syncedItems: itemStats.synced,
+            deletedInGooglePhotos: itemStats.deleted,
+            failedItems: itemStats.failed,
             activeDownloads: this.activeDownloads
         };
 
@@ -810,10 +906,8 @@ class PhotosService {
 
     // Improved cleanup
     cleanup() {
-        this.stopPeriodicStateSave();
         this.clearDownloadQueue();
         this.discoveryResults = null;
-        // Don't clear syncState and deletedInGooglePhotos as they should persist
         if (global.gc) {
             global.gc();
         }
@@ -821,120 +915,76 @@ class PhotosService {
 
     // Add method to get sync statistics
     getSyncStats() {
+        const itemStats = stateStoreService.getItemStats();
         return {
-            totalSynced: Array.from(this.syncState.values()).filter(state => state.synced).length,
-            totalFailed: Array.from(this.syncState.values()).filter(state => !state.synced).length,
-            totalDeleted: this.deletedInGooglePhotos.size,
+            totalSynced: itemStats.synced,
+            totalFailed: itemStats.failed,
+            totalDeleted: itemStats.deleted,
             totalDiscovered: this.discoveryResults?.totalItems || 0,
-            lastSyncTimestamp: Math.max(
-                ...Array.from(this.syncState.values()).map(state => state.timestamp)
-            ),
-            estimatedStorageUsed: Array.from(this.syncState.values())
-                .filter(state => state.synced)
-                .reduce((total, state) => {
-                    try {
-                        const stats = fs.statSync(state.path);
-                        return total + stats.size;
-                    } catch {
-                        return total;
-                    }
-                }, 0)
+            lastSyncTimestamp: itemStats.lastSync,
+            estimatedStorageUsed: itemStats.totalSize
         };
     }
 
-    // Add method to organize photos by date
-    async organizeByDate(syncDir) {
-        const items = Array.from(this.syncState.values())
-            .filter(item => item.synced);
-
-        for (const item of items) {
-            try {
-                const stats = await fs.promises.stat(item.path);
-                const date = new Date(stats.mtime);
-                const year = date.getFullYear().toString();
-                const month = (date.getMonth() + 1).toString().padStart(2, '0');
-                
-                const yearDir = path.join(syncDir, year);
-                const monthDir = path.join(yearDir, month);
-                
-                await fs.promises.mkdir(yearDir, { recursive: true });
-                await fs.promises.mkdir(monthDir, { recursive: true });
-                
-                const newPath = path.join(monthDir, path.basename(item.path));
-                if (item.path !== newPath) {
-                    await fs.promises.rename(item.path, newPath);
-                    item.path = newPath;
-                }
-            } catch (error) {
-                logger.error(`Error organizing file ${item.path}:`, error);
-            }
-        }
-        
-        await this.saveSyncState(syncDir);
+    // Year and month an item belongs under: its capture date in the configured
+    // timezone, or the file's mtime for items synced without metadata
+    async getItemBucket(item) {
+        const date = timestampService.getCreationDate(item)
+            || new Date((await fs.promises.stat(item.localPath)).mtime);
+        const { year, month } = timestampService.getLocalParts(date);
+        return { year, month };
     }
 
-    // Add method to verify file integrity
-    async verifyIntegrity(syncDir) {
-        const results = {
-            verified: 0,
-            missing: 0,
-            corrupted: 0,
-            total: this.syncState.size
+    // Results of the last integrity scrub (IntegrityService), which checks
+    // checksums, image decoding and video probes rather than just file sizes
+    async verifyIntegrity() {
+        const counts = stateStoreService.countIntegrityResults();
+        return {
+            verified: counts.ok + counts.redownloaded,
+            missing: counts.missing,
+            corrupted: counts.corrupted,
+            total: counts.ok + counts.redownloaded + counts.missing + counts.corrupted,
+            lastScrub: stateStoreService.getMeta('integrityScrub')?.finishedAt || null
         };
-
-        for (const [id, item] of this.syncState.entries()) {
-            try {
-                const stats = await fs.promises.stat(item.path);
-                if (stats.size === 0) {
-                    results.corrupted++;
-                    logger.warn(`Zero-byte file detected: ${item.path}`);
-                } else {
-                    results.verified++;
-                }
-            } catch (error) {
-                if (error.code === 'ENOENT') {
-                    results.missing++;
-                    logger.warn(`Missing file detected: ${item.path}`);
-                }
-            }
-        }
-
-        return results;
     }
 
     // Add method to monitor storage usage
     async getStorageStats(syncDir) {
-        const du = util.promisify(require('child_process').exec);
         try {
-            const { stdout } = await du(`du -sb "${syncDir}"`);
-            const totalBytes = parseInt(stdout.split('\t')[0]);
-            
+            const items = syncCacheService.getSyncedItems();
             const stats = {
-                totalSize: totalBytes,
-                totalSizeHuman: this.formatBytes(totalBytes),
-                photoCount: Array.from(this.syncState.values())
-                    .filter(item => item.path.match(/\.(jpg|jpeg|png|gif)$/i)).length,
-                videoCount: Array.from(this.syncState.values())
-                    .filter(item => item.path.match(/\.(mp4|mov|avi)$/i)).length,
-                byYear: new Map()
+                totalSize: 0,
+                totalSizeHuman: null,
+                photoCount: items.filter(item => !this.isVideo(item)).length,
+                videoCount: items.filter(item => this.isVideo(item)).length,
+                byYear: {}
             };
 
-            // Calculate storage by year
-            for (const item of this.syncState.values()) {
+            // Calculate storage by year of capture
+            let itemBytes = 0;
+            for (const item of items) {
                 try {
-                    const fileStats = await fs.promises.stat(item.path);
-                    const year = new Date(fileStats.mtime).getFullYear();
-                    if (!stats.byYear.has(year)) {
-                        stats.byYear.set(year, { size: 0, count: 0 });
-                    }
-                    const yearStats = stats.byYear.get(year);
-                    yearStats.size += fileStats.size;
-                    yearStats.count++;
+                    const fileStats = await fs.promises.stat(item.localPath);
+                    const { year } = await this.getItemBucket(item);
+                    stats.byYear[year] ??= { size: 0, count: 0 };
+                    stats.byYear[year].size += fileStats.size;
+                    stats.byYear[year].count++;
+                    itemBytes += fileStats.size;
                 } catch (error) {
-                    logger.error(`Error getting stats for ${item.path}:`, error);
+                    logger.error(`Error getting stats for ${item.localPath}:`, error);
                 }
             }
 
+            // du also counts the trash, album copies and sidecars; BusyBox du (some
+            // NAS firmware) has no -b, so fall back to the synced files alone
+            try {
+                const { stdout } = await util.promisify(execFile)('du', ['-sb', syncDir]);
+                stats.totalSize = parseInt(stdout.split('\t')[0], 10);
+            } catch {
+                stats.totalSize = itemBytes;
+            }
+            stats.totalSizeHuman = this.formatBytes(stats.totalSize);
+
             return stats;
         } catch (error) {
             logger.error('Error getting storage stats:', error);
@@ -958,8 +1008,9 @@ class PhotosService {
     // Add method to generate reports
     async generateReport(syncDir) {
         const storageStats = await this.getStorageStats(syncDir);
-        const integrityResults = await this.verifyIntegrity(syncDir);
+        const integrityResults = await this.verifyIntegrity();
         const syncStats = this.getSyncStats();
+        const deletedItems = this.getDeletedItems();
 
         const report = {
             timestamp: new Date().toISOString(),
@@ -967,8 +1018,8 @@ class PhotosService {
             integrity: integrityResults,
             sync: syncStats,
             deletedItems: {
-                count: this.deletedInGooglePhotos.size,
-                items: this.getDeletedItems()
+                count: deletedItems.length,
+                items: deletedItems
             }
         };
 
@@ -1038,27 +1089,24 @@ class PhotosService {
         return sortedItems;
     }
 
-    async saveDiscoveryCache(syncDir) {
+    saveDiscoveryCache() {
         try {
             if (!this.currentUserId) {
                 logger.warn('No user ID available, skipping cache save');
                 return;
             }
+            if (!this.discoveryResults) {
+                return;
+            }
 
-            const cachePath = this.getDiscoveryCacheFilename(syncDir, this.currentUserId);
-            const cacheData = {
-                timestamp: Date.now(),
-                userId: this.currentUserId,
-                results: this.discoveryResults
-            };
-            await fs.promises.writeFile(cachePath, JSON.stringify(cacheData, null, 2));
+            stateStoreService.saveDiscoveryCache(this.currentUserId, this.discoveryResults);
             logger.info('Discovery results cached successfully');
         } catch (error) {
             logger.error('Error saving discovery cache:', error);
         }
     }
 
-    async loadDiscoveryCache(syncDir, options = {}) {
+    async loadDiscoveryCache(options = {}) {
         try {
             const settings = settingsService.getSettings();
             if (!settings.enableCaching) {
@@ -1071,22 +1119,28 @@ class PhotosService {
                 return null;
             }
 
-            const cachePath = this.getDiscoveryCacheFilename(syncDir, this.currentUserId);
-            const cacheData = JSON.parse(await fs.promises.readFile(cachePath, 'utf8'));
-            
-            // Verify cache belongs to current user
-            if (cacheData.userId !== this.currentUserId) {
-                logger.warn('Cache file belongs to different user, ignoring');
+            const cacheData = stateStoreService.getDiscoveryCache(this.currentUserId);
+            if (!cacheData) {
+                logger.info('No discovery cache found for the current user');
+                if (!options.silent) {
+                    websocketService.resetDiscovery();
+                }
                 return null;
             }
 
             // Check if cache is still valid using TTL from settings
             const cacheAge = Date.now() - cacheData.timestamp;
-            if (cacheAge > settings.discoveryCacheTTL) {
+            if (!options.ignoreTTL && cacheAge > settings.discoveryCacheTTL) {
                 logger.info(`Discovery cache is too old (${Math.round(cacheAge / (60 * 60 * 1000))} hours), will perform fresh discovery`);
                 return null;
             }
 
+            // A cache built with different filters covers a different set of items
+            if (options.filtersKey !== undefined && (cacheData.results.filtersKey ?? '{}') !== options.filtersKey) {
+                logger.info('Discovery filters changed since the cache was built, will perform fresh discovery');
+                return null;
+            }
+
             // If force fresh discovery is requested, ignore cache
             if (options.forceFreshDiscovery) {
                 logger.info('Force fresh discovery requested, ignoring cache');
@@ -1101,6 +1155,11 @@ class PhotosService {
                 totalItems: cacheData.results.totalItems || 0,
                 estimatedSizeBytes: cacheData.results.estimatedSizeBytes || 0,
                 pagesScanned: cacheData.results.pagesScanned || 0,
+                hasMore: cacheData.results.hasMore || false,
+                nextPageToken: cacheData.results.nextPageToken || null,
+                filtersKey: cacheData.results.filtersKey,
+                dateFiltered: cacheData.results.dateFiltered || false,
+                filteredItems: cacheData.results.filteredItems || 0,
                 timestamp: cacheData.timestamp,
                 cacheAge: cacheAge,
                 cacheTTL: settings.discoveryCacheTTL
@@ -1110,30 +1169,29 @@ class PhotosService {
             logger.info(`Loaded cached discovery results with ${formattedResults.totalItems} items (cache age: ${Math.round(cacheAge / (60 * 1000))} minutes)`);
 
             // Update WebSocket service with the cached results
-            websocketService.completeDiscovery({
-                ...formattedResults,
-                status: 'complete',
-                isComplete: true,
-                fromCache: true
-            });
+            if (!options.silent) {
+                websocketService.completeDiscovery({
+                    ...formattedResults,
+                    status: 'complete',
+                    isComplete: true,
+                    fromCache: true
+                });
+            }
 
             return formattedResults;
         } catch (error) {
             logger.info('No valid discovery cache found or error loading cache:', error);
-            websocketService.resetDiscovery();
+            if (!options.silent) {
+                websocketService.resetDiscovery();
+            }
             return null;
         }
     }
 
     clearDiscoveryResults() {
         this.discoveryResults = null;
-        // Remove the discovery results file if it exists
-        if (this.discoveryFile) {
-            fs.promises.unlink(this.discoveryFile).catch(error => {
-                if (error.code !== 'ENOENT') {
-                    logger.error('Error removing discovery results file:', error);
-                }
-            });
+        if (this.currentUserId) {
+            stateStoreService.deleteDiscoveryCache(this.currentUserId);
         }
     }
 
@@ -0,0 +1,115 @@
+import path from 'path';
+import proxyaddr from 'proxy-addr';
+import dotenv from 'dotenv';
+
+// Load environment variables from root directory
+dotenv.config({ path: path.resolve(process.cwd(), '.env') });
+
+// The Vite dev server, which serves the app when PUBLIC_BASE_URL isn't set
+const DEV_ORIGINS = ['http://localhost:5173', 'http://localhost:5174'];
+const DEV_APP_PORT = '5173';
+
+const configError = (message) => Object.assign(new Error(message), { code: 'ECONFIG' });
+
+// '/photosync/' -> '/photosync', '/' -> ''
+function normalizeBasePath(value) {
+    const trimmed = value.trim().replace(/\/+$/, '');
+    if (!trimmed) return '';
+    if (!/^\/[\w\-./~]*$/.test(trimmed) || trimmed.includes('//')) {
+        throw configError(`BASE_PATH ${value} is not a path like /photosync`);
+    }
+    return trimmed;
+}
+
+// TRUST_PROXY is true, a number of proxy hops, or addresses and ranges of the
+// proxies, as Express's 'trust proxy' setting takes them
+function parseTrustProxy(value) {
+    const trimmed = value?.trim();
+    if (!trimmed || trimmed === 'false') return false;
+    if (trimmed === 'true') return true;
+    if (/^\d+$/.test(trimmed)) return Number(trimmed);
+    return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function compileTrustProxy(trustProxy) {
+    if (trustProxy === true) return () => true;
+    if (typeof trustProxy === 'number') return (address, hop) => hop < trustProxy;
+    if (!trustProxy) return () => false;
+    try {
+        return proxyaddr.compile(trustProxy);
+    } catch (error) {
+        throw configError(`TRUST_PROXY: ${error.message}`);
+    }
+}
+
+// Where the app is reached from: PUBLIC_BASE_URL (e.g. https://nas.example.com/photosync),
+// BASE_PATH for serving everything under a sub-path, TRUST_PROXY for the reverse
+// proxy in front, and CORS_ORIGINS for other origins the app is served from.
+// Without any of them the server answers on / for the Vite dev server on localhost.
+class PublicUrlService {
+    constructor() {
+        this.load(process.env);
+    }
+
+    load(env) {
+        let publicUrl = null;
+        if (env.PUBLIC_BASE_URL?.trim()) {
+            try {
+                publicUrl = new URL(env.PUBLIC_BASE_URL.trim());
+            } catch {
+                throw configError(`PUBLIC_BASE_URL ${env.PUBLIC_BASE_URL} is not a URL`);
+            }
+            if (!['http:', 'https:'].includes(publicUrl.protocol)) {
+                throw configError(`PUBLIC_BASE_URL ${env.PUBLIC_BASE_URL} must be an http or https URL`);
+            }
+        }
+
+        // BASE_PATH defaults to the path of PUBLIC_BASE_URL; if both are set they have to agree
+        const urlPath = publicUrl ? normalizeBasePath(publicUrl.pathname) : '';
+        this.basePath = env.BASE_PATH?.trim() ? normalizeBasePath(env.BASE_PATH) : urlPath;
+        if (publicUrl && urlPath && urlPath !== this.basePath) {
+            throw configError(`PUBLIC_BASE_URL path ${urlPath} doesn't match BASE_PATH ${this.basePath}`);
+        }
+
+        this.publicBaseUrl = publicUrl ? `${publicUrl.origin}${this.basePath}` : null;
+        this.trustProxy = parseTrustProxy(env.TRUST_PROXY);
+        this.trustProxyFn = compileTrustProxy(this.trustProxy);
+        this.corsOrigins = [...new Set([
+            ...DEV_ORIGINS,
+            ...(publicUrl ? [publicUrl.origin] : []),
+            ...(env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean)
+        ])];
+    }
+
+    // Requests without an Origin header come from the same origin or aren't from a browser
+    isAllowedOrigin(origin) {
+        return !origin || this.corsOrigins.includes(origin);
+    }
+
+    // A path on this server as the browser sees it, e.g. '/ws' -> '/photosync/ws'
+    withBasePath(route) {
+        return `${this.basePath}${route}`;
+    }
+
+    // Where to send the browser back to after a Google login. devPort is the
+    // Vite dev server's port the app asked with, used without PUBLIC_BASE_URL
+    getAppUrl(devPort) {
+        if (this.publicBaseUrl) return this.publicBaseUrl;
+        const port = /^\d+$/.test(devPort || '') ? devPort : DEV_APP_PORT;
+        return `http://localhost:${port}`;
+    }
+
+    // Used as the OAuth redirect URI when REDIRECT_URI isn't set
+    getRedirectUri() {
+        return this.publicBaseUrl ? `${this.publicBaseUrl}/api/oauth2callback` : null;
+    }
+
+    // The client's address for requests that don't go through Express, such as
+    // WebSocket upgrades; the same address Express gives as req.ip
+    getClientIp(req) {
+        if (!this.trustProxy) return req.socket.remoteAddress;
+        return proxyaddr(req, this.trustProxyFn);
+    }
+}
+
+export default new PublicUrlService();
@@ -0,0 +1,415 @@
+import logger from './logger.service.js';
+import accountsService from './accounts.service.js';
+import authService from './auth.service.js';
+import downloadService from './download.service.js';
+import integrityService from './integrity.service.js';
+import organizeService from './organize.service.js';
+import photosService from './photos.service.js';
+import settingsService from './settings.service.js';
+import syncService from './sync.service.js';
+import timestampService from './timestamp.service.js';
+import websocketService from './websocket.service.js';
+
+const MINUTE_MS = 60 * 1000;
+const INTERVAL_UNITS = { m: MINUTE_MS, h: 60 * MINUTE_MS, d: 24 * 60 * MINUTE_MS };
+const INTERVAL_PATTERN = /^(\d+)\s*([mhd])$/i;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// minute, hour, day of month, month, day of week (0 and 7 are Sunday)
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+// A cron expression can't match for longer than a leap-year cycle (e.g. '0 0 29 2 *')
+const MAX_CRON_SEARCH_MS = 8 * 366 * INTERVAL_UNITS.d;
+
+const EMPTY_STATE = { schedule: null, nextRunAt: null, lastRunAt: null, lastResult: null };
+
+// Runs discovery and sync on a schedule: a cron expression ('0 3 * * *') or an
+// interval ('6h'), evaluated in the configured timezone. Scheduled runs wait out
+// quiet hours, and a sync still running when quiet hours start is paused until
+// they end. Bandwidth windows set the download rate limit for the time of day.
+//
+// Every account has its own schedule, but syncs work on the active account's
+// library and state, so only the active account's runs go ahead. Runs of other
+// accounts are skipped rather than switched to, which would move every logged-in
+// user onto that account.
+class SchedulerService {
+    constructor() {
+        // How often the schedule, quiet hours and bandwidth windows are checked
+        this.TICK_MS = MINUTE_MS;
+        this.running = false;
+        // Set while a sync is paused for quiet hours, so only that pause is lifted
+        this.quietPaused = false;
+        this.timer = null;
+    }
+
+    async initialize() {
+        const now = new Date();
+        downloadService.setRateLimit(this.getBandwidthLimit(settingsService.getSettings(), now));
+        for (const account of accountsService.getAccounts()) {
+            this.refreshSchedule(account.id, accountsService.getAccountSettings(account.id), now);
+        }
+        // The first tick comes a minute after startup, once an interrupted sync had a chance to resume
+        this.timer = setInterval(() => {
+            this.tick().catch(error => logger.error('Scheduler error:', error));
+        }, this.TICK_MS);
+        this.timer.unref();
+        logger.info('Scheduler service initialized');
+    }
+
+    // Parse a cron expression into the allowed values of each field, throwing on
+    // anything invalid
+    parseCron(expression) {
+        const source = CRON_ALIASES[expression.trim().toLowerCase()] || expression;
+        const parts = source.trim().split(/\s+/);
+        if (parts.length !== CRON_FIELDS.length) {
+            throw new Error(`Cron expression needs ${CRON_FIELDS.length} fields (minute hour day month weekday): ${expression}`);
+        }
+
+        const fields = parts.map((part, index) => {
+            const { name, min, max } = CRON_FIELDS[index];
+            const values = new Set();
+            for (const term of part.split(',')) {
+                const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(term);
+                if (!match) {
+                    throw new Error(`Invalid ${name} in cron expression: ${term}`);
+                }
+                const step = match[4] ? parseInt(match[4], 10) : 1;
+                const from = match[1] === '*' ? min : parseInt(match[2], 10);
+                let to = match[1] === '*' ? max : match[3] ? parseInt(match[3], 10) : from;
+                // '5/15' means from 5 to the end of the range
+                if (match[4] && match[1] !== '*' && !match[3]) {
+                    to = max;
+                }
+                if (from < min || to > max || from > to || step < 1) {
+                    throw new Error(`Invalid ${name} in cron expression: ${term}`);
+                }
+                for (let value = from; value <= to; value += step) {
+                    values.add(value);
+                }
+            }
+            return { values, any: part === '*' };
+        });
+
+        const weekdays = fields[4];
+        if (weekdays.values.has(7)) {
+            weekdays.values.add(0);
+        }
+        return {
+            minute: fields[0].values,
+            hour: fields[1].values,
+            dayOfMonth: fields[2].values,
+            month: fields[3].values,
+            dayOfWeek: weekdays.values,
+            anyDayOfMonth: fields[2].any,
+            anyDayOfWeek: weekdays.any
+        };
+    }
+
+    // A schedule is either an interval in ms or a parsed cron expression. A number
+    // (the older autoSyncInterval setting) is taken as milliseconds.
+    parseSchedule(schedule) {
+        if (typeof schedule === 'number') {
+            if (!(schedule > 0)) throw new Error('Sync interval must be positive');
+            return { intervalMs: schedule };
+        }
+        if (typeof schedule !== 'string' || !schedule.trim()) {
+            throw new Error('No sync schedule set');
+        }
+        const interval = INTERVAL_PATTERN.exec(schedule.trim());
+        if (interval) {
+            const intervalMs = parseInt(interval[1], 10) * INTERVAL_UNITS[interval[2].toLowerCase()];
+            if (intervalMs < 5 * MINUTE_MS) throw new Error('Sync interval must be at least 5 minutes');
+            return { intervalMs };
+        }
+        return { cron: this.parseCron(schedule) };
+    }
+
+    matchesDay(cron, parts) {
+        const weekday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay();
+        const dayOfMonth = cron.dayOfMonth.has(Number(parts.day));
+        const dayOfWeek = cron.dayOfWeek.has(weekday);
+        if (!cron.month.has(Number(parts.month))) return false;
+        // As in cron, a day matches either field when both are restricted
+        if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) return dayOfMonth || dayOfWeek;
+        return dayOfMonth && dayOfWeek;
+    }
+
+    // The first minute after `after` that the cron expression matches, in local time.
+    // Whole days and hours that can't match are skipped instead of tried minute by minute.
+    getNextCronRun(cron, after, timeZone) {
+        let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+        const limit = time + MAX_CRON_SEARCH_MS;
+        while (time < limit) {
+            const parts = timestampService.getLocalParts(new Date(time), timeZone);
+            const hour = Number(parts.hour);
+            const minute = Number(parts.minute);
+            if (!this.matchesDay(cron, parts)) {
+                // An hour short of midnight, so a DST change can't skip past the start of the day
+                time += Math.max((24 * 60 - hour * 60 - minute) - 60, 60 - minute) * MINUTE_MS;
+            } else if (!cron.hour.has(hour)) {
+                time += (60 - minute) * MINUTE_MS;
+            } else if (!cron.minute.has(minute)) {
+                time += MINUTE_MS;
+            } else {
+                return new Date(time);
+            }
+        }
+        return null;
+    }
+
+    // The account's timezone, falling back to the server's like TimestampService
+    getTimeZone(settings) {
+        return settings.timezone && timestampService.isValidTimeZone(settings.timezone)
+            ? settings.timezone
+            : Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    // When the schedule runs next after `after`; intervals count from the last run
+    getNextRunAt(schedule, after = new Date(), lastRunAt = null, timeZone = timestampService.getTimeZone()) {
+        const parsed = this.parseSchedule(schedule);
+        if (parsed.intervalMs) {
+            // Never ran: the first run is due right away
+            return lastRunAt ? new Date(new Date(lastRunAt).getTime() + parsed.intervalMs) : after;
+        }
+        return this.getNextCronRun(parsed.cron, after, timeZone);
+    }
+
+    // Whether `date` falls in a { start: 'HH:mm', end: 'HH:mm' } window; windows
+    // ending before they start span midnight
+    isInWindow(window, date, timeZone) {
+        const { hour, minute } = timestampService.getLocalParts(date, timeZone);
+        const now = `${hour}:${minute}`;
+        if (window.start <= window.end) {
+            return now >= window.start && now < window.end;
+        }
+        return now >= window.start || now < window.end;
+    }
+
+    isQuietTime(settings, date = new Date()) {
+        return (settings.quietHours || []).some(window => this.isInWindow(window, date, this.getTimeZone(settings)));
+    }
+
+    // Download limit in bytes per second for the time of day: the first bandwidth
+    // window that's open, else the global limit. Limits are set in MB/s; 0 is unlimited.
+    getBandwidthLimit(settings, date = new Date()) {
+        const window = (settings.bandwidthWindows || [])
+            .find(candidate => this.isInWindow(candidate, date, this.getTimeZone(settings)));
+        const limit = Number(window ? window.limit : settings.bandwidthLimit);
+        return Number.isFinite(limit) && limit > 0 ? Math.round(limit * 1024 * 1024) : 0;
+    }
+
+    // Error message for invalid schedule settings, or null
+    validate({ syncSchedule, quietHours, bandwidthWindows }) {
+        if (syncSchedule !== undefined && syncSchedule !== '') {
+            try {
+                this.parseSchedule(syncSchedule);
+            } catch (error) {
+                return error.message;
+            }
+        }
+        for (const [label, windows] of [['Quiet hours', quietHours], ['Bandwidth windows', bandwidthWindows]]) {
+            if (windows === undefined) continue;
+            if (!Array.isArray(windows)) {
+                return `${label} must be a list`;
+            }
+            for (const window of windows) {
+                if (!TIME_PATTERN.test(window?.start) || !TIME_PATTERN.test(window?.end)) {
+                    return `${label} need a start and end time as HH:mm`;
+                }
+            }
+        }
+        if ((bandwidthWindows || []).some(window => !(Number(window.limit) >= 0))) {
+            return 'Bandwidth windows need a limit of 0 MB/s or more';
+        }
+        return null;
+    }
+
+    getSchedule(settings) {
+        return settings.syncSchedule || settings.autoSyncInterval || null;
+    }
+
+    // What keeps a scheduled run from starting, or null
+    getBusyReason() {
+        if (this.running) return 'A scheduled sync is already running';
+        if (syncService.isSyncing() || ['running', 'paused'].includes(websocketService.currentSync.status)) {
+            return 'A sync is already running';
+        }
+        if (photosService.isDiscovering()) return 'Discovery is already running';
+        if (organizeService.job.running) return 'Files are being re-laid out';
+        if (integrityService.redownload.running) return 'Corrupted items are being downloaded again';
+        return null;
+    }
+
+    getState(accountId) {
+        return { ...EMPTY_STATE, ...accountsService.getSchedulerState(accountId) };
+    }
+
+    saveState(accountId, state) {
+        accountsService.saveSchedulerState(accountId, state);
+    }
+
+    // Recompute the account's next run when its schedule was turned on or changed
+    refreshSchedule(accountId, settings, now) {
+        const state = this.getState(accountId);
+        const schedule = settings.autoSync ? this.getSchedule(settings) : null;
+        if (schedule === state.schedule && (state.nextRunAt || !schedule)) {
+            return state;
+        }
+        let nextRunAt = null;
+        if (schedule) {
+            try {
+                nextRunAt = this.getNextRunAt(schedule, now, state.lastRunAt, this.getTimeZone(settings))?.toISOString() || null;
+            } catch (error) {
+                logger.warn(`Invalid sync schedule "${schedule}": ${error.message}`);
+            }
+        }
+        const refreshed = { ...state, schedule, nextRunAt };
+        this.saveState(accountId, refreshed);
+        return refreshed;
+    }
+
+    // After a run or a skipped run, intervals count from now
+    scheduleNext(accountId, state, now) {
+        try {
+            const timeZone = this.getTimeZone(accountsService.getAccountSettings(accountId));
+            state.nextRunAt = this.getNextRunAt(state.schedule, now, now, timeZone)?.toISOString() || null;
+        } catch {
+            state.nextRunAt = null;
+        }
+        this.saveState(accountId, state);
+    }
+
+    // Pause a running sync when quiet hours start and resume it when they end
+    applyQuietHours(quiet) {
+        const { status, isPaused } = websocketService.currentSync;
+        if (quiet && !this.quietPaused && status === 'running') {
+            this.quietPaused = true;
+            websocketService.updateSyncStatus({ isPaused: true, status: 'paused' });
+            logger.info('Sync paused for quiet hours');
+        } else if (!quiet && this.quietPaused) {
+            this.quietPaused = false;
+            // Unless it was resumed or stopped by hand in the meantime
+            if (isPaused && status === 'paused') {
+                websocketService.updateSyncStatus({ isPaused: false, status: 'running' });
+                logger.info('Quiet hours over, sync resumed');
+            }
+        }
+    }
+
+    // Accounts with a run due now. Runs that come due during the account's quiet
+    // hours wait until they're over.
+    getDueAccounts(now) {
+        const due = [];
+        for (const account of accountsService.getAccounts()) {
+            const settings = accountsService.getAccountSettings(account.id);
+            const { nextRunAt } = this.refreshSchedule(account.id, settings, now);
+            if (nextRunAt && new Date(nextRunAt) <= now && !this.isQuietTime(settings, now)) {
+                due.push(account.id);
+            }
+        }
+        return due;
+    }
+
+    skip(accountId, message, now) {
+        logger.info(`Skipping scheduled sync of account ${accountId}: ${message}`);
+        const state = this.getState(accountId);
+        state.lastResult = { status: 'skipped', message, at: now.toISOString() };
+        this.scheduleNext(accountId, state, now);
+        return state.lastResult;
+    }
+
+    // Runs every TICK_MS: updates the bandwidth limit and quiet hours pause, and
+    // starts a scheduled run when one is due. Resolves once a started run is over.
+    async tick(now = new Date()) {
+        const settings = settingsService.getSettings();
+        downloadService.setRateLimit(this.getBandwidthLimit(settings, now));
+        this.applyQuietHours(this.isQuietTime(settings, now));
+
+        const activeAccountId = accountsService.getActiveAccountId();
+        const due = this.getDueAccounts(now);
+        for (const accountId of due.filter(id => id !== activeAccountId)) {
+            this.skip(accountId, 'It is not the active account', now);
+        }
+        if (!due.includes(activeAccountId) || this.running) {
+            return null;
+        }
+
+        const busy = this.getBusyReason();
+        if (busy) {
+            return this.skip(activeAccountId, busy, now);
+        }
+        return this.run(now);
+    }
+
+    // Discover new items of the active account and sync them, as the Discover
+    // and Start Sync buttons would
+    async run(now = new Date()) {
+        if (this.running) {
+            throw new Error('A scheduled sync is already running');
+        }
+        // Before anything is awaited, so a tick and Run Now can't both start
+        this.running = true;
+        const accountId = accountsService.getActiveAccountId();
+        const state = this.getState(accountId);
+        state.lastRunAt = now.toISOString();
+        logger.info(`Starting scheduled sync of account ${accountId}`);
+
+        let result;
+        try {
+            this.scheduleNext(accountId, state, now);
+            const auth = await authService.authenticate(accountId);
+            if (!auth) {
+                throw new Error('Not authenticated, log in to Google Photos again');
+            }
+            const settings = settingsService.getSettings();
+            photosService.resetState();
+            await photosService.getPhotos(auth, { ...settings, syncDir: organizeService.getSyncDir(), incremental: true });
+            await syncService.startSync(auth);
+            // startSync reports its outcome through the sync status
+            const { status, message } = websocketService.currentSync;
+            result = { status, message };
+        } catch (error) {
+            logger.error('Scheduled sync error:', error);
+            result = { status: 'error', message: error.message };
+        } finally {
+            this.running = false;
+        }
+
+        state.lastResult = { ...result, at: new Date().toISOString() };
+        this.saveState(accountId, state);
+        logger.info(`Scheduled sync of account ${accountId} finished: ${result.status}`);
+        return state.lastResult;
+    }
+
+    // Schedule of the active account
+    getStatus() {
+        const settings = settingsService.getSettings();
+        const state = this.getState(accountsService.getActiveAccountId());
+        return {
+            enabled: Boolean(settings.autoSync),
+            schedule: state.schedule,
+            nextRunAt: state.nextRunAt,
+            lastRunAt: state.lastRunAt,
+            lastResult: state.lastResult,
+            running: this.running,
+            inQuietHours: this.isQuietTime(settings),
+            bandwidthLimit: downloadService.rateLimit
+        };
+    }
+}
+
+const schedulerService = new SchedulerService();
+export default schedulerService;
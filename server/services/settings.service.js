@@ -1,14 +1,18 @@
 import fs from 'fs/promises';
+import { existsSync } from 'fs';
 import path from 'path';
 import logger from './logger.service.js';
 
 class SettingsService {
     constructor() {
-        this.settings = {
+        this.defaults = {
             syncDir: path.join(process.cwd(), 'photos'), // Default sync directory
             syncOrder: 'newest', // 'newest', 'oldest', 'random'
-            folderStructure: 'year/month', // 'year/month', 'year/month/date', 'year/month_date', 'year_month_date', 'flat'
+            folderStructure: 'year/month', // 'year/month', 'year/month/date', 'year/month_date', 'year_month_date', 'flat', 'custom'
+            folderTemplate: '{year}/{month}', // Used when folderStructure is 'custom', e.g. '{year}/{month}-{monthName}'
+            fileNameTemplate: '{name}_{timestamp}_{id8}.{ext}', // e.g. '{date:YYYYMMDD}_{time:HHmmss}_{camera}_{id8}.{ext}'
             autoOrganize: true, // Whether to automatically organize files during sync
+            timezone: '', // IANA timezone for capture dates, e.g. 'Europe/Berlin'; empty uses the server's
             batchSize: 50,
             maxConcurrentDownloads: 3,
             autoRetry: true,
@@ -16,17 +20,57 @@ class SettingsService {
             saveStateInterval: 5, // minutes
             discoveryCacheTTL: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
             syncCacheTTL: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
-            enableCaching: true // Whether to use caching at all
+            enableCaching: true, // Whether to use caching at all
+            incrementalVerify: true, // Only re-read folders that changed when matching existing files
+            // Discovery filters
+            syncPhotos: true,
+            syncVideos: true,
+            useDateRange: false,
+            startDate: null, // 'YYYY-MM-DD'
+            endDate: null, // 'YYYY-MM-DD'
+            includeArchived: false,
+            favoritesOnly: false,
+            includedContentCategories: [], // e.g. ['PETS', 'TRAVEL']
+            excludedContentCategories: [], // e.g. ['SCREENSHOTS', 'RECEIPTS']
+            // Albums
+            selectedAlbumIds: [],
+            albumLayout: 'none', // 'none', 'copy', 'hardlink', 'symlink', 'manifest'
+            // Resume a sync that was interrupted by a restart without asking
+            autoResumeInterruptedSync: false,
+            // Write dates, camera and description from Google Photos into files (EXIF or XMP sidecar)
+            preserveExif: true,
+            // Download photos as images at their full resolution (=w-h) instead of the original files
+            maxResolutionThumbnails: false,
+            // Deletions in Google Photos
+            cleanupRemovedFiles: true, // Move files deleted in Google Photos to .trash
+            trashRetentionDays: 30, // 0 keeps trashed files until purged by hand
+            // Duplicates
+            hashFiles: false, // SHA-256 hash downloaded files
+            dedupPolicy: 'keep', // 'keep', 'skip', 'hardlink'
+            nearDuplicateThreshold: 10, // Max differing dHash bits (of 64) for near-duplicates
+            // Integrity scrub: checksums, image decoding and video probing of synced files
+            integrityScrubIntervalDays: 7, // 0 only scrubs when started by hand
+            // Scheduled discovery + sync
+            autoSync: false,
+            syncSchedule: '0 3 * * *', // Cron expression (minute hour day month weekday) or an interval like '6h'
+            quietHours: [], // e.g. [{ start: '22:00', end: '07:00' }]; scheduled syncs wait, running syncs pause
+            bandwidthLimit: 0, // MB/s across all downloads, 0 is unlimited
+            bandwidthWindows: [] // e.g. [{ start: '08:00', end: '23:00', limit: 1 }]; MB/s while open, instead of bandwidthLimit
         };
+        this.settings = { ...this.defaults };
+        this.configDir = null;
         this.configPath = null;
     }
 
+    // Called again with another account's directory when the active account changes
     async initialize(configDir) {
+        this.configDir = configDir;
         this.configPath = path.join(configDir, 'settings.json');
+        this.settings = { ...this.defaults };
         try {
             await fs.access(this.configPath);
             const data = await fs.readFile(this.configPath, 'utf8');
-            this.settings = { ...this.settings, ...JSON.parse(data) };
+            this.settings = { ...this.defaults, ...JSON.parse(data) };
             logger.info('Settings loaded successfully');
         } catch (error) {
             if (error.code === 'ENOENT') {
@@ -61,37 +105,14 @@ class SettingsService {
         return { ...this.settings };
     }
 
-    // Helper method to generate folder path based on date and settings
-    generateFolderPath(date, baseDir) {
-        const year = date.getFullYear().toString();
-        const month = (date.getMonth() + 1).toString().padStart(2, '0');
-        const day = date.getDate().toString().padStart(2, '0');
-
-        switch (this.settings.folderStructure) {
-            case 'year/month':
-                return path.join(baseDir, year, month);
-            
-            case 'year/month/date':
-                return path.join(baseDir, year, month, day);
-            
-            case 'year/month_date':
-                return path.join(baseDir, year, `${month}_${day}`);
-            
-            case 'year_month_date':
-                return path.join(baseDir, `${year}_${month}_${day}`);
-            
-            case 'flat':
-                return baseDir;
-            
-            default:
-                return path.join(baseDir, year, month);
-        }
+    getConfigDir() {
+        return this.configDir;
     }
 
     // Get available settings options
     getSettingsOptions() {
         const isProduction = process.env.NODE_ENV === 'production';
-        const isSynology = fs.existsSync('/etc/synoinfo.conf') || fs.existsSync('/etc/synology_model_name');
+        const isSynology = existsSync('/etc/synoinfo.conf') || existsSync('/etc/synology_model_name');
 
         let syncDirDescription = 'Directory where photos and videos will be synced';
         if (isSynology) {
@@ -111,7 +132,24 @@ class SettingsService {
                 { value: 'year/month/date', label: 'Year/Month/Date (2012/08/29)' },
                 { value: 'year/month_date', label: 'Year/Month_Date (2012/08_29)' },
                 { value: 'year_month_date', label: 'Year_Month_Date (2012_08_29)' },
-                { value: 'flat', label: 'No Folders (Flat Structure)' }
+                { value: 'flat', label: 'No Folders (Flat Structure)' },
+                { value: 'custom', label: 'Custom Template' }
+            ],
+            albumLayout: [
+                { value: 'none', label: 'Don\'t mirror albums' },
+                { value: 'copy', label: 'Copy files into album folders' },
+                { value: 'hardlink', label: 'Hardlink files into album folders' },
+                { value: 'symlink', label: 'Symlink files into album folders' },
+                { value: 'manifest', label: 'Write an M3U manifest per album' }
+            ],
+            timezone: [
+                { value: '', label: `Server timezone (${Intl.DateTimeFormat().resolvedOptions().timeZone})` },
+                ...Intl.supportedValuesOf('timeZone').map(timeZone => ({ value: timeZone, label: timeZone }))
+            ],
+            dedupPolicy: [
+                { value: 'keep', label: 'Keep every copy' },
+                { value: 'skip', label: 'Don\'t keep duplicate copies' },
+                { value: 'hardlink', label: 'Hardlink duplicates to the first copy' }
             ],
             syncDir: {
                 type: 'string',
@@ -125,6 +163,13 @@ class SettingsService {
                     '/var/services/homes/your-user/photos'
                 ] : []
             },
+            contentCategories: [
+                'ANIMALS', 'ARTS', 'BIRTHDAYS', 'CITYSCAPES', 'CRAFTS', 'DOCUMENTS',
+                'FASHION', 'FLOWERS', 'FOOD', 'GARDENS', 'HOLIDAYS', 'HOUSES',
+                'LANDMARKS', 'LANDSCAPES', 'NIGHT', 'PEOPLE', 'PERFORMANCES', 'PETS',
+                'RECEIPTS', 'SCREENSHOTS', 'SELFIES', 'SPORT', 'TRAVEL', 'UTILITY',
+                'WEDDINGS', 'WHITEBOARDS'
+            ],
             cacheTTLOptions: [
                 { label: '1 hour', value: 60 * 60 * 1000 },
                 { label: '6 hours', value: 6 * 60 * 60 * 1000 },
@@ -0,0 +1,254 @@
+import sharp from 'sharp';
+import logger from './logger.service.js';
+import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
+
+// Bits that differ between two 64-bit hashes in hex
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff) {
+        diff &= diff - 1n;
+        distance++;
+    }
+    return distance;
+}
+
+// Burkhard-Keller tree over hamming distance, so finding every hash within a
+// threshold doesn't mean comparing each photo with all the others
+class BKTree {
+    constructor() {
+        this.root = null;
+    }
+
+    add(hash, value) {
+        const node = { hash, values: [value], children: new Map() };
+        if (!this.root) {
+            this.root = node;
+            return;
+        }
+
+        let current = this.root;
+        for (;;) {
+            const distance = hammingDistance(hash, current.hash);
+            if (distance === 0) {
+                current.values.push(value);
+                return;
+            }
+            const child = current.children.get(distance);
+            if (!child) {
+                current.children.set(distance, node);
+                return;
+            }
+            current = child;
+        }
+    }
+
+    // Values whose hash is within `threshold` of `hash`, with their distance
+    search(hash, threshold) {
+        const matches = [];
+        const stack = this.root ? [this.root] : [];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            const distance = hammingDistance(hash, node.hash);
+            if (distance <= threshold) {
+                matches.push(...node.values.map(value => ({ value, distance })));
+            }
+            for (const [childDistance, child] of node.children) {
+                if (childDistance >= distance - threshold && childDistance <= distance + threshold) {
+                    stack.push(child);
+                }
+            }
+        }
+        return matches;
+    }
+}
+
+// Perceptual near-duplicate detection: burst shots, resized copies and
+// recompressed images end up with (nearly) the same dHash. Reporting only;
+// nothing is ever deleted here.
+class SimilarityService {
+    constructor() {
+        this.DEFAULT_THRESHOLD = 10;
+        this.job = { running: false, processed: 0, total: 0, failed: 0, startedAt: null, finishedAt: null };
+    }
+
+    getThreshold() {
+        const threshold = parseInt(settingsService.getSettings().nearDuplicateThreshold, 10);
+        return Number.isNaN(threshold) ? this.DEFAULT_THRESHOLD : Math.min(Math.max(threshold, 0), 32);
+    }
+
+    // dHash: shrink to 9x8 greyscale and record whether each pixel is brighter
+    // than its right-hand neighbour, giving 64 bits that survive resizing and
+    // recompression
+    async computeDHash(filePath) {
+        const pixels = await sharp(filePath, { failOn: 'none' })
+            .rotate()
+            .greyscale()
+            .resize(9, 8, { fit: 'fill' })
+            .raw()
+            .toBuffer();
+
+        let hash = 0n;
+        for (let y = 0; y < 8; y++) {
+            for (let x = 0; x < 8; x++) {
+                hash = (hash << 1n) | (pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1n : 0n);
+            }
+        }
+        return hash.toString(16).padStart(16, '0');
+    }
+
+    // Synced photos that haven't been hashed yet and haven't failed before
+    getPendingItems() {
+        return stateStoreService.getItems({ status: 'synced', deleted: false })
+            .filter(item => item.mimeType?.startsWith('image/') && item.localPath && !item.dhash && !item.dhashError);
+    }
+
+    // Hash every pending photo; meant to run in the background
+    async scan() {
+        if (this.job.running) {
+            throw new Error('A near-duplicate scan is already running');
+        }
+
+        const items = this.getPendingItems();
+        this.job = {
+            running: true,
+            processed: 0,
+            total: items.length,
+            failed: 0,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        logger.info(`Computing perceptual hashes for ${items.length} photos`);
+
+        // Deduplicated items can share one file
+        const hashes = new Map();
+        try {
+            for (const item of items) {
+                try {
+                    if (!hashes.has(item.localPath)) {
+                        hashes.set(item.localPath, await this.computeDHash(item.localPath));
+                    }
+                    stateStoreService.upsertItem(item.id, { dhash: hashes.get(item.localPath) });
+                } catch (error) {
+                    // Recorded so unsupported formats (e.g. HEIC without a decoder) aren't retried every scan
+                    this.job.failed++;
+                    stateStoreService.upsertItem(item.id, { dhashError: error.message });
+                    logger.warn(`Could not compute perceptual hash for ${item.localPath}: ${error.message}`);
+                }
+                this.job.processed++;
+            }
+            logger.info(`Perceptual hash scan done, ${this.job.failed} of ${items.length} photos failed`);
+        } finally {
+            this.job.running = false;
+            this.job.finishedAt = new Date().toISOString();
+        }
+    }
+
+    // Groups of photos within the threshold of each other. Matches are chained, so
+    // a burst where each shot is close to the next ends up in one group.
+    getGroups(threshold = this.getThreshold()) {
+        const items = stateStoreService.getItems({ status: 'synced', deleted: false })
+            .filter(item => item.dhash);
+
+        // Items sharing one file are the same photo, not near-duplicates
+        const byPath = new Map();
+        for (const item of items) {
+            if (!byPath.has(item.localPath)) {
+                byPath.set(item.localPath, item);
+            }
+        }
+        const photos = [...byPath.values()];
+
+        const tree = new BKTree();
+        photos.forEach((item, index) => tree.add(item.dhash, index));
+
+        // Union-find over every pair within the threshold
+        const parent = photos.map((_, index) => index);
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+        photos.forEach((item, index) => {
+            for (const { value } of tree.search(item.dhash, threshold)) {
+                const [a, b] = [find(index), find(value)];
+                if (a !== b) parent[a] = b;
+            }
+        });
+
+        const groups = new Map();
+        photos.forEach((item, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(item);
+        });
+
+        return [...groups.values()]
+            .filter(members => members.length > 1)
+            .map(members => {
+                members.sort((a, b) => (a.creationTime || '').localeCompare(b.creationTime || ''));
+                return {
+                    id: members[0].id,
+                    reviewed: members.some(item => item.keeper),
+                    items: members.map(item => ({
+                        id: item.id,
+                        fileName: item.fileName,
+                        localPath: item.localPath,
+                        size: item.size,
+                        creationTime: item.creationTime,
+                        width: item.mediaMetadata?.width,
+                        height: item.mediaMetadata?.height,
+                        distance: hammingDistance(members[0].dhash, item.dhash),
+                        keeper: item.keeper
+                    }))
+                };
+            })
+            .sort((a, b) => b.items.length - a.items.length);
+    }
+
+    getReport() {
+        const threshold = this.getThreshold();
+        const groups = this.getGroups(threshold);
+        return {
+            threshold,
+            pending: this.getPendingItems().length,
+            totalGroups: groups.length,
+            reviewedGroups: groups.filter(group => group.reviewed).length,
+            groups,
+            job: this.job
+        };
+    }
+
+    // Mark which photos of a group to keep; the rest are left for the user to
+    // deal with however they like
+    setKeepers(itemIds, keeperIds) {
+        const keepers = new Set(keeperIds);
+        stateStoreService.transaction(() => {
+            for (const id of itemIds) {
+                if (!stateStoreService.getItem(id)) {
+                    throw Object.assign(new Error(`Item ${id} not found`), { code: 'ENOENT' });
+                }
+                stateStoreService.upsertItem(id, { keeper: keepers.has(id) });
+            }
+        });
+    }
+
+    // A small JPEG preview for the review page
+    async getThumbnail(itemId, size = 256) {
+        const item = stateStoreService.getItem(itemId);
+        if (!item?.localPath || item.deletedAt) {
+            throw Object.assign(new Error('Item not found'), { code: 'ENOENT' });
+        }
+        return sharp(item.localPath, { failOn: 'none' })
+            .rotate()
+            .resize(size, size, { fit: 'inside' })
+            .jpeg({ quality: 70 })
+            .toBuffer();
+    }
+}
+
+const similarityService = new SimilarityService();
+export default similarityService;
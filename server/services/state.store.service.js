@@ -0,0 +1,711 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import logger from './logger.service.js';
+import settingsService from './settings.service.js';
+
+// Schema changes are appended here and applied in order; PRAGMA user_version
+// records how many have run against the database file
+const MIGRATIONS = [
+    `
+    CREATE TABLE items (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL DEFAULT 'synced',
+        local_path TEXT,
+        file_name TEXT,
+        mime_type TEXT,
+        creation_time TEXT,
+        media_metadata TEXT,
+        size INTEGER,
+        verified INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        last_sync TEXT,
+        deleted_at TEXT
+    );
+    CREATE INDEX idx_items_status ON items(status);
+    CREATE INDEX idx_items_local_path ON items(local_path);
+
+    CREATE TABLE meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+    );
+
+    CREATE TABLE discovery_cache (
+        user_id TEXT PRIMARY KEY,
+        timestamp INTEGER NOT NULL,
+        results TEXT NOT NULL
+    );
+
+    CREATE TABLE sync_jobs (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE sync_job_items (
+        job_id TEXT NOT NULL REFERENCES sync_jobs(id) ON DELETE CASCADE,
+        item_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        item TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'pending',
+        details TEXT,
+        PRIMARY KEY (job_id, item_id)
+    );
+    `,
+    // Trash: where a file deleted from Google Photos was moved to, and whether the
+    // user chose to keep the local copy anyway
+    `
+    ALTER TABLE items ADD COLUMN trash_path TEXT;
+    ALTER TABLE items ADD COLUMN keep_local INTEGER NOT NULL DEFAULT 0;
+    CREATE INDEX idx_items_deleted_at ON items(deleted_at);
+    `,
+    // Content hash of the downloaded file, for deduplication
+    `
+    ALTER TABLE items ADD COLUMN sha256 TEXT;
+    CREATE INDEX idx_items_sha256 ON items(sha256);
+    `,
+    // Perceptual hash of synced photos (or why it couldn't be computed), and the
+    // items the user chose to keep when reviewing near-duplicates
+    `
+    ALTER TABLE items ADD COLUMN dhash TEXT;
+    ALTER TABLE items ADD COLUMN dhash_error TEXT;
+    ALTER TABLE items ADD COLUMN keeper INTEGER NOT NULL DEFAULT 0;
+    `,
+    // Original Google Photos file name, for file name templates; and re-layout
+    // plans with their move journal, so a re-layout can be resumed and undone
+    `
+    ALTER TABLE items ADD COLUMN original_filename TEXT;
+
+    CREATE TABLE relayout_plans (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE relayout_moves (
+        plan_id TEXT NOT NULL REFERENCES relayout_plans(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        from_path TEXT NOT NULL,
+        to_path TEXT NOT NULL,
+        item_ids TEXT NOT NULL,
+        state TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        PRIMARY KEY (plan_id, position)
+    );
+    `,
+    // Directories the last verification read, so an incremental verification can
+    // skip the ones that haven't changed
+    `
+    CREATE TABLE scanned_dirs (
+        path TEXT PRIMARY KEY,
+        parent TEXT,
+        mtime_ms REAL NOT NULL,
+        known_files INTEGER NOT NULL,
+        unknown_files INTEGER NOT NULL
+    );
+    CREATE INDEX idx_scanned_dirs_parent ON scanned_dirs(parent);
+    `,
+    // Per-file results of the last integrity scrub
+    `
+    CREATE TABLE integrity_results (
+        item_id TEXT PRIMARY KEY,
+        local_path TEXT,
+        status TEXT NOT NULL,
+        checks TEXT,
+        error TEXT,
+        checked_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_integrity_results_status ON integrity_results(status);
+    `,
+    // Hash of the file on disk once metadata is written; sha256 stays the hash of the
+    // bytes as downloaded, so copies with different captions still match
+    `
+    ALTER TABLE items ADD COLUMN file_sha256 TEXT;
+    `
+];
+
+// items columns and the property names the services use for them
+const ITEM_COLUMNS = {
+    id: 'id',
+    status: 'status',
+    localPath: 'local_path',
+    fileName: 'file_name',
+    mimeType: 'mime_type',
+    creationTime: 'creation_time',
+    mediaMetadata: 'media_metadata',
+    size: 'size',
+    verified: 'verified',
+    error: 'error',
+    lastSync: 'last_sync',
+    deletedAt: 'deleted_at',
+    trashPath: 'trash_path',
+    keepLocal: 'keep_local',
+    sha256: 'sha256',
+    fileSha256: 'file_sha256',
+    dhash: 'dhash',
+    dhashError: 'dhash_error',
+    keeper: 'keeper',
+    originalFilename: 'original_filename'
+};
+
+// Files the state used to be spread over before it moved into the database
+const LEGACY_SYNC_CACHE = '.sync_cache.json';
+const LEGACY_SYNC_STATE = '.sync_state.json';
+const LEGACY_DELETED_ITEMS = '.deleted_items.json';
+const LEGACY_DISCOVERY_CACHE = /^\.discovery_cache_(.+)\.json$/;
+const LEGACY_SYNC_JOB = 'sync_job.json';
+
+class StateStoreService {
+    constructor() {
+        this.db = null;
+        this.dbFile = null;
+        this.statements = new Map();
+    }
+
+    async initialize() {
+        const configDir = settingsService.getConfigDir();
+        this.dbFile = path.join(configDir, 'sync_state.db');
+        this.open(this.dbFile);
+
+        const settings = settingsService.getSettings();
+        const syncDir = settings.syncDir || path.join(process.cwd(), 'photos');
+        this.migrateLegacyFiles(syncDir, configDir);
+
+        logger.info(`State store initialized (${this.dbFile})`);
+    }
+
+    open(dbFile) {
+        this.db = new Database(dbFile);
+        // WAL keeps readers unblocked during writes and survives a crash mid-transaction
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+        this.db.pragma('foreign_keys = ON');
+        this.statements.clear();
+        this.migrate();
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.statements.clear();
+        }
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+        for (let i = version; i < MIGRATIONS.length; i++) {
+            this.transaction(() => {
+                this.db.exec(MIGRATIONS[i]);
+                this.db.pragma(`user_version = ${i + 1}`);
+            });
+            logger.info(`Applied state store migration ${i + 1}`);
+        }
+    }
+
+    // Run `fn` in a single transaction; nested calls join the outer one
+    transaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
+    statement(sql) {
+        if (!this.db) {
+            throw new Error('State store is not initialized');
+        }
+        let statement = this.statements.get(sql);
+        if (!statement) {
+            statement = this.db.prepare(sql);
+            this.statements.set(sql, statement);
+        }
+        return statement;
+    }
+
+    toItem(row) {
+        if (!row) return null;
+        return {
+            id: row.id,
+            status: row.status,
+            localPath: row.local_path,
+            fileName: row.file_name,
+            mimeType: row.mime_type,
+            creationTime: row.creation_time,
+            mediaMetadata: row.media_metadata ? JSON.parse(row.media_metadata) : null,
+            size: row.size,
+            verified: Boolean(row.verified),
+            error: row.error,
+            lastSync: row.last_sync,
+            deletedAt: row.deleted_at,
+            trashPath: row.trash_path,
+            keepLocal: Boolean(row.keep_local),
+            sha256: row.sha256,
+            fileSha256: row.file_sha256,
+            dhash: row.dhash,
+            dhashError: row.dhash_error,
+            keeper: Boolean(row.keeper),
+            originalFilename: row.original_filename
+        };
+    }
+
+    toRow(item) {
+        const row = {};
+        for (const [key, column] of Object.entries(ITEM_COLUMNS)) {
+            row[column] = item[key] ?? null;
+        }
+        row.media_metadata = item.mediaMetadata ? JSON.stringify(item.mediaMetadata) : null;
+        row.creation_time = item.creationTime ?? item.mediaMetadata?.creationTime ?? null;
+        row.verified = item.verified ? 1 : 0;
+        row.keep_local = item.keepLocal ? 1 : 0;
+        row.keeper = item.keeper ? 1 : 0;
+        row.status = item.status || 'synced';
+        return row;
+    }
+
+    // Items
+
+    getItem(id) {
+        return this.toItem(this.statement('SELECT * FROM items WHERE id = ?').get(id));
+    }
+
+    // Merge `fields` into the stored item, creating it if needed
+    upsertItem(id, fields) {
+        return this.transaction(() => {
+            const item = { ...this.getItem(id), ...fields, id };
+            const row = this.toRow(item);
+            const columns = Object.values(ITEM_COLUMNS);
+            this.statement(
+                `INSERT OR REPLACE INTO items (${columns.join(', ')}) ` +
+                `VALUES (${columns.map(column => `@${column}`).join(', ')})`
+            ).run(row);
+            return item;
+        });
+    }
+
+    deleteItem(id) {
+        this.statement('DELETE FROM items WHERE id = ?').run(id);
+    }
+
+    getItems({ status, deleted } = {}) {
+        const conditions = [];
+        const params = [];
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+        if (deleted !== undefined) {
+            conditions.push(deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL');
+        }
+        const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+        return this.statement(`SELECT * FROM items${where}`).all(...params).map(row => this.toItem(row));
+    }
+
+    // Live synced items, optionally excluding one, that point at this file
+    getItemsAtPath(localPath, excludeId = null) {
+        return this.statement(
+            "SELECT * FROM items WHERE local_path = ? AND id IS NOT ? AND status = 'synced' AND deleted_at IS NULL"
+        ).all(localPath, excludeId).map(row => this.toItem(row));
+    }
+
+    getItemsByHash(sha256) {
+        return this.statement(
+            "SELECT * FROM items WHERE sha256 = ? AND status = 'synced' AND deleted_at IS NULL ORDER BY last_sync"
+        ).all(sha256).map(row => this.toItem(row));
+    }
+
+    // Hashes shared by more than one live item
+    getDuplicateHashes() {
+        return this.statement(`
+            SELECT sha256 FROM items
+            WHERE sha256 IS NOT NULL AND status = 'synced' AND deleted_at IS NULL
+            GROUP BY sha256 HAVING COUNT(*) > 1
+        `).all().map(row => row.sha256);
+    }
+
+    getItemStats() {
+        return this.statement(`
+            SELECT
+                COUNT(CASE WHEN status = 'synced' AND deleted_at IS NULL THEN 1 END) AS synced,
+                COUNT(CASE WHEN status = 'failed' THEN 1 END) AS failed,
+                COUNT(CASE WHEN deleted_at IS NOT NULL THEN 1 END) AS deleted,
+                MAX(last_sync) AS lastSync,
+                COALESCE(SUM(CASE WHEN status = 'synced' AND deleted_at IS NULL THEN size END), 0) AS totalSize
+            FROM items
+        `).get();
+    }
+
+    // Only failures that never reached disk; every other row may be the last record of
+    // an item's hashes, keeper marks, albums or trash state, however old its last sync
+    pruneFailedItems(failedBefore) {
+        return this.statement("DELETE FROM items WHERE status = 'failed' AND local_path IS NULL AND last_sync < ?")
+            .run(failedBefore).changes;
+    }
+
+    clearItems() {
+        this.statement('DELETE FROM items').run();
+    }
+
+    // Meta values (high-water mark and the like), stored as JSON
+
+    getMeta(key) {
+        const row = this.statement('SELECT value FROM meta WHERE key = ?').get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    setMeta(key, value) {
+        this.statement('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, JSON.stringify(value));
+    }
+
+    // Discovery cache, one entry per Google account
+
+    getDiscoveryCache(userId) {
+        const row = this.statement('SELECT * FROM discovery_cache WHERE user_id = ?').get(userId);
+        return row ? { userId: row.user_id, timestamp: row.timestamp, results: JSON.parse(row.results) } : null;
+    }
+
+    // The most recent discovery of any account
+    getLatestDiscoveryCache() {
+        const row = this.statement('SELECT * FROM discovery_cache ORDER BY timestamp DESC LIMIT 1').get();
+        return row ? { userId: row.user_id, timestamp: row.timestamp, results: JSON.parse(row.results) } : null;
+    }
+
+    saveDiscoveryCache(userId, results, timestamp = Date.now()) {
+        this.statement('INSERT OR REPLACE INTO discovery_cache (user_id, timestamp, results) VALUES (?, ?, ?)')
+            .run(userId, timestamp, JSON.stringify(results));
+    }
+
+    deleteDiscoveryCache(userId) {
+        this.statement('DELETE FROM discovery_cache WHERE user_id = ?').run(userId);
+    }
+
+    // Sync jobs
+
+    getLatestJob() {
+        const row = this.statement('SELECT * FROM sync_jobs ORDER BY created_at DESC LIMIT 1').get();
+        return row ? { ...JSON.parse(row.data), id: row.id, status: row.status, createdAt: row.created_at, updatedAt: row.updated_at } : null;
+    }
+
+    saveJob(job) {
+        const { id, status, createdAt, updatedAt, ...data } = job;
+        this.statement(
+            'INSERT INTO sync_jobs (id, status, created_at, updated_at, data) VALUES (?, ?, ?, ?, ?) ' +
+            'ON CONFLICT(id) DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at, data = excluded.data'
+        ).run(id, status, createdAt, updatedAt, JSON.stringify(data));
+    }
+
+    addJobItems(jobId, items) {
+        this.transaction(() => {
+            const { next } = this.statement(
+                'SELECT COALESCE(MAX(position) + 1, 0) AS next FROM sync_job_items WHERE job_id = ?'
+            ).get(jobId);
+            const insert = this.statement(
+                'INSERT OR IGNORE INTO sync_job_items (job_id, item_id, position, item, state, details) ' +
+                'VALUES (?, ?, ?, ?, ?, ?)'
+            );
+            items.forEach((entry, index) => {
+                insert.run(jobId, entry.item.id, next + index, JSON.stringify(entry.item),
+                    entry.state || 'pending', entry.details ? JSON.stringify(entry.details) : null);
+            });
+        });
+    }
+
+    getJobItems(jobId) {
+        return this.statement('SELECT * FROM sync_job_items WHERE job_id = ? ORDER BY position').all(jobId)
+            .map(row => ({
+                item: JSON.parse(row.item),
+                state: row.state,
+                details: row.details ? JSON.parse(row.details) : {}
+            }));
+    }
+
+    updateJobItem(jobId, itemId, state, details = {}) {
+        this.statement('UPDATE sync_job_items SET state = ?, details = ? WHERE job_id = ? AND item_id = ?')
+            .run(state, JSON.stringify(details), jobId, itemId);
+    }
+
+    deleteJobs() {
+        this.statement('DELETE FROM sync_jobs').run();
+    }
+
+    // Point completed job items at a file's new path, so resuming a job restores
+    // the right path
+    updateJobItemPaths(fromPath, toPath) {
+        this.statement(
+            "UPDATE sync_job_items SET details = json_set(details, '$.localPath', ?) " +
+            "WHERE json_extract(details, '$.localPath') = ?"
+        ).run(toPath, fromPath);
+    }
+
+    // Re-layout plans and their move journal
+
+    toRelayoutPlan(row) {
+        return row ? { ...JSON.parse(row.data), id: row.id, status: row.status, createdAt: row.created_at, updatedAt: row.updated_at } : null;
+    }
+
+    getRelayoutPlan(id) {
+        return this.toRelayoutPlan(this.statement('SELECT * FROM relayout_plans WHERE id = ?').get(id));
+    }
+
+    // Newest first
+    getRelayoutPlans() {
+        return this.statement('SELECT * FROM relayout_plans ORDER BY created_at DESC, rowid DESC').all()
+            .map(row => this.toRelayoutPlan(row));
+    }
+
+    saveRelayoutPlan(plan) {
+        const { id, status, createdAt, updatedAt, ...data } = plan;
+        this.statement(
+            'INSERT INTO relayout_plans (id, status, created_at, updated_at, data) VALUES (?, ?, ?, ?, ?) ' +
+            'ON CONFLICT(id) DO UPDATE SET status = excluded.status, updated_at = excluded.updated_at, data = excluded.data'
+        ).run(id, status, createdAt, updatedAt, JSON.stringify(data));
+    }
+
+    // Plans that were never applied are only kept until the next one is made
+    deleteRelayoutPlans(status) {
+        this.statement('DELETE FROM relayout_plans WHERE status = ?').run(status);
+    }
+
+    addRelayoutMoves(planId, moves) {
+        this.transaction(() => {
+            const insert = this.statement(
+                'INSERT INTO relayout_moves (plan_id, position, from_path, to_path, item_ids) VALUES (?, ?, ?, ?, ?)'
+            );
+            moves.forEach((move, index) => {
+                insert.run(planId, index, move.from, move.to, JSON.stringify(move.itemIds));
+            });
+        });
+    }
+
+    getRelayoutMoves(planId, state = null) {
+        const rows = state
+            ? this.statement('SELECT * FROM relayout_moves WHERE plan_id = ? AND state = ? ORDER BY position').all(planId, state)
+            : this.statement('SELECT * FROM relayout_moves WHERE plan_id = ? ORDER BY position').all(planId);
+        return rows.map(row => ({
+            position: row.position,
+            from: row.from_path,
+            to: row.to_path,
+            itemIds: JSON.parse(row.item_ids),
+            state: row.state,
+            error: row.error
+        }));
+    }
+
+    countRelayoutMoves(planId) {
+        const counts = { pending: 0, moved: 0, failed: 0, undone: 0 };
+        for (const row of this.statement('SELECT state, COUNT(*) AS count FROM relayout_moves WHERE plan_id = ? GROUP BY state').all(planId)) {
+            counts[row.state] = row.count;
+        }
+        return counts;
+    }
+
+    updateRelayoutMove(planId, position, state, error = null) {
+        this.statement('UPDATE relayout_moves SET state = ?, error = ? WHERE plan_id = ? AND position = ?')
+            .run(state, error, planId, position);
+    }
+
+    // Directories read by the last file verification
+
+    getScannedDir(dirPath) {
+        const row = this.statement('SELECT * FROM scanned_dirs WHERE path = ?').get(dirPath);
+        return row ? {
+            path: row.path,
+            parent: row.parent,
+            mtimeMs: row.mtime_ms,
+            knownFiles: row.known_files,
+            unknownFiles: row.unknown_files
+        } : null;
+    }
+
+    getScannedSubdirs(dirPath) {
+        return this.statement('SELECT path FROM scanned_dirs WHERE parent = ?').all(dirPath).map(row => row.path);
+    }
+
+    saveScannedDir({ path: dirPath, parent, mtimeMs, knownFiles, unknownFiles }) {
+        this.statement(
+            'INSERT OR REPLACE INTO scanned_dirs (path, parent, mtime_ms, known_files, unknown_files) VALUES (?, ?, ?, ?, ?)'
+        ).run(dirPath, parent, mtimeMs, knownFiles, unknownFiles);
+    }
+
+    // Forget a directory and everything below it
+    deleteScannedDir(dirPath) {
+        this.transaction(() => {
+            for (const subdir of this.getScannedSubdirs(dirPath)) {
+                this.deleteScannedDir(subdir);
+            }
+            this.statement('DELETE FROM scanned_dirs WHERE path = ?').run(dirPath);
+        });
+    }
+
+    clearScannedDirs() {
+        this.statement('DELETE FROM scanned_dirs').run();
+    }
+
+    // Integrity scrub results, one per item
+
+    toIntegrityResult(row) {
+        return {
+            itemId: row.item_id,
+            localPath: row.local_path,
+            status: row.status,
+            checks: row.checks ? JSON.parse(row.checks) : {},
+            error: row.error,
+            checkedAt: row.checked_at
+        };
+    }
+
+    saveIntegrityResult({ itemId, localPath, status, checks, error, checkedAt }) {
+        this.statement(
+            'INSERT OR REPLACE INTO integrity_results (item_id, local_path, status, checks, error, checked_at) VALUES (?, ?, ?, ?, ?, ?)'
+        ).run(itemId, localPath, status, JSON.stringify(checks || {}), error || null, checkedAt);
+    }
+
+    updateIntegrityStatus(itemId, status) {
+        this.statement('UPDATE integrity_results SET status = ? WHERE item_id = ?').run(status, itemId);
+    }
+
+    // Newest problems first; `status` narrows the report down
+    getIntegrityResults({ status = null, limit = 100, offset = 0 } = {}) {
+        const where = status ? 'WHERE status = ?' : '';
+        const params = status ? [status] : [];
+        const rows = this.statement(
+            `SELECT * FROM integrity_results ${where} ORDER BY status = 'ok', checked_at DESC, item_id LIMIT ? OFFSET ?`
+        ).all(...params, limit, offset);
+        const { total } = this.statement(`SELECT COUNT(*) AS total FROM integrity_results ${where}`).get(...params);
+        return { results: rows.map(row => this.toIntegrityResult(row)), total };
+    }
+
+    countIntegrityResults() {
+        const counts = { ok: 0, corrupted: 0, missing: 0, redownloaded: 0 };
+        for (const row of this.statement('SELECT status, COUNT(*) AS count FROM integrity_results GROUP BY status').all()) {
+            counts[row.status] = row.count;
+        }
+        return counts;
+    }
+
+    clearIntegrityResults() {
+        this.statement('DELETE FROM integrity_results').run();
+    }
+
+    // Import the JSON files the state used to live in. Everything is imported in
+    // one transaction; the files are only renamed to *.migrated once it commits,
+    // so an interrupted migration simply runs again on the next start.
+    migrateLegacyFiles(syncDir, configDir) {
+        const readJson = (file) => {
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`Skipping unreadable legacy state file ${file}:`, error);
+                }
+                return null;
+            }
+        };
+        const fileSize = (file) => {
+            try {
+                return fs.statSync(file).size;
+            } catch {
+                return null;
+            }
+        };
+
+        const migrated = [];
+        let syncDirEntries = [];
+        try {
+            syncDirEntries = fs.readdirSync(syncDir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.transaction(() => {
+            const syncCacheFile = path.join(syncDir, LEGACY_SYNC_CACHE);
+            const syncCache = readJson(syncCacheFile);
+            if (syncCache) {
+                for (const [id, entry] of Object.entries(syncCache.items || {})) {
+                    this.upsertItem(id, {
+                        status: 'synced',
+                        localPath: entry.localPath,
+                        fileName: entry.fileName,
+                        mimeType: entry.mimeType,
+                        mediaMetadata: entry.mediaMetadata,
+                        size: fileSize(entry.localPath),
+                        verified: entry.verified,
+                        lastSync: entry.lastSync
+                    });
+                }
+                if (syncCache.highWaterMark) {
+                    this.setMeta('highWaterMark', syncCache.highWaterMark);
+                }
+                migrated.push(syncCacheFile);
+            }
+
+            const syncStateFile = path.join(syncDir, LEGACY_SYNC_STATE);
+            const syncState = readJson(syncStateFile);
+            if (syncState) {
+                for (const [id, entry] of syncState) {
+                    // The sync cache is the more complete record of the two
+                    if (this.getItem(id)) continue;
+                    this.upsertItem(id, entry.synced ? {
+                        status: 'synced',
+                        localPath: entry.path,
+                        fileName: entry.path ? path.basename(entry.path) : null,
+                        size: fileSize(entry.path),
+                        lastSync: entry.timestamp ? new Date(entry.timestamp).toISOString() : null
+                    } : {
+                        status: 'failed',
+                        error: entry.error,
+                        lastSync: entry.timestamp ? new Date(entry.timestamp).toISOString() : null
+                    });
+                }
+                migrated.push(syncStateFile);
+            }
+
+            const deletedFile = path.join(syncDir, LEGACY_DELETED_ITEMS);
+            const deleted = readJson(deletedFile);
+            if (deleted) {
+                for (const [id, entry] of deleted) {
+                    const existing = this.getItem(id);
+                    this.upsertItem(id, {
+                        localPath: existing?.localPath || entry.path,
+                        fileName: existing?.fileName || (entry.path ? path.basename(entry.path) : null),
+                        deletedAt: new Date(entry.deletedTimestamp || Date.now()).toISOString()
+                    });
+                }
+                migrated.push(deletedFile);
+            }
+
+            for (const name of syncDirEntries) {
+                const match = LEGACY_DISCOVERY_CACHE.exec(name);
+                if (!match) continue;
+                const cacheFile = path.join(syncDir, name);
+                const cache = readJson(cacheFile);
+                if (cache?.results) {
+                    this.saveDiscoveryCache(cache.userId || match[1], cache.results, cache.timestamp);
+                    migrated.push(cacheFile);
+                }
+            }
+
+            const jobFile = path.join(configDir, LEGACY_SYNC_JOB);
+            const job = readJson(jobFile);
+            if (job?.id) {
+                const { items = [], itemStates = {}, ...record } = job;
+                delete record.version;
+                this.saveJob(record);
+                this.addJobItems(job.id, items.map(item => {
+                    const { state = 'pending', ...details } = itemStates[item.id] || {};
+                    return { item, state, details };
+                }));
+                migrated.push(jobFile);
+            }
+        });
+
+        for (const file of migrated) {
+            fs.renameSync(file, `${file}.migrated`);
+            logger.info(`Migrated ${path.basename(file)} into the state store`);
+        }
+    }
+}
+
+const stateStoreService = new StateStoreService();
+export default stateStoreService;
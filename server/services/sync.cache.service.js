@@ -1,137 +1,79 @@
-import fs from 'fs';
-import path from 'path';
 import logger from './logger.service.js';
-import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
 
+// Synced items and the sync high-water mark. Everything is kept in the state
+// store, so every update is written to disk as soon as it is made.
 class SyncCacheService {
-    constructor() {
-        this.syncCache = new Map();
-        this.cacheFile = '.sync_cache.json';
-        this.isDirty = false;
-        this.lastSave = Date.now();
-        this.SAVE_INTERVAL = 5 * 60 * 1000; // Save every 5 minutes
-        this.CACHE_VERSION = 1; // For future compatibility
-    }
-
     async initialize() {
-        try {
-            // Get sync directory from settings
-            const settings = settingsService.getSettings();
-            const syncDir = settings.syncDir || path.join(process.cwd(), 'photos');
-
-            // Ensure sync directory exists
-            if (!fs.existsSync(syncDir)) {
-                fs.mkdirSync(syncDir, { recursive: true });
-            }
-
-            // Update cache file path to use sync directory
-            this.cacheFile = path.join(syncDir, '.sync_cache.json');
-            
-            await this.loadCache();
-            this.startPeriodicSave();
-            logger.info('Sync cache service initialized');
-        } catch (error) {
-            logger.error('Error initializing sync cache service:', error);
-            throw error;
-        }
-    }
-
-    async loadCache() {
-        try {
-            if (fs.existsSync(this.cacheFile)) {
-                const data = JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
-                
-                // Version check for future compatibility
-                if (data.version === this.CACHE_VERSION) {
-                    // Convert the object back to a Map
-                    this.syncCache = new Map(Object.entries(data.items));
-                    logger.info(`Loaded ${this.syncCache.size} items from sync cache`);
-                }
-            }
-        } catch (error) {
-            logger.error('Error loading sync cache:', error);
-            // Start fresh if cache is corrupted
-            this.syncCache = new Map();
-        }
-    }
-
-    async saveCache() {
-        if (!this.isDirty) return;
-
-        try {
-            const data = {
-                version: this.CACHE_VERSION,
-                lastUpdate: new Date().toISOString(),
-                items: Object.fromEntries(this.syncCache)
-            };
-
-            fs.writeFileSync(this.cacheFile, JSON.stringify(data, null, 2));
-            this.isDirty = false;
-            this.lastSave = Date.now();
-            logger.info(`Saved ${this.syncCache.size} items to sync cache`);
-        } catch (error) {
-            logger.error('Error saving sync cache:', error);
-        }
-    }
-
-    startPeriodicSave() {
-        setInterval(() => {
-            if (this.isDirty && Date.now() - this.lastSave >= this.SAVE_INTERVAL) {
-                this.saveCache();
-            }
-        }, this.SAVE_INTERVAL);
+        logger.info(`Sync cache service initialized with ${this.getSyncedCount()} synced items`);
     }
 
     updateItem(itemId, data) {
-        this.syncCache.set(itemId, {
+        stateStoreService.upsertItem(itemId, {
             ...data,
+            status: 'synced',
+            error: null,
             lastSync: new Date().toISOString()
         });
-        this.isDirty = true;
     }
 
+    markFailed(itemId, error) {
+        stateStoreService.upsertItem(itemId, {
+            status: 'failed',
+            error,
+            lastSync: new Date().toISOString()
+        });
+    }
+
+    removeItem(itemId) {
+        stateStoreService.deleteItem(itemId);
+    }
+
+    // Only items that made it to disk count as synced
     getItem(itemId) {
-        return this.syncCache.get(itemId);
+        const item = stateStoreService.getItem(itemId);
+        return item?.status === 'synced' ? item : undefined;
     }
 
     isItemSynced(itemId) {
-        const item = this.syncCache.get(itemId);
-        return item ? true : false;
+        return Boolean(this.getItem(itemId));
     }
 
+    // Trashed items keep their synced status but are no longer in the library
     getSyncedItems() {
-        return Array.from(this.syncCache.entries()).map(([id, data]) => ({
-            id,
-            ...data
-        }));
+        return stateStoreService.getItems({ status: 'synced', deleted: false });
     }
 
-    async cleanup(maxAge = 30 * 24 * 60 * 60 * 1000) { // Default 30 days
-        const now = Date.now();
-        let cleanupCount = 0;
+    getSyncedCount() {
+        return stateStoreService.getItemStats().synced;
+    }
 
-        for (const [id, data] of this.syncCache.entries()) {
-            const syncDate = new Date(data.lastSync).getTime();
-            if (now - syncDate > maxAge) {
-                this.syncCache.delete(id);
-                cleanupCount++;
-            }
-        }
+    getHighWaterMark() {
+        return stateStoreService.getMeta('highWaterMark');
+    }
 
+    async setHighWaterMark(creationTime) {
+        stateStoreService.setMeta('highWaterMark', creationTime);
+        logger.info(`Sync high-water mark set to ${creationTime}`);
+    }
+
+    // Forget downloads that failed long ago and never made it to disk. Synced items
+    // are kept however long ago they were synced
+    async cleanup(maxAge = 30 * 24 * 60 * 60 * 1000) { // Default 30 days
+        const cutoff = new Date(Date.now() - maxAge).toISOString();
+        const cleanupCount = stateStoreService.pruneFailedItems(cutoff);
         if (cleanupCount > 0) {
-            this.isDirty = true;
-            await this.saveCache();
-            logger.info(`Cleaned up ${cleanupCount} old items from sync cache`);
+            logger.info(`Cleaned up ${cleanupCount} old failed items from sync cache`);
         }
     }
 
     async reset() {
-        this.syncCache.clear();
-        this.isDirty = true;
-        await this.saveCache();
+        stateStoreService.clearItems();
+        // Every file has to be matched again
+        stateStoreService.clearScannedDirs();
         logger.info('Sync cache reset');
     }
 }
 
 const syncCacheService = new SyncCacheService();
-export default syncCacheService; 
\ No newline at end of file
+export default syncCacheService;
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import logger from './logger.service.js';
+import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
+
+// Settings a resumed job keeps from the original run, next to its syncDir. Everything
+// else (folder templates, album layout, retries) is read from the current settings.
+const SNAPSHOT_KEYS = ['maxConcurrentDownloads'];
+
+class SyncJobService {
+    constructor() {
+        this.job = null;
+        this.ACTIVE_STATUSES = ['running', 'paused'];
+        this.RESUMABLE_STATUSES = ['interrupted'];
+    }
+
+    async initialize() {
+        this.loadJob();
+
+        // A job that was still running when the process went away was interrupted
+        if (this.job && this.ACTIVE_STATUSES.includes(this.job.status)) {
+            this.setStatus('interrupted', { interruptedAt: new Date().toISOString() });
+            const { done, total } = this.getSummary();
+            logger.warn(`Found interrupted sync job ${this.job.id} (${done} of ${total} items done)`);
+        }
+
+        logger.info('Sync job service initialized');
+    }
+
+    loadJob() {
+        const job = stateStoreService.getLatestJob();
+        if (!job) {
+            this.job = null;
+            return;
+        }
+
+        const entries = stateStoreService.getJobItems(job.id);
+        this.job = {
+            ...job,
+            items: entries.map(entry => entry.item),
+            itemStates: Object.fromEntries(entries.map(entry => [entry.item.id, { state: entry.state, ...entry.details }]))
+        };
+    }
+
+    // Only what is needed to download an item again; baseUrls are refreshed on resume anyway
+    toJobItem(item) {
+        return {
+            id: item.id,
+            filename: item.filename,
+            mimeType: item.mimeType,
+            mediaMetadata: item.mediaMetadata,
+            baseUrl: item.baseUrl,
+            baseUrlFetchedAt: item.baseUrlFetchedAt
+        };
+    }
+
+    // The job record without its items, which live in their own table
+    saveRecord() {
+        const record = Object.fromEntries(Object.entries(this.job)
+            .filter(([key]) => key !== 'items' && key !== 'itemStates'));
+        stateStoreService.saveJob(record);
+    }
+
+    async createJob(items, { syncDir, highWaterMark = null }) {
+        const settings = settingsService.getSettings();
+        if (this.job) {
+            logger.info(`Replacing previous sync job ${this.job.id} (${this.job.status})`);
+        }
+
+        const now = new Date().toISOString();
+        this.job = {
+            id: crypto.randomUUID(),
+            status: 'running',
+            createdAt: now,
+            updatedAt: now,
+            syncDir,
+            // Newest creationTime of a complete discovery, applied once the job completes
+            highWaterMark,
+            settings: Object.fromEntries(SNAPSHOT_KEYS.map(key => [key, settings[key]])),
+            items: [],
+            itemStates: {}
+        };
+
+        // Only one job is kept; the new one replaces it in the same transaction
+        stateStoreService.transaction(() => {
+            stateStoreService.deleteJobs();
+            this.saveRecord();
+            this.addItems(items);
+        });
+        logger.info(`Created sync job ${this.job.id} with ${this.job.items.length} items`);
+        return this.job;
+    }
+
+    // Items found while the job runs (e.g. album items) are tracked the same way
+    addItems(items) {
+        if (!this.job) return;
+        const added = items
+            .filter(item => !this.job.itemStates[item.id])
+            .map(item => this.toJobItem(item));
+        for (const item of added) {
+            this.job.items.push(item);
+            this.job.itemStates[item.id] = { state: 'pending' };
+        }
+        stateStoreService.addJobItems(this.job.id, added.map(item => ({ item })));
+    }
+
+    markItem(itemId, state, details = {}) {
+        if (!this.job || !this.job.itemStates[itemId]) return;
+        this.job.itemStates[itemId] = { state, ...details };
+        stateStoreService.updateJobItem(this.job.id, itemId, state, details);
+    }
+
+    async setStatus(status, details = {}) {
+        if (!this.job) return;
+        Object.assign(this.job, details, { status, updatedAt: new Date().toISOString() });
+        this.saveRecord();
+    }
+
+    getJob() {
+        return this.job;
+    }
+
+    getResumableJob() {
+        return this.job && this.RESUMABLE_STATUSES.includes(this.job.status) ? this.job : null;
+    }
+
+    // Items that still need downloading: pending ones and those that failed last time
+    getRemainingItems() {
+        if (!this.job) return [];
+        return this.job.items.filter(item => this.job.itemStates[item.id]?.state !== 'done');
+    }
+
+    getCompletedItems() {
+        if (!this.job) return [];
+        return this.job.items
+            .filter(item => this.job.itemStates[item.id]?.state === 'done')
+            .map(item => ({ ...item, ...this.job.itemStates[item.id] }));
+    }
+
+    getSummary(job = this.job) {
+        if (!job) return null;
+        const states = Object.values(job.itemStates);
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            interruptedAt: job.interruptedAt || null,
+            error: job.error || null,
+            syncDir: job.syncDir,
+            total: states.length,
+            done: states.filter(entry => entry.state === 'done').length,
+            failed: states.filter(entry => entry.state === 'failed').length
+        };
+    }
+
+    async discardJob() {
+        const jobId = this.job?.id;
+        this.job = null;
+        stateStoreService.deleteJobs();
+        if (jobId) {
+            logger.info(`Discarded sync job ${jobId}`);
+        }
+    }
+}
+
+const syncJobService = new SyncJobService();
+export default syncJobService;
@@ -6,8 +6,17 @@ import settingsService from './settings.service.js';
 import photosService from './photos.service.js';
 import websocketService from './websocket.service.js';
 import syncCacheService from './sync.cache.service.js';
+import downloadService from './download.service.js';
+import albumsService from './albums.service.js';
+import syncJobService from './sync.job.service.js';
+import trashService from './trash.service.js';
+import dedupService from './dedup.service.js';
+import metadataService from './metadata.service.js';
+import timestampService from './timestamp.service.js';
+import organizeService from './organize.service.js';
+import verifyService from './verify.service.js';
 import logger from './logger.service.js';
-import axios from 'axios';
+import { ERROR_MESSAGES } from '../config/constants.js';
 
 class SyncService {
     constructor() {
@@ -17,6 +26,7 @@ class SyncService {
         // Check if we're running on Synology or in production
         this.isProduction = process.env.NODE_ENV === 'production' || this.isRunningOnSynology();
         this.verificationInProgress = false;
+        this.urlRefreshPromise = null;
     }
 
     isRunningOnSynology() {
@@ -95,7 +105,8 @@ class SyncService {
                 syncedFiles: syncStats.totalSynced || 0,
                 remainingFiles: (syncStats.totalDiscovered || 0) - (syncStats.totalSynced || 0),
                 lastSyncTimestamp: syncStats.lastSyncTimestamp,
-                syncDir: settingsService.getSettings().syncDir
+                syncDir: settingsService.getSettings().syncDir,
+                interruptedJob: syncJobService.getSummary(syncJobService.getResumableJob())
             };
         } catch (error) {
             logger.error('Error getting sync status:', error);
@@ -108,48 +119,102 @@ class SyncService {
         }
     }
 
-    async downloadItem(item, syncDir) {
+    async downloadItem(item, syncDir, auth) {
+        let filePath;
         try {
             // Check if item is already synced
             const cachedItem = syncCacheService.getItem(item.id);
             if (cachedItem && fs.existsSync(cachedItem.localPath)) {
                 logger.info(`Item ${item.id} already synced at ${cachedItem.localPath}`);
-                return { success: true, skipped: true };
+                return { success: true, skipped: true, filePath: cachedItem.localPath };
             }
 
-            const fileName = await photosService.generateFileName(item);
-            const filePath = path.join(syncDir, fileName);
+            filePath = organizeService.claimTargetPath(item, syncDir);
+            const fileName = path.basename(filePath);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
 
-            // Download the file
-            const response = await axios({
-                method: 'get',
-                url: item.baseUrl,
-                responseType: 'stream'
-            });
+            // Download into a .part file, retrying (and resuming) transient failures
+            const settings = settingsService.getSettings();
+            const retryAttempts = settings.autoRetry === false ? 1 : (parseInt(settings.retryAttempts, 10) || 3);
+            const retryDelay = parseInt(settings.retryDelay, 10) || 1000;
+            let urlRefreshed = false;
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    await downloadService.downloadToFile(photosService.getDownloadUrl(item), filePath);
+                    break;
+                } catch (error) {
+                    // An expired baseUrl answers 403/410; fetch a fresh one and try again right away
+                    const status = error.response?.status;
+                    if ((status === 403 || status === 410) && auth && !urlRefreshed) {
+                        logger.info(`baseUrl for ${fileName} rejected with ${status}, refreshing`);
+                        urlRefreshed = true;
+                        await photosService.refreshBaseUrls(auth, [item]);
+                        continue;
+                    }
+                    if (attempt >= retryAttempts || websocketService.currentSync.isCancelled) {
+                        throw error;
+                    }
+                    logger.warn(`Retry attempt ${attempt} for ${fileName}: ${error.message}`);
+                    await new Promise(resolve => setTimeout(resolve, retryDelay * attempt));
+                }
+            }
 
-            const writer = fs.createWriteStream(filePath);
-            response.data.pipe(writer);
+            // Hash the bytes as downloaded, so copies with different captions still match.
+            // A duplicate dropped by the dedup policy is recorded at the existing copy
+            const { filePath: storedPath, sha256, shared } = await dedupService.processDownload(item, filePath);
+
+            // A file shared with the existing copy keeps that copy's metadata and dates
+            let metadataWritten = null;
+            if (!shared) {
+                try {
+                    metadataWritten = await metadataService.writeMetadata(item, storedPath);
+                } catch (error) {
+                    logger.warn(`Could not write metadata for ${fileName}: ${error.message}`);
+                }
+                // Date the file by when the photo was taken rather than when it was downloaded
+                try {
+                    await timestampService.applyCreationTime(storedPath, item);
+                } catch (error) {
+                    logger.warn(`Could not set timestamps for ${fileName}: ${error.message}`);
+                }
+            }
 
-            await new Promise((resolve, reject) => {
-                writer.on('finish', resolve);
-                writer.on('error', reject);
-            });
+            // Size and checksum of the file as it ends up on disk, for the duplicate
+            // report and the integrity scrub, whether or not hashFiles is on. Only EXIF
+            // written into the file makes it differ from the bytes as downloaded
+            const { size } = await fs.promises.stat(storedPath);
+            const fileSha256 = sha256 && !shared && metadataWritten !== 'exif'
+                ? sha256
+                : await dedupService.hashFile(storedPath);
 
             // Update sync cache with the new item
             syncCacheService.updateItem(item.id, {
-                localPath: filePath,
-                fileName: fileName,
+                localPath: storedPath,
+                fileName: path.basename(storedPath),
+                originalFilename: item.filename,
                 mediaMetadata: item.mediaMetadata,
-                mimeType: item.mimeType
+                mimeType: item.mimeType,
+                size,
+                sha256,
+                fileSha256,
+                // A new file needs a new perceptual hash
+                dhash: null,
+                dhashError: null
             });
 
-            return { success: true, filePath };
+            return { success: true, filePath: storedPath };
         } catch (error) {
             logger.error(`Error downloading item ${item.id}:`, error);
             return { success: false, error: error.message };
+        } finally {
+            if (filePath) {
+                organizeService.releasePath(filePath);
+            }
         }
     }
 
+    // Match files already in the sync directory with discovered items, so they
+    // aren't downloaded again (see VerifyService)
     async verifyExistingFiles(syncDir, discoveryItems) {
         try {
             if (this.verificationInProgress) {
@@ -165,58 +230,24 @@ class SyncService {
                 progress: 0
             });
 
-            // Get all files recursively from sync directory
-            const getAllFiles = async (dir) => {
-                const files = await fs.promises.readdir(dir, { withFileTypes: true });
-                const paths = await Promise.all(files.map(async (file) => {
-                    const filePath = path.join(dir, file.name);
-                    if (file.isDirectory()) {
-                        return getAllFiles(filePath);
-                    }
-                    return filePath;
-                }));
-                return paths.flat();
-            };
-
-            const existingFiles = await getAllFiles(syncDir);
-            const totalFiles = existingFiles.length;
-            let verifiedCount = 0;
-
-            // Match existing files with discovery items
-            for (const filePath of existingFiles) {
-                if (websocketService.currentSync.isCancelled) {
-                    break;
-                }
-
-                const fileName = path.basename(filePath);
-                // Find matching discovery item by comparing file names or patterns
-                const matchingItem = discoveryItems.find(item => {
-                    const expectedFileName = photosService.generateFileName(item);
-                    return fileName === expectedFileName;
-                });
-
-                if (matchingItem) {
-                    // Update sync cache with verified file
-                    syncCacheService.updateItem(matchingItem.id, {
-                        localPath: filePath,
-                        fileName: fileName,
-                        mediaMetadata: matchingItem.mediaMetadata,
-                        mimeType: matchingItem.mimeType,
-                        verified: true
+            const { incrementalVerify } = settingsService.getSettings();
+            await verifyService.verify(syncDir, discoveryItems, {
+                incremental: incrementalVerify !== false,
+                isCancelled: () => websocketService.currentSync.isCancelled,
+                onProgress: ({ files, matched, unchanged, total }) => {
+                    websocketService.updateSyncStatus({
+                        status: 'verifying',
+                        progress: total ? Math.min(100, Math.round(((matched + unchanged) / total) * 100)) : 100,
+                        message: unchanged > 0
+                            ? `Verified ${files} files, ${unchanged} more in unchanged folders`
+                            : `Verified ${files} files`
                     });
                 }
+            });
 
-                verifiedCount++;
-                const progress = Math.round((verifiedCount / totalFiles) * 100);
-                websocketService.updateSyncStatus({
-                    status: 'verifying',
-                    progress,
-                    message: `Verified ${verifiedCount} of ${totalFiles} files`
-                });
-            }
-
-            logger.info(`Verification complete. Found ${syncCacheService.syncCache.size} matching files`);
-            return syncCacheService.syncCache.size;
+            const syncedCount = syncCacheService.getSyncedCount();
+            logger.info(`Verification complete. Found ${syncedCount} matching files`);
+            return syncedCount;
 
         } catch (error) {
             logger.error('Error verifying existing files:', error);
@@ -226,107 +257,365 @@ class SyncService {
         }
     }
 
-    async startSync(auth) {
+    // syncInProgress stays set until the download pool has drained, cancelled or not,
+    // so a new sync can't start while workers of the last one are still running
+    async startSync(auth, { resume = false } = {}) {
+        if (this.syncInProgress) {
+            throw new Error(ERROR_MESSAGES.SYNC_IN_PROGRESS);
+        }
+        this.syncInProgress = true;
+        let jobStarted = false;
         try {
-            this.syncInProgress = true;
             websocketService.updateSyncStatus({
                 status: 'initializing',
+                isPaused: false,
+                isCancelled: false,
+                processedItems: 0,
+                totalItems: 0,
                 progress: 0,
-                message: 'Initializing sync process...'
+                message: resume ? 'Resuming interrupted sync...' : 'Initializing sync process...'
             });
 
-            const settings = settingsService.getSettings();
-            const syncDir = settings.syncDir || path.join(process.cwd(), 'photos');
+            const { syncDir, itemsToSync, concurrency, discoveryResults } = resume
+                ? await this.prepareResumedJob()
+                : await this.prepareNewJob(auth);
+            jobStarted = true;
 
-            // Validate sync directory
-            const validation = this.validateSyncDirectory(syncDir);
-            if (!validation.isValid) {
-                throw new Error(validation.error);
-            }
+            let processedItems = 0;
+            let failedItems = 0;
 
-            // Create sync directory if it doesn't exist
-            if (!fs.existsSync(syncDir)) {
-                fs.mkdirSync(syncDir, { recursive: true });
+            if (itemsToSync.length === 0) {
+                logger.info('All items are already synced and verified');
+            } else {
+                logger.info(`Found ${itemsToSync.length} items to sync`);
+                websocketService.updateSyncStatus({
+                    status: 'running',
+                    progress: 0,
+                    message: `Starting sync of ${itemsToSync.length} items...`
+                });
+
+                logger.info(`Downloading with up to ${concurrency} concurrent downloads`);
+                ({ processedItems, failedItems } = await this.runDownloadPool(itemsToSync, syncDir, concurrency, auth));
             }
 
-            // Get discovery results
-            let discoveryResults = photosService.getDiscoveryResults();
-            
-            // If no discovery results, try to load from cache
-            if (!discoveryResults || !discoveryResults.items || discoveryResults.items.length === 0) {
-                logger.info('No discovery results found, checking discovery cache...');
-                await photosService.loadDiscoveryCache();
-                discoveryResults = photosService.getDiscoveryResults();
-                
-                if (!discoveryResults || !discoveryResults.items || discoveryResults.items.length === 0) {
-                    throw new Error('No items found in discovery cache. Please run discovery first.');
-                }
-                logger.info(`Loaded ${discoveryResults.items.length} items from discovery cache`);
+            // Selected albums may hold items outside the discovered library (e.g. shared albums)
+            let albumItemIds = [];
+            if (!websocketService.currentSync.isCancelled) {
+                const albumResult = await this.syncAlbums(auth, syncDir, concurrency);
+                processedItems += albumResult.processedItems;
+                failedItems += albumResult.failedItems;
+                albumItemIds = albumResult.itemIds;
             }
 
-            // Verify existing files against discovery results
-            await this.verifyExistingFiles(syncDir, discoveryResults.items);
+            // Mirror deletions; a resumed job has no discovery to compare against
+            let trashedItems = 0;
+            if (!websocketService.currentSync.isCancelled && discoveryResults) {
+                trashedItems = await this.reconcileDeletions(auth, syncDir, discoveryResults, albumItemIds);
+            }
 
-            // Filter out already synced and verified items
-            const itemsToSync = discoveryResults.items.filter(item => {
-                const cachedItem = syncCacheService.getItem(item.id);
-                return !cachedItem || !cachedItem.verified || !fs.existsSync(cachedItem.localPath);
-            });
+            // Clean up old cache entries
+            await syncCacheService.cleanup();
 
-            if (itemsToSync.length === 0) {
-                logger.info('All items are already synced and verified');
+            if (websocketService.currentSync.isCancelled) {
+                await syncJobService.discardJob();
                 websocketService.updateSyncStatus({
-                    status: 'completed',
-                    progress: 100,
-                    message: 'All items are already synced and verified'
+                    status: 'cancelled',
+                    activeDownloads: 0,
+                    message: `Sync cancelled. ${processedItems} items processed.`
                 });
                 return;
             }
 
-            logger.info(`Found ${itemsToSync.length} items to sync`);
+            await this.updateHighWaterMark(syncJobService.getJob()?.highWaterMark);
+            await syncJobService.discardJob();
+
             websocketService.updateSyncStatus({
-                status: 'running',
-                progress: 0,
-                message: `Starting sync of ${itemsToSync.length} items...`
+                status: 'completed',
+                progress: 100,
+                activeDownloads: 0,
+                message: (processedItems === 0
+                    ? 'All items are already synced and verified'
+                    : `Sync completed. ${processedItems} items processed` +
+                        (failedItems > 0 ? `, ${failedItems} failed.` : '.')) +
+                    (trashedItems > 0 ? ` ${trashedItems} items deleted from Google Photos moved to trash.` : '')
             });
 
-            const totalItems = itemsToSync.length;
-            let processedItems = 0;
+        } catch (error) {
+            logger.error('Sync error:', error);
+            // Keep the job around so the remaining items can be picked up later
+            if (jobStarted) {
+                await syncJobService.setStatus('interrupted', { error: error.message })
+                    .catch(jobError => logger.error('Error saving sync job record:', jobError));
+            }
+            websocketService.updateSyncStatus({
+                status: 'error',
+                message: error.message
+            });
+        } finally {
+            this.syncInProgress = false;
+        }
+    }
 
-            // Process items in batches
-            for (const item of itemsToSync) {
-                if (websocketService.currentSync.isCancelled) {
-                    break;
+    prepareSyncDir(syncDir) {
+        const validation = this.validateSyncDirectory(syncDir);
+        if (!validation.isValid) {
+            throw new Error(validation.error);
+        }
+
+        if (!fs.existsSync(syncDir)) {
+            fs.mkdirSync(syncDir, { recursive: true });
+        }
+    }
+
+    // Work out what a fresh sync has to download and record it as a new job
+    async prepareNewJob(auth) {
+        const settings = settingsService.getSettings();
+        const syncDir = settings.syncDir || path.join(process.cwd(), 'photos');
+        this.prepareSyncDir(syncDir);
+
+        // Get discovery results
+        let discoveryResults = photosService.getDiscoveryResults();
+
+        // If no discovery results, try to load from cache
+        if (!discoveryResults || !discoveryResults.items || discoveryResults.items.length === 0) {
+            logger.info('No discovery results found, checking discovery cache...');
+            if (!photosService.currentUserId) {
+                photosService.currentUserId = await photosService.getUserId(auth);
+            }
+            await photosService.loadDiscoveryCache();
+            discoveryResults = photosService.getDiscoveryResults();
+
+            if (!discoveryResults || !discoveryResults.items || discoveryResults.items.length === 0) {
+                throw new Error('No items found in discovery cache. Please run discovery first.');
+            }
+            logger.info(`Loaded ${discoveryResults.items.length} items from discovery cache`);
+        }
+
+        // Items restored in Google Photos come back out of the trash instead of downloading again
+        await trashService.restoreReappeared(discoveryResults.items);
+
+        // Verify existing files against discovery results
+        await this.verifyExistingFiles(syncDir, discoveryResults.items);
+
+        // Filter out already synced and verified items
+        const itemsToSync = discoveryResults.items.filter(item => {
+            const cachedItem = syncCacheService.getItem(item.id);
+            return !cachedItem || !cachedItem.verified || !fs.existsSync(cachedItem.localPath);
+        });
+
+        await syncJobService.createJob(itemsToSync, {
+            syncDir,
+            highWaterMark: this.getHighWaterMarkCandidate(discoveryResults)
+        });
+
+        return { syncDir, itemsToSync, concurrency: this.getConcurrency(settings), discoveryResults };
+    }
+
+    // Pick an interrupted job back up in the folder and with the concurrency it was
+    // started with. Items it finished may be missing from the sync cache (saved every few
+    // minutes), so they are put back first; everything else is downloaded again,
+    // resuming any .part files.
+    async prepareResumedJob() {
+        const job = syncJobService.getResumableJob();
+        if (!job) {
+            throw new Error('No interrupted sync to resume');
+        }
+
+        this.prepareSyncDir(job.syncDir);
+
+        let restored = 0;
+        for (const item of syncJobService.getCompletedItems()) {
+            if (item.localPath && !syncCacheService.getItem(item.id) && fs.existsSync(item.localPath)) {
+                syncCacheService.updateItem(item.id, {
+                    localPath: item.localPath,
+                    fileName: path.basename(item.localPath),
+                    mediaMetadata: item.mediaMetadata,
+                    mimeType: item.mimeType,
+                    verified: true
+                });
+                restored++;
+            }
+        }
+        if (restored > 0) {
+            logger.info(`Restored ${restored} completed items of job ${job.id} to the sync cache`);
+        }
+
+        const itemsToSync = syncJobService.getRemainingItems();
+        await syncJobService.setStatus('running', { error: null, interruptedAt: null });
+        logger.info(`Resuming sync job ${job.id} with ${itemsToSync.length} remaining items`);
+
+        return { syncDir: job.syncDir, itemsToSync, concurrency: this.getConcurrency(job.settings) };
+    }
+
+    // Download the items of the albums selected in settings that aren't synced yet,
+    // then mirror album membership according to the album layout mode
+    async syncAlbums(auth, syncDir, concurrency) {
+        const result = { processedItems: 0, failedItems: 0, itemIds: [] };
+        const { selectedAlbumIds = [] } = settingsService.getSettings();
+        if (selectedAlbumIds.length === 0) {
+            return result;
+        }
+
+        websocketService.updateSyncStatus({
+            status: 'running',
+            message: `Enumerating ${selectedAlbumIds.length} selected albums...`
+        });
+        const albums = await albumsService.getSelectedAlbums(auth);
+
+        const pending = new Map();
+        for (const album of albums) {
+            for (const item of album.items) {
+                result.itemIds.push(item.id);
+                const cachedItem = syncCacheService.getItem(item.id);
+                if (!cachedItem || !fs.existsSync(cachedItem.localPath)) {
+                    pending.set(item.id, item);
                 }
+            }
+        }
 
-                if (websocketService.currentSync.isPaused) {
-                    await new Promise(resolve => {
-                        const checkPause = setInterval(() => {
-                            if (!websocketService.currentSync.isPaused) {
-                                clearInterval(checkPause);
-                                resolve();
-                            }
-                        }, 1000);
-                    });
+        if (pending.size > 0) {
+            logger.info(`Downloading ${pending.size} album items that aren't synced yet`);
+            syncJobService.addItems([...pending.values()]);
+            Object.assign(result, await this.runDownloadPool([...pending.values()], syncDir, concurrency, auth));
+        }
+
+        if (!websocketService.currentSync.isCancelled) {
+            websocketService.updateSyncStatus({ message: 'Updating album folders...' });
+            await albumsService.applyLayout(syncDir, albums);
+        }
+
+        return result;
+    }
+
+    // Deletion sync is best effort; a failure here shouldn't fail a sync whose downloads went fine
+    async reconcileDeletions(auth, syncDir, discoveryResults, albumItemIds) {
+        try {
+            websocketService.updateSyncStatus({ message: 'Checking for items deleted from Google Photos...' });
+            const { trashed } = await trashService.reconcile(auth, syncDir, discoveryResults, { keepIds: albumItemIds });
+            return trashed;
+        } catch (error) {
+            logger.error('Error syncing deletions:', error);
+            return 0;
+        }
+    }
+
+    // The newest creationTime covered by this sync, recorded once the sync completes so
+    // the next incremental discovery can start from there. A partial discovery (more pages
+    // left) never moves the mark, otherwise the undiscovered items would be skipped for good.
+    // Items that failed stay in the discovery cache and are retried on the next sync.
+    getHighWaterMarkCandidate(discoveryResults) {
+        if (discoveryResults.hasMore) {
+            logger.info('Discovery is incomplete, not updating the sync high-water mark');
+            return null;
+        }
+
+        return discoveryResults.items.reduce((latest, item) => {
+            const created = item.mediaMetadata?.creationTime;
+            return created && (!latest || new Date(created) > new Date(latest)) ? created : latest;
+        }, null);
+    }
+
+    async updateHighWaterMark(candidate) {
+        const current = syncCacheService.getHighWaterMark();
+        if (candidate && (!current || new Date(candidate) > new Date(current))) {
+            await syncCacheService.setHighWaterMark(candidate);
+        }
+    }
+
+    // Clamp the configured concurrency; values from the settings form may arrive as strings
+    getConcurrency(settings) {
+        const configured = parseInt(settings.maxConcurrentDownloads, 10);
+        if (isNaN(configured)) {
+            return 3;
+        }
+        return Math.min(Math.max(configured, 1), 10);
+    }
+
+    async waitWhilePaused() {
+        while (websocketService.currentSync.isPaused && !websocketService.currentSync.isCancelled) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    // Refresh expired baseUrls for the item about to be downloaded together with the
+    // expired items queued right behind it, one batchGet call per 50 items. Workers that
+    // need a refresh while one is running wait for it instead of issuing their own.
+    async ensureFreshUrls(auth, items, index) {
+        if (!auth) return;
+
+        while (photosService.isBaseUrlExpired(items[index])) {
+            if (this.urlRefreshPromise) {
+                await this.urlRefreshPromise;
+                continue;
+            }
+
+            const expired = [];
+            for (let i = index; i < items.length && expired.length < photosService.BATCH_GET_LIMIT; i++) {
+                if (photosService.isBaseUrlExpired(items[i])) {
+                    expired.push(items[i]);
                 }
+            }
 
-                const result = await this.downloadItem(item, syncDir);
-                processedItems++;
+            this.urlRefreshPromise = photosService.refreshBaseUrls(auth, expired)
+                .finally(() => {
+                    this.urlRefreshPromise = null;
+                });
+            await this.urlRefreshPromise;
+
+            // Leave it to the download to fail if the item could not be refreshed
+            if (photosService.isBaseUrlExpired(items[index])) {
+                return;
+            }
+        }
+    }
+
+    // Download items with a bounded pool of workers. Each worker pulls the next
+    // item off a shared cursor, so at most `concurrency` downloads are in flight.
+    async runDownloadPool(items, syncDir, concurrency, auth) {
+        const totalItems = items.length;
+        let nextIndex = 0;
+        let processedItems = 0;
+        let failedItems = 0;
+        let activeDownloads = 0;
+
+        websocketService.updateSyncStatus({
+            processedItems: 0,
+            totalItems,
+            activeDownloads: 0
+        });
 
-                // Update progress
-                const progress = Math.round((processedItems / totalItems) * 100);
+        const worker = async () => {
+            while (nextIndex < totalItems) {
+                await this.waitWhilePaused();
+                if (websocketService.currentSync.isCancelled || nextIndex >= totalItems) {
+                    return;
+                }
+
+                const index = nextIndex++;
+                const item = items[index];
+                activeDownloads++;
                 websocketService.updateSyncStatus({
-                    status: 'running',
-                    progress,
-                    processedItems,
-                    totalItems,
-                    message: result.skipped ? 
-                        `Skipped ${result.filePath} (already synced)` : 
-                        `Synced ${result.filePath}`
+                    activeDownloads,
+                    currentItem: item.filename
                 });
 
-                // Mark item as verified after successful sync
+                let result;
+                try {
+                    await this.ensureFreshUrls(auth, items, index);
+                    result = await this.downloadItem(item, syncDir, auth);
+                } catch (error) {
+                    logger.error(`Error preparing item ${item.id}:`, error);
+                    result = { success: false, error: error.message };
+                } finally {
+                    activeDownloads--;
+                }
+                processedItems++;
+
+                syncJobService.markItem(item.id, result.success ? 'done' : 'failed',
+                    result.success ? { localPath: result.filePath } : { error: result.error });
+
                 if (result.success) {
+                    // Mark item as verified after successful sync
                     const cachedItem = syncCacheService.getItem(item.id);
                     if (cachedItem) {
                         syncCacheService.updateItem(item.id, {
@@ -334,27 +623,35 @@ class SyncService {
                             verified: true
                         });
                     }
+                } else {
+                    failedItems++;
                 }
-            }
 
-            // Clean up old cache entries
-            await syncCacheService.cleanup();
+                let message;
+                if (!result.success) {
+                    message = `Failed to sync ${item.filename}: ${result.error}`;
+                } else if (result.skipped) {
+                    message = `Skipped ${item.filename} (already synced)`;
+                } else {
+                    message = `Synced ${result.filePath}`;
+                }
 
-            websocketService.updateSyncStatus({
-                status: 'completed',
-                progress: 100,
-                message: `Sync completed. ${processedItems} items processed.`
-            });
+                websocketService.updateSyncStatus({
+                    status: websocketService.currentSync.isPaused ? 'paused' : 'running',
+                    progress: Math.round((processedItems / totalItems) * 100),
+                    processedItems,
+                    totalItems,
+                    failedItems,
+                    activeDownloads,
+                    message
+                });
+            }
+        };
 
-        } catch (error) {
-            logger.error('Sync error:', error);
-            websocketService.updateSyncStatus({
-                status: 'error',
-                message: error.message
-            });
-        } finally {
-            this.syncInProgress = false;
-        }
+        const workerCount = Math.min(concurrency, totalItems);
+        await Promise.all(Array.from({ length: workerCount }, () => worker()));
+
+        return { processedItems, failedItems };
     }
 
     async checkStorageSpace(directory) {
@@ -378,44 +675,6 @@ class SyncService {
         }
     }
 
-    async cleanupRemovedFiles(syncDir, currentPhotos) {
-        try {
-            websocketService.updateSyncStatus({
-                message: 'Cleaning up removed files...'
-            });
-
-            const files = await fs.promises.readdir(syncDir);
-            const currentPhotoNames = new Set(
-                currentPhotos.map(photo => this.generatePhotoFileName(photo))
-            );
-
-            for (const file of files) {
-                if (!currentPhotoNames.has(file)) {
-                    const filePath = path.join(syncDir, file);
-                    try {
-                        await fs.promises.unlink(filePath);
-                        logger.info(`Removed file: ${file}`);
-                    } catch (error) {
-                        logger.error(`Error removing file ${file}:`, error);
-                    }
-                }
-            }
-
-            logger.info('Cleanup completed');
-        } catch (error) {
-            logger.error('Error during cleanup:', error);
-            throw error;
-        }
-    }
-
-    generatePhotoFileName(photo) {
-        const { filename } = photo;
-        const ext = path.extname(filename);
-        const name = path.basename(filename, ext);
-        const timestamp = new Date(photo.mediaMetadata.creationTime).getTime();
-        return `${name}_${timestamp}${ext}`;
-    }
-
     pauseSync() {
         if (!this.syncInProgress) {
             throw new Error('No sync in progress');
@@ -441,11 +700,12 @@ class SyncService {
             throw new Error('No sync in progress');
         }
         photosService.clearDownloadQueue();
+        // startSync sees the flag, lets the running downloads finish and then clears syncInProgress
         websocketService.updateSyncStatus({
             status: 'cancelled',
+            isCancelled: true,
             message: 'Sync cancelled'
         });
-        this.syncInProgress = false;
     }
 
     getLastSyncTime() {
@@ -0,0 +1,222 @@
+import path from 'path';
+import settingsService from './settings.service.js';
+import timestampService from './timestamp.service.js';
+
+const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Date and time patterns, longest first so YYYY wins over YY
+const FORMAT_PATTERN = /YYYY|YY|MMMM|MM|DD|HH|mm|ss/g;
+
+// {token} or {token:format}
+const TOKEN_PATTERN = /\{([a-zA-Z0-9]+)(?::([^{}]*))?\}/g;
+
+// Folder layouts offered in the settings, as templates
+const FOLDER_PRESETS = {
+    'year/month': '{year}/{month}',
+    'year/month/date': '{year}/{month}/{day}',
+    'year/month_date': '{year}/{month}_{day}',
+    'year_month_date': '{year}_{month}_{day}',
+    flat: ''
+};
+
+// Synology encrypted shared folders cap names at 143 bytes, the tightest limit
+// a NAS share is likely to have
+const MAX_NAME_BYTES = 143;
+
+// Names SMB clients on Windows can't open, and folders DSM manages itself
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9]|@eadir|#recycle|#snapshot)(\..*)?$/i;
+
+// Cut a string to a byte length without splitting a UTF-8 sequence
+const truncateBytes = (value, maxBytes) => {
+    let result = value;
+    while (Buffer.byteLength(result, 'utf8') > maxBytes) {
+        result = Array.from(result).slice(0, -1).join('');
+    }
+    return result;
+};
+
+// Renders file and folder names from templates like
+// `{year}/{month}-{monthName}/{date:YYYYMMDD}_{time:HHmmss}_{camera}_{id8}.{ext}`.
+// Dates are the capture time in the configured timezone.
+class TemplateService {
+    constructor() {
+        this.FOLDER_PRESETS = FOLDER_PRESETS;
+        this.DEFAULT_FILE_NAME_TEMPLATE = '{name}_{timestamp}_{id8}.{ext}';
+        this.TOKENS = {
+            year: 'Capture year (2024)',
+            month: 'Capture month (05)',
+            monthName: 'Month name (May)',
+            day: 'Day of the month (07)',
+            hour: 'Hour, 24-hour clock (18)',
+            minute: 'Minute (30)',
+            second: 'Second (05)',
+            date: 'Capture date, {date:YYYYMMDD}; defaults to YYYY-MM-DD',
+            time: 'Capture time, {time:HH-mm}; defaults to HHmmss',
+            timestamp: 'Capture time in milliseconds since 1970',
+            name: 'Original file name without extension',
+            ext: 'Original extension without the dot',
+            id: 'Google Photos item id',
+            id8: 'Last 8 characters of the item id',
+            camera: 'Camera make and model, or "unknown"',
+            make: 'Camera make',
+            model: 'Camera model',
+            type: 'photo or video',
+            width: 'Width in pixels',
+            height: 'Height in pixels'
+        };
+    }
+
+    getFolderTemplate(settings = settingsService.getSettings()) {
+        if (settings.folderStructure === 'custom') {
+            return settings.folderTemplate || '';
+        }
+        return FOLDER_PRESETS[settings.folderStructure] ?? FOLDER_PRESETS['year/month'];
+    }
+
+    getFileNameTemplate(settings = settingsService.getSettings()) {
+        return settings.fileNameTemplate || this.DEFAULT_FILE_NAME_TEMPLATE;
+    }
+
+    // Returns an error message, or null when the template can be rendered
+    validate(template) {
+        if (typeof template !== 'string') {
+            return 'Template must be a string';
+        }
+
+        const unknown = [...template.matchAll(TOKEN_PATTERN)]
+            .map(([, token]) => token)
+            .filter(token => !this.TOKENS[token]);
+        if (unknown.length > 0) {
+            return `Unknown token {${unknown[0]}}`;
+        }
+
+        // Anything left after removing the tokens is literal text, which can't hold braces
+        if (/[{}]/.test(template.replace(TOKEN_PATTERN, ''))) {
+            return 'Unbalanced { or } in template';
+        }
+        return null;
+    }
+
+    formatDate(parts, format) {
+        return format.replace(FORMAT_PATTERN, pattern => {
+            switch (pattern) {
+                case 'YYYY': return parts.year;
+                case 'YY': return parts.year.slice(-2);
+                case 'MMMM': return MONTH_NAMES[parts.month - 1];
+                case 'MM': return parts.month;
+                case 'DD': return parts.day;
+                case 'HH': return parts.hour;
+                case 'mm': return parts.minute;
+                default: return parts.second;
+            }
+        });
+    }
+
+    // Token values for an item. Items without a capture date (shouldn't happen
+    // with the Library API) are rendered with the Unix epoch.
+    getValues(item) {
+        const date = timestampService.getCreationDate(item) || new Date(0);
+        const parts = timestampService.getLocalParts(date);
+        const mediaMetadata = item.mediaMetadata || {};
+        const details = mediaMetadata.photo || mediaMetadata.video || {};
+        const originalName = item.filename || item.id;
+        const ext = path.extname(originalName);
+        const make = details.cameraMake || '';
+        const model = details.cameraModel || '';
+        // Models often repeat the make ("Canon" / "Canon EOS R6")
+        const camera = model.toLowerCase().startsWith(make.toLowerCase()) ? model : `${make} ${model}`.trim();
+
+        return {
+            ...parts,
+            monthName: MONTH_NAMES[parts.month - 1],
+            date: format => this.formatDate(parts, format || 'YYYY-MM-DD'),
+            time: format => this.formatDate(parts, format || 'HHmmss'),
+            timestamp: String(date.getTime()),
+            name: path.basename(originalName, ext),
+            ext: ext.slice(1),
+            id: item.id,
+            id8: item.id.slice(-8),
+            camera: camera || 'unknown',
+            make,
+            model,
+            type: item.mimeType?.startsWith('video/') || mediaMetadata.video ? 'video' : 'photo',
+            width: String(mediaMetadata.width || ''),
+            height: String(mediaMetadata.height || '')
+        };
+    }
+
+    // Render a template into unsanitized path segments. Values can't introduce
+    // folders; only slashes written in the template itself separate segments.
+    renderSegments(template, item) {
+        const values = this.getValues(item);
+        return template.split('/')
+            .map(segment => segment.replace(TOKEN_PATTERN, (match, token, format) => {
+                const value = values[token];
+                if (value === undefined) return match;
+                const text = typeof value === 'function' ? value(format) : value;
+                return text.replace(/[/\\]/g, '_');
+            }));
+    }
+
+    // Make a single file or folder name safe on NAS shares: no characters SMB
+    // or ext4 reject, no hidden or reserved names, and a bounded length
+    sanitize(name, { keepExtension = false } = {}) {
+        let result = Array.from(name, ch => (ch.charCodeAt(0) < 32 ? '_' : ch)).join('')
+            .replace(/[<>:"/\\|?*]/g, '_')
+            .replace(/\s+/g, ' ')
+            .replace(/^[.\s]+|[.\s]+$/g, '');
+        if (RESERVED_NAMES.test(result)) {
+            result = `_${result}`;
+        }
+
+        if (Buffer.byteLength(result, 'utf8') > MAX_NAME_BYTES) {
+            const ext = keepExtension ? path.extname(result) : '';
+            result = truncateBytes(result.slice(0, result.length - ext.length), MAX_NAME_BYTES - Buffer.byteLength(ext, 'utf8'))
+                .replace(/[.\s]+$/, '') + ext;
+        }
+        return result;
+    }
+
+    // Folder the item goes into, relative to the sync directory ('' for the top)
+    renderFolder(item, template = this.getFolderTemplate()) {
+        return this.renderSegments(template, item)
+            .map(segment => this.sanitize(segment))
+            .filter(Boolean)
+            .join(path.sep);
+    }
+
+    // File name of the item. Slashes in the file name template become part of the
+    // folder; the original extension is added when the template leaves it out.
+    renderFileName(item, template = this.getFileNameTemplate()) {
+        const segments = this.renderSegments(template, item);
+        const folders = segments.slice(0, -1).map(segment => this.sanitize(segment)).filter(Boolean);
+        const ext = path.extname(item.filename || '');
+        let fileName = this.sanitize(segments[segments.length - 1], { keepExtension: true });
+        if (!fileName) {
+            fileName = `${item.id}${ext}`;
+        } else if (ext && path.extname(fileName).toLowerCase() !== ext.toLowerCase()) {
+            fileName = this.sanitize(`${fileName}${ext}`, { keepExtension: true });
+        }
+        return path.join(...folders, fileName);
+    }
+
+    // Path of the item relative to the sync directory, for previews of settings
+    // that aren't saved yet
+    renderPath(item, settings = settingsService.getSettings()) {
+        const folder = settings.autoOrganize === false ? '' : this.renderFolder(item, this.getFolderTemplate(settings));
+        return path.join(folder, this.renderFileName(item, this.getFileNameTemplate(settings)));
+    }
+
+    // Number a file name until it is free: IMG_1234.jpg, IMG_1234_2.jpg, ...
+    withSuffix(filePath, number) {
+        if (number < 2) return filePath;
+        const ext = path.extname(filePath);
+        return `${filePath.slice(0, filePath.length - ext.length)}_${number}${ext}`;
+    }
+}
+
+const templateService = new TemplateService();
+export default templateService;
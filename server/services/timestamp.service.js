@@ -0,0 +1,143 @@
+import fs from 'fs';
+import logger from './logger.service.js';
+import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
+
+// File timestamps and capture dates in the configured timezone. Google Photos
+// reports creationTime in UTC; file mtimes are set to that instant, while
+// anything that shows a wall-clock date (EXIF, year/month buckets) uses the
+// `timezone` setting, or the server's timezone when it's empty.
+class TimestampService {
+    constructor() {
+        this.formatters = new Map();
+        this.invalidTimeZone = null;
+        this.repair = { running: false, checked: 0, total: 0, fixed: 0, missing: 0, failed: 0 };
+    }
+
+    isValidTimeZone(timeZone) {
+        try {
+            this.getFormatter(timeZone);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    getTimeZone() {
+        const { timezone } = settingsService.getSettings();
+        if (timezone) {
+            if (this.isValidTimeZone(timezone)) {
+                return timezone;
+            }
+            if (this.invalidTimeZone !== timezone) {
+                this.invalidTimeZone = timezone;
+                logger.warn(`Unknown timezone "${timezone}", using the server timezone`);
+            }
+        }
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    getFormatter(timeZone) {
+        let formatter = this.formatters.get(timeZone);
+        if (!formatter) {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            });
+            this.formatters.set(timeZone, formatter);
+        }
+        return formatter;
+    }
+
+    // Wall-clock date and time of `date` in the timezone, as zero-padded strings
+    getLocalParts(date, timeZone = this.getTimeZone()) {
+        const parts = {};
+        for (const { type, value } of this.getFormatter(timeZone).formatToParts(date)) {
+            parts[type] = value;
+        }
+        return {
+            year: parts.year,
+            month: parts.month,
+            day: parts.day,
+            hour: parts.hour,
+            minute: parts.minute,
+            second: parts.second
+        };
+    }
+
+    // UTC offset of the timezone at `date`, e.g. "+02:00"
+    getOffset(date, timeZone = this.getTimeZone()) {
+        const parts = this.getLocalParts(date, timeZone);
+        const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        const minutes = Math.round((localAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+        const sign = minutes < 0 ? '-' : '+';
+        const hours = Math.floor(Math.abs(minutes) / 60).toString().padStart(2, '0');
+        return `${sign}${hours}:${(Math.abs(minutes) % 60).toString().padStart(2, '0')}`;
+    }
+
+    getCreationDate(item) {
+        const creationTime = item?.mediaMetadata?.creationTime || item?.creationTime;
+        const date = creationTime ? new Date(creationTime) : null;
+        return date && !isNaN(date.getTime()) ? date : null;
+    }
+
+    // Set atime and mtime to the capture time, so file browsers and Synology
+    // Photos sort by when the photo was taken rather than when it was downloaded
+    async applyCreationTime(filePath, item) {
+        const date = this.getCreationDate(item);
+        if (!date) {
+            return false;
+        }
+
+        await fs.promises.utimes(filePath, date, date);
+        return true;
+    }
+
+    // Fix mtimes of files synced before timestamps were set (or touched since);
+    // meant to run in the background
+    async repairTimestamps() {
+        if (this.repair.running) {
+            throw new Error('A timestamp repair is already running');
+        }
+
+        const items = stateStoreService.getItems({ status: 'synced', deleted: false })
+            .filter(item => item.localPath);
+        this.repair = { running: true, checked: 0, total: items.length, fixed: 0, missing: 0, failed: 0 };
+        logger.info(`Checking timestamps of ${items.length} synced files`);
+
+        try {
+            for (const item of items) {
+                try {
+                    const date = this.getCreationDate(item);
+                    const stats = await fs.promises.stat(item.localPath);
+                    // Filesystems without sub-second precision round mtime
+                    if (date && Math.abs(stats.mtimeMs - date.getTime()) >= 1000) {
+                        await this.applyCreationTime(item.localPath, item);
+                        this.repair.fixed++;
+                    }
+                } catch (error) {
+                    if (error.code === 'ENOENT') {
+                        this.repair.missing++;
+                    } else {
+                        this.repair.failed++;
+                        logger.warn(`Could not repair timestamps of ${item.localPath}: ${error.message}`);
+                    }
+                }
+                this.repair.checked++;
+            }
+            logger.info(`Timestamp repair done, fixed ${this.repair.fixed} of ${items.length} files`);
+        } finally {
+            this.repair.running = false;
+        }
+        return this.repair;
+    }
+}
+
+const timestampService = new TimestampService();
+export default timestampService;
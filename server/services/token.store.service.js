@@ -0,0 +1,207 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import logger from './logger.service.js';
+import { PATHS } from '../config/constants.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+// Token files and the keyfile are only readable by the user the server runs as
+const FILE_MODE = 0o600;
+// Passphrases in TOKEN_ENCRYPTION_KEY are stretched with scrypt; the salt only
+// keeps the derived key specific to this application
+const KEY_SALT = 'google-photos-synology-sync/tokens';
+
+const tokenStoreError = (message, code) => Object.assign(new Error(message), { code });
+
+// Reads and writes OAuth token files encrypted with AES-256-GCM. The key comes
+// from TOKEN_ENCRYPTION_KEY (64 hex characters or a passphrase) or from a keyfile
+// that is generated on first use. The keyfile is never kept next to the tokens
+// in the config directory, so a backup of the config alone doesn't expose any
+// account: it goes to TOKEN_KEY_FILE (its own volume in Docker) or the user's
+// config directory (~/.config/google-photos-sync/token.key).
+// Plaintext token files from earlier versions are encrypted when first read.
+class TokenStoreService {
+    constructor() {
+        this.key = null;
+        this.keySource = null;
+    }
+
+    async initialize(configDir) {
+        const secret = process.env.TOKEN_ENCRYPTION_KEY?.trim();
+        if (secret) {
+            this.key = /^[0-9a-f]{64}$/i.test(secret)
+                ? Buffer.from(secret, 'hex')
+                : crypto.scryptSync(secret, KEY_SALT, KEY_BYTES);
+            this.keySource = 'TOKEN_ENCRYPTION_KEY';
+        } else {
+            const keyFile = path.resolve(process.env.TOKEN_KEY_FILE?.trim() || this.getDefaultKeyFile());
+            if (configDir && !path.relative(path.resolve(configDir), keyFile).startsWith('..')) {
+                logger.warn(`The token encryption key at ${keyFile} is in the config directory, where a backup of the config exposes every account`);
+            }
+            for (const legacyKeyFile of [PATHS.TOKEN_KEY_PATH, configDir && path.join(configDir, 'token.key')]) {
+                if (legacyKeyFile) {
+                    await this.migrateKeyFile(legacyKeyFile, keyFile);
+                }
+            }
+            this.key = await this.loadKeyFile(keyFile);
+            this.keySource = keyFile;
+        }
+        logger.info(`Token store initialized (key from ${this.keySource})`);
+    }
+
+    getDefaultKeyFile() {
+        const userConfigDir = process.env.XDG_CONFIG_HOME?.trim() || path.join(os.homedir(), '.config');
+        return path.join(userConfigDir, 'google-photos-sync', 'token.key');
+    }
+
+    // Earlier versions generated the keyfile in the working directory, which isn't
+    // kept across container updates, or in the config directory next to the tokens
+    async migrateKeyFile(fromPath, toPath) {
+        if (fromPath === toPath || !fs.existsSync(fromPath) || fs.existsSync(toPath)) return;
+        await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+        await fs.promises.copyFile(fromPath, toPath, fs.constants.COPYFILE_EXCL);
+        await fs.promises.chmod(toPath, FILE_MODE);
+        await fs.promises.rm(fromPath);
+        logger.info(`Moved the token encryption key from ${fromPath} to ${toPath}`);
+    }
+
+    // Refuse to go on with a key that opens none of the stored token files: a lost
+    // keyfile or a changed TOKEN_ENCRYPTION_KEY would otherwise log every account out
+    async verifyKey(filePaths) {
+        let opened = 0;
+        let failed = 0;
+        for (const filePath of filePaths) {
+            let contents;
+            try {
+                contents = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            if (!this.isEncrypted(contents)) continue;
+            try {
+                this.decrypt(contents);
+                opened++;
+            } catch (error) {
+                if (error.code !== 'EDECRYPT') throw error;
+                failed++;
+            }
+        }
+        if (failed > 0 && opened === 0) {
+            throw tokenStoreError(
+                `None of the ${failed} stored token files can be decrypted with the key from ${this.keySource}. ` +
+                'Restore the keyfile or TOKEN_ENCRYPTION_KEY they were written with, or delete the token files and log in again',
+                'EBADKEY'
+            );
+        }
+    }
+
+    async loadKeyFile(keyFile) {
+        try {
+            const key = Buffer.from((await fs.promises.readFile(keyFile, 'utf8')).trim(), 'hex');
+            if (key.length !== KEY_BYTES) {
+                throw tokenStoreError(`Token keyfile ${keyFile} is not a ${KEY_BYTES}-byte hex key`, 'EBADKEY');
+            }
+            await fs.promises.chmod(keyFile, FILE_MODE);
+            return key;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const key = crypto.randomBytes(KEY_BYTES);
+        await fs.promises.mkdir(path.dirname(keyFile), { recursive: true });
+        // wx: never replace a key another process just wrote
+        await fs.promises.writeFile(keyFile, key.toString('hex') + '\n', { mode: FILE_MODE, flag: 'wx' });
+        logger.warn(`Generated a token encryption key at ${keyFile}. Don't lose it: tokens can't be read without it`);
+        return key;
+    }
+
+    getKey() {
+        if (!this.key) {
+            throw tokenStoreError('Token store is not initialized', 'ENOKEY');
+        }
+        return this.key;
+    }
+
+    isEncrypted(contents) {
+        return contents?.algorithm === ALGORITHM && typeof contents.data === 'string';
+    }
+
+    encrypt(tokens) {
+        const iv = crypto.randomBytes(IV_BYTES);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+        return {
+            version: 1,
+            algorithm: ALGORITHM,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(contents) {
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), Buffer.from(contents.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(contents.tag, 'base64'));
+            const data = Buffer.concat([decipher.update(Buffer.from(contents.data, 'base64')), decipher.final()]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            if (error.code === 'ENOKEY') throw error;
+            throw tokenStoreError('Tokens could not be decrypted; the encryption key changed or the file was tampered with', 'EDECRYPT');
+        }
+    }
+
+    // The tokens in a file, or null when there is none
+    async read(filePath) {
+        let contents;
+        try {
+            contents = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+        if (this.isEncrypted(contents)) {
+            return this.decrypt(contents);
+        }
+
+        await this.write(filePath, contents);
+        logger.info(`Encrypted plaintext tokens in ${filePath}`);
+        return contents;
+    }
+
+    // Written next to the target and renamed, so a crash never leaves half a token file
+    async write(filePath, tokens) {
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(this.encrypt(tokens), null, 2), { mode: FILE_MODE });
+        await fs.promises.chmod(tempPath, FILE_MODE);
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async remove(filePath) {
+        await fs.promises.rm(filePath, { force: true });
+    }
+
+    // Move a plaintext token file from an older location, encrypting it on the way
+    async migrate(fromPath, toPath) {
+        if (fromPath === toPath || !fs.existsSync(fromPath)) return false;
+        if (fs.existsSync(toPath)) {
+            logger.warn(`Ignoring old tokens in ${fromPath}, ${toPath} already exists`);
+            // Still don't leave them readable
+            await this.read(fromPath);
+            return false;
+        }
+        const tokens = await this.read(fromPath);
+        await this.write(toPath, tokens);
+        await this.remove(fromPath);
+        logger.info(`Moved tokens from ${fromPath} to ${toPath}`);
+        return true;
+    }
+}
+
+const tokenStoreService = new TokenStoreService();
+export default tokenStoreService;
@@ -0,0 +1,250 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.service.js';
+import metadataService from './metadata.service.js';
+import photosService from './photos.service.js';
+import settingsService from './settings.service.js';
+import stateStoreService from './state.store.service.js';
+
+class TrashService {
+    constructor() {
+        this.TRASH_DIR = '.trash';
+        this.DAY = 24 * 60 * 60 * 1000;
+        // Refuse to trash more than this share of the library in one pass; a
+        // misbehaving API response shouldn't be able to empty the sync folder
+        this.MAX_TRASH_RATIO = 0.5;
+        this.MIN_ITEMS_FOR_RATIO_CHECK = 20;
+    }
+
+    async initialize() {
+        try {
+            const purged = await this.purgeExpired();
+            if (purged > 0) {
+                logger.info(`Purged ${purged} expired items from the trash`);
+            }
+        } catch (error) {
+            logger.error('Error purging expired trash:', error);
+        }
+        logger.info('Trash service initialized');
+    }
+
+    getTrashRoot(syncDir) {
+        return path.join(syncDir, this.TRASH_DIR);
+    }
+
+    getSyncDir() {
+        return settingsService.getSettings().syncDir || path.join(process.cwd(), 'photos');
+    }
+
+    // Items reach the trash under the same relative path they had in the library
+    getTrashPath(syncDir, localPath) {
+        const relative = path.relative(syncDir, localPath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return path.join(this.getTrashRoot(syncDir), path.basename(localPath));
+        }
+        return path.join(this.getTrashRoot(syncDir), relative);
+    }
+
+    // Moves the file and its XMP sidecar, if it has one
+    async moveWithSidecar(from, to) {
+        await this.moveFile(from, to);
+        const sidecar = metadataService.getSidecarPath(from);
+        if (fs.existsSync(sidecar)) {
+            await this.moveFile(sidecar, metadataService.getSidecarPath(to));
+        }
+    }
+
+    async moveFile(from, to) {
+        await fs.promises.mkdir(path.dirname(to), { recursive: true });
+        try {
+            await fs.promises.rename(from, to);
+        } catch (error) {
+            if (error.code !== 'EXDEV') throw error;
+            await fs.promises.copyFile(from, to);
+            await fs.promises.unlink(from);
+        }
+    }
+
+    // Compare the synced items with a complete discovery and move the files of
+    // items that were deleted from Google Photos into the trash. Items missing from
+    // discovery are confirmed one by one through batchGet first, since discovery
+    // leaves out archived items and anything outside the configured filters.
+    async reconcile(auth, syncDir, discoveryResults, { keepIds = [] } = {}) {
+        const settings = settingsService.getSettings();
+        const result = { checked: 0, trashed: 0, skipped: null };
+
+        if (!settings.cleanupRemovedFiles) {
+            result.skipped = 'Deletion sync is turned off';
+        } else if (discoveryResults.hasMore) {
+            result.skipped = 'Discovery is incomplete';
+        } else if (discoveryResults.incremental) {
+            result.skipped = 'Incremental discovery only covers new items';
+        }
+        if (result.skipped) {
+            logger.info(`Skipping deletion sync: ${result.skipped}`);
+            return result;
+        }
+
+        const present = new Set([...discoveryResults.items.map(item => item.id), ...keepIds]);
+        const synced = stateStoreService.getItems({ status: 'synced', deleted: false });
+        const candidates = synced.filter(item => !present.has(item.id) && !item.keepLocal);
+        result.checked = candidates.length;
+        if (candidates.length === 0) {
+            return result;
+        }
+
+        logger.info(`Checking ${candidates.length} items that are missing from discovery`);
+        const deletedIds = new Set(await photosService.findDeletedItemIds(auth, candidates.map(item => item.id)));
+        const deleted = candidates.filter(item => deletedIds.has(item.id));
+
+        if (deleted.length >= this.MIN_ITEMS_FOR_RATIO_CHECK && deleted.length > synced.length * this.MAX_TRASH_RATIO) {
+            result.skipped = `Refusing to trash ${deleted.length} of ${synced.length} items in one pass`;
+            logger.warn(`Skipping deletion sync: ${result.skipped}`);
+            return result;
+        }
+
+        for (const item of deleted) {
+            try {
+                await this.trashItem(syncDir, item);
+                result.trashed++;
+            } catch (error) {
+                logger.error(`Error moving ${item.localPath} to the trash:`, error);
+            }
+        }
+
+        if (result.trashed > 0) {
+            logger.info(`Moved ${result.trashed} items deleted from Google Photos to the trash`);
+        }
+        await this.purgeExpired();
+        return result;
+    }
+
+    async trashItem(syncDir, item) {
+        let trashPath = null;
+        // A file that deduplicated items still point at stays where it is
+        const shared = item.localPath && stateStoreService.getItemsAtPath(item.localPath, item.id).length > 0;
+        if (item.localPath && !shared && fs.existsSync(item.localPath)) {
+            trashPath = this.getTrashPath(syncDir, item.localPath);
+            await this.moveWithSidecar(item.localPath, trashPath);
+        }
+
+        stateStoreService.upsertItem(item.id, {
+            deletedAt: new Date().toISOString(),
+            trashPath
+        });
+        logger.info(`Trashed ${item.fileName || item.id} (deleted from Google Photos)`);
+    }
+
+    // Items that show up in discovery again (restored in Google Photos) come back
+    // out of the trash before the sync decides what to download
+    async restoreReappeared(discoveryItems) {
+        const discovered = new Set(discoveryItems.map(item => item.id));
+        let restored = 0;
+
+        for (const item of stateStoreService.getItems({ deleted: true })) {
+            if (!discovered.has(item.id)) continue;
+            try {
+                await this.restoreItem(item.id);
+                restored++;
+            } catch (error) {
+                logger.error(`Error restoring ${item.id} from the trash:`, error);
+            }
+        }
+
+        if (restored > 0) {
+            logger.info(`Restored ${restored} items that reappeared in Google Photos`);
+        }
+        return restored;
+    }
+
+    listTrash() {
+        const retentionDays = parseInt(settingsService.getSettings().trashRetentionDays, 10) || 0;
+        return stateStoreService.getItems({ deleted: true })
+            .map(item => ({
+                id: item.id,
+                fileName: item.fileName,
+                originalPath: item.localPath,
+                trashPath: item.trashPath,
+                mimeType: item.mimeType,
+                size: item.size,
+                deletedAt: item.deletedAt,
+                expiresAt: retentionDays > 0
+                    ? new Date(new Date(item.deletedAt).getTime() + retentionDays * this.DAY).toISOString()
+                    : null
+            }))
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    getTrashedItem(itemId) {
+        const item = stateStoreService.getItem(itemId);
+        if (!item?.deletedAt) {
+            throw Object.assign(new Error('Item not found in trash'), { code: 'ENOENT' });
+        }
+        return item;
+    }
+
+    // Put the file back where it was and keep it from being trashed again. Items
+    // still present in Google Photos go back to being regular synced items.
+    async restoreItem(itemId, { keepLocal = false } = {}) {
+        const item = this.getTrashedItem(itemId);
+
+        if (item.trashPath && fs.existsSync(item.trashPath)) {
+            if (fs.existsSync(item.localPath)) {
+                throw Object.assign(new Error(`Cannot restore, ${item.localPath} already exists`), { code: 'EEXIST' });
+            }
+            await this.moveWithSidecar(item.trashPath, item.localPath);
+        }
+
+        stateStoreService.upsertItem(itemId, { deletedAt: null, trashPath: null, keepLocal });
+        logger.info(`Restored ${item.fileName || itemId} from the trash`);
+        return stateStoreService.getItem(itemId);
+    }
+
+    async purgeItem(itemId) {
+        const item = this.getTrashedItem(itemId);
+
+        if (item.trashPath) {
+            await fs.promises.unlink(item.trashPath).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+            await fs.promises.rm(metadataService.getSidecarPath(item.trashPath), { force: true });
+        }
+
+        stateStoreService.deleteItem(itemId);
+        logger.info(`Permanently deleted ${item.fileName || itemId}`);
+    }
+
+    async purgeExpired() {
+        const retentionDays = parseInt(settingsService.getSettings().trashRetentionDays, 10) || 0;
+        if (retentionDays <= 0) {
+            return 0;
+        }
+
+        const cutoff = Date.now() - retentionDays * this.DAY;
+        const expired = stateStoreService.getItems({ deleted: true })
+            .filter(item => new Date(item.deletedAt).getTime() < cutoff);
+
+        let purged = 0;
+        for (const item of expired) {
+            try {
+                await this.purgeItem(item.id);
+                purged++;
+            } catch (error) {
+                logger.error(`Error purging ${item.id} from the trash:`, error);
+            }
+        }
+        return purged;
+    }
+
+    async emptyTrash() {
+        let purged = 0;
+        for (const item of stateStoreService.getItems({ deleted: true })) {
+            await this.purgeItem(item.id);
+            purged++;
+        }
+        return purged;
+    }
+}
+
+const trashService = new TrashService();
+export default trashService;
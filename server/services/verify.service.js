@@ -0,0 +1,268 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.service.js';
+import albumsService from './albums.service.js';
+import downloadService from './download.service.js';
+import metadataService from './metadata.service.js';
+import stateStoreService from './state.store.service.js';
+import syncCacheService from './sync.cache.service.js';
+import templateService from './template.service.js';
+import trashService from './trash.service.js';
+
+// Synology's thumbnail and recycle bin folders, and hidden folders, never hold library files
+const isIgnoredDirName = name => name === '@eaDir' || name === '#recycle' || name.startsWith('.');
+
+// IMG_1234_2.jpg -> IMG_1234.jpg, for names numbered on collision
+const NUMBERED_NAME = /^(.+)_(\d+)(\.[^.]*)?$/;
+
+// Matches the files already in the sync directory with discovered items, so they
+// aren't downloaded again. The tree is read one directory at a time, and every
+// file is looked up in an index built once per run: first by the path the state
+// store has for it, then by the name the file name template gives each item.
+//
+// In incremental mode a directory is only read again when its mtime changed (a
+// file was added, removed or renamed in it), when it had files nothing matched
+// (a later discovery may know them), or when the state store no longer has as
+// many files in it as were matched (items were pruned or reset).
+class VerifyService {
+    constructor() {
+        // Progress is reported at most this often
+        this.PROGRESS_INTERVAL_MS = 500;
+        // Matched files are written to the state store in transactions of this size
+        this.BATCH_SIZE = 500;
+    }
+
+    // Sidecars, partial downloads and hidden files belong to no item of their own
+    isAuxiliaryFile(name) {
+        return name.startsWith('.')
+            || name.endsWith(metadataService.SIDECAR_EXTENSION)
+            || name.endsWith(downloadService.PART_SUFFIX);
+    }
+
+    buildIndex(discoveryItems) {
+        const index = {
+            discovered: new Map(discoveryItems.map(item => [item.id, item])),
+            stored: new Map(),
+            byPath: new Map(),
+            filesPerDir: new Map(),
+            // Queued for download by the integrity scrub; their files on disk are bad
+            corrupted: new Set(stateStoreService.getItems({ status: 'corrupted' }).map(item => item.id)),
+            byName: null
+        };
+        for (const item of syncCacheService.getSyncedItems()) {
+            index.stored.set(item.id, item);
+            if (!item.localPath) continue;
+            if (!index.byPath.has(item.localPath)) {
+                // Items sharing a file (dedup skip policy) count once
+                index.byPath.set(item.localPath, []);
+                const dir = path.dirname(item.localPath);
+                index.filesPerDir.set(dir, (index.filesPerDir.get(dir) || 0) + 1);
+            }
+            index.byPath.get(item.localPath).push(item);
+        }
+        return index;
+    }
+
+    // File name -> discovered items, rendered only once a file isn't found by path
+    getNameIndex(index) {
+        if (!index.byName) {
+            index.byName = new Map();
+            for (const item of index.discovered.values()) {
+                const name = path.basename(templateService.renderFileName(item));
+                if (!index.byName.has(name)) {
+                    index.byName.set(name, []);
+                }
+                index.byName.get(name).push(item);
+            }
+        }
+        return index.byName;
+    }
+
+    // Whether the file belongs to an item, queuing an update for discovered items
+    // that aren't recorded at this path yet
+    matchFile(filePath, name, index, run) {
+        const owners = index.byPath.get(filePath);
+        if (owners) {
+            for (const stored of owners) {
+                run.matched.add(stored.id);
+                const item = index.discovered.get(stored.id);
+                if (item && !stored.verified) {
+                    run.updates.push({ item, filePath });
+                }
+            }
+            return true;
+        }
+
+        const byName = this.getNameIndex(index);
+        const numbered = name.match(NUMBERED_NAME);
+        const candidates = [
+            ...(byName.get(name) || []),
+            ...(numbered ? byName.get(`${numbered[1]}${numbered[3] || ''}`) || [] : [])
+        ];
+        // Skip items matched to another file in this run, whose recorded file still
+        // exists, or that wait for a new download
+        const item = candidates.find(candidate => {
+            if (run.matched.has(candidate.id) || index.corrupted.has(candidate.id)) return false;
+            const storedPath = index.stored.get(candidate.id)?.localPath;
+            return !storedPath || !fs.existsSync(storedPath);
+        });
+        if (!item) {
+            return false;
+        }
+        run.matched.add(item.id);
+        run.updates.push({ item, filePath });
+        return true;
+    }
+
+    // Write matched files and finished directories together, so a directory is
+    // never recorded as read before its files are
+    flush(run) {
+        stateStoreService.transaction(() => {
+            for (const { item, filePath } of run.updates) {
+                syncCacheService.updateItem(item.id, {
+                    localPath: filePath,
+                    fileName: path.basename(filePath),
+                    originalFilename: item.filename,
+                    mediaMetadata: item.mediaMetadata,
+                    mimeType: item.mimeType,
+                    verified: true
+                });
+            }
+            for (const dir of run.dirs) {
+                stateStoreService.saveScannedDir(dir);
+            }
+        });
+        run.updated += run.updates.length;
+        run.updates = [];
+        run.dirs = [];
+    }
+
+    // Read one directory, returning the subdirectories to visit
+    async scanDir(dir, parent, index, run, options) {
+        let stat;
+        try {
+            stat = await fs.promises.stat(dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            // Removed while the tree was being walked
+            stateStoreService.deleteScannedDir(dir);
+            return [];
+        }
+
+        const record = options.incremental ? stateStoreService.getScannedDir(dir) : null;
+        const previousSubdirs = record ? stateStoreService.getScannedSubdirs(dir) : [];
+        if (record && record.mtimeMs === stat.mtimeMs && record.unknownFiles === 0
+            && record.knownFiles === (index.filesPerDir.get(dir) || 0)) {
+            run.dirsSkipped++;
+            run.unchangedFiles += record.knownFiles;
+            return previousSubdirs;
+        }
+
+        run.dirsRead++;
+        const subdirs = [];
+        let knownFiles = 0;
+        let unknownFiles = 0;
+        // opendir streams the entries instead of reading the whole listing at once
+        for await (const entry of await fs.promises.opendir(dir)) {
+            if (options.isCancelled()) {
+                run.cancelled = true;
+                return [];
+            }
+
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!options.skippedDirs.has(entryPath) && !isIgnoredDirName(entry.name)) {
+                    subdirs.push(entryPath);
+                }
+                continue;
+            }
+            if (!entry.isFile() || this.isAuxiliaryFile(entry.name)) continue;
+
+            run.files++;
+            if (this.matchFile(entryPath, entry.name, index, run)) {
+                knownFiles++;
+            } else {
+                unknownFiles++;
+            }
+            if (run.updates.length >= this.BATCH_SIZE) {
+                this.flush(run);
+            }
+            options.report();
+        }
+
+        const current = new Set(subdirs);
+        for (const subdir of previousSubdirs) {
+            if (!current.has(subdir)) {
+                stateStoreService.deleteScannedDir(subdir);
+            }
+        }
+        run.dirs.push({ path: dir, parent, mtimeMs: stat.mtimeMs, knownFiles, unknownFiles });
+        return subdirs;
+    }
+
+    // Walk the sync directory and record the files that belong to discovered
+    // items. `onProgress` gets `{ files, matched, unchanged, total }` at most every
+    // PROGRESS_INTERVAL_MS, and once at the end.
+    async verify(syncDir, discoveryItems, { incremental = true, isCancelled = () => false, onProgress = () => {} } = {}) {
+        const startedAt = Date.now();
+        const index = this.buildIndex(discoveryItems);
+        const run = {
+            files: 0,
+            matched: new Set(),
+            updated: 0,
+            unchangedFiles: 0,
+            dirsRead: 0,
+            dirsSkipped: 0,
+            updates: [],
+            dirs: [],
+            cancelled: false
+        };
+
+        let lastReport = 0;
+        const report = (force = false) => {
+            const now = Date.now();
+            if (!force && now - lastReport < this.PROGRESS_INTERVAL_MS) return;
+            lastReport = now;
+            onProgress({ files: run.files, matched: run.matched.size, unchanged: run.unchangedFiles, total: discoveryItems.length });
+        };
+
+        if (!incremental) {
+            stateStoreService.clearScannedDirs();
+        }
+        const options = {
+            incremental,
+            isCancelled,
+            report,
+            // Album folders only hold copies or links of library files, and the trash holds deleted ones
+            skippedDirs: new Set([albumsService.getAlbumsRoot(syncDir), trashService.getTrashRoot(syncDir)])
+        };
+
+        // Depth first with an explicit stack, so only directory paths are held in memory
+        const stack = [{ dir: syncDir, parent: null }];
+        while (stack.length > 0 && !run.cancelled) {
+            const { dir, parent } = stack.pop();
+            const subdirs = await this.scanDir(dir, parent, index, run, options);
+            stack.push(...subdirs.map(subdir => ({ dir: subdir, parent: dir })));
+        }
+        this.flush(run);
+        report(true);
+
+        const result = {
+            files: run.files,
+            matched: run.matched.size,
+            updated: run.updated,
+            unchangedFiles: run.unchangedFiles,
+            dirsRead: run.dirsRead,
+            dirsSkipped: run.dirsSkipped,
+            cancelled: run.cancelled
+        };
+        logger.info(
+            `Verified ${result.files} files in ${result.dirsRead} folders (${result.dirsSkipped} unchanged folders skipped), ` +
+            `${result.updated} newly matched, in ${Date.now() - startedAt}ms`
+        );
+        return result;
+    }
+}
+
+const verifyService = new VerifyService();
+export default verifyService;
@@ -1,5 +1,7 @@
 import { WebSocketServer } from 'ws';
 import logger from './logger.service.js';
+import accessService from './access.service.js';
+import publicUrlService from './public.url.service.js';
 
 class WebSocketService {
     constructor() {
@@ -31,8 +33,8 @@ class WebSocketService {
         
         this.wss = new WebSocketServer({ 
             server,
-            path: '/ws',
-            clientTracking: true
+            path: publicUrlService.withBasePath('/ws'),
+            verifyClient: (info, callback) => this.verifyClient(info, callback)
         });
 
         // Handle connection events
@@ -47,9 +49,45 @@ class WebSocketService {
         return this.wss;
     }
 
+    // The IP allowlist, origins and login the API asks for, checked on the upgrade request.
+    // Browsers send the session cookie to any page's WebSocket, so the origin has to
+    // be one the app is served from. Any API token may connect; the socket only reports status
+    verifyClient({ origin, req }, callback) {
+        const clientIp = publicUrlService.getClientIp(req);
+        if (!accessService.isIpAllowed(clientIp)) {
+            logger.warn(`Refused WebSocket connection from ${clientIp}, it is not in the IP allowlist`);
+            return callback(false, 403, 'Forbidden');
+        }
+        if (!publicUrlService.isAllowedOrigin(origin)) {
+            logger.warn(`Refused WebSocket connection from origin ${origin}`);
+            return callback(false, 403, 'Forbidden');
+        }
+        const auth = accessService.authenticate(req);
+        if (!auth) {
+            return callback(false, 401, 'Unauthorized');
+        }
+        // Kept with the socket so it can be closed once the session ends
+        req.auth = auth;
+        callback(true);
+    }
+
+    // Close the sockets whose session ended (logout, password change, removed user,
+    // expiry) or whose API token was revoked
+    closeRevokedSockets() {
+        if (!this.wss) return;
+
+        this.wss.clients.forEach((ws) => {
+            if (ws.auth && !accessService.isStillAuthenticated(ws.auth)) {
+                logger.info(`Closing WebSocket connection of ${ws.auth.username || ws.auth.apiToken.name}, its login was revoked`);
+                ws.close(1008, 'Session ended');
+            }
+        });
+    }
+
     handleConnection(ws, req) {
-        const clientIp = req.socket.remoteAddress;
+        const clientIp = publicUrlService.getClientIp(req);
         logger.info('New WebSocket connection from:', clientIp);
+        ws.auth = req.auth;
 
         // Send initial state immediately
         this.sendInitialState(ws);
@@ -142,6 +180,7 @@ class WebSocketService {
         // Set up ping interval
         this.pingInterval = setInterval(() => {
             if (!this.wss) return;
+            this.closeRevokedSockets();
 
             this.wss.clients.forEach((ws) => {
                 if (ws.isAlive === false) {
@@ -3,8 +3,10 @@ import { ThemeProvider } from './context/ThemeContext';
 import { WebSocketProvider } from './context/WebSocketContext';
 import { createBrowserRouter } from 'react-router-dom';
 import { routes } from './routes';
+import { BASE_PATH } from './api/client';
 
 const router = createBrowserRouter(routes, {
+  basename: BASE_PATH || '/',
   future: {
     v7_startTransition: true,
     v7_relativeSplatPath: true,
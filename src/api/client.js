@@ -0,0 +1,37 @@
+// The API server and the requests every page makes to it. Requests carry the
+// session cookie; a request the server refuses for want of a login sends the
+// browser to the login page.
+
+// The sub-path the app is served under, e.g. '/photosync', from BASE_PATH at build time
+export const BASE_PATH = import.meta.env.BASE_URL.replace(/\/$/, '');
+
+// The built app is served by the API server itself, so behind a reverse proxy
+// it follows the page's own address. The dev server talks to port 3000.
+const SERVER_URL = import.meta.env.DEV
+  ? `${window.location.protocol}//${window.location.hostname}:3000${BASE_PATH}`
+  : `${window.location.origin}${BASE_PATH}`;
+
+export const API_URL = `${SERVER_URL}/api`;
+
+export const WS_URL = `${SERVER_URL.replace(/^http/, 'ws')}/ws`;
+
+export const LOGIN_PATH = `${BASE_PATH}/login`;
+
+export function redirectToLogin() {
+  if (window.location.pathname === LOGIN_PATH) return;
+  const next = window.location.pathname + window.location.search;
+  window.location.assign(`${LOGIN_PATH}?next=${encodeURIComponent(next)}`);
+}
+
+// fetch against the API server; path is e.g. '/sync/status'
+export async function apiFetch(path, options = {}) {
+  const response = await fetch(`${API_URL}${path}`, { credentials: 'include', ...options });
+  if (response.status === 401 && !path.startsWith('/session')) {
+    // Other 401s mean Google Photos isn't connected, which pages handle themselves
+    const { code } = await response.clone().json().catch(() => ({}));
+    if (code === 'ELOGIN' || code === 'ESETUP') {
+      redirectToLogin();
+    }
+  }
+  return response;
+}
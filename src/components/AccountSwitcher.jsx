@@ -0,0 +1,90 @@
+import { useEffect, useState } from 'react';
+import {
+  Button,
+  Divider,
+  ListItemIcon,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Snackbar,
+  Alert
+} from '@mui/material';
+import AccountCircleIcon from '@mui/icons-material/AccountCircle';
+import CheckIcon from '@mui/icons-material/Check';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import { API_URL, apiFetch } from '../api/client';
+
+// Lists the synced Google accounts and switches the one the app works on
+function AccountSwitcher() {
+  const [accounts, setAccounts] = useState([]);
+  const [anchorEl, setAnchorEl] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiFetch('/accounts')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => setAccounts(data?.accounts || []))
+      .catch(err => console.error('Error fetching accounts:', err));
+  }, []);
+
+  const active = accounts.find(account => account.active);
+
+  const handleSwitch = async (account) => {
+    setAnchorEl(null);
+    if (account.active) return;
+    try {
+      const response = await apiFetch(`/accounts/${encodeURIComponent(account.id)}/activate`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to switch accounts');
+      }
+      // Every page holds the previous account's data
+      window.location.reload();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddAccount = () => {
+    const reactPort = window.location.port || '5173';
+    window.location.href = `${API_URL}/auth?port=${reactPort}`;
+  };
+
+  if (accounts.length === 0) return null;
+
+  return (
+    <>
+      <Button
+        color="inherit"
+        startIcon={<AccountCircleIcon />}
+        onClick={(event) => setAnchorEl(event.currentTarget)}
+        sx={{ textTransform: 'none', mr: 1 }}
+      >
+        {active?.email || active?.name || 'Account'}
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {accounts.map(account => (
+          <MenuItem key={account.id} onClick={() => handleSwitch(account)}>
+            <ListItemIcon>{account.active && <CheckIcon fontSize="small" />}</ListItemIcon>
+            <ListItemText
+              primary={account.email || account.name || 'Not signed in'}
+              secondary={account.nextRunAt ? `Next sync ${new Date(account.nextRunAt).toLocaleString()}` : null}
+            />
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem onClick={handleAddAccount}>
+          <ListItemIcon><PersonAddIcon fontSize="small" /></ListItemIcon>
+          <ListItemText primary="Add Account" />
+        </MenuItem>
+      </Menu>
+      <Snackbar open={Boolean(error)} autoHideDuration={6000} onClose={() => setError(null)}>
+        <Alert severity="error" onClose={() => setError(null)}>{error}</Alert>
+      </Snackbar>
+    </>
+  );
+}
+
+export default AccountSwitcher;
@@ -0,0 +1,161 @@
+import { useState } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  MenuItem,
+  Select,
+  Typography,
+  Alert
+} from '@mui/material';
+import CollectionsIcon from '@mui/icons-material/Collections';
+import { apiFetch } from '../api/client';
+
+const LAYOUT_OPTIONS = [
+  { value: 'none', label: "Don't mirror albums" },
+  { value: 'copy', label: 'Copy files into album folders' },
+  { value: 'hardlink', label: 'Hardlink files into album folders' },
+  { value: 'symlink', label: 'Symlink files into album folders' },
+  { value: 'manifest', label: 'Write an M3U manifest per album' }
+];
+
+function AlbumSelector() {
+  const [albums, setAlbums] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [albumLayout, setAlbumLayout] = useState('none');
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const loadAlbums = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await apiFetch('/albums');
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to load albums');
+      }
+      const data = await response.json();
+      setAlbums(data.albums);
+      setSelectedIds(data.albums.filter(album => album.selected).map(album => album.id));
+      setAlbumLayout(data.albumLayout);
+    } catch (error) {
+      console.error('Error loading albums:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleAlbum = (albumId) => {
+    setSaved(false);
+    setSelectedIds(prev => prev.includes(albumId)
+      ? prev.filter(id => id !== albumId)
+      : [...prev, albumId]);
+  };
+
+  const saveSelection = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await apiFetch('/albums/selection', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ albumIds: selectedIds, albumLayout })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to save album selection');
+      }
+      setSaved(true);
+    } catch (error) {
+      console.error('Error saving album selection:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!albums) {
+    return (
+      <Box sx={{ textAlign: 'center', py: 2 }}>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <Button
+          variant="outlined"
+          startIcon={loading ? <CircularProgress size={16} /> : <CollectionsIcon />}
+          onClick={loadAlbums}
+          disabled={loading}
+        >
+          Load Albums
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {saved && <Alert severity="success" sx={{ mb: 2 }}>Album selection saved. It applies to the next sync.</Alert>}
+
+      <FormControl fullWidth sx={{ mb: 2 }}>
+        <InputLabel>Album Layout</InputLabel>
+        <Select
+          value={albumLayout}
+          label="Album Layout"
+          onChange={(event) => {
+            setSaved(false);
+            setAlbumLayout(event.target.value);
+          }}
+        >
+          {LAYOUT_OPTIONS.map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </Select>
+      </FormControl>
+
+      {albums.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No albums found in your Google Photos library.
+        </Typography>
+      ) : (
+        <List dense sx={{ maxHeight: 320, overflow: 'auto' }}>
+          {albums.map(album => (
+            <ListItem key={album.id} button onClick={() => toggleAlbum(album.id)}>
+              <ListItemIcon>
+                <Checkbox edge="start" checked={selectedIds.includes(album.id)} tabIndex={-1} disableRipple />
+              </ListItemIcon>
+              <ListItemText
+                primary={album.title}
+                secondary={`${album.mediaItemsCount} items`}
+              />
+              {album.shared && <Chip label="Shared" size="small" />}
+            </ListItem>
+          ))}
+        </List>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mt: 2 }}>
+        <Typography variant="caption" color="text.secondary">
+          {selectedIds.length} of {albums.length} albums selected
+        </Typography>
+        <Button variant="contained" size="small" onClick={saveSelection} disabled={saving}>
+          Save Selection
+        </Button>
+      </Box>
+    </Box>
+  );
+}
+
+export default AlbumSelector;
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { Outlet, Link } from 'react-router-dom';
 import { 
   AppBar, 
@@ -20,25 +20,56 @@ import MenuIcon from '@mui/icons-material/Menu';
 import HomeIcon from '@mui/icons-material/Home';
 import SyncIcon from '@mui/icons-material/Sync';
 import SettingsIcon from '@mui/icons-material/Settings';
+import DeleteIcon from '@mui/icons-material/Delete';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
 import InfoIcon from '@mui/icons-material/Info';
 import NightlightIcon from '@mui/icons-material/Nightlight';
 import LightModeIcon from '@mui/icons-material/LightMode';
 import LogoutIcon from '@mui/icons-material/Logout';
+import LockIcon from '@mui/icons-material/Lock';
 import { useTheme } from '../context/ThemeContext';
+import AccountSwitcher from './AccountSwitcher';
+import { apiFetch, redirectToLogin, LOGIN_PATH } from '../api/client';
 
 function Layout() {
   const [drawerOpen, setDrawerOpen] = useState(false);
+  const [username, setUsername] = useState(null);
   const { isDarkMode, toggleTheme } = useTheme();
   const muiTheme = useMuiTheme();
   const isMobile = useMediaQuery(muiTheme.breakpoints.down('sm'));
 
+  useEffect(() => {
+    apiFetch('/session')
+      .then(response => response.json())
+      .then(data => {
+        if (!data.authenticated) {
+          redirectToLogin();
+        } else {
+          setUsername(data.username);
+        }
+      })
+      .catch(error => console.error('Error checking session:', error));
+  }, []);
+
   const toggleDrawer = () => {
     setDrawerOpen(!drawerOpen);
   };
 
+  // Ends the web UI session; Logout disconnects Google Photos
+  const handleSignOut = async () => {
+    try {
+      await apiFetch('/session/logout', {
+        method: 'POST'
+      });
+    } catch (error) {
+      console.error('Sign out error:', error);
+    }
+    window.location.assign(LOGIN_PATH);
+  };
+
   const handleLogout = async () => {
     try {
-      const response = await fetch('http://localhost:3000/logout', {
+      const response = await apiFetch('/logout', {
         method: 'POST'
       });
       if (response.ok) {
@@ -53,6 +84,8 @@ function Layout() {
   const navItems = [
     { text: 'Home', icon: <HomeIcon />, path: '/' },
     { text: 'Sync', icon: <SyncIcon />, path: '/sync' },
+    { text: 'Duplicates', icon: <ContentCopyIcon />, path: '/duplicates' },
+    { text: 'Trash', icon: <DeleteIcon />, path: '/trash' },
     { text: 'Settings', icon: <SettingsIcon />, path: '/settings' },
     { text: 'About', icon: <InfoIcon />, path: '/about' },
   ];
@@ -98,6 +131,12 @@ function Layout() {
           </ListItemIcon>
           <ListItemText primary="Logout" />
         </ListItem>
+        <ListItem button onClick={handleSignOut}>
+          <ListItemIcon>
+            <LockIcon />
+          </ListItemIcon>
+          <ListItemText primary="Sign Out" secondary={username} />
+        </ListItem>
       </List>
     </Box>
   );
@@ -119,6 +158,7 @@ function Layout() {
           <Typography variant="h6" component="div" sx={{ flexGrow: 1 }}>
             Google Photos Sync
           </Typography>
+          <AccountSwitcher />
           <IconButton color="inherit" onClick={toggleTheme}>
             {isDarkMode ? <LightModeIcon /> : <NightlightIcon />}
           </IconButton>
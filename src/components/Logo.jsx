@@ -32,7 +32,7 @@ function Logo({ size = 'medium', showText = true }) {
       }}
     >
       <img
-        src="/images/logo.png"
+        src={`${import.meta.env.BASE_URL}images/logo.png`}
         alt="Google Photos Sync Logo"
         style={{
           width: currentSize.width,
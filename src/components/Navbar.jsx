@@ -10,6 +10,7 @@ import Brightness4Icon from '@mui/icons-material/Brightness4';
 import Brightness7Icon from '@mui/icons-material/Brightness7';
 import Logo from './Logo';
 import { useState } from 'react';
+import { apiFetch } from '../api/client';
 
 const Navbar = () => {
   const navigate = useNavigate();
@@ -29,7 +30,7 @@ const Navbar = () => {
   const handleLogout = async () => {
     if (window.confirm('Are you sure you want to logout?')) {
       try {
-        const response = await fetch('http://localhost:3000/logout', {
+        const response = await apiFetch('/logout', {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
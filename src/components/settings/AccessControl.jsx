@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  TextField,
+  Typography,
+  Alert
+} from '@mui/material';
+import DeleteIcon from '@mui/icons-material/Delete';
+import PersonAddIcon from '@mui/icons-material/PersonAdd';
+import SaveIcon from '@mui/icons-material/Save';
+import { apiFetch } from '../../api/client';
+
+// Users who can log in, the current user's password and the IP allowlist.
+// Saved right away, apart from the other settings.
+function AccessControl() {
+  const [users, setUsers] = useState([]);
+  const [newUser, setNewUser] = useState({ username: '', password: '' });
+  const [passwords, setPasswords] = useState({ currentPassword: '', newPassword: '' });
+  const [allowlist, setAllowlist] = useState('');
+  const [clientIp, setClientIp] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    fetchAccess();
+  }, []);
+
+  const fetchAccess = async () => {
+    try {
+      const [usersResponse, accessResponse] = await Promise.all([
+        apiFetch('/users'),
+        apiFetch('/access')
+      ]);
+      if (!usersResponse.ok || !accessResponse.ok) {
+        throw new Error('Failed to load access settings');
+      }
+      setUsers((await usersResponse.json()).users);
+      const access = await accessResponse.json();
+      setAllowlist(access.ipAllowlist.join('\n'));
+      setClientIp(access.clientIp);
+    } catch (error) {
+      console.error('Error loading access settings:', error);
+      setError(error.message);
+    }
+  };
+
+  const post = async (url, body, method, success, failure) => {
+    try {
+      setError(null);
+      setMessage(null);
+      const response = await apiFetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: body && JSON.stringify(body)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || failure);
+      }
+      setMessage(success);
+      await fetchAccess();
+      return true;
+    } catch (error) {
+      console.error(failure, error);
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const addUser = async () => {
+    if (await post('/users', newUser, 'POST', `Added ${newUser.username}`, 'Failed to add user')) {
+      setNewUser({ username: '', password: '' });
+    }
+  };
+
+  const removeUser = (username) => {
+    if (window.confirm(`Remove ${username}? They won't be able to log in any more.`)) {
+      post(`/users/${encodeURIComponent(username)}`, null, 'DELETE', `Removed ${username}`, 'Failed to remove user');
+    }
+  };
+
+  const changePassword = async () => {
+    if (await post('/session/password', passwords, 'POST', 'Password changed, other sessions were logged out', 'Failed to change password')) {
+      setPasswords({ currentPassword: '', newPassword: '' });
+    }
+  };
+
+  const saveAllowlist = () => {
+    const ipAllowlist = allowlist.split(/[\s,]+/).filter(Boolean);
+    post('/access', { ipAllowlist }, 'POST', 'IP allowlist saved', 'Failed to save IP allowlist');
+  };
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      <Typography variant="subtitle1" gutterBottom>
+        Users
+      </Typography>
+      <List dense>
+        {users.map(user => (
+          <ListItem
+            key={user.username}
+            secondaryAction={
+              <IconButton edge="end" aria-label="Remove" onClick={() => removeUser(user.username)} disabled={users.length === 1}>
+                <DeleteIcon />
+              </IconButton>
+            }
+          >
+            <ListItemText primary={user.username} secondary={`Added ${new Date(user.createdAt).toLocaleDateString()}`} />
+          </ListItem>
+        ))}
+      </List>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mb: 3 }}>
+        <TextField
+          size="small"
+          label="Username"
+          value={newUser.username}
+          onChange={(event) => setNewUser({ ...newUser, username: event.target.value })}
+        />
+        <TextField
+          size="small"
+          type="password"
+          label="Password"
+          autoComplete="new-password"
+          value={newUser.password}
+          onChange={(event) => setNewUser({ ...newUser, password: event.target.value })}
+        />
+        <Button variant="outlined" startIcon={<PersonAddIcon />} onClick={addUser} disabled={!newUser.username || !newUser.password}>
+          Add User
+        </Button>
+      </Stack>
+
+      <Typography variant="subtitle1" gutterBottom>
+        Change Your Password
+      </Typography>
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} sx={{ mb: 3 }}>
+        <TextField
+          size="small"
+          type="password"
+          label="Current Password"
+          autoComplete="current-password"
+          value={passwords.currentPassword}
+          onChange={(event) => setPasswords({ ...passwords, currentPassword: event.target.value })}
+        />
+        <TextField
+          size="small"
+          type="password"
+          label="New Password"
+          autoComplete="new-password"
+          value={passwords.newPassword}
+          onChange={(event) => setPasswords({ ...passwords, newPassword: event.target.value })}
+        />
+        <Button variant="outlined" startIcon={<SaveIcon />} onClick={changePassword} disabled={!passwords.currentPassword || !passwords.newPassword}>
+          Change Password
+        </Button>
+      </Stack>
+
+      <Typography variant="subtitle1" gutterBottom>
+        IP Allowlist
+      </Typography>
+      <TextField
+        fullWidth
+        multiline
+        minRows={2}
+        label="Allowed addresses"
+        value={allowlist}
+        onChange={(event) => setAllowlist(event.target.value)}
+        helperText={`Addresses or ranges like 192.168.1.0/24, one per line. Leave empty to allow every address; the server's own host is always allowed.${clientIp ? ` Your address is ${clientIp}.` : ''}`}
+      />
+      <Button variant="outlined" startIcon={<SaveIcon />} onClick={saveAllowlist} sx={{ mt: 1 }}>
+        Save IP Allowlist
+      </Button>
+    </Box>
+  );
+}
+
+export default AccessControl;
@@ -12,13 +12,24 @@ import {
   Divider,
   FormHelperText
 } from '@mui/material';
+import TimestampRepair from './TimestampRepair';
+import OrganizeFiles from './OrganizeFiles';
+import NamingTemplates from './NamingTemplates';
+import IntegrityScrub from './IntegrityScrub';
+import TimeWindows from './TimeWindows';
+import AccessControl from './AccessControl';
+import ApiTokens from './ApiTokens';
 
-const AdvancedSettings = ({ settings, onSettingsChange }) => {
+const AdvancedSettings = ({ settings, onSettingsChange, settingsOptions }) => {
   const handleChange = (field) => (event) => {
     const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
     onSettingsChange({ ...settings, [field]: value });
   };
 
+  const handleWindowsChange = (field) => (windows) => {
+    onSettingsChange({ ...settings, [field]: windows });
+  };
+
   return (
     <Box>
       <Typography variant="h6" gutterBottom>
@@ -38,9 +49,13 @@ const AdvancedSettings = ({ settings, onSettingsChange }) => {
               <MenuItem value="year/month_date">Year/Month_Date (2012/08_29)</MenuItem>
               <MenuItem value="year_month_date">Year_Month_Date (2012_08_29)</MenuItem>
               <MenuItem value="flat">Flat Structure</MenuItem>
+              <MenuItem value="custom">Custom Template</MenuItem>
             </Select>
           </FormControl>
         </Grid>
+        <Grid item xs={12}>
+          <NamingTemplates settings={settings} onSettingsChange={onSettingsChange} />
+        </Grid>
         <Grid item xs={12}>
           <FormControl fullWidth>
             <InputLabel>Sync Order</InputLabel>
@@ -68,6 +83,38 @@ const AdvancedSettings = ({ settings, onSettingsChange }) => {
             }
             label="Automatically organize files during sync"
           />
+          <FormHelperText>
+            When off, new files are saved at the top of the sync folder.
+          </FormHelperText>
+        </Grid>
+        <Grid item xs={12}>
+          <FormControl fullWidth>
+            <InputLabel>Timezone</InputLabel>
+            <Select
+              value={settings.timezone || ''}
+              onChange={handleChange('timezone')}
+              label="Timezone"
+            >
+              {(settingsOptions?.timezone || [{ value: '', label: 'Server timezone' }]).map(option => (
+                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+              ))}
+            </Select>
+            <FormHelperText>
+              Used for EXIF dates and date folders. Google Photos reports capture times in UTC.
+            </FormHelperText>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12}>
+          <OrganizeFiles
+            folderStructure={settings.folderStructure}
+            folderTemplate={settings.folderTemplate}
+            fileNameTemplate={settings.fileNameTemplate}
+            autoOrganize={settings.autoOrganize}
+            timezone={settings.timezone}
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <TimestampRepair />
         </Grid>
       </Grid>
 
@@ -99,6 +146,130 @@ const AdvancedSettings = ({ settings, onSettingsChange }) => {
             helperText="Maximum parallel downloads (1-10)"
           />
         </Grid>
+        <Grid item xs={12}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={Boolean(settings.autoResumeInterruptedSync)}
+                onChange={handleChange('autoResumeInterruptedSync')}
+              />
+            }
+            label="Automatically resume a sync interrupted by a restart"
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={settings.incrementalVerify !== false}
+                onChange={handleChange('incrementalVerify')}
+              />
+            }
+            label="Only re-check folders that changed since the last sync"
+          />
+          <FormHelperText>
+            Before each sync, files already in the sync folder are matched with your library. Turn this off to check every folder again.
+          </FormHelperText>
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 4 }} />
+
+      <Typography variant="h6" gutterBottom>
+        Deleted Items
+      </Typography>
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={Boolean(settings.cleanupRemovedFiles)}
+                onChange={handleChange('cleanupRemovedFiles')}
+              />
+            }
+            label="Move items deleted from Google Photos to the trash"
+          />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            type="number"
+            label="Trash Retention (days)"
+            value={settings.trashRetentionDays}
+            onChange={handleChange('trashRetentionDays')}
+            inputProps={{ min: 0 }}
+            helperText="Trashed files are deleted after this many days (0 keeps them)"
+          />
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 4 }} />
+
+      <Typography variant="h6" gutterBottom>
+        Duplicates
+      </Typography>
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={Boolean(settings.hashFiles)}
+                onChange={handleChange('hashFiles')}
+              />
+            }
+            label="Hash downloaded files (SHA-256) to detect duplicates"
+          />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <FormControl fullWidth disabled={!settings.hashFiles}>
+            <InputLabel>Duplicate Policy</InputLabel>
+            <Select
+              value={settings.dedupPolicy || 'keep'}
+              onChange={handleChange('dedupPolicy')}
+              label="Duplicate Policy"
+            >
+              <MenuItem value="keep">Keep every copy</MenuItem>
+              <MenuItem value="skip">Don't keep duplicate copies</MenuItem>
+              <MenuItem value="hardlink">Hardlink duplicates to the first copy</MenuItem>
+            </Select>
+            <FormHelperText>
+              What to do when a download has the same content as a file already synced
+            </FormHelperText>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            type="number"
+            label="Similar Photo Threshold"
+            value={settings.nearDuplicateThreshold}
+            onChange={handleChange('nearDuplicateThreshold')}
+            inputProps={{ min: 0, max: 32 }}
+            helperText="How different (in bits out of 64) photos can be to count as similar (0-32)"
+          />
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 4 }} />
+
+      <Typography variant="h6" gutterBottom>
+        Integrity
+      </Typography>
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            type="number"
+            label="Scrub Interval (days)"
+            value={settings.integrityScrubIntervalDays}
+            onChange={handleChange('integrityScrubIntervalDays')}
+            inputProps={{ min: 0 }}
+            helperText="How often the whole library is checked for corrupted files (0 only on demand)"
+          />
+        </Grid>
+        <Grid item xs={12}>
+          <IntegrityScrub intervalDays={settings.integrityScrubIntervalDays} />
+        </Grid>
       </Grid>
 
       <Divider sx={{ my: 4 }} />
@@ -127,7 +298,16 @@ const AdvancedSettings = ({ settings, onSettingsChange }) => {
                 onChange={handleChange('preserveExif')}
               />
             }
-            label="Preserve EXIF data"
+            label="Preserve EXIF data (write dates, camera and description from Google Photos into files)"
+          />
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={Boolean(settings.maxResolutionThumbnails)}
+                onChange={handleChange('maxResolutionThumbnails')}
+              />
+            }
+            label="Download photos as full-resolution images instead of original files"
           />
         </Grid>
         <Grid item xs={12}>
@@ -169,6 +349,7 @@ const AdvancedSettings = ({ settings, onSettingsChange }) => {
             value={settings.bandwidthLimit}
             onChange={handleChange('bandwidthLimit')}
             inputProps={{ min: 0, step: 0.1 }}
+            helperText="Across all downloads, outside bandwidth windows (0 is unlimited)"
           />
         </Grid>
         <Grid item xs={12}>
@@ -186,41 +367,58 @@ const AdvancedSettings = ({ settings, onSettingsChange }) => {
       <Divider sx={{ my: 4 }} />
 
       <Typography variant="h6" gutterBottom>
-        Backup Settings
+        Scheduled Sync
       </Typography>
       <Grid container spacing={3}>
         <Grid item xs={12}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={Boolean(settings.autoSync)}
+                onChange={handleChange('autoSync')}
+              />
+            }
+            label="Discover and sync new items on a schedule"
+          />
+        </Grid>
+        <Grid item xs={12} md={6}>
           <TextField
             fullWidth
-            label="Backup Location"
-            value={settings.backupLocation}
-            onChange={handleChange('backupLocation')}
-            helperText="Path to backup folder"
+            label="Schedule"
+            value={settings.syncSchedule || ''}
+            onChange={handleChange('syncSchedule')}
+            disabled={!settings.autoSync}
+            helperText="Cron expression (minute hour day month weekday), e.g. 0 3 * * * for 3am every day, or an interval like 6h"
           />
         </Grid>
         <Grid item xs={12}>
-          <FormControl fullWidth>
-            <InputLabel>Backup Schedule</InputLabel>
-            <Select
-              value={settings.backupSchedule}
-              onChange={handleChange('backupSchedule')}
-              label="Backup Schedule"
-            >
-              <MenuItem value="none">No Backup</MenuItem>
-              <MenuItem value="daily">Daily</MenuItem>
-              <MenuItem value="weekly">Weekly</MenuItem>
-              <MenuItem value="monthly">Monthly</MenuItem>
-            </Select>
-          </FormControl>
+          <Typography variant="subtitle1" gutterBottom>
+            Quiet Hours
+          </Typography>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Scheduled syncs wait until quiet hours are over, and a sync still running when they start is paused until then.
+            Times are in the timezone set above.
+          </Typography>
+          <TimeWindows
+            windows={settings.quietHours}
+            onChange={handleWindowsChange('quietHours')}
+            defaultWindow={{ start: '22:00', end: '07:00' }}
+            addLabel="Add Quiet Hours"
+          />
         </Grid>
         <Grid item xs={12}>
-          <TextField
-            fullWidth
-            type="number"
-            label="Backup Retention (days)"
-            value={settings.backupRetention}
-            onChange={handleChange('backupRetention')}
-            inputProps={{ min: 1 }}
+          <Typography variant="subtitle1" gutterBottom>
+            Bandwidth Windows
+          </Typography>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            While a window is open its limit applies to all downloads instead of the bandwidth limit under Network Settings (0 is unlimited).
+          </Typography>
+          <TimeWindows
+            windows={settings.bandwidthWindows}
+            onChange={handleWindowsChange('bandwidthWindows')}
+            withLimit
+            defaultWindow={{ start: '08:00', end: '23:00', limit: 1 }}
+            addLabel="Add Bandwidth Window"
           />
         </Grid>
       </Grid>
@@ -230,27 +428,8 @@ const AdvancedSettings = ({ settings, onSettingsChange }) => {
       <Typography variant="h6" gutterBottom>
         Security Settings
       </Typography>
-      <Grid container spacing={3}>
-        <Grid item xs={12}>
-          <TextField
-            fullWidth
-            type="password"
-            label="Password Protection"
-            value={settings.settingsPassword}
-            onChange={handleChange('settingsPassword')}
-            helperText="Leave empty to disable"
-          />
-        </Grid>
-        <Grid item xs={12}>
-          <TextField
-            fullWidth
-            label="IP Whitelist"
-            value={settings.ipWhitelist}
-            onChange={handleChange('ipWhitelist')}
-            helperText="Comma-separated IP addresses"
-          />
-        </Grid>
-      </Grid>
+      <AccessControl />
+      <ApiTokens />
 
       <Divider sx={{ my: 4 }} />
 
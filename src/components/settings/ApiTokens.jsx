@@ -0,0 +1,189 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Checkbox,
+  Chip,
+  FormControlLabel,
+  FormGroup,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+  TextField,
+  Typography,
+  Alert
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import ContentCopyIcon from '@mui/icons-material/ContentCopy';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { apiFetch } from '../../api/client';
+
+const SCOPE_DESCRIPTIONS = {
+  'read-status': 'Read sync status',
+  'trigger-sync': 'Also start, pause and cancel syncs',
+  admin: 'Everything a logged-in user can do'
+};
+
+// Tokens scripts and home automation use in place of a login
+function ApiTokens() {
+  const [apiTokens, setApiTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [newToken, setNewToken] = useState({ name: '', scopes: ['read-status'] });
+  const [createdToken, setCreatedToken] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchApiTokens();
+  }, []);
+
+  const fetchApiTokens = async () => {
+    try {
+      const response = await apiFetch('/api-tokens');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to load API tokens');
+      }
+      setApiTokens(data.apiTokens);
+      setScopes(data.scopes);
+    } catch (error) {
+      console.error('Error loading API tokens:', error);
+      setError(error.message);
+    }
+  };
+
+  const toggleScope = (scope) => (event) => {
+    setNewToken({
+      ...newToken,
+      scopes: event.target.checked
+        ? [...newToken.scopes, scope]
+        : newToken.scopes.filter(item => item !== scope)
+    });
+  };
+
+  const createToken = async () => {
+    try {
+      setError(null);
+      const response = await apiFetch('/api-tokens', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(newToken)
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create API token');
+      }
+      setCreatedToken(data.token);
+      setNewToken({ name: '', scopes: ['read-status'] });
+      await fetchApiTokens();
+    } catch (error) {
+      console.error('Error creating API token:', error);
+      setError(error.message);
+    }
+  };
+
+  const revokeToken = async (apiToken) => {
+    if (!window.confirm(`Revoke ${apiToken.name}? Anything using it will stop working.`)) return;
+    try {
+      setError(null);
+      const response = await apiFetch(`/api-tokens/${encodeURIComponent(apiToken.id)}`, { method: 'DELETE' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke API token');
+      }
+      await fetchApiTokens();
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+      setError(error.message);
+    }
+  };
+
+  const copyToken = () => {
+    navigator.clipboard?.writeText(createdToken).catch(err => console.error('Error copying API token:', err));
+  };
+
+  return (
+    <Box sx={{ mt: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        API Tokens
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        Send a token as <code>Authorization: Bearer &lt;token&gt;</code> to call the API without logging in.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+      {createdToken && (
+        <Alert
+          severity="success"
+          sx={{ mb: 2, wordBreak: 'break-all' }}
+          onClose={() => setCreatedToken(null)}
+          action={
+            <IconButton color="inherit" size="small" aria-label="Copy" onClick={copyToken}>
+              <ContentCopyIcon fontSize="small" />
+            </IconButton>
+          }
+        >
+          Copy this token now, it won't be shown again: <code>{createdToken}</code>
+        </Alert>
+      )}
+
+      <List dense>
+        {apiTokens.map(apiToken => (
+          <ListItem
+            key={apiToken.id}
+            secondaryAction={
+              <IconButton edge="end" aria-label="Revoke" onClick={() => revokeToken(apiToken)}>
+                <DeleteIcon />
+              </IconButton>
+            }
+          >
+            <ListItemText
+              primary={
+                <>
+                  {apiToken.name}
+                  {apiToken.scopes.map(scope => (
+                    <Chip key={scope} label={scope} size="small" sx={{ ml: 1 }} />
+                  ))}
+                </>
+              }
+              secondary={`${apiToken.preview} · Created ${new Date(apiToken.createdAt).toLocaleDateString()} · ${
+                apiToken.lastUsedAt ? `Last used ${new Date(apiToken.lastUsedAt).toLocaleString()}` : 'Never used'
+              }`}
+            />
+          </ListItem>
+        ))}
+      </List>
+
+      <Stack direction={{ xs: 'column', sm: 'row' }} spacing={1} alignItems={{ sm: 'center' }}>
+        <TextField
+          size="small"
+          label="Token name"
+          placeholder="Home Assistant"
+          value={newToken.name}
+          onChange={(event) => setNewToken({ ...newToken, name: event.target.value })}
+        />
+        <FormGroup row>
+          {scopes.map(scope => (
+            <FormControlLabel
+              key={scope}
+              control={<Checkbox size="small" checked={newToken.scopes.includes(scope)} onChange={toggleScope(scope)} />}
+              label={<span title={SCOPE_DESCRIPTIONS[scope]}>{scope}</span>}
+            />
+          ))}
+        </FormGroup>
+        <Button variant="outlined" startIcon={<AddIcon />} onClick={createToken} disabled={!newToken.name || newToken.scopes.length === 0}>
+          Create Token
+        </Button>
+      </Stack>
+    </Box>
+  );
+}
+
+export default ApiTokens;
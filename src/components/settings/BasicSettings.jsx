@@ -28,6 +28,15 @@ const DEFAULT_CACHE_OPTIONS = [
   { label: '7 days', value: 604800000 }
 ];
 
+// Google Photos content categories in case server options aren't loaded
+const DEFAULT_CONTENT_CATEGORIES = [
+  'ANIMALS', 'ARTS', 'BIRTHDAYS', 'CITYSCAPES', 'CRAFTS', 'DOCUMENTS',
+  'FASHION', 'FLOWERS', 'FOOD', 'GARDENS', 'HOLIDAYS', 'HOUSES',
+  'LANDMARKS', 'LANDSCAPES', 'NIGHT', 'PEOPLE', 'PERFORMANCES', 'PETS',
+  'RECEIPTS', 'SCREENSHOTS', 'SELFIES', 'SPORT', 'TRAVEL', 'UTILITY',
+  'WEDDINGS', 'WHITEBOARDS'
+];
+
 const BasicSettings = ({ settings, onSettingsChange, settingsOptions }) => {
   const handleChange = (field) => (event) => {
     const value = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
@@ -36,6 +45,7 @@ const BasicSettings = ({ settings, onSettingsChange, settingsOptions }) => {
 
   // Use server options if available, otherwise use defaults
   const cacheOptions = settingsOptions?.cacheTTLOptions || DEFAULT_CACHE_OPTIONS;
+  const contentCategories = settingsOptions?.contentCategories || DEFAULT_CONTENT_CATEGORIES;
 
   return (
     <Box>
@@ -173,6 +183,75 @@ const BasicSettings = ({ settings, onSettingsChange, settingsOptions }) => {
 
       <Divider sx={{ my: 4 }} />
 
+      <Typography variant="h6" gutterBottom>
+        Discovery Filters
+      </Typography>
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <FormGroup>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.includeArchived || false}
+                  onChange={handleChange('includeArchived')}
+                />
+              }
+              label="Include Archived Items"
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={settings.favoritesOnly || false}
+                  onChange={handleChange('favoritesOnly')}
+                />
+              }
+              label="Favorites Only"
+            />
+          </FormGroup>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <FormControl fullWidth sx={{ mb: 2 }}>
+            <InputLabel>Only Include Categories</InputLabel>
+            <Select
+              multiple
+              value={settings.includedContentCategories || []}
+              onChange={handleChange('includedContentCategories')}
+              label="Only Include Categories"
+              renderValue={(selected) => selected.join(', ')}
+            >
+              {contentCategories.map((category) => (
+                <MenuItem key={category} value={category}>
+                  {category}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <FormControl fullWidth>
+            <InputLabel>Exclude Categories</InputLabel>
+            <Select
+              multiple
+              value={settings.excludedContentCategories || []}
+              onChange={handleChange('excludedContentCategories')}
+              label="Exclude Categories"
+              renderValue={(selected) => selected.join(', ')}
+            >
+              {contentCategories.map((category) => (
+                <MenuItem key={category} value={category}>
+                  {category}
+                </MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+        </Grid>
+        <Grid item xs={12}>
+          <Typography variant="body2" color="textSecondary">
+            Filters are applied by Google Photos during discovery. Changing them starts a fresh discovery.
+          </Typography>
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 4 }} />
+
       <Typography variant="h6" gutterBottom>
         Date Range Filter
       </Typography>
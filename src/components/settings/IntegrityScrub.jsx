@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  LinearProgress,
+  Alert,
+  Stack
+} from '@mui/material';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import CloudDownloadIcon from '@mui/icons-material/CloudDownload';
+import { apiFetch } from '../../api/client';
+
+const INTEGRITY_URL = '/maintenance/integrity';
+
+// How many problem files the panel lists
+const REPORT_LIMIT = 50;
+
+// Checks synced files for corruption and downloads bad ones again
+function IntegrityScrub({ intervalDays }) {
+  const [status, setStatus] = useState(null);
+  const [problems, setProblems] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [intervalDays]);
+
+  // Poll while a scrub or download runs in the background
+  const running = Boolean(status?.job?.running || status?.redownload?.running);
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(fetchStatus, 1000);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  const fetchStatus = async () => {
+    try {
+      const [statusResponse, reportResponse] = await Promise.all([
+        apiFetch(INTEGRITY_URL),
+        apiFetch(`${INTEGRITY_URL}/report?limit=${REPORT_LIMIT}`)
+      ]);
+      if (!statusResponse.ok || !reportResponse.ok) {
+        throw new Error('Failed to load integrity status');
+      }
+      setStatus(await statusResponse.json());
+      const report = await reportResponse.json();
+      setProblems(report.results.filter(result => result.status !== 'ok'));
+    } catch (error) {
+      console.error('Error loading integrity status:', error);
+      setError(error.message);
+    }
+  };
+
+  const post = async (url, failure) => {
+    try {
+      setError(null);
+      const response = await apiFetch(url, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || failure);
+      }
+      await fetchStatus();
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(error.message);
+    }
+  };
+
+  const job = status?.job;
+  const redownload = status?.redownload;
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        A scrub re-reads every synced file: checksums are compared, photos are decoded and videos are probed.
+        Corrupted files are downloaded again with the next sync.
+      </Typography>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {status && !status.ffprobeAvailable && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          ffprobe isn't installed, so videos are only checked for size and checksum.
+        </Alert>
+      )}
+      {job?.running ? (
+        <Box>
+          <Typography variant="body2">Checked {job.checked} of {job.total} files...</Typography>
+          <LinearProgress variant="determinate" value={job.total ? (job.checked / job.total) * 100 : 0} sx={{ mt: 1 }} />
+        </Box>
+      ) : redownload?.running ? (
+        <Box>
+          <Typography variant="body2">Downloaded {redownload.done} of {redownload.total} corrupted files again...</Typography>
+          <LinearProgress
+            variant="determinate"
+            value={redownload.total ? (redownload.done / redownload.total) * 100 : 0}
+            sx={{ mt: 1 }}
+          />
+        </Box>
+      ) : (
+        <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+          <Button variant="outlined" startIcon={<FactCheckIcon />} onClick={() => post(INTEGRITY_URL, 'Failed to start integrity scrub')}>
+            Scrub Library
+          </Button>
+          {status?.queued > 0 && (
+            <Button
+              variant="outlined"
+              startIcon={<CloudDownloadIcon />}
+              onClick={() => post(`${INTEGRITY_URL}/redownload`, 'Failed to download corrupted files')}
+            >
+              Download {status.queued} Corrupted Files Now
+            </Button>
+          )}
+        </Stack>
+      )}
+      {job?.finishedAt && !job.running && (
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          Last scrub {new Date(job.finishedAt).toLocaleString()}: {job.ok} of {job.total} files ok
+          {job.corrupted > 0 && `, ${job.corrupted} corrupted`}
+          {job.missing > 0 && `, ${job.missing} missing`}.
+        </Typography>
+      )}
+      {status?.schedule?.nextRunAt && (
+        <Typography variant="body2" color="text.secondary">
+          Next scrub {new Date(status.schedule.nextRunAt).toLocaleString()}
+        </Typography>
+      )}
+      {problems.length > 0 && (
+        <Box sx={{ maxHeight: 240, overflow: 'auto', mt: 1 }}>
+          {problems.map(result => (
+            <Typography
+              key={result.itemId}
+              variant="body2"
+              color={result.status === 'redownloaded' ? 'text.secondary' : 'error'}
+              sx={{ wordBreak: 'break-all' }}
+            >
+              {result.localPath}: {result.status === 'redownloaded' ? 'downloaded again' : result.error}
+            </Typography>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+export default IntegrityScrub;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  TextField,
+  Typography,
+  Paper,
+  Chip
+} from '@mui/material';
+import { apiFetch } from '../../api/client';
+
+const PREVIEW_URL = '/preview-organization';
+
+// Folder and file name templates with a live preview of discovered items.
+// Drafts are only saved when they are valid, so half-typed templates never
+// reach the server's settings.
+function NamingTemplates({ settings, onSettingsChange }) {
+  const isCustom = settings.folderStructure === 'custom';
+  const [folderTemplate, setFolderTemplate] = useState(settings.folderTemplate || '');
+  const [fileNameTemplate, setFileNameTemplate] = useState(settings.fileNameTemplate || '');
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setFolderTemplate(settings.folderTemplate || '');
+    setFileNameTemplate(settings.fileNameTemplate || '');
+  }, [settings.folderTemplate, settings.fileNameTemplate]);
+
+  // Render the drafts a moment after typing stops
+  useEffect(() => {
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await apiFetch(PREVIEW_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            folderStructure: settings.folderStructure,
+            autoOrganize: settings.autoOrganize,
+            folderTemplate,
+            fileNameTemplate
+          })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          setError({ field: data.field, message: data.error || 'Failed to render preview' });
+          return;
+        }
+        setError(null);
+        setPreview(data);
+      } catch (error) {
+        console.error('Error rendering preview:', error);
+        setError({ message: error.message });
+      }
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [folderTemplate, fileNameTemplate, settings.folderStructure, settings.autoOrganize, settings.timezone]);
+
+  const saveTemplate = (field, value) => () => {
+    if (!error && value !== settings[field]) {
+      onSettingsChange({ ...settings, [field]: value });
+    }
+  };
+
+  return (
+    <Box>
+      {isCustom && (
+        <TextField
+          fullWidth
+          label="Folder Template"
+          value={folderTemplate}
+          onChange={(e) => setFolderTemplate(e.target.value)}
+          onBlur={saveTemplate('folderTemplate', folderTemplate)}
+          error={error?.field === 'folderTemplate'}
+          helperText={error?.field === 'folderTemplate' ? error.message : 'Use / for subfolders, e.g. {year}/{month}-{monthName}'}
+          sx={{ mb: 2 }}
+        />
+      )}
+      <TextField
+        fullWidth
+        label="File Name Template"
+        value={fileNameTemplate}
+        onChange={(e) => setFileNameTemplate(e.target.value)}
+        onBlur={saveTemplate('fileNameTemplate', fileNameTemplate)}
+        error={error?.field === 'fileNameTemplate'}
+        helperText={error?.field === 'fileNameTemplate'
+          ? error.message
+          : 'Applies to new downloads. Names that are taken get a _2, _3, ... suffix'}
+      />
+      {preview?.tokens && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5, mt: 1 }}>
+          {Object.entries(preview.tokens).map(([token, description]) => (
+            <Chip key={token} size="small" label={`{${token}}`} title={description} variant="outlined" />
+          ))}
+        </Box>
+      )}
+      {error && !error.field && (
+        <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+          {error.message}
+        </Typography>
+      )}
+      {preview?.samples?.length > 0 && (
+        <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+          <Typography variant="subtitle2" gutterBottom>
+            Preview
+          </Typography>
+          {preview.samples.map(sample => (
+            <Typography
+              key={sample.id}
+              variant="body2"
+              sx={{ fontFamily: 'monospace', wordBreak: 'break-all', opacity: error ? 0.5 : 1 }}
+            >
+              {sample.path}
+            </Typography>
+          ))}
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default NamingTemplates;
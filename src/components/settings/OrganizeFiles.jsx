@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  LinearProgress,
+  Alert,
+  Paper,
+  Stack
+} from '@mui/material';
+import PlaylistPlayIcon from '@mui/icons-material/PlaylistPlay';
+import DriveFileMoveIcon from '@mui/icons-material/DriveFileMove';
+import UndoIcon from '@mui/icons-material/Undo';
+import { apiFetch } from '../../api/client';
+
+const RELAYOUT_URL = '/maintenance/relayout';
+
+const relativePath = (filePath, syncDir) => (
+  filePath.startsWith(syncDir) ? filePath.slice(syncDir.length).replace(/^[/\\]/, '') : filePath
+);
+
+// Moves files synced under another layout into the selected one: a dry run
+// lists the moves and conflicts first, and an applied re-layout can be undone
+function OrganizeFiles({ folderStructure, folderTemplate, fileNameTemplate, autoOrganize, timezone }) {
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Whether the last plan still matches depends on the layout settings
+  useEffect(() => {
+    fetchStatus();
+  }, [folderStructure, folderTemplate, fileNameTemplate, autoOrganize, timezone]);
+
+  // Poll while files are being moved in the background
+  const running = Boolean(status?.job?.running);
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(fetchStatus, 1000);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await apiFetch(RELAYOUT_URL);
+      if (!response.ok) {
+        throw new Error('Failed to load re-layout status');
+      }
+      setStatus(await response.json());
+    } catch (error) {
+      console.error('Error loading re-layout status:', error);
+      setError(error.message);
+    }
+  };
+
+  const post = async (url, failure) => {
+    try {
+      setError(null);
+      const response = await apiFetch(url, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || failure);
+      }
+      await fetchStatus();
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setError(error.message);
+    }
+  };
+
+  const plan = status?.plan;
+  const undoablePlan = plan?.undoable ? plan : status?.appliedPlan?.undoable ? status.appliedPlan : null;
+  const canApply = plan && ['planned', 'interrupted'].includes(plan.status) && plan.current && plan.counts.pending > 0;
+
+  const undo = () => {
+    if (window.confirm(`Move ${undoablePlan.counts.moved} files back to where they were?`)) {
+      post(`${RELAYOUT_URL}/${undoablePlan.id}/undo`, 'Failed to undo re-layout');
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Files synced before the layout or file name template changed stay where they are.
+        Plan a re-layout to see where they would go, then apply it.
+      </Typography>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {running ? (
+        <Box>
+          <Typography variant="body2">
+            {status.job.action === 'undo' ? 'Moving files back' : 'Moving files'}: {status.job.done} of {status.job.total}...
+          </Typography>
+          <LinearProgress
+            variant="determinate"
+            value={status.job.total ? (status.job.done / status.job.total) * 100 : 0}
+            sx={{ mt: 1 }}
+          />
+        </Box>
+      ) : (
+        <Stack direction="row" spacing={1} flexWrap="wrap" useFlexGap>
+          <Button
+            variant="outlined"
+            startIcon={<PlaylistPlayIcon />}
+            onClick={() => post(`${RELAYOUT_URL}/plan`, 'Failed to plan re-layout')}
+          >
+            Plan Re-layout
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<DriveFileMoveIcon />}
+            onClick={() => post(`${RELAYOUT_URL}/${plan.id}/apply`, 'Failed to apply re-layout')}
+            disabled={!canApply}
+          >
+            {plan?.status === 'interrupted' ? 'Continue Re-layout' : 'Apply Re-layout'}
+          </Button>
+          {undoablePlan && (
+            <Button variant="outlined" color="warning" startIcon={<UndoIcon />} onClick={undo}>
+              Undo Last Re-layout
+            </Button>
+          )}
+        </Stack>
+      )}
+      {plan && (
+        <Paper variant="outlined" sx={{ p: 2, mt: 2 }}>
+          <Typography variant="subtitle2">
+            {plan.status === 'planned' ? 'Dry run' : `Re-layout (${plan.status})`}: {plan.moves} files to move,
+            {' '}{plan.unchanged} already in place
+            {plan.conflictCount > 0 && `, ${plan.conflictCount} renamed to avoid a clash`}
+            {plan.missingCount > 0 && `, ${plan.missingCount} missing`}
+            {plan.counts.failed > 0 && `, ${plan.counts.failed} failed`}
+          </Typography>
+          {!plan.current && plan.status === 'planned' && (
+            <Typography variant="body2" color="warning.main">
+              The layout settings changed since this plan was made. Plan again to apply them.
+            </Typography>
+          )}
+          <Box sx={{ maxHeight: 240, overflow: 'auto', mt: 1 }}>
+            {plan.sampleMoves.map(move => (
+              <Typography
+                key={move.from}
+                variant="body2"
+                color={move.state === 'failed' ? 'error' : 'text.primary'}
+                sx={{ fontFamily: 'monospace', wordBreak: 'break-all' }}
+              >
+                {relativePath(move.from, plan.syncDir)} → {relativePath(move.to, plan.syncDir)}
+              </Typography>
+            ))}
+            {plan.moves > plan.sampleMoves.length && (
+              <Typography variant="body2" color="text.secondary">
+                and {plan.moves - plan.sampleMoves.length} more
+              </Typography>
+            )}
+          </Box>
+        </Paper>
+      )}
+    </Box>
+  );
+}
+
+export default OrganizeFiles;
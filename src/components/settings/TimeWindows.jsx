@@ -0,0 +1,61 @@
+import {
+  Box,
+  Button,
+  IconButton,
+  Stack,
+  TextField
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+// Edits a list of { start, end } times of day, with an MB/s limit each when withLimit is set
+function TimeWindows({ windows = [], onChange, withLimit = false, defaultWindow, addLabel }) {
+  const update = (index, field) => (event) => {
+    const value = field === 'limit' ? Number(event.target.value) : event.target.value;
+    onChange(windows.map((window, i) => (i === index ? { ...window, [field]: value } : window)));
+  };
+
+  return (
+    <Box>
+      {windows.map((window, index) => (
+        <Stack key={index} direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+          <TextField
+            type="time"
+            size="small"
+            label="From"
+            value={window.start}
+            onChange={update(index, 'start')}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            type="time"
+            size="small"
+            label="Until"
+            value={window.end}
+            onChange={update(index, 'end')}
+            InputLabelProps={{ shrink: true }}
+          />
+          {withLimit && (
+            <TextField
+              type="number"
+              size="small"
+              label="MB/s"
+              value={window.limit}
+              onChange={update(index, 'limit')}
+              inputProps={{ min: 0, step: 0.1 }}
+              sx={{ width: 100 }}
+            />
+          )}
+          <IconButton aria-label="Remove" onClick={() => onChange(windows.filter((_, i) => i !== index))}>
+            <DeleteIcon />
+          </IconButton>
+        </Stack>
+      ))}
+      <Button size="small" startIcon={<AddIcon />} onClick={() => onChange([...windows, defaultWindow])}>
+        {addLabel}
+      </Button>
+    </Box>
+  );
+}
+
+export default TimeWindows;
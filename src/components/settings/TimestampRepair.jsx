@@ -0,0 +1,97 @@
+import { useState, useEffect } from 'react';
+import {
+  Box,
+  Button,
+  Typography,
+  LinearProgress,
+  Alert
+} from '@mui/material';
+import ScheduleIcon from '@mui/icons-material/Schedule';
+import { apiFetch } from '../../api/client';
+
+const REPAIR_URL = '/maintenance/repair-timestamps';
+
+// Sets the mtime of already synced files to their capture time
+function TimestampRepair() {
+  const [repair, setRepair] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  // Poll while the repair runs in the background
+  const running = Boolean(repair?.running);
+  useEffect(() => {
+    if (!running) return undefined;
+    const interval = setInterval(fetchStatus, 1000);
+    return () => clearInterval(interval);
+  }, [running]);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await apiFetch(REPAIR_URL);
+      if (!response.ok) {
+        throw new Error('Failed to load timestamp repair status');
+      }
+      setRepair(await response.json());
+    } catch (error) {
+      console.error('Error loading timestamp repair status:', error);
+      setError(error.message);
+    }
+  };
+
+  const startRepair = async () => {
+    try {
+      setError(null);
+      const response = await apiFetch(REPAIR_URL, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to start timestamp repair');
+      }
+      await fetchStatus();
+    } catch (error) {
+      console.error('Error starting timestamp repair:', error);
+      setError(error.message);
+    }
+  };
+
+  return (
+    <Box>
+      <Typography variant="body2" color="text.secondary" paragraph>
+        New downloads are dated by when the photo was taken. Files synced earlier can be fixed here,
+        so Synology Photos and file browsers sort them correctly.
+      </Typography>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {running ? (
+        <Box>
+          <Typography variant="body2">Checked {repair.checked} of {repair.total} files...</Typography>
+          <LinearProgress
+            variant="determinate"
+            value={repair.total ? (repair.checked / repair.total) * 100 : 0}
+            sx={{ mt: 1 }}
+          />
+        </Box>
+      ) : (
+        <>
+          <Button variant="outlined" startIcon={<ScheduleIcon />} onClick={startRepair}>
+            Repair File Timestamps
+          </Button>
+          {repair?.total > 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              Last run fixed {repair.fixed} of {repair.total} files
+              {repair.missing > 0 && `, ${repair.missing} missing`}
+              {repair.failed > 0 && `, ${repair.failed} failed`}.
+            </Typography>
+          )}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default TimestampRepair;
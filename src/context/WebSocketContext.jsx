@@ -1,10 +1,8 @@
 import React, { createContext, useContext, useEffect, useRef, useState, useCallback } from 'react';
+import { WS_URL } from '../api/client';
 
 const WebSocketContext = createContext(null);
 
-const WS_URL = process.env.NODE_ENV === 'production' 
-  ? `ws://${window.location.host}/ws`
-  : 'ws://localhost:3000/ws';
 
 const RECONNECT_DELAY = 2000; // 2 seconds
 const MAX_RECONNECT_ATTEMPTS = 10;
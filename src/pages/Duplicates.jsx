@@ -0,0 +1,286 @@
+import { useState, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  Grid,
+  Card,
+  CardMedia,
+  CardContent,
+  Checkbox,
+  FormControlLabel,
+  Chip,
+  Divider,
+  CircularProgress,
+  LinearProgress,
+  Alert,
+  useMediaQuery,
+  useTheme as useMuiTheme
+} from '@mui/material';
+import ImageSearchIcon from '@mui/icons-material/ImageSearch';
+import FingerprintIcon from '@mui/icons-material/Fingerprint';
+import SaveIcon from '@mui/icons-material/Save';
+import { API_URL, apiFetch } from '../api/client';
+
+function formatBytes(bytes, decimals = 2) {
+  if (!bytes) return '0 Bytes';
+
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+function DuplicateGroup({ group, onSaved }) {
+  const [keeperIds, setKeeperIds] = useState(group.items.filter(item => item.keeper).map(item => item.id));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const toggleKeeper = (itemId) => {
+    setKeeperIds(prev => prev.includes(itemId)
+      ? prev.filter(id => id !== itemId)
+      : [...prev, itemId]);
+  };
+
+  const saveKeepers = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await apiFetch('/near-duplicates/keepers', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ itemIds: group.items.map(item => item.id), keeperIds })
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to save keepers');
+      }
+      onSaved();
+    } catch (error) {
+      console.error('Error saving keepers:', error);
+      setError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Paper sx={{ p: 2, mb: 3 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>
+          {group.items.length} similar photos
+          {group.reviewed && <Chip label="Reviewed" size="small" color="success" sx={{ ml: 1 }} />}
+        </Typography>
+        <Button
+          size="small"
+          startIcon={saving ? <CircularProgress size={16} /> : <SaveIcon />}
+          onClick={saveKeepers}
+          disabled={saving}
+        >
+          Save Keepers
+        </Button>
+      </Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      <Grid container spacing={2}>
+        {group.items.map((item) => (
+          <Grid item xs={6} sm={4} md={3} key={item.id}>
+            <Card variant="outlined" sx={{ borderColor: keeperIds.includes(item.id) ? 'success.main' : undefined }}>
+              <CardMedia
+                component="img"
+                height="140"
+                image={`${API_URL}/near-duplicates/${encodeURIComponent(item.id)}/thumbnail`}
+                alt={item.fileName}
+                loading="lazy"
+                sx={{ objectFit: 'contain', bgcolor: 'action.hover' }}
+              />
+              <CardContent sx={{ p: 1, '&:last-child': { pb: 1 } }}>
+                <Typography variant="caption" component="div" noWrap title={item.localPath}>
+                  {item.fileName}
+                </Typography>
+                <Typography variant="caption" color="text.secondary" component="div">
+                  {item.width && item.height ? `${item.width}×${item.height} · ` : ''}
+                  {formatBytes(item.size)} · distance {item.distance}
+                </Typography>
+                <FormControlLabel
+                  control={
+                    <Checkbox
+                      size="small"
+                      checked={keeperIds.includes(item.id)}
+                      onChange={() => toggleKeeper(item.id)}
+                    />
+                  }
+                  label="Keep"
+                />
+              </CardContent>
+            </Card>
+          </Grid>
+        ))}
+      </Grid>
+    </Paper>
+  );
+}
+
+function Duplicates() {
+  const [report, setReport] = useState(null);
+  const [exactReport, setExactReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const muiTheme = useMuiTheme();
+  const isMobile = useMediaQuery(muiTheme.breakpoints.down('sm'));
+
+  useEffect(() => {
+    fetchReports();
+  }, []);
+
+  // Keep polling while a scan runs in the background
+  const scanRunning = Boolean(report?.job.running || exactReport?.scan.running);
+  useEffect(() => {
+    if (!scanRunning) return undefined;
+    const interval = setInterval(fetchReports, 2000);
+    return () => clearInterval(interval);
+  }, [scanRunning]);
+
+  const fetchReports = async () => {
+    try {
+      const [nearResponse, exactResponse] = await Promise.all([
+        apiFetch('/near-duplicates'),
+        apiFetch('/duplicates')
+      ]);
+      if (!nearResponse.ok || !exactResponse.ok) {
+        throw new Error('Failed to load duplicate reports');
+      }
+      const nearData = await nearResponse.json();
+      const exactData = await exactResponse.json();
+      setReport(nearData);
+      setExactReport(exactData);
+      setError(null);
+    } catch (error) {
+      console.error('Error loading duplicate reports:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startScan = async (url) => {
+    try {
+      const response = await apiFetch(url, { method: 'POST' });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to start scan');
+      }
+      await fetchReports();
+    } catch (error) {
+      console.error('Error starting scan:', error);
+      setError(error.message);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box sx={{ textAlign: 'center', py: 6 }}>
+        <CircularProgress />
+      </Box>
+    );
+  }
+
+  const job = report?.job;
+  const scan = exactReport?.scan;
+
+  return (
+    <Box>
+      <Typography
+        variant={isMobile ? "h5" : "h4"}
+        component="h1"
+        gutterBottom
+        sx={{ mb: 3 }}
+      >
+        Duplicates
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+
+      {exactReport && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Identical Files
+          </Typography>
+          <Divider sx={{ mb: 2 }} />
+          <Typography variant="body2" color="text.secondary" paragraph>
+            {exactReport.hashFiles
+              ? `${exactReport.totalGroups} groups of files with identical content, ${formatBytes(exactReport.reclaimableBytes)} reclaimable.`
+              : 'Turn on file hashing in the advanced settings to detect identical files on download.'}
+          </Typography>
+          {scan?.running ? (
+            <Box>
+              <Typography variant="body2">Hashing {scan.hashed} of {scan.total} files...</Typography>
+              <LinearProgress variant="determinate" value={scan.total ? (scan.hashed / scan.total) * 100 : 0} sx={{ mt: 1 }} />
+            </Box>
+          ) : (
+            <Button
+              variant="outlined"
+              startIcon={<FingerprintIcon />}
+              onClick={() => startScan('/duplicates/scan')}
+            >
+              Hash Existing Files
+            </Button>
+          )}
+        </Paper>
+      )}
+
+      {report && (
+        <>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Typography variant="h6" gutterBottom>
+              Similar Photos
+            </Typography>
+            <Divider sx={{ mb: 2 }} />
+            <Typography variant="body2" color="text.secondary" paragraph>
+              Burst shots, resized copies and recompressed images are grouped by perceptual hash.
+              Mark the photos you want to keep; nothing is ever deleted automatically.
+            </Typography>
+            <Typography variant="body2" paragraph>
+              {report.totalGroups} groups found, {report.reviewedGroups} reviewed.
+              {report.pending > 0 && ` ${report.pending} photos haven't been scanned yet.`}
+            </Typography>
+            {job?.running ? (
+              <Box>
+                <Typography variant="body2">Scanning {job.processed} of {job.total} photos...</Typography>
+                <LinearProgress variant="determinate" value={job.total ? (job.processed / job.total) * 100 : 0} sx={{ mt: 1 }} />
+              </Box>
+            ) : (
+              <Button
+                variant="contained"
+                startIcon={<ImageSearchIcon />}
+                onClick={() => startScan('/near-duplicates/scan')}
+                disabled={report.pending === 0}
+              >
+                Scan Photos
+              </Button>
+            )}
+          </Paper>
+
+          {report.groups.map((group) => (
+            <DuplicateGroup key={group.id} group={group} onSaved={fetchReports} />
+          ))}
+        </>
+      )}
+    </Box>
+  );
+}
+
+export default Duplicates;
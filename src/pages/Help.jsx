@@ -68,7 +68,7 @@ const Help = () => {
                   <li>Media Processing: Configure photo compression and video conversion</li>
                   <li>Network Settings: Adjust bandwidth limits and concurrent downloads</li>
                   <li>Backup Settings: Set up automatic backups</li>
-                  <li>Security Settings: Configure access controls and IP whitelisting</li>
+                  <li>Security Settings: Manage who can log in, change your password and limit access to an IP allowlist</li>
                 </ul>
               </Typography>
             </AccordionDetails>
@@ -17,6 +17,7 @@ import SyncIcon from '@mui/icons-material/Sync';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import PauseIcon from '@mui/icons-material/Pause';
 import CancelIcon from '@mui/icons-material/Cancel';
+import { API_URL, WS_URL, apiFetch } from '../api/client';
 
 function Home() {
   const [isAuthenticated, setIsAuthenticated] = useState(false);
@@ -24,6 +25,7 @@ function Home() {
   const [error, setError] = useState(null);
   const [syncStatus, setSyncStatus] = useState(null);
   const [wsConnected, setWsConnected] = useState(false);
+  const [schedule, setSchedule] = useState(null);
   const { isDarkMode } = useTheme();
   const muiTheme = useMuiTheme();
   const isMobile = useMediaQuery(muiTheme.breakpoints.down('sm'));
@@ -59,6 +61,13 @@ function Home() {
     };
   }, []);
 
+  // Refresh the scheduled run times whenever a sync starts or ends
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchSchedule();
+    }
+  }, [isAuthenticated, syncStatus?.status]);
+
   const cleanupWebSocket = () => {
     if (wsRef.current) {
       console.log('Closing WebSocket connection');
@@ -85,7 +94,7 @@ function Home() {
       setTimeout(() => {
         if (!mountedRef.current) return;
         
-        const ws = new WebSocket('ws://localhost:3000/ws');
+        const ws = new WebSocket(WS_URL);
         wsRef.current = ws;
         
         // Track connection timeout
@@ -166,7 +175,7 @@ function Home() {
   const fetchSyncStatus = async () => {
     try {
       console.log('Fetching sync status...');
-      const response = await fetch('http://localhost:3000/sync/status');
+      const response = await apiFetch('/sync/status');
       if (!response.ok) {
         throw new Error('Failed to fetch sync status');
       }
@@ -179,6 +188,19 @@ function Home() {
     }
   };
 
+  const fetchSchedule = async () => {
+    try {
+      const response = await apiFetch('/schedule');
+      if (!response.ok) {
+        throw new Error('Failed to fetch schedule');
+      }
+      setSchedule(await response.json());
+    } catch (error) {
+      console.error('Error fetching schedule:', error);
+      // Not critical either, the dashboard works without it
+    }
+  };
+
   const checkAuthStatus = async () => {
     try {
       setIsLoading(true);
@@ -216,7 +238,7 @@ function Home() {
       
       // Always verify with the server
       console.log('Checking authentication with server...');
-      const response = await fetch('http://localhost:3000/check-auth');
+      const response = await apiFetch('/check-auth');
       if (!response.ok) {
         throw new Error('Failed to check authentication status');
       }
@@ -283,14 +305,14 @@ function Home() {
       console.log('Current React app port:', reactPort);
       
       // Try to fetch the auth endpoint first to check server connectivity
-      fetch('http://localhost:3000/check-auth')
+      apiFetch('/check-auth')
         .then(response => {
           if (!response.ok) {
             throw new Error('Could not connect to authentication server');
           }
           console.log('Server connection verified, redirecting to Google login...');
           // If server is reachable, redirect to auth endpoint with port parameter
-          window.location.href = `http://localhost:3000/auth?port=${reactPort}`;
+          window.location.href = `${API_URL}/auth?port=${reactPort}`;
         })
         .catch(error => {
           console.error('Error during login redirect:', error);
@@ -310,7 +332,7 @@ function Home() {
       console.log('Starting sync process...');
       
       // Check for token existence before attempting to sync
-      const authResponse = await fetch('http://localhost:3000/check-auth');
+      const authResponse = await apiFetch('/check-auth');
       const authData = await authResponse.json();
       
       if (!authData.authenticated) {
@@ -318,7 +340,7 @@ function Home() {
       }
       
       // Start the sync process
-      const response = await fetch('http://localhost:3000/sync', {
+      const response = await apiFetch('/sync', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -349,7 +371,7 @@ function Home() {
     try {
       setError(null);
       const endpoint = syncStatus?.isPaused ? '/sync/resume' : '/sync/pause';
-      const response = await fetch(`http://localhost:3000${endpoint}`, {
+      const response = await apiFetch(endpoint, {
         method: 'POST'
       });
       
@@ -366,7 +388,7 @@ function Home() {
   const handleCancel = async () => {
     try {
       setError(null);
-      const response = await fetch('http://localhost:3000/sync/cancel', {
+      const response = await apiFetch('/sync/cancel', {
         method: 'POST'
       });
       
@@ -541,6 +563,20 @@ function Home() {
               </>
             )}
           </Box>
+
+          {schedule?.enabled && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 3 }}>
+              {schedule.nextRunAt
+                ? `Next scheduled sync: ${new Date(schedule.nextRunAt).toLocaleString()}`
+                : 'The sync schedule is not valid, check it in the advanced settings'}
+              {schedule.inQuietHours && ' (quiet hours are on now)'}
+            </Typography>
+          )}
+          {schedule?.lastResult && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: schedule.enabled ? 0 : 3 }}>
+              Last scheduled sync {new Date(schedule.lastResult.at).toLocaleString()}: {schedule.lastResult.message || schedule.lastResult.status}
+            </Typography>
+          )}
         </Box>
       )}
     </Box>
@@ -0,0 +1,178 @@
+import { useState, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  TextField,
+  CircularProgress,
+  Alert
+} from '@mui/material';
+import LockIcon from '@mui/icons-material/Lock';
+import Logo from '../components/Logo';
+import { BASE_PATH, apiFetch } from '../api/client';
+
+// Where to go after logging in: the page that asked for a login, never another site
+function getNextPath() {
+  const next = new URLSearchParams(window.location.search).get('next');
+  return next && next.startsWith('/') && !next.startsWith('//') ? next : `${BASE_PATH}/`;
+}
+
+function Login() {
+  const [session, setSession] = useState(null);
+  const [form, setForm] = useState({ username: '', password: '', confirmPassword: '', setupCode: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchSession();
+  }, []);
+
+  const fetchSession = async () => {
+    try {
+      const response = await apiFetch('/session');
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to reach the server');
+      }
+      const data = await response.json();
+      if (data.authenticated) {
+        window.location.assign(getNextPath());
+        return;
+      }
+      setSession(data);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleChange = (field) => (event) => {
+    setForm({ ...form, [field]: event.target.value });
+  };
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const setup = session?.setupRequired;
+    if (setup && form.password !== form.confirmPassword) {
+      setError('The passwords do not match');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError(null);
+      const response = await apiFetch(setup ? '/session/setup' : '/session/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          username: form.username,
+          password: form.password,
+          ...(setup && { setupCode: form.setupCode.trim() })
+        })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to log in');
+      }
+      // A full load, so the live updates connect with the new session
+      window.location.assign(getNextPath());
+    } catch (error) {
+      setError(error.message);
+      setSubmitting(false);
+    }
+  };
+
+  const setup = session?.setupRequired;
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
+      <Paper sx={{ p: 4, width: '100%', maxWidth: 400 }}>
+        <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+          <Logo />
+        </Box>
+        <Typography variant="h5" align="center" gutterBottom>
+          {setup ? 'Create the first user' : 'Log in'}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {!session ? (
+          !error && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+              <CircularProgress />
+            </Box>
+          )
+        ) : (
+          <Box component="form" onSubmit={handleSubmit}>
+            {setup && (
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                The setup code is in the server log.
+              </Typography>
+            )}
+            <TextField
+              fullWidth
+              margin="normal"
+              label="Username"
+              autoComplete="username"
+              value={form.username}
+              onChange={handleChange('username')}
+              autoFocus
+              required
+            />
+            <TextField
+              fullWidth
+              margin="normal"
+              type="password"
+              label="Password"
+              autoComplete={setup ? 'new-password' : 'current-password'}
+              value={form.password}
+              onChange={handleChange('password')}
+              helperText={setup ? 'At least 8 characters' : null}
+              required
+            />
+            {setup && (
+              <>
+                <TextField
+                  fullWidth
+                  margin="normal"
+                  type="password"
+                  label="Confirm Password"
+                  autoComplete="new-password"
+                  value={form.confirmPassword}
+                  onChange={handleChange('confirmPassword')}
+                  required
+                />
+                <TextField
+                  fullWidth
+                  margin="normal"
+                  label="Setup Code"
+                  value={form.setupCode}
+                  onChange={handleChange('setupCode')}
+                  required
+                />
+              </>
+            )}
+            <Button
+              type="submit"
+              fullWidth
+              variant="contained"
+              startIcon={submitting ? <CircularProgress size={20} color="inherit" /> : <LockIcon />}
+              disabled={submitting}
+              sx={{ mt: 2 }}
+            >
+              {setup ? 'Create User' : 'Log In'}
+            </Button>
+          </Box>
+        )}
+      </Paper>
+    </Box>
+  );
+}
+
+export default Login;
@@ -11,6 +11,7 @@ import {
 } from '@mui/material';
 import BasicSettings from '../components/settings/BasicSettings';
 import AdvancedSettings from '../components/settings/AdvancedSettings';
+import { apiFetch } from '../api/client';
 
 const Settings = () => {
     const [activeTab, setActiveTab] = useState(0);
@@ -27,7 +28,7 @@ const Settings = () => {
 
     const fetchSettings = async () => {
         try {
-            const response = await fetch('http://localhost:3000/api/settings');
+            const response = await apiFetch('/api/settings');
             if (!response.ok) {
                 throw new Error('Failed to fetch settings');
             }
@@ -43,7 +44,7 @@ const Settings = () => {
 
     const fetchSettingsOptions = async () => {
         try {
-            const response = await fetch('http://localhost:3000/api/settings/options');
+            const response = await apiFetch('/api/settings/options');
             if (!response.ok) {
                 throw new Error('Failed to fetch settings options');
             }
@@ -57,7 +58,7 @@ const Settings = () => {
 
     const handleSettingsChange = async (newSettings) => {
         try {
-            const response = await fetch('http://localhost:3000/api/settings', {
+            const response = await apiFetch('/api/settings', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import { 
   Typography, 
   Box, 
@@ -30,8 +31,11 @@ import PhotoLibraryIcon from '@mui/icons-material/PhotoLibrary';
 import VideocamIcon from '@mui/icons-material/Videocam';
 import StorageIcon from '@mui/icons-material/Storage';
 import TimelineIcon from '@mui/icons-material/Timeline';
+import CollectionsIcon from '@mui/icons-material/Collections';
+import AlbumSelector from '../components/AlbumSelector';
 import { useTheme } from '../context/ThemeContext';
 import { useWebSocket } from '../context/WebSocketContext';
+import { apiFetch } from '../api/client';
 
 function Sync() {
   const [syncStatus, setSyncStatus] = useState(null);
@@ -40,6 +44,7 @@ function Sync() {
   const [discovering, setDiscovering] = useState(false);
   const [discoveryResults, setDiscoveryResults] = useState(null);
   const [discoveryToken, setDiscoveryToken] = useState(null);
+  const [interruptedJob, setInterruptedJob] = useState(null);
   const { 
     status: wsStatus, 
     error: wsError, 
@@ -99,9 +104,43 @@ function Sync() {
     }
   }, [wsStatus, wsError]);
 
+  // Look for a sync that was interrupted by a restart whenever the sync state changes
+  useEffect(() => {
+    const fetchInterruptedJob = async () => {
+      try {
+        const response = await apiFetch('/sync/job');
+        if (response.ok) {
+          const data = await response.json();
+          setInterruptedJob(data.job);
+        }
+      } catch (error) {
+        console.error('Error fetching interrupted sync:', error);
+      }
+    };
+    fetchInterruptedJob();
+  }, [syncState?.status]);
+
+  const handleInterruptedJob = async (action) => {
+    try {
+      setError(null);
+      const response = await apiFetch(`/sync/job/${action}`, {
+        method: 'POST'
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || `Failed to ${action} interrupted sync`);
+      }
+      setInterruptedJob(null);
+      await fetchSyncStatus();
+    } catch (error) {
+      console.error('Interrupted sync error:', error);
+      setError(error.message);
+    }
+  };
+
   const fetchSyncStatus = async () => {
     try {
-      const response = await fetch('http://localhost:3000/sync/status');
+      const response = await apiFetch('/sync/status');
       if (!response.ok) {
         throw new Error('Failed to fetch sync status');
       }
@@ -116,7 +155,7 @@ function Sync() {
     }
   };
 
-  const handleDiscover = async (continueDiscovery = false) => {
+  const handleDiscover = async (continueDiscovery = false, { incremental = false } = {}) => {
     try {
       // Only set discovering if we're connected
       if (wsStatus !== 'connected') {
@@ -133,7 +172,7 @@ function Sync() {
       }
       
       // Check authentication first
-      const authResponse = await fetch('http://localhost:3000/check-auth');
+      const authResponse = await apiFetch('/check-auth');
       if (!authResponse.ok) {
         throw new Error('Authentication check failed');
       }
@@ -144,14 +183,15 @@ function Sync() {
       }
       
       // Start discovery process
-      const response = await fetch('http://localhost:3000/discover', {
+      const response = await apiFetch('/discover', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           continueDiscovery: continueDiscovery,
-          pageToken: discoveryToken
+          pageToken: discoveryToken,
+          incremental
         })
       });
       
@@ -217,7 +257,7 @@ function Sync() {
         throw new Error('Please run discovery first to find items to sync');
       }
       
-      const response = await fetch('http://localhost:3000/sync', {
+      const response = await apiFetch('/sync', {
         method: 'POST'
       });
       
@@ -243,7 +283,7 @@ function Sync() {
     try {
       setError(null);
       const endpoint = syncState?.isPaused ? 'resume' : 'pause';
-      const response = await fetch(`http://localhost:3000/sync/${endpoint}`, {
+      const response = await apiFetch(`/sync/${endpoint}`, {
         method: 'POST'
       });
       
@@ -263,7 +303,7 @@ function Sync() {
   const handleCancel = async () => {
     try {
       setError(null);
-      const response = await fetch('http://localhost:3000/sync/cancel', {
+      const response = await apiFetch('/sync/cancel', {
         method: 'POST'
       });
       
@@ -353,6 +393,27 @@ function Sync() {
         </Alert>
       )}
 
+      {interruptedJob && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 3 }}
+          action={
+            <>
+              <Button color="inherit" size="small" onClick={() => handleInterruptedJob('resume')}>
+                Resume
+              </Button>
+              <Button color="inherit" size="small" onClick={() => handleInterruptedJob('discard')}>
+                Discard
+              </Button>
+            </>
+          }
+        >
+          A sync started {new Date(interruptedJob.createdAt).toLocaleString()} was interrupted
+          with {interruptedJob.done} of {interruptedJob.total} items done
+          {interruptedJob.error ? ` (${interruptedJob.error})` : ''}.
+        </Alert>
+      )}
+
       {renderDiscoveryProgress()}
 
       <Grid container spacing={3}>
@@ -409,6 +470,17 @@ function Sync() {
                       secondary={`${discoveryState.totalItems} items${discoveryState.hasMore ? ' (more available)' : ''}`}
                     />
                   </ListItem>
+                  {discoveryState.incremental && (
+                    <ListItem>
+                      <ListItemIcon>
+                        <TimelineIcon />
+                      </ListItemIcon>
+                      <ListItemText 
+                        primary="New Since Last Sync" 
+                        secondary={`${discoveryState.newItems || 0} new items`}
+                      />
+                    </ListItem>
+                  )}
                   {discoveryState.dateFiltered && (
                     <ListItem>
                       <ListItemIcon>
@@ -445,6 +517,13 @@ function Sync() {
                         Discover More
                       </Button>
                     )}
+                    <Button 
+                      size="small" 
+                      onClick={() => handleDiscover(false, { incremental: true })}
+                      sx={{ mr: 1 }}
+                    >
+                      Discover New Items
+                    </Button>
                     <Button 
                       size="small" 
                       onClick={() => handleDiscover(false)}
@@ -546,6 +625,20 @@ function Sync() {
           </Paper>
         </Grid>
         
+        {/* Albums Panel */}
+        <Grid item xs={12}>
+          <Card>
+            <CardContent>
+              <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
+                <CollectionsIcon sx={{ mr: 1 }} />
+                Albums
+              </Typography>
+              <Divider sx={{ mb: 2 }} />
+              <AlbumSelector />
+            </CardContent>
+          </Card>
+        </Grid>
+
         {/* Schedule Panel */}
         <Grid item xs={12}>
           <Card>
@@ -562,7 +655,7 @@ function Sync() {
               </Box>
             </CardContent>
             <CardActions>
-              <Button size="small" component="a" href="/settings">
+              <Button size="small" component={RouterLink} to="/settings">
                 Configure Scheduling
               </Button>
             </CardActions>
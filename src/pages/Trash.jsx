@@ -0,0 +1,215 @@
+import { useState, useEffect } from 'react';
+import {
+  Typography,
+  Box,
+  Paper,
+  Button,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Divider,
+  CircularProgress,
+  Alert,
+  Tooltip,
+  useMediaQuery,
+  useTheme as useMuiTheme
+} from '@mui/material';
+import RestoreIcon from '@mui/icons-material/Restore';
+import DeleteForeverIcon from '@mui/icons-material/DeleteForever';
+import RefreshIcon from '@mui/icons-material/Refresh';
+import { apiFetch } from '../api/client';
+
+function formatBytes(bytes, decimals = 2) {
+  if (!bytes) return '0 Bytes';
+
+  const k = 1024;
+  const dm = decimals < 0 ? 0 : decimals;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+function Trash() {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const muiTheme = useMuiTheme();
+  const isMobile = useMediaQuery(muiTheme.breakpoints.down('sm'));
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await apiFetch('/trash');
+      if (!response.ok) {
+        throw new Error('Failed to load trash');
+      }
+      const data = await response.json();
+      setItems(data.items);
+      setRetentionDays(data.retentionDays);
+      setError(null);
+    } catch (error) {
+      console.error('Error loading trash:', error);
+      setError(error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runAction = async (url, method, successMessage) => {
+    try {
+      setBusy(true);
+      setMessage(null);
+      const response = await apiFetch(url, { method });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed');
+      }
+      setMessage(successMessage);
+      setError(null);
+      await fetchTrash();
+    } catch (error) {
+      console.error('Trash action error:', error);
+      setError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRestore = (item) => runAction(
+    `/trash/${encodeURIComponent(item.id)}/restore`,
+    'POST',
+    `Restored ${item.fileName}`
+  );
+
+  const handleDelete = (item) => {
+    if (!window.confirm(`Permanently delete ${item.fileName}?`)) return;
+    runAction(
+      `/trash/${encodeURIComponent(item.id)}`,
+      'DELETE',
+      `Deleted ${item.fileName}`
+    );
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm(`Permanently delete all ${items.length} items in the trash?`)) return;
+    runAction('/trash/empty', 'POST', 'Trash emptied');
+  };
+
+  return (
+    <Box>
+      <Typography
+        variant={isMobile ? "h5" : "h4"}
+        component="h1"
+        gutterBottom
+        sx={{ mb: 3 }}
+      >
+        Trash
+      </Typography>
+
+      <Typography variant="body2" color="text.secondary" paragraph>
+        Items deleted from Google Photos are moved to the <code>.trash</code> folder of your sync
+        directory instead of being removed.
+        {retentionDays > 0
+          ? ` They are deleted for good after ${retentionDays} days.`
+          : ' They stay there until you delete them.'}
+        {' '}Restored items are kept locally even though they are gone from Google Photos.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }}>
+          {error}
+        </Alert>
+      )}
+      {message && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      <Paper sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>
+            {items.length} {items.length === 1 ? 'item' : 'items'}
+          </Typography>
+          <Button
+            startIcon={<RefreshIcon />}
+            onClick={fetchTrash}
+            disabled={loading || busy}
+            sx={{ mr: 1 }}
+          >
+            Refresh
+          </Button>
+          <Button
+            variant="contained"
+            color="error"
+            startIcon={<DeleteForeverIcon />}
+            onClick={handleEmpty}
+            disabled={loading || busy || items.length === 0}
+          >
+            Empty Trash
+          </Button>
+        </Box>
+        <Divider />
+
+        {loading ? (
+          <Box sx={{ textAlign: 'center', py: 3 }}>
+            <CircularProgress size={40} />
+          </Box>
+        ) : items.length === 0 ? (
+          <Typography variant="body2" color="text.secondary" sx={{ py: 3, textAlign: 'center' }}>
+            The trash is empty
+          </Typography>
+        ) : (
+          <List>
+            {items.map((item) => (
+              <ListItem
+                key={item.id}
+                divider
+                secondaryAction={
+                  <>
+                    <Tooltip title="Restore">
+                      <span>
+                        <IconButton onClick={() => handleRestore(item)} disabled={busy || !item.trashPath}>
+                          <RestoreIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                    <Tooltip title="Delete permanently">
+                      <span>
+                        <IconButton edge="end" onClick={() => handleDelete(item)} disabled={busy}>
+                          <DeleteForeverIcon />
+                        </IconButton>
+                      </span>
+                    </Tooltip>
+                  </>
+                }
+              >
+                <ListItemText
+                  primary={item.fileName || item.id}
+                  secondary={
+                    `${item.originalPath}${item.trashPath ? '' : ' (file was already missing)'} · ${formatBytes(item.size)} · ` +
+                    `deleted ${new Date(item.deletedAt).toLocaleString()}` +
+                    (item.expiresAt ? ` · expires ${new Date(item.expiresAt).toLocaleDateString()}` : '')
+                  }
+                  sx={{ pr: 10 }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </Paper>
+    </Box>
+  );
+}
+
+export default Trash;
@@ -4,8 +4,15 @@ import Sync from './pages/Sync';
 import Settings from './pages/Settings';
 import About from './pages/About';
 import Help from './pages/Help';
+import Trash from './pages/Trash';
+import Duplicates from './pages/Duplicates';
+import Login from './pages/Login';
 
 export const routes = [
+  {
+    path: '/login',
+    element: <Login />,
+  },
   {
     path: '/',
     element: <Layout />,
@@ -18,6 +25,14 @@ export const routes = [
         path: '/sync',
         element: <Sync />,
       },
+      {
+        path: '/duplicates',
+        element: <Duplicates />,
+      },
+      {
+        path: '/trash',
+        element: <Trash />,
+      },
       {
         path: '/settings',
         element: <Settings />,
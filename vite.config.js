@@ -1,7 +1,11 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// BASE_PATH serves the app under a sub-path, e.g. /photosync; the server needs the same value
+const basePath = (process.env.BASE_PATH || '').trim().replace(/\/+$/, '')
+
 // https://vite.dev/config/
 export default defineConfig({
+  base: `${basePath}/`,
   plugins: [react()],
 })